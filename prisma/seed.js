@@ -122,6 +122,8 @@ async function main() {
         phoneNumber,
         accountNumber,
         pin: defaultPIN,
+        // Like registration, the seeded PIN is a placeholder until set with /api/set-pin
+        pinIsDefault: true,
         bankName,
         createdAt: randomDate(new Date(Date.now() - 730 * 24 * 60 * 60 * 1000)), // Last 2 years
       },
@@ -310,6 +312,7 @@ async function main() {
   console.log(`   - Transactions: ${transactionCount}`);
   console.log(`   - Beneficiaries: ${beneficiaryCount}`);
   console.log(`   - Bill Payments: ${billPaymentCount}`);
+  console.log('\n📒 Seeded balances have no journal postings yet - run "npm run ledger:backfill" to post opening balances.');
 }
 
 main()
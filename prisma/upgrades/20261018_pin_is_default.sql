@@ -0,0 +1,22 @@
+-- PIN security columns for databases created before the PIN set/change/reset flows.
+--
+-- Customers used to be registered with the PIN '0000'. pin_is_default marks
+-- placeholder PINs, which never verify until the customer sets their own, so
+-- every customer whose PIN is still '0000' is marked here as well; otherwise
+-- the old default would keep working as a real PIN.
+--
+-- Safe to run again. Usage: npm run pins:migrate
+
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS pin_is_default BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS security_question TEXT;
+ALTER TABLE customers ADD COLUMN IF NOT EXISTS security_answer_hash TEXT;
+
+-- bcryptjs wrote the old hashes as $2a$, which pgcrypto's crypt() can check
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+UPDATE customers
+SET pin_is_default = true,
+    updated_at = now()
+WHERE pin_is_default = false
+  AND pin LIKE '$2a$%'
+  AND pin = crypt('0000', pin);
@@ -0,0 +1,32 @@
+/**
+ * Ledger opening balance backfill
+ *
+ * Posts an opening balance entry (against the system opening_balance
+ * account) for every account whose balance is not yet covered by journal
+ * postings. Run once after deploying the ledger, and after seeding; running
+ * it again only touches accounts that are still out of line.
+ *
+ * Usage: npm run ledger:backfill
+ */
+
+require('dotenv').config();
+
+const { prisma } = require('../src/services/database');
+const { backfillOpeningBalances } = require('../src/services/ledger');
+
+async function main() {
+  console.log('📒 Backfilling opening balances...');
+
+  const { accountsBackfilled, total } = await backfillOpeningBalances();
+
+  console.log(`✅ Posted opening balances for ${accountsBackfilled} account(s), total ${total}`);
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Ledger backfill failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
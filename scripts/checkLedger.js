@@ -0,0 +1,50 @@
+/**
+ * Ledger invariant check
+ *
+ * Verifies that every journal entry balances, that all postings add up to
+ * zero and that every account balance equals the sum of its postings.
+ * Exits with code 1 and lists the offending entries/accounts otherwise.
+ *
+ * Usage: npm run ledger:check
+ */
+
+require('dotenv').config();
+
+const { prisma } = require('../src/services/database');
+const { checkLedgerInvariants } = require('../src/services/ledger');
+
+async function main() {
+  const result = await checkLedgerInvariants();
+
+  console.log(`📒 Checked ${result.accountsChecked} account(s)`);
+
+  const checks = [
+    ['every journal entry balances', result.unbalancedEntries.length === 0],
+    [`all postings add up to zero (total: ${result.postingsTotal})`, result.postingsTotal === '0.00'],
+    ['every account balance equals the sum of its postings', result.mismatchedAccounts.length === 0],
+  ];
+
+  for (const [label, passed] of checks) {
+    console.log(`${passed ? '✅' : '❌'} ${label}`);
+  }
+
+  result.unbalancedEntries.forEach((entry) => {
+    console.log(`   Journal entry ${entry.journalEntryId} is off by ${entry.total}`);
+  });
+  result.mismatchedAccounts.forEach((account) => {
+    console.log(`   Account ${account.accountNumber}: balance ${account.balance}, postings ${account.ledgerBalance} (difference ${account.difference})`);
+  });
+
+  if (!result.ok) {
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Ledger check failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
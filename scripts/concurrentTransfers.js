@@ -0,0 +1,173 @@
+/**
+ * Concurrency check for balance updates
+ *
+ * Creates two throwaway customers, gives the sender ₦1,000 and fires 20
+ * parallel ₦100 transfers from the sender to the recipient through
+ * initiateTransfer. With race-safe debits exactly 10 succeed, the rest fail
+ * with 'Insufficient balance', the sender ends at ₦0 and the recipient at
+ * ₦1,000, in both the account balances and the journal postings. The
+ * throwaway data is deleted afterwards.
+ *
+ * npm test covers the same race for debitAccount without a database
+ * (test/database.test.js); this runs it end to end against Postgres.
+ *
+ * Usage: npm run test:concurrency   (needs DATABASE_URL pointing at a test database)
+ */
+
+require('dotenv').config();
+
+const {
+  prisma,
+  initiateTransfer,
+  generateAccountNumber,
+  postJournalEntry,
+  SYSTEM_LEDGER_ACCOUNTS,
+} = require('../src/services/database');
+const { getLedgerBalance } = require('../src/services/ledger');
+
+const STARTING_BALANCE = 1000;
+const TRANSFER_AMOUNT = 100;
+const PARALLEL_TRANSFERS = 20;
+
+async function createTestCustomer(name, balance) {
+  const accountNumber = await generateAccountNumber();
+  const now = new Date();
+
+  const customer = await prisma.customer.create({
+    data: {
+      customerName: name,
+      phoneNumber: `TEST_CONCURRENCY_${accountNumber}`,
+      accountNumber,
+      pin: 'TEST',
+      pinIsDefault: true,
+      createdAt: now,
+    },
+  });
+
+  const account = await prisma.$transaction(async (tx) => {
+    const created = await tx.account.create({
+      data: {
+        customerId: customer.id,
+        accountNumber,
+        balance,
+        currency: 'NGN',
+        bankName: 'Test Bank',
+        createdAt: now,
+      },
+    });
+
+    if (balance > 0) {
+      await postJournalEntry(tx, {
+        entryType: 'opening_balance',
+        reference: `OPEN-${created.id}-${Date.now()}`,
+        postings: [
+          { accountId: created.id, amount: balance },
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.OPENING_BALANCE, amount: -balance },
+        ],
+      });
+    }
+
+    return created;
+  });
+
+  return { customer, account };
+}
+
+async function cleanUp(customerIds) {
+  const postings = await prisma.journalPosting.findMany({
+    where: { ledgerAccount: { account: { customerId: { in: customerIds } } } },
+    select: { journalEntryId: true },
+  });
+  const journalEntryIds = [...new Set(postings.map(p => p.journalEntryId))];
+
+  await prisma.accountHistory.deleteMany({ where: { customerId: { in: customerIds } } });
+  await prisma.transaction.deleteMany({ where: { customerId: { in: customerIds } } });
+  await prisma.journalPosting.deleteMany({ where: { journalEntryId: { in: journalEntryIds } } });
+  await prisma.journalEntry.deleteMany({ where: { id: { in: journalEntryIds } } });
+  await prisma.ledgerAccount.deleteMany({ where: { account: { customerId: { in: customerIds } } } });
+  await prisma.account.deleteMany({ where: { customerId: { in: customerIds } } });
+  await prisma.customer.deleteMany({ where: { id: { in: customerIds } } });
+}
+
+async function main() {
+  const sender = await createTestCustomer('Concurrency Sender', STARTING_BALANCE);
+  const recipient = await createTestCustomer('Concurrency Recipient', 0);
+  const customerIds = [sender.customer.id, recipient.customer.id];
+
+  try {
+    console.log(`🏁 Firing ${PARALLEL_TRANSFERS} parallel transfers of ₦${TRANSFER_AMOUNT} from a ₦${STARTING_BALANCE} balance...`);
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_TRANSFERS }, () => initiateTransfer(
+        Number(sender.customer.id),
+        Number(sender.account.id),
+        {
+          name: recipient.customer.customerName,
+          accountNumber: recipient.account.accountNumber,
+          bankName: 'Test Bank',
+        },
+        TRANSFER_AMOUNT
+      ))
+    );
+
+    const succeeded = results.filter(r => r.status === 'fulfilled');
+    const failed = results.filter(r => r.status === 'rejected');
+    const unexpected = failed.filter(r => r.reason.message !== 'Insufficient balance');
+
+    const [senderAccount, recipientAccount] = await Promise.all([
+      prisma.account.findUnique({ where: { id: sender.account.id } }),
+      prisma.account.findUnique({ where: { id: recipient.account.id } }),
+    ]);
+
+    const [senderLedgerBalance, recipientLedgerBalance] = await Promise.all([
+      getLedgerBalance(sender.account.id),
+      getLedgerBalance(recipient.account.id),
+    ]);
+
+    const debits = await prisma.transaction.findMany({
+      where: { accountId: sender.account.id, transactionType: 'debit', status: 'success' },
+      select: { balanceAfter: true },
+    });
+    const failedRecords = await prisma.accountHistory.count({
+      where: { customerId: sender.customer.id, status: 'failed' },
+    });
+    const distinctBalancesAfter = new Set(debits.map(d => d.balanceAfter.toString()));
+
+    const expectedSuccesses = Math.floor(STARTING_BALANCE / TRANSFER_AMOUNT);
+    const checks = [
+      [`${expectedSuccesses} transfers succeeded`, succeeded.length === expectedSuccesses],
+      ['all other transfers failed with Insufficient balance', unexpected.length === 0],
+      ['sender balance is ₦0', senderAccount.balance.equals(0)],
+      [`recipient balance is ₦${STARTING_BALANCE}`, recipientAccount.balance.equals(STARTING_BALANCE)],
+      ['sender postings add up to ₦0', senderLedgerBalance === '0.00'],
+      [`recipient postings add up to ₦${STARTING_BALANCE}`, recipientLedgerBalance === `${STARTING_BALANCE}.00`],
+      ['one debit record per successful transfer', debits.length === succeeded.length],
+      ['one failed record per rejected transfer', failedRecords === failed.length],
+      ['every debit recorded a different balance_after', distinctBalancesAfter.size === debits.length],
+    ];
+
+    console.log(`   Succeeded: ${succeeded.length}, failed: ${failed.length}`);
+    unexpected.forEach(r => console.log(`   Unexpected error: ${r.reason.message}`));
+
+    let allPassed = true;
+    for (const [label, passed] of checks) {
+      console.log(`${passed ? '✅' : '❌'} ${label}`);
+      allPassed = allPassed && passed;
+    }
+
+    if (!allPassed) {
+      process.exitCode = 1;
+    }
+  } finally {
+    await cleanUp(customerIds);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Concurrency check failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,121 @@
+/**
+ * Bill payments migration
+ *
+ * Airtime purchases used to be written only to transactions (receiver name
+ * "Airtime Purchase - MTN"), so bill payment queries never saw them. This
+ * copies every bill purchase debit that has no bill_payments row yet into
+ * bill_payments, keeping its reference, balances, date and status. The
+ * transactions rows stay, since the ledger and reversals point at them.
+ *
+ * Safe to run again: references already in bill_payments are skipped.
+ * Rows without a reference can't be matched on a second run and are only
+ * reported.
+ *
+ * Usage: npm run bills:migrate [-- --dry-run]
+ */
+
+require('dotenv').config();
+
+const { prisma, recordBillPayment } = require('../src/services/database');
+
+const BATCH_SIZE = 500;
+
+// Receiver name prefixes written by each kind of bill purchase
+const BILL_PURCHASES = [
+  { prefix: 'Airtime Purchase - ', paymentType: 'airtime', recipientField: 'phoneNumber' },
+  { prefix: 'Data Purchase - ', paymentType: 'data', recipientField: 'phoneNumber' },
+  { prefix: 'Electricity - ', paymentType: 'electricity', recipientField: 'meterNumber' },
+  { prefix: 'Cable TV - ', paymentType: 'cable', recipientField: 'accountNumber' },
+];
+
+/**
+ * Build the bill_payments details for a misfiled transaction
+ */
+function toBillDetails(transaction) {
+  const purchase = BILL_PURCHASES.find(({ prefix }) => transaction.receiverName.startsWith(prefix));
+
+  return {
+    paymentType: purchase.paymentType,
+    provider: transaction.bankName || transaction.receiverName.slice(purchase.prefix.length),
+    [purchase.recipientField]: transaction.accountNumber,
+    status: transaction.status,
+    description: transaction.receiverName,
+  };
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  console.log(`🧾 Migrating bill purchases into bill_payments${dryRun ? ' (dry run)' : ''}...`);
+
+  const counts = { migrated: 0, alreadyRecorded: 0, withoutReference: 0, failed: 0 };
+  let cursor = null;
+
+  for (;;) {
+    const transactions = await prisma.transaction.findMany({
+      where: {
+        deletedAt: null,
+        transactionType: 'debit',
+        reversalOfId: null,
+        OR: BILL_PURCHASES.map(({ prefix }) => ({ receiverName: { startsWith: prefix } })),
+      },
+      orderBy: { id: 'asc' },
+      take: BATCH_SIZE,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    if (transactions.length === 0) {
+      break;
+    }
+    cursor = transactions[transactions.length - 1].id;
+
+    const references = transactions.map(transaction => transaction.reference).filter(Boolean);
+    const recorded = await prisma.bill_payments.findMany({
+      where: { reference: { in: references } },
+      select: { reference: true },
+    });
+    const recordedReferences = new Set(recorded.map(row => row.reference));
+
+    for (const transaction of transactions) {
+      if (!transaction.reference) {
+        counts.withoutReference++;
+        console.log(`   Skipped transaction ${transaction.id}: no reference`);
+        continue;
+      }
+
+      if (recordedReferences.has(transaction.reference)) {
+        counts.alreadyRecorded++;
+        continue;
+      }
+
+      if (dryRun) {
+        counts.migrated++;
+        continue;
+      }
+
+      const billPayment = await recordBillPayment(transaction, toBillDetails(transaction));
+      if (billPayment) {
+        counts.migrated++;
+      } else {
+        counts.failed++;
+      }
+    }
+  }
+
+  console.log(`✅ ${dryRun ? 'Would migrate' : 'Migrated'} ${counts.migrated} bill purchase(s); ${counts.alreadyRecorded} already in bill_payments`);
+  if (counts.withoutReference > 0) {
+    console.log(`⚠️  ${counts.withoutReference} purchase(s) without a reference were skipped`);
+  }
+  if (counts.failed > 0) {
+    console.log(`❌ ${counts.failed} purchase(s) could not be migrated (see errors above)`);
+    process.exitCode = 1;
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Bill payments migration failed:', e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -1,7 +1,7 @@
 require('dotenv').config();
 
 // Validate required environment variables
-const requiredEnvVars = ['DATABASE_URL'];
+const requiredEnvVars = ['DATABASE_URL', 'JWT_SECRET'];
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
 
 if (missingEnvVars.length > 0) {
@@ -34,6 +34,19 @@ try {
   process.exit(1);
 }
 
+const { startPendingTransactionSweeper, stopPendingTransactionSweeper } = require('./src/services/pendingTransactions');
+const { startBillRequeryWorker, stopBillRequeryWorker } = require('./src/services/billOrders');
+const { getBillProvider, getBillProviderName } = require('./src/services/billProvider');
+const { startBillFloatMonitor, stopBillFloatMonitor } = require('./src/services/billFloat');
+
+// Fail at startup on a bad BILL_PROVIDER rather than on the first purchase
+try {
+  getBillProvider();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 const PORT = process.env.PORT || 3000;
 
 // Start server with error handling
@@ -42,12 +55,32 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Natural Language Banking API running on port ${PORT}`);
   console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🌐 API URL: ${apiUrl}`);
+  console.log(`🧾 Bill provider: ${getBillProviderName()}`);
   console.log(`\nAvailable endpoints:`);
+  console.log(`  POST   /api/auth/otp/request`);
+  console.log(`  POST   /api/auth/login`);
+  console.log(`  POST   /api/auth/refresh`);
+  console.log(`  POST   /api/auth/logout`);
   console.log(`  POST   /api/chat`);
-  console.log(`  GET    /api/chat/history/:customerId`);
-  console.log(`  DELETE /api/chat/history/:customerId`);
+  console.log(`  GET    /api/conversations/history`);
+  console.log(`  DELETE /api/conversations/history`);
   console.log(`  POST   /api/transfer`);
   console.log(`  POST   /api/buy-airtime`);
+  console.log(`  POST   /api/buy-data`);
+  console.log(`  POST   /api/buy-electricity`);
+  console.log(`  POST   /api/buy-cable`);
+  console.log(`  POST   /api/fund-betting`);
+  console.log(`  GET    /api/betting/limit`);
+  console.log(`  PUT    /api/betting/limit`);
+  console.log(`  DELETE /api/betting/limit`);
+  console.log(`  GET    /api/saved-billers`);
+  console.log(`  POST   /api/saved-billers`);
+  console.log(`  PUT    /api/saved-billers/:id`);
+  console.log(`  DELETE /api/saved-billers/:id`);
+  console.log(`  POST   /api/buy-epins`);
+  console.log(`  GET    /api/epins`);
+  console.log(`  POST   /api/epins/reveal`);
+  console.log(`  POST   /api/epins/:id/used`);
   console.log(`  POST   /api/load-money`);
   console.log(`  POST   /api/manual-transfer`);
   console.log(`  POST   /api/message`);
@@ -60,10 +93,33 @@ const server = app.listen(PORT, () => {
   console.log(`  GET    /api/balance`);
   console.log(`  POST   /api/internal-transfer`);
   console.log(`  POST   /api/set-pin`);
+  console.log(`  POST   /api/change-pin`);
+  console.log(`  POST   /api/security-question`);
+  console.log(`  POST   /api/reset-pin/security-question`);
+  console.log(`  POST   /api/reset-pin`);
+  console.log(`  POST   /api/unlock-pin`);
   console.log(`  POST   /api/verify-pin`);
+  console.log(`  POST   /api/transactions/:reference/report`);
+  console.log(`  GET    /api/transactions/reports`);
+  console.log(`  POST   /api/admin/transactions/:reference/reverse`);
+  console.log(`  GET    /api/admin/cases`);
+  console.log(`  POST   /api/admin/cases/:id/escalate`);
+  console.log(`  POST   /api/admin/cases/:id/resolve`);
+  console.log(`  GET    /api/admin/bill-float`);
+  console.log(`  POST   /api/admin/bill-float/check`);
+  console.log(`  POST   /api/webhooks/ebills`);
   console.log(`  GET    /health`);
   console.log(`  GET    /api-docs`);
   console.log(`\n✅ Server is ready to accept connections`);
+
+  // Expire pending transactions that were never completed
+  startPendingTransactionSweeper();
+
+  // Finalize bill orders eBills left processing
+  startBillRequeryWorker();
+
+  // Watch the float bill purchases are paid from
+  startBillFloatMonitor();
 });
 
 // Handle server errors
@@ -79,6 +135,9 @@ server.on('error', (error) => {
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+  stopPendingTransactionSweeper();
+  stopBillRequeryWorker();
+  stopBillFloatMonitor();
   server.close(() => {
     console.log('✅ HTTP server closed');
     // Close Prisma connection
@@ -2,7 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const authRoutes = require('./routes/auth');
 const chatRoutes = require('./routes/chat');
+const conversationsRoutes = require('./routes/conversations');
 const queryAiRoutes = require('./routes/queryAi');
 const accountVerificationRoutes = require('./routes/accountVerification');
 const pinRoutes = require('./routes/pin');
@@ -12,11 +14,22 @@ const verifyTransactionRoutes = require('./routes/verifyTransaction');
 const accountRoutes = require('./routes/account');
 const internalTransferRoutes = require('./routes/internalTransfer');
 const buyAirtimeRoutes = require('./routes/buyAirtime');
+const buyDataRoutes = require('./routes/buyData');
+const buyElectricityRoutes = require('./routes/buyElectricity');
+const buyCableRoutes = require('./routes/buyCable');
+const fundBettingRoutes = require('./routes/fundBetting');
+const bettingRoutes = require('./routes/betting');
+const savedBillersRoutes = require('./routes/savedBillers');
+const buyEpinsRoutes = require('./routes/buyEpins');
+const epinsRoutes = require('./routes/epins');
 const loadMoneyRoutes = require('./routes/loadMoney');
 const usersRoutes = require('./routes/users');
 const validatePhoneRoutes = require('./routes/users').validatePhoneRouter;
 const manualTransferRoutes = require('./routes/manualTransfer');
 const messageRoutes = require('./routes/message');
+const transactionReportsRoutes = require('./routes/transactionReports');
+const adminRoutes = require('./routes/admin');
+const webhookRoutes = require('./routes/webhooks');
 
 const app = express();
 
@@ -37,7 +50,7 @@ const swaggerOptions = {
     info: {
       title: 'Natural Language Banking API',
       version: '1.0.0',
-      description: 'AI-powered banking assistant API that allows customers to query their transaction data using natural language. All queries are automatically scoped to the authenticated customer based on phone number.',
+      description: 'AI-powered banking assistant API that allows customers to query their transaction data using natural language. All queries are automatically scoped to the customer that owns the access token.',
       contact: {
         name: 'API Support',
       },
@@ -51,11 +64,30 @@ const swaggerOptions = {
     ],
     components: {
       securitySchemes: {
-        phoneAuth: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /api/auth/login or POST /api/auth/refresh',
+        },
+        adminKey: {
           type: 'apiKey',
           in: 'header',
-          name: 'x-phone-number',
-          description: 'Customer phone number for authentication',
+          name: 'X-Admin-Key',
+          description: 'Operations API key (ADMIN_API_KEY) for /api/admin endpoints',
+        },
+      },
+      parameters: {
+        IdempotencyKey: {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Unique value per operation (e.g. a UUID). Retries with the same key return the original response ' +
+                       '(with header Idempotent-Replayed: true) instead of running the request again. Keys are kept for 24 hours by default.',
+          schema: {
+            type: 'string',
+            maxLength: 255,
+          },
         },
       },
     },
@@ -79,14 +111,19 @@ const corsOptions = {
   },
   credentials: true, // Allow cookies and authorization headers
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-phone-number'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Admin-Key'],
 };
 
 // Apply CORS middleware
 app.use(cors(corsOptions));
 
 // Middleware
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Swagger UI configuration
@@ -193,7 +230,9 @@ app.use('/api-docs', swaggerUi.serve, (req, res, next) => {
 });
 
 // Routes
+app.use('/api/auth', authRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/conversations', conversationsRoutes);
 app.use('/api/query-ai', queryAiRoutes);
 app.use('/api/account-verification', accountVerificationRoutes);
 app.use('/api', pinRoutes);
@@ -203,11 +242,22 @@ app.use('/api/verify-transaction', verifyTransactionRoutes);
 app.use('/api', accountRoutes);
 app.use('/api/internal-transfer', internalTransferRoutes);
 app.use('/api/buy-airtime', buyAirtimeRoutes);
+app.use('/api/buy-data', buyDataRoutes);
+app.use('/api/buy-electricity', buyElectricityRoutes);
+app.use('/api/buy-cable', buyCableRoutes);
+app.use('/api/fund-betting', fundBettingRoutes);
+app.use('/api/betting', bettingRoutes);
+app.use('/api/saved-billers', savedBillersRoutes);
+app.use('/api/buy-epins', buyEpinsRoutes);
+app.use('/api/epins', epinsRoutes);
 app.use('/api/load-money', loadMoneyRoutes);
 app.use('/api/users', usersRoutes);
 app.use('/api/validate-phone-number', validatePhoneRoutes);
 app.use('/api/manual-transfer', manualTransferRoutes);
 app.use('/api/message', messageRoutes);
+app.use('/api/transactions', transactionReportsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -235,49 +285,108 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     description: 'AI-powered banking assistant for transaction queries',
     endpoints: {
+      auth: {
+        requestOtp: 'POST /api/auth/otp/request - Send a one-time code by SMS (registration, login, pin_reset or pin_unlock)',
+        login: 'POST /api/auth/login - Log in with phone number and PIN (or login OTP) to get access and refresh tokens',
+        refresh: 'POST /api/auth/refresh - Exchange a refresh token for new tokens',
+        logout: 'POST /api/auth/logout - Revoke the current session (requires access token)',
+      },
       queryAi: {
-        post: 'POST /api/query-ai - Query AI with natural language (requires phoneNumber)',
+        post: 'POST /api/query-ai - Query AI with natural language (requires access token)',
       },
       accountVerification: {
-        post: 'POST /api/account-verification - Verify bank account number (requires phoneNumber)',
+        post: 'POST /api/account-verification - Verify bank account number (requires access token)',
       },
       pin: {
-        setPin: 'POST /api/set-pin - Set or update customer PIN (requires phoneNumber)',
-        verifyPin: 'POST /api/verify-pin - Verify customer PIN (requires phoneNumber)',
+        setPin: 'POST /api/set-pin - Set the first PIN after registration (requires access token)',
+        changePin: 'POST /api/change-pin - Change PIN, current PIN required (requires access token)',
+        securityQuestion: 'POST /api/security-question - Set a security question for PIN reset (requires access token, pin)',
+        resetPinQuestion: 'POST /api/reset-pin/security-question - Get the security question for a phone number',
+        resetPin: 'POST /api/reset-pin - Reset a forgotten PIN (requires pin_reset OTP or security answer)',
+        unlockPin: 'POST /api/unlock-pin - Unlock a PIN locked after too many wrong attempts (requires pin_unlock OTP)',
+        verifyPin: 'POST /api/verify-pin - Verify customer PIN (requires access token)',
       },
       register: {
-        registerAccount: 'POST /api/register-account - Register new customer account',
+        registerAccount: 'POST /api/register-account - Register new customer account (requires registration OTP)',
       },
       transfer: {
-        post: 'POST /api/transfer - Transfer money using natural language (requires phoneNumber)',
+        post: 'POST /api/transfer - Transfer money using natural language (requires access token)',
       },
       verifyTransaction: {
-        post: 'POST /api/verify-transaction - Verify PIN and complete pending transaction (requires phoneNumber, transactionId, pin)',
+        post: 'POST /api/verify-transaction - Verify PIN and complete pending transaction (requires access token, transactionId, pin)',
       },
       account: {
-        createAccount: 'POST /api/create-account - Create additional account for customer (requires phoneNumber)',
-        listAccounts: 'GET /api/list-accounts - List all customer accounts (requires phoneNumber)',
-        getBalance: 'GET /api/balance - Get account balance for customer (requires phoneNumber)',
+        createAccount: 'POST /api/create-account - Create additional account for customer (requires access token)',
+        listAccounts: 'GET /api/list-accounts - List all customer accounts (requires access token)',
+        getBalance: 'GET /api/balance - Get account balance for customer (requires access token)',
       },
       internalTransfer: {
-        post: 'POST /api/internal-transfer - Transfer money between customer\'s own accounts (requires phoneNumber)',
+        post: 'POST /api/internal-transfer - Transfer money between customer\'s own accounts (requires access token)',
       },
       buyAirtime: {
-        post: 'POST /api/buy-airtime - Purchase airtime using natural language (requires phoneNumber)',
+        post: 'POST /api/buy-airtime - Purchase airtime using natural language (requires access token)',
+      },
+      buyData: {
+        post: 'POST /api/buy-data - Purchase a mobile data bundle by size or price using natural language (requires access token)',
+      },
+      buyElectricity: {
+        post: 'POST /api/buy-electricity - Verify a meter and pay for prepaid or postpaid electricity using natural language (requires access token)',
+      },
+      buyCable: {
+        post: 'POST /api/buy-cable - Verify a smartcard and pay for a DStv, GOtv, Startimes or Showmax bouquet using natural language (requires access token)',
+      },
+      fundBetting: {
+        post: 'POST /api/fund-betting - Verify a betting customer ID and fund a Bet9ja, BetKing, 1xBet or other betting wallet using natural language (requires access token)',
+      },
+      betting: {
+        getLimit: 'GET /api/betting/limit - Get your monthly betting limit and what you have funded this month (requires access token)',
+        setLimit: 'PUT /api/betting/limit - Set a monthly betting limit (requires access token, monthlyLimit)',
+        removeLimit: 'DELETE /api/betting/limit - Remove your monthly betting limit (requires access token)',
+      },
+      savedBillers: {
+        list: 'GET /api/saved-billers - List your saved phone numbers, meters, smartcards and betting accounts (requires access token)',
+        create: 'POST /api/saved-billers - Save a biller under a nickname, e.g. "Mum\'s line" (requires access token, nickname, type, identifier)',
+        update: 'PUT /api/saved-billers/:id - Update a saved biller (requires access token)',
+        delete: 'DELETE /api/saved-billers/:id - Delete a saved biller (requires access token)',
+      },
+      buyEpins: {
+        post: 'POST /api/buy-epins - Buy MTN, Airtel, Glo or 9mobile recharge card PINs using natural language (requires access token)',
+      },
+      epins: {
+        list: 'GET /api/epins - List your unused recharge cards with masked PINs (requires access token)',
+        reveal: 'POST /api/epins/reveal - View the full PINs of your recharge cards (requires access token, pin)',
+        markUsed: 'POST /api/epins/:id/used - Mark a recharge card as used (requires access token)',
       },
       loadMoney: {
-        post: 'POST /api/load-money - Load money into customer account (requires phoneNumber, amount)',
+        post: 'POST /api/load-money - Load money into customer account (requires access token, amount)',
       },
       manualTransfer: {
-        post: 'POST /api/manual-transfer - Manual transfer by account numbers (requires phoneNumber, sourceAccountNumber, receiverAccountNumber, amount)',
+        post: 'POST /api/manual-transfer - Manual transfer by account numbers (requires access token, sourceAccountNumber, receiverAccountNumber, amount)',
       },
       message: {
         post: 'POST /api/message - Unified message endpoint for voice assistant (automatically routes to appropriate handler)',
       },
       chat: {
-        post: 'POST /api/chat - Legacy chat endpoint',
-        history: 'GET /api/chat/history/:customerId',
-        clearHistory: 'DELETE /api/chat/history/:customerId',
+        post: 'POST /api/chat - Legacy chat endpoint (requires access token)',
+      },
+      conversations: {
+        history: 'GET /api/conversations/history - Latest messages of your conversation (requires access token)',
+        clearHistory: 'DELETE /api/conversations/history - Clear your conversation history (requires access token)',
+      },
+      transactionReports: {
+        report: 'POST /api/transactions/:reference/report - Report a problem with a transaction (requires access token, description)',
+        list: 'GET /api/transactions/reports - List your failed and reported transactions (requires access token)',
+      },
+      admin: {
+        reverseTransaction: 'POST /api/admin/transactions/:reference/reverse - Reverse a transaction and refund the sender (requires X-Admin-Key, reason)',
+        listCases: 'GET /api/admin/cases - List failed and reported transactions (requires X-Admin-Key)',
+        escalateCase: 'POST /api/admin/cases/:id/escalate - Escalate a case (requires X-Admin-Key)',
+        resolveCase: 'POST /api/admin/cases/:id/resolve - Resolve a case and notify the customer (requires X-Admin-Key, note)',
+        billFloat: 'GET /api/admin/bill-float - Bill float balance, thresholds and history (requires X-Admin-Key)',
+        checkBillFloat: 'POST /api/admin/bill-float/check - Read the bill float balance now (requires X-Admin-Key)',
+      },
+      webhooks: {
+        ebills: 'POST /api/webhooks/ebills - eBills order status notifications (requires X-Signature)',
       },
       docs: 'GET /api-docs - Swagger API documentation',
     },
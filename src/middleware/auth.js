@@ -1,54 +1,51 @@
-const { getCustomerByPhone } = require('../services/database');
-const { normalizePhone } = require('../utils/networkDetector');
+const crypto = require('crypto');
+const { getCustomerById } = require('../services/database');
+const { verifyAccessToken } = require('../services/authTokens');
 
 /**
- * Authentication middleware - validates customer by phone number
- * Supports phone number in:
- * - Request body (POST/PUT/PATCH)
- * - Query parameter (GET/DELETE)
- * - Header x-phone-number (all methods)
+ * Authentication middleware - validates the bearer access token
+ * Expects header: Authorization: Bearer <accessToken>
+ * Access tokens are issued by POST /api/auth/login and POST /api/auth/refresh
  */
-async function authenticateByPhone(req, res, next) {
+async function authenticateToken(req, res, next) {
   try {
-    // Try to get phone number from multiple sources
-    const phoneNumber = 
-      req.body?.phoneNumber || 
-      req.headers['x-phone-number'] || 
-      req.query?.phoneNumber;
+    const authHeader = req.headers.authorization || '';
+    const [scheme, accessToken] = authHeader.split(' ');
 
-    if (!phoneNumber) {
+    if (scheme !== 'Bearer' || !accessToken) {
       return res.status(401).json({
         success: false,
-        error: 'Phone number is required for authentication',
-        message: 'Please provide your phone number in one of the following ways:\n' +
-                 '1. Request body: { "phoneNumber": "+2348012345678" }\n' +
-                 '2. Query parameter: ?phoneNumber=+2348012345678\n' +
-                 '3. Header: x-phone-number: +2348012345678',
+        error: 'Access token is required',
+        message: 'Please log in with POST /api/auth/login and send the access token in the Authorization header:\n' +
+                 'Authorization: Bearer <accessToken>',
       });
     }
 
-    // Normalize phone number using enhanced normalization (handles voice-to-text errors, symbols, etc.)
-    const normalizedPhone = normalizePhone(phoneNumber.toString()) || phoneNumber.toString().trim().replace(/\s+/g, '');
+    // Verify signature, expiry and that the session has not been revoked
+    const session = await verifyAccessToken(accessToken);
 
-    // Get customer by phone number
-    const customer = await getCustomerByPhone(normalizedPhone);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid access token',
+        message: 'Your access token is invalid, expired or has been revoked. Please refresh your session or log in again.',
+      });
+    }
+
+    const customer = await getCustomerById(session.customerId);
 
     if (!customer) {
-      // Show both formats in error message for clarity
-      const originalFormat = phoneNumber.toString().trim();
-      const formatInfo = originalFormat !== normalizedPhone ? 
-        ` (normalized from ${originalFormat} to ${normalizedPhone})` : '';
-      
-      return res.status(404).json({
+      return res.status(401).json({
         success: false,
         error: 'Customer not found',
-        message: `No customer found with phone number: ${normalizedPhone}${formatInfo}. Please ensure you are registered. You can use either +2347016409616 or 07016409616 format.`,
+        message: 'The account linked to this access token no longer exists.',
       });
     }
 
-    // Attach customer to request object
+    // Attach customer and session to request object
     req.customer = customer;
     req.customerId = customer.id;
+    req.sessionId = session.sessionId;
 
     next();
   } catch (error) {
@@ -61,7 +58,73 @@ async function authenticateByPhone(req, res, next) {
   }
 }
 
+/**
+ * Admin authentication middleware - validates the operations API key
+ * Expects header: X-Admin-Key: <ADMIN_API_KEY>
+ * Admin routes are disabled (503) until ADMIN_API_KEY is configured.
+ */
+function authenticateAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      error: 'Admin API disabled',
+      message: 'ADMIN_API_KEY is not configured. Please set it in environment variables.',
+    });
+  }
+
+  const providedKey = req.get('X-Admin-Key') || '';
+
+  // Compare digests so the check takes the same time whatever the key length
+  const expected = crypto.createHash('sha256').update(adminKey).digest();
+  const provided = crypto.createHash('sha256').update(providedKey).digest();
+
+  if (!providedKey || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid admin key',
+      message: 'Send a valid admin API key in the X-Admin-Key header.',
+    });
+  }
+
+  next();
+}
+
+/**
+ * eBills webhook middleware - checks the X-Signature header, an HMAC-SHA256
+ * (hex) of the raw request body keyed with the eBills user PIN
+ */
+function verifyEbillsSignature(req, res, next) {
+  const userPin = process.env.EBILLS_USER_PIN;
+
+  if (!userPin) {
+    return res.status(503).json({
+      success: false,
+      error: 'eBills webhooks disabled',
+      message: 'EBILLS_USER_PIN is not configured. Please set it in environment variables.',
+    });
+  }
+
+  const signature = req.get('X-Signature') || '';
+  const body = req.rawBody || Buffer.from(JSON.stringify(req.body || {}));
+
+  const expected = crypto.createHmac('sha256', userPin).update(body).digest();
+  const provided = /^[0-9a-f]{64}$/i.test(signature) ? Buffer.from(signature, 'hex') : null;
+
+  if (!provided || !crypto.timingSafeEqual(expected, provided)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid signature',
+      message: 'The X-Signature header does not match the request body.',
+    });
+  }
+
+  next();
+}
+
 module.exports = {
-  authenticateByPhone,
+  authenticateToken,
+  authenticateAdmin,
+  verifyEbillsSignature,
 };
-
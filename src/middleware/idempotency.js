@@ -0,0 +1,108 @@
+const {
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+} = require('../services/idempotency');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Idempotency middleware - replays the stored response for a repeated Idempotency-Key
+ * Expects header (optional): Idempotency-Key: <unique value per operation, e.g. a UUID>
+ * Must run after authenticateToken, since keys are scoped to the customer.
+ *
+ * - New key: the request runs and its response is stored with the key
+ * - Same key and payload: the stored response is returned (Idempotent-Replayed: true)
+ * - Same key, different payload: 422
+ * - Same key while the first request is still running: 409
+ * Server errors (5xx) are not stored, so the request can be retried with the same key.
+ * Neither are responses sent without res.json (e.g. a thrown error rendered by the
+ * error handler); the key is released once such a response ends or the client goes away.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid idempotency key',
+      message: `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const requestPath = `${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req.method, requestPath, req.body);
+    const result = await beginIdempotentRequest(req.customerId, key, requestPath, requestHash);
+
+    if (result.mismatch) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency key reused',
+        message: 'This Idempotency-Key was already used for a different request. Use a new key for a new operation.',
+      });
+    }
+
+    if (result.inProgress) {
+      return res.status(409).json({
+        success: false,
+        error: 'Request in progress',
+        message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.',
+      });
+    }
+
+    if (!result.claimed) {
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(result.responseStatus).json(result.responseBody);
+    }
+
+    // Store the response before sending it, so a retry after the client
+    // receives it always finds the stored result
+    let responseHandled = false;
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      responseHandled = true;
+      const store = res.statusCode >= 500
+        ? releaseIdempotentRequest(result.id)
+        : completeIdempotentRequest(result.id, res.statusCode, body);
+
+      store
+        .catch(() => {
+          // Already logged; the response still goes out
+        })
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    const releaseUnhandled = () => {
+      if (responseHandled) {
+        return;
+      }
+      responseHandled = true;
+      releaseIdempotentRequest(result.id).catch(() => {
+        // Already logged; the key expires on its own
+      });
+    };
+    res.on('finish', releaseUnhandled);
+    res.on('close', releaseUnhandled);
+
+    next();
+  } catch (error) {
+    console.error('Idempotency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process idempotency key',
+      message: error.message,
+    });
+  }
+}
+
+module.exports = {
+  idempotency,
+};
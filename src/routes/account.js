@@ -1,8 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { generateAccountNumber, getAccountBalance, prisma } = require('../services/database');
 const { normalizeAccountNumber } = require('../utils/networkDetector');
+const { addMoney, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * @swagger
@@ -15,19 +16,8 @@ const { normalizeAccountNumber } = require('../utils/networkDetector');
  *       Bank name is set to "Zenith" by default.
  *     tags:
  *       - Account
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - phoneNumber
- *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       201:
  *         description: Account created successfully
@@ -58,7 +48,7 @@ const { normalizeAccountNumber } = require('../utils/networkDetector');
  *       401:
  *         description: Authentication failed
  */
-router.post('/create-account', authenticateByPhone, async (req, res) => {
+router.post('/create-account', authenticateToken, async (req, res) => {
   try {
     const customerId = req.customerId;
 
@@ -88,7 +78,7 @@ router.post('/create-account', authenticateByPhone, async (req, res) => {
     const accountData = {
       id: Number(account.id),
       accountNumber: account.accountNumber,
-      balance: account.balance?.toNumber ? account.balance.toNumber() : Number(account.balance),
+      balance: moneyToNumber(account.balance),
       currency: account.currency,
       bankName: account.bankName,
       createdAt: account.createdAt,
@@ -128,14 +118,8 @@ router.post('/create-account', authenticateByPhone, async (req, res) => {
  *       If the customer has multiple accounts, all accounts will be returned with their individual balances.
  *     tags:
  *       - Account
- *     parameters:
- *       - in: query
- *         name: phoneNumber
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer phone number for authentication
- *         example: "+2348012345678"
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: List of customer accounts with balances
@@ -182,7 +166,7 @@ router.post('/create-account', authenticateByPhone, async (req, res) => {
  *       401:
  *         description: Authentication failed
  */
-router.get('/list-accounts', authenticateByPhone, async (req, res) => {
+router.get('/list-accounts', authenticateToken, async (req, res) => {
   try {
     const customerId = req.customerId;
 
@@ -197,12 +181,12 @@ router.get('/list-accounts', authenticateByPhone, async (req, res) => {
     }
 
     // Calculate total balance across all accounts
-    const totalBalance = accounts.reduce((sum, acc) => sum + (acc.balance || 0), 0);
+    const totalBalance = moneyToNumber(addMoney(...accounts.map(acc => acc.balance || 0)));
 
     // Format response with account details
     const response = {
       success: true,
-      response: `You have ${accounts.length} account(s) with a total balance of ₦${totalBalance.toLocaleString()}`,
+      response: `You have ${accounts.length} account(s) with a total balance of ${formatNaira(totalBalance)}`,
       data: {
         totalAccounts: accounts.length,
         totalBalance: totalBalance,
@@ -238,14 +222,8 @@ router.get('/list-accounts', authenticateByPhone, async (req, res) => {
  *       If the customer has multiple accounts, returns the balance of the first account.
  *     tags:
  *       - Account
- *     parameters:
- *       - in: query
- *         name: phoneNumber
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer phone number for authentication
- *         example: "+2348012345678"
+ *     security:
+ *       - bearerAuth: []
  *     responses:
  *       200:
  *         description: Account balance retrieved successfully
@@ -275,7 +253,7 @@ router.get('/list-accounts', authenticateByPhone, async (req, res) => {
  *       401:
  *         description: Authentication failed
  */
-router.get('/balance', authenticateByPhone, async (req, res) => {
+router.get('/balance', authenticateToken, async (req, res) => {
   try {
     const customerId = req.customerId;
 
@@ -297,7 +275,7 @@ router.get('/balance', authenticateByPhone, async (req, res) => {
     
     res.json({
       success: true,
-      response: `Your account balance is ₦${account.balance.toLocaleString()}`,
+      response: `Your account balance is ${formatNaira(account.balance)}`,
       data: {
         accountNumber: normalizedAccountNumber,
         balance: account.balance,
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { verifyAccount } = require('../services/bankVerification');
 
 /**
@@ -17,6 +17,8 @@ const { verifyAccount } = require('../services/bankVerification');
  *       after trying NUBAN-validated banks.
  *     tags:
  *       - Account Verification
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -24,13 +26,8 @@ const { verifyAccount } = require('../services/bankVerification');
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - accountNumber
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               accountNumber:
  *                 type: string
  *                 description: Bank account number to verify (10 digits). Bank will be auto-detected.
@@ -68,13 +65,13 @@ const { verifyAccount } = require('../services/bankVerification');
  *       400:
  *         description: Bad request - invalid account number format
  *       401:
- *         description: Authentication failed - phone number required
+ *         description: Authentication failed - missing, invalid or expired access token
  *       404:
  *         description: Customer not found
  *       500:
  *         description: Internal server error or Paystack API error
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
     const { accountNumber, bankCode } = req.body;
 
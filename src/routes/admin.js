@@ -0,0 +1,488 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateAdmin } = require('../middleware/auth');
+const { reverseTransaction } = require('../services/reversals');
+const {
+  ACCOUNT_HISTORY_STATUS,
+  listCases,
+  escalateCase,
+  resolveCase,
+} = require('../services/accountHistory');
+const {
+  checkBillFloat,
+  getBillFloatStatus,
+  listBillFloatSnapshots,
+} = require('../services/billFloat');
+
+// Reversal errors that are the caller's problem rather than a server failure
+const REVERSAL_ERROR_STATUS = {
+  'Transaction not found': 404,
+  'Transaction already reversed': 409,
+  'A reversal cannot be reversed': 409,
+  'Recipient has insufficient balance for the reversal': 409,
+  'Transaction has no journal entry and cannot be reversed automatically': 422,
+};
+
+/**
+ * @swagger
+ * /api/admin/transactions/{reference}/reverse:
+ *   post:
+ *     summary: Reverse a transaction
+ *     description: |
+ *       Reverses a successful or pending transaction by posting a compensating journal entry.
+ *       - Transfers are reversed as a whole: the sender is credited back and an internal recipient is debited
+ *       - Pending airtime debits (eBills still processing) are refunded from suspense
+ *       - Each reversal row links to the row it reverses; a transaction can only be reversed once
+ *
+ *       Both parties are notified by SMS.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reference of the transaction to reverse (either side of a transfer)
+ *         example: TXN1712345678901ABC123XYZ
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the transaction is reversed
+ *                 example: "Airtime not delivered by provider"
+ *               initiatedBy:
+ *                 type: string
+ *                 description: Staff member requesting the reversal
+ *                 example: "ops@bank.ng"
+ *     responses:
+ *       200:
+ *         description: Transaction reversed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     reference:
+ *                       type: string
+ *                     journalReference:
+ *                       type: string
+ *                     reversals:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       400:
+ *         description: Missing reason or transaction status cannot be reversed
+ *       401:
+ *         description: Invalid admin key
+ *       404:
+ *         description: Transaction not found
+ *       409:
+ *         description: Already reversed, or the recipient no longer has the funds
+ *       422:
+ *         description: Transaction predates the ledger and must be reversed manually
+ *       503:
+ *         description: Admin API disabled (ADMIN_API_KEY not set)
+ */
+router.post('/transactions/:reference/reverse', authenticateAdmin, async (req, res) => {
+  try {
+    const { reason, initiatedBy } = req.body || {};
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reason is required',
+        message: 'Please provide the reason for the reversal',
+      });
+    }
+
+    const result = await reverseTransaction(req.params.reference, {
+      reason: reason.trim(),
+      initiatedBy: typeof initiatedBy === 'string' ? initiatedBy.trim() : null,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    const status = REVERSAL_ERROR_STATUS[error.message]
+      || (/cannot be reversed$/.test(error.message) ? 400 : 500);
+
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'Failed to reverse transaction' : error.message,
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * Map case lifecycle errors to HTTP responses
+ */
+function sendCaseError(res, error, action) {
+  if (error.message === 'Case not found') {
+    return res.status(404).json({
+      success: false,
+      error: 'Case not found',
+      message: error.message,
+    });
+  }
+
+  if (/cannot be|another request/.test(error.message)) {
+    return res.status(409).json({
+      success: false,
+      error: `Case cannot be ${action}`,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action === 'escalated' ? 'escalate' : 'resolve'} case`,
+    message: error.message,
+  });
+}
+
+/**
+ * Validate the :id path parameter of a case route
+ */
+function parseCaseId(req, res) {
+  if (!/^\d+$/.test(req.params.id)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid case ID',
+      message: 'Case ID must be a positive integer',
+    });
+    return null;
+  }
+
+  return req.params.id;
+}
+
+/**
+ * @swagger
+ * /api/admin/cases:
+ *   get:
+ *     summary: List support cases
+ *     description: |
+ *       Failed transactions and customer problem reports from account_histories, oldest first.
+ *       Lifecycle: failed -> reported -> escalated -> resolved.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [failed, reported, escalated, resolved]
+ *         description: Only cases with this status
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Cases
+ *       400:
+ *         description: Invalid status or limit
+ *       401:
+ *         description: Invalid admin key
+ */
+router.get('/cases', authenticateAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+    const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+
+    if (status !== undefined && !Object.values(ACCOUNT_HISTORY_STATUS).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status',
+        message: `Status must be one of: ${Object.values(ACCOUNT_HISTORY_STATUS).join(', ')}`,
+      });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit',
+        message: 'Limit must be between 1 and 200',
+      });
+    }
+
+    const cases = await listCases({ status, limit });
+
+    res.json({
+      success: true,
+      data: cases,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list cases',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cases/{id}/escalate:
+ *   post:
+ *     summary: Escalate a support case
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 example: "Provider says order delivered; needs reconciliation"
+ *               by:
+ *                 type: string
+ *                 example: "ops@bank.ng"
+ *     responses:
+ *       200:
+ *         description: Case escalated
+ *       401:
+ *         description: Invalid admin key
+ *       404:
+ *         description: Case not found
+ *       409:
+ *         description: Case already escalated or resolved
+ */
+router.post('/cases/:id/escalate', authenticateAdmin, async (req, res) => {
+  const caseId = parseCaseId(req, res);
+  if (!caseId) {
+    return;
+  }
+
+  try {
+    const { note, by } = req.body || {};
+    const escalated = await escalateCase(caseId, { note, by });
+
+    res.json({
+      success: true,
+      data: escalated,
+    });
+  } catch (error) {
+    sendCaseError(res, error, 'escalated');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cases/{id}/resolve:
+ *   post:
+ *     summary: Resolve a support case
+ *     description: Marks the case resolved and sends the customer an SMS with the note.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - note
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Resolution, sent to the customer
+ *                 example: "The amount has been refunded to your account."
+ *               by:
+ *                 type: string
+ *                 example: "ops@bank.ng"
+ *     responses:
+ *       200:
+ *         description: Case resolved
+ *       400:
+ *         description: Missing resolution note
+ *       401:
+ *         description: Invalid admin key
+ *       404:
+ *         description: Case not found
+ *       409:
+ *         description: Case already resolved
+ */
+router.post('/cases/:id/resolve', authenticateAdmin, async (req, res) => {
+  const caseId = parseCaseId(req, res);
+  if (!caseId) {
+    return;
+  }
+
+  try {
+    const { note, by } = req.body || {};
+
+    if (!note || typeof note !== 'string' || note.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Note is required',
+        message: 'Please describe how the case was resolved',
+      });
+    }
+
+    const resolved = await resolveCase(caseId, { note: note.trim(), by });
+
+    res.json({
+      success: true,
+      data: resolved,
+    });
+  } catch (error) {
+    sendCaseError(res, error, 'resolved');
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/bill-float:
+ *   get:
+ *     summary: Bill float balance and history
+ *     description: |
+ *       Current balance of our wallet with the bill provider (the float), its level against
+ *       BILL_FLOAT_LOW_BALANCE and BILL_FLOAT_CRITICAL_BALANCE, and past readings, newest first.
+ *       While `breakerActive` is true, purchases larger than `balance` are refused.
+ *       Failed readings appear in the history with level `unknown` and the error.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only readings taken at or after this time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Float status (provider, balance, level, checkedAt, breakerActive, thresholds) and history
+ *       400:
+ *         description: Invalid since or limit
+ *       401:
+ *         description: Invalid admin key
+ */
+router.get('/bill-float', authenticateAdmin, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+    const since = req.query.since === undefined ? null : new Date(req.query.since);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit',
+        message: 'Limit must be between 1 and 500',
+      });
+    }
+
+    if (since && Number.isNaN(since.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid since',
+        message: 'Since must be an ISO 8601 date or date-time',
+      });
+    }
+
+    const history = await listBillFloatSnapshots({ since, limit });
+
+    res.json({
+      success: true,
+      data: {
+        status: getBillFloatStatus(),
+        history,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get bill float',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/bill-float/check:
+ *   post:
+ *     summary: Read the bill float balance now
+ *     description: |
+ *       Reads the balance from the bill provider straight away instead of waiting for the next
+ *       poll, e.g. right after topping up, so refused purchases go through again.
+ *     tags:
+ *       - Admin
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       200:
+ *         description: The new reading and the resulting float status
+ *       401:
+ *         description: Invalid admin key
+ */
+router.post('/bill-float/check', authenticateAdmin, async (req, res) => {
+  try {
+    const reading = await checkBillFloat();
+
+    res.json({
+      success: true,
+      data: {
+        reading,
+        status: getBillFloatStatus(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check bill float',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
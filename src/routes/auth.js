@@ -0,0 +1,446 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getCustomerByPhone } = require('../services/database');
+const { createSession, refreshSession, revokeSession, revokeAllSessions } = require('../services/authTokens');
+const { OTP_PURPOSES, requestOtp, verifyOtp } = require('../services/otp');
+const { verifyCustomerPIN } = require('../services/pinSecurity');
+const { normalizePhone } = require('../utils/networkDetector');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: "Bearer"
+ *         accessToken:
+ *           type: string
+ *           description: Signed access token, sent in the Authorization header as a bearer token
+ *         expiresIn:
+ *           type: integer
+ *           description: Access token lifetime in seconds
+ *           example: 900
+ *         refreshToken:
+ *           type: string
+ *           description: Opaque refresh token. Single use - each refresh returns a new one
+ *         refreshTokenExpiresAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/auth/otp/request:
+ *   post:
+ *     summary: Send a one-time code to a phone number
+ *     description: |
+ *       Sends a 6-digit code by SMS to prove ownership of the phone number.
+ *       Codes expire after a few minutes, can be used once, and sending is
+ *       rate-limited per phone number and purpose.
+ *
+ *       Purposes:
+ *       - registration: required by POST /api/register-account
+ *       - login: alternative to the PIN on POST /api/auth/login
+ *       - pin_reset: required by POST /api/reset-pin
+ *       - pin_unlock: required by POST /api/unlock-pin
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - purpose
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               purpose:
+ *                 type: string
+ *                 enum: [registration, login, pin_reset, pin_unlock]
+ *                 example: "registration"
+ *     responses:
+ *       200:
+ *         description: Code sent (for purposes other than registration this is also returned for unknown numbers)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Verification code sent"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     expiresIn:
+ *                       type: integer
+ *                       description: Code lifetime in seconds
+ *                       example: 300
+ *       400:
+ *         description: Bad request - invalid phone number or purpose
+ *       409:
+ *         description: Phone number already registered (registration purpose only)
+ *       429:
+ *         description: Too many code requests - see retryAfterSeconds
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/otp/request', async (req, res) => {
+  try {
+    const { phoneNumber, purpose } = req.body;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        message: 'Please provide a valid phone number',
+      });
+    }
+
+    if (!OTP_PURPOSES.includes(purpose)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid purpose',
+        message: `Purpose must be one of: ${OTP_PURPOSES.join(', ')}`,
+      });
+    }
+
+    const normalizedPhone = normalizePhone(phoneNumber) || phoneNumber.trim().replace(/\s+/g, '');
+    const customer = await getCustomerByPhone(normalizedPhone);
+
+    if (purpose === 'registration' && customer) {
+      return res.status(409).json({
+        success: false,
+        error: 'Phone number already registered',
+        message: `An account with phone number ${normalizedPhone} already exists`,
+      });
+    }
+
+    // Don't reveal whether a number is registered for login or PIN reset
+    if (purpose !== 'registration' && !customer) {
+      return res.json({
+        success: true,
+        message: 'Verification code sent',
+      });
+    }
+
+    const result = await requestOtp(normalizedPhone, purpose);
+
+    if (!result.success) {
+      return res.status(429).json(result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent',
+      data: {
+        expiresIn: result.expiresIn,
+      },
+    });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send verification code',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in with phone number and PIN or OTP
+ *     description: |
+ *       Verifies the customer's phone number with either their PIN or a login code
+ *       from POST /api/auth/otp/request, then starts a new session and returns a
+ *       short-lived access token plus a refresh token.
+ *       Use the access token as a bearer token on all authenticated endpoints.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 description: Registered customer phone number
+ *                 example: "+2348012345678"
+ *               pin:
+ *                 type: string
+ *                 description: Customer PIN (required unless otp is provided)
+ *                 example: "1234"
+ *               otp:
+ *                 type: string
+ *                 description: Login code sent by SMS (alternative to pin)
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Login successful"
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Bad request - phone number, or both PIN and OTP, missing
+ *       401:
+ *         description: Invalid phone number, PIN or OTP
+ *       423:
+ *         description: PIN locked after too many wrong attempts (OTP login still works)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/login', async (req, res) => {
+  try {
+    const { phoneNumber, pin, otp } = req.body;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        message: 'Please provide your registered phone number',
+      });
+    }
+
+    const useOtp = typeof otp === 'string' && otp.trim().length > 0;
+
+    if (!useOtp && (!pin || typeof pin !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN is required',
+        message: 'Please provide your PIN, or a login code sent to your phone',
+      });
+    }
+
+    const normalizedPhone = normalizePhone(phoneNumber) || phoneNumber.trim().replace(/\s+/g, '');
+    const customer = await getCustomerByPhone(normalizedPhone);
+
+    if (useOtp) {
+      const otpResult = customer ? await verifyOtp(normalizedPhone, 'login', otp) : null;
+
+      if (!otpResult || !otpResult.valid) {
+        return res.status(401).json({
+          success: false,
+          error: otpResult ? otpResult.error : 'Invalid OTP',
+          message: otpResult ? otpResult.message : 'The code you entered is incorrect',
+        });
+      }
+    } else {
+      const pinResult = customer
+        ? await verifyCustomerPIN(customer.id, pin, { source: 'login', ipAddress: req.ip })
+        : null;
+
+      if (pinResult && pinResult.lock && pinResult.lock.locked) {
+        return res.status(423).json({
+          success: false,
+          error: 'PIN locked',
+          message: 'Too many incorrect PIN attempts. Log in with a code sent to your phone, or unlock your PIN.',
+          pinLock: pinResult.lock,
+        });
+      }
+
+      // Same response for unknown phone and wrong PIN so numbers cannot be probed
+      if (!pinResult || !pinResult.verified) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid credentials',
+          message: 'The phone number or PIN you entered is incorrect',
+        });
+      }
+    }
+
+    const tokens = await createSession(customer.id, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: tokens,
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh an access token
+ *     description: |
+ *       Exchanges a refresh token for a new access token and a new refresh token.
+ *       The presented refresh token is rotated and cannot be used again.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token from login or a previous refresh
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Bad request - refresh token missing
+ *       401:
+ *         description: Refresh token invalid, expired or revoked
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+        message: 'Please provide the refresh token issued at login',
+      });
+    }
+
+    const tokens = await refreshSession(refreshToken.trim());
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Your session is invalid, expired or has been revoked. Please log in again.',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tokens,
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out and revoke the current session
+ *     description: |
+ *       Revokes the session behind the access token. Its access and refresh tokens
+ *       stop working immediately. Set allDevices to true to revoke every session
+ *       for the customer.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allDevices:
+ *                 type: boolean
+ *                 description: Revoke all of the customer's sessions, not just the current one
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out successfully"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revokedSessions:
+ *                       type: integer
+ *                       example: 1
+ *       401:
+ *         description: Authentication failed - missing, invalid or expired access token
+ */
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const allDevices = req.body?.allDevices === true;
+
+    const revokedSessions = allDevices
+      ? await revokeAllSessions(req.customerId)
+      : await revokeSession(req.sessionId);
+
+    res.json({
+      success: true,
+      message: allDevices ? 'Logged out from all devices' : 'Logged out successfully',
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to log out',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getBettingLimitStatus, setBettingLimit } = require('../services/bettingLimits');
+const { isPositiveMoney } = require('../utils/money');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BettingLimit:
+ *       type: object
+ *       properties:
+ *         monthlyLimit:
+ *           type: number
+ *           nullable: true
+ *           description: Most the customer can fund betting accounts with each month (null without a limit)
+ *           example: 20000
+ *         spent:
+ *           type: number
+ *           description: Betting fundings this month, including ones still processing
+ *           example: 7500
+ *         remaining:
+ *           type: number
+ *           nullable: true
+ *           description: What can still be funded this month (null without a limit)
+ *           example: 12500
+ *         monthStart:
+ *           type: string
+ *           format: date-time
+ *           description: When the current month started (midnight Nigerian time)
+ */
+
+/**
+ * @swagger
+ * /api/betting/limit:
+ *   get:
+ *     summary: Get the monthly betting limit
+ *     description: Returns the customer's monthly betting limit, if they set one, and what they have funded betting accounts with this month.
+ *     tags:
+ *       - Betting
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Betting limit and this month's spend
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BettingLimit'
+ *       401:
+ *         description: Authentication failed
+ */
+router.get('/limit', authenticateToken, async (req, res) => {
+  try {
+    const status = await getBettingLimitStatus(req.customerId);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get betting limit',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/betting/limit:
+ *   put:
+ *     summary: Set the monthly betting limit
+ *     description: |
+ *       Caps how much the customer can fund betting accounts with each calendar month.
+ *       The new limit applies to the next funding, counting what was already funded this
+ *       month; a limit below that blocks betting fundings until next month.
+ *     tags:
+ *       - Betting
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - monthlyLimit
+ *             properties:
+ *               monthlyLimit:
+ *                 type: number
+ *                 description: Limit in Naira
+ *                 example: 20000
+ *     responses:
+ *       200:
+ *         description: Limit set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BettingLimit'
+ *       400:
+ *         description: Invalid limit
+ *       401:
+ *         description: Authentication failed
+ */
+router.put('/limit', authenticateToken, async (req, res) => {
+  try {
+    const { monthlyLimit } = req.body || {};
+
+    if (!isPositiveMoney(monthlyLimit)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit',
+        message: 'monthlyLimit must be a positive amount in Naira with at most 2 decimal places',
+      });
+    }
+
+    const status = await setBettingLimit(req.customerId, monthlyLimit);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set betting limit',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/betting/limit:
+ *   delete:
+ *     summary: Remove the monthly betting limit
+ *     tags:
+ *       - Betting
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Limit removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/BettingLimit'
+ *       401:
+ *         description: Authentication failed
+ */
+router.delete('/limit', authenticateToken, async (req, res) => {
+  try {
+    const status = await setBettingLimit(req.customerId, null);
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove betting limit',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,16 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
-const { getAccountBalance, getCustomerById, prisma } = require('../services/database');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { getAccountBalance, getCustomerById } = require('../services/database');
 const { createPendingTransaction } = require('../services/pendingTransactions');
-const { detectNetwork, normalizePhone } = require('../utils/networkDetector');
-const { purchaseAirtime } = require('../services/ebills');
+const { detectNetwork, normalizePhone, extractPhoneNumber } = require('../utils/networkDetector');
+const { purchaseAirtime } = require('../services/billProvider');
+const { EbillsError, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { executeBillPurchase } = require('../services/billPurchases');
+const { findSavedBiller } = require('../services/savedBillers');
+const { compareMoney, isWholeNaira, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * Process airtime purchase request
@@ -13,17 +19,6 @@ const { purchaseAirtime } = require('../services/ebills');
  * @returns {Promise<Object>} Result object with response, transactionId, action
  */
 async function processBuyAirtimeRequest(message, customerId) {
-  // Extract amount from message
-  const amountMatch = message.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-  const amount = amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null;
-
-  if (!amount || amount <= 0) {
-    return {
-      success: false,
-      response: "I need the amount to purchase. For example: 'buy airtime 1000 to 07016409616'",
-    };
-  }
-
   // Check if customer wants to buy for themselves (e.g., "for me", "for myself", "to my number")
   const selfPurchasePatterns = [
     /\b(for\s+me|for\s+myself|to\s+my\s+number|to\s+my\s+phone|to\s+me)\b/i,
@@ -37,10 +32,48 @@ async function processBuyAirtimeRequest(message, customerId) {
     }
   }
 
+  // "buy 500 airtime for mum" - a saved phone number, named by its nickname
+  let savedBiller = null;
+  if (!isSelfPurchase && !extractPhoneNumber(message)) {
+    const saved = await findSavedBiller(customerId, message, 'phone');
+    if (saved?.ambiguous) {
+      return {
+        success: false,
+        response: saved.response,
+      };
+    }
+    if (saved) {
+      savedBiller = saved.biller;
+      message = saved.message;
+    }
+  }
+
+  // Extract amount from message
+  const amountMatch = message.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
+  const amount = amountMatch ? moneyToNumber(amountMatch[1]) : null;
+
+  if (!amount || amount <= 0) {
+    return {
+      success: false,
+      response: "I need the amount to purchase. For example: 'buy airtime 1000 to 07016409616'",
+    };
+  }
+
+  // eBills takes whole Naira, so an amount with kobo can't be bought as debited
+  if (!isWholeNaira(amount)) {
+    return {
+      success: false,
+      response: `Airtime is sold in whole Naira. Please enter an amount without kobo, e.g. ${formatNaira(Math.floor(amount))}.`,
+    };
+  }
+
   let phoneNumber = null;
   let normalizedPhone = null;
 
-  if (isSelfPurchase) {
+  if (savedBiller) {
+    phoneNumber = savedBiller.identifier;
+    normalizedPhone = normalizePhone(phoneNumber);
+  } else if (isSelfPurchase) {
     // Get customer's phone number from database
     const customer = await getCustomerById(customerId);
     if (!customer || !customer.phoneNumber) {
@@ -53,40 +86,12 @@ async function processBuyAirtimeRequest(message, customerId) {
     normalizedPhone = normalizePhone(phoneNumber);
   } else {
     // Extract phone number from message - handle various formats including spaces
-    // Try to find phone numbers in various formats: "to 080 1234 5678", "for +234 801 234 5678", etc.
-    // Note: Network is determined by 4-digit prefix, so accept any digit 0-9 as second digit
-    const phonePatterns = [
-      // Pattern for phone numbers with spaces/dashes after "to", "for", "send", "buy"
-      // Accept any digit 0-9 (not just 0-7) since prefixes like 0810, 0814, 0818 are valid
-      /(?:to|for|send|buy)\s+([\+]?234?\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
-      // Pattern for phone numbers with +234 prefix and spaces
-      /(\+234\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
-      // Pattern for phone numbers starting with 234 and spaces
-      /(234\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
-      // Pattern for phone numbers starting with 0 and spaces (accept any digit 0-9)
-      /(0[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
-      // Pattern for phone numbers without spaces (fallback) - 11 digits starting with 0
-      /(0\d{10})/,
-      // Pattern for phone numbers with +234 prefix (no spaces)
-      /(\+234\d{10})/,
-      // Pattern for phone numbers with 234 prefix (no spaces)
-      /(234\d{10})/,
-      // Last resort: any 11-digit number
-      /(\d{11})/,
-    ];
-
-    for (const pattern of phonePatterns) {
-      const match = message.match(pattern);
-      if (match) {
-        phoneNumber = match[1];
-        break;
-      }
-    }
+    phoneNumber = extractPhoneNumber(message);
 
     if (!phoneNumber) {
       return {
         success: false,
-        response: "I need the phone number to send airtime to. For example: 'buy airtime 1000 to 07016409616' or 'buy airtime 1000 to 070 1234 5678'",
+        response: "I need the phone number to send airtime to. For example: 'buy airtime 1000 to 07016409616', 'buy airtime 1000 to 070 1234 5678' or 'buy airtime 1000 for mum' with a saved number",
       };
     }
 
@@ -141,80 +146,60 @@ async function processBuyAirtimeRequest(message, customerId) {
   const account = accounts[0];
 
   // Check balance
-  if (account.balance < amount) {
+  if (compareMoney(account.balance, amount) < 0) {
     return {
       success: false,
       response: 'Insufficient balance. Please top up your account to purchase airtime.',
     };
   }
 
+  // Refuse up front when our float with the provider can't cover the purchase
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
   // If self-purchase, process immediately without PIN verification
   if (isSelfPurchase) {
     try {
-      // Generate unique request_id for eBills API (max 50 chars)
-      const request_id = `AIR-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
-
-      // Purchase airtime from eBills API
-      const ebillsResponse = await purchaseAirtime({
-        request_id,
-        phone: normalizedPhone,
-        service_id: networkInfo.service_id,
-        amount: parseInt(amount),
+      const { response } = await executeBillPurchase({ customerId, accountId: account.id, amount }, {
+        prefix: 'AIR',
+        entryType: 'airtime_purchase',
+        name: 'Airtime purchase',
+        reservation: {
+          description: `Airtime for ${normalizedPhone} (${networkInfo.name})`,
+          receiverName: `Airtime Purchase - ${networkInfo.name}`,
+          provider: networkInfo.name,
+          recipient: normalizedPhone,
+        },
+        billDetails: {
+          paymentType: 'airtime',
+          provider: networkInfo.name,
+          phoneNumber: normalizedPhone,
+          description: `${networkInfo.name} airtime`,
+        },
+        call: request_id => purchaseAirtime({
+          request_id,
+          phone: normalizedPhone,
+          service_id: networkInfo.service_id,
+          amount,
+        }),
+        describe: state => `Airtime purchase of ${formatNaira(amount)} for ${normalizedPhone} (${networkInfo.name}) ${state === 'completed' ? 'completed successfully!' : 'is being processed.'}`,
       });
 
-      // Check if order is successful
-      const orderStatus = ebillsResponse.data?.status;
-      const isSuccessful = orderStatus === 'completed-api' || orderStatus === 'processing-api';
-
-      if (isSuccessful) {
-        const reference = `AIR${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-        const now = new Date();
-
-        // Deduct from account and create transaction record
-        await prisma.$transaction(async (tx) => {
-          // Update account balance
-          await tx.account.update({
-            where: { id: BigInt(account.id) },
-            data: { balance: account.balance - parseFloat(amount) },
-          });
-
-          // Create transaction record
-          await tx.transaction.create({
-            data: {
-              customerId: BigInt(customerId),
-              accountId: BigInt(account.id),
-              receiverName: `Airtime Purchase - ${networkInfo.name}`,
-              bankName: networkInfo.name,
-              bankAccount: normalizedPhone,
-              accountNumber: normalizedPhone,
-              amount: parseFloat(amount),
-              balanceBefore: account.balance,
-              balanceAfter: account.balance - parseFloat(amount),
-              transactionDate: now,
-              createdAt: now,
-              status: orderStatus === 'completed-api' ? 'success' : 'pending',
-              transactionType: 'debit',
-              reference: reference,
-            },
-          });
-        });
-
-        // Generate success response
-        const successMessage = orderStatus === 'completed-api'
-          ? `Airtime purchase of ₦${amount.toLocaleString()} for ${normalizedPhone} (${networkInfo.name}) completed successfully!`
-          : `Airtime purchase of ₦${amount.toLocaleString()} for ${normalizedPhone} (${networkInfo.name}) is being processed.`;
-
-        return {
-          success: true,
-          response: successMessage,
-          transactionId: null,
-          action: null,
-        };
-      } else {
-        throw new Error(`Airtime purchase failed. Status: ${orderStatus}`);
-      }
+      return {
+        success: true,
+        response,
+        transactionId: null,
+        action: null,
+      };
     } catch (error) {
       console.error('Self-purchase airtime error:', error);
+
+      if (error instanceof EbillsError) {
+        return ebillsErrorResult(error);
+      }
+
       return {
         success: false,
         response: `Failed to purchase airtime: ${error.message}`,
@@ -223,21 +208,22 @@ async function processBuyAirtimeRequest(message, customerId) {
   }
 
   // For purchases to other numbers, require PIN verification
-  const transactionId = createPendingTransaction({
+  const transactionId = await createPendingTransaction({
     type: 'airtime',
     customerId: customerId,
+    status: 'awaiting_pin',
     data: {
       accountId: account.id,
       phone: normalizedPhone,
       service_id: networkInfo.service_id,
       networkName: networkInfo.name,
       amount: amount,
-      status: 'pending_pin',
     },
   });
 
   // Generate AI response message
-  const response = `Great! I'll purchase ₦${amount.toLocaleString()} airtime for ${normalizedPhone} (${networkInfo.name}). Please verify your PIN to complete this transaction.`;
+  const recipient = savedBiller ? `${savedBiller.nickname} (${normalizedPhone}, ${networkInfo.name})` : `${normalizedPhone} (${networkInfo.name})`;
+  const response = `Great! I'll purchase ${formatNaira(amount)} airtime for ${recipient}. Please verify your PIN to complete this transaction.`;
 
   return {
     success: true,
@@ -260,16 +246,22 @@ async function processBuyAirtimeRequest(message, customerId) {
  *       - "buy ₦500 airtime for 08012345678" (requires PIN verification)
  *       - "buy 1000 naira airtime for me" (processed immediately, no PIN required)
  *       - "buy airtime 500 for myself" (processed immediately, no PIN required)
+ *       - "buy 500 airtime for mum" (a number saved as "Mum's line" in /api/saved-billers; requires PIN verification)
  *       
  *       The system will:
  *       1. Extract amount and phone number from the message
- *       2. If "for me" or "for myself" is detected, use customer's phone number automatically
+ *       2. If "for me" or "for myself" is detected, use customer's phone number automatically;
+ *          without a phone number, use the saved phone number whose nickname the message names
  *       3. Auto-detect network provider from phone number prefix
  *       4. Check account balance
  *       5. For self-purchases: Process immediately via eBills API
  *       6. For other purchases: Generate transactionId and request PIN verification
  *     tags:
  *       - Airtime
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -277,13 +269,8 @@ async function processBuyAirtimeRequest(message, customerId) {
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - message
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               message:
  *                 type: string
  *                 description: Natural language airtime purchase request
@@ -311,11 +298,19 @@ async function processBuyAirtimeRequest(message, customerId) {
  *                   nullable: true
  *                   description: Action type (verify_pin)
  *       400:
- *         description: Bad request - insufficient balance or invalid input
+ *         description: Bad request - insufficient balance, invalid input, or an order the provider rejected
  *       401:
  *         description: Authentication failed
+ *       409:
+ *         description: Same purchase made a moment ago (code duplicate_order, retryable), or a request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *       502:
+ *         description: Bill provider failed or unreachable; failed responses carry code and retryable
+ *       503:
+ *         description: Bill service temporarily unavailable (code, retryable)
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { message } = req.body;
     const customerId = req.customerId;
@@ -331,7 +326,9 @@ router.post('/', authenticateByPhone, async (req, res) => {
     const result = await processBuyAirtimeRequest(message, customerId);
 
     if (!result.success) {
-      return res.status(400).json(result);
+      // Bill provider failures carry their own status (e.g. 503 while the wallet is busy)
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
     }
 
     res.json(result);
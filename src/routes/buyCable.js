@@ -0,0 +1,349 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAccountBalance, getCustomerById, getLastBillPayment } = require('../services/database');
+const { createPendingTransaction } = require('../services/pendingTransactions');
+const { verifyCustomer, getTvVariations, CABLE_PROVIDERS, SUBSCRIPTION_TYPE_SERVICE_IDS } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { findSavedBiller } = require('../services/savedBillers');
+const { normalizePhone, extractPhoneNumber } = require('../utils/networkDetector');
+const { findBouquet, describeBouquets } = require('../utils/cableBouquets');
+const { compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
+
+/**
+ * Find the cable TV provider named in the message
+ * @returns {string|null} eBills service ID
+ */
+function extractProvider(message) {
+  const match = message.match(/\b(dstv|gotv|star\s*times|showmax)\b/i);
+  return match ? match[1].toLowerCase().replace(/\s+/g, '') : null;
+}
+
+/**
+ * Find a smartcard/IUC number in the message
+ * @returns {string|null} Digits only
+ */
+function extractSmartcardNumber(message) {
+  const patterns = [
+    // "smartcard 7023 4567 89", "IUC number: 7023456789", "decoder no 01234567890"
+    /\b(?:smart\s*card|iuc|decoder|card)(?:\s*(?:number|no\.?|num))?\s*:?\s*(\d[\d\s\-]{8,12}\d)/i,
+    // Any 10-12 digit number
+    /\b(\d{10,12})\b/,
+  ];
+
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      const smartcardNumber = match[1].replace(/\D/g, '');
+      if (smartcardNumber.length >= 10 && smartcardNumber.length <= 12) {
+        return smartcardNumber;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Process cable TV subscription request
+ * Verifies the smartcard with eBills so the customer can check the name on it,
+ * and renews at the provider's renewal amount when the bouquet isn't changing.
+ * @param {string} message - Natural language message
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} Result object with response, transactionId, action, data
+ */
+async function processBuyCableRequest(message, customerId) {
+  let serviceId = extractProvider(message);
+
+  // "renew the parlour decoder" - a saved smartcard, which also knows its provider
+  let savedBiller = null;
+  if (serviceId !== 'showmax' && !extractSmartcardNumber(message)) {
+    const saved = await findSavedBiller(customerId, message, 'smartcard');
+    if (saved?.ambiguous) {
+      return {
+        success: false,
+        response: saved.response,
+      };
+    }
+    if (saved && (!serviceId || saved.biller.provider === serviceId)) {
+      savedBiller = saved.biller;
+      serviceId = savedBiller.provider;
+      message = saved.message;
+    }
+  }
+
+  if (!serviceId) {
+    return {
+      success: false,
+      response: 'Which cable TV provider is this for? I can pay for DStv, GOtv, Startimes and Showmax.',
+    };
+  }
+  const providerName = CABLE_PROVIDERS[serviceId];
+
+  // Showmax subscriptions are tied to a phone number rather than a smartcard
+  let smartcardNumber;
+  if (serviceId === 'showmax') {
+    const phoneNumber = extractPhoneNumber(message);
+    if (phoneNumber) {
+      smartcardNumber = normalizePhone(phoneNumber);
+    } else {
+      const customer = await getCustomerById(customerId);
+      smartcardNumber = customer?.phoneNumber ? normalizePhone(customer.phoneNumber) : null;
+    }
+
+    if (!smartcardNumber || smartcardNumber.length !== 11) {
+      return {
+        success: false,
+        response: "I need the phone number for the Showmax subscription. For example: 'subscribe Showmax Mobile Only for 08031234567'",
+      };
+    }
+  } else {
+    smartcardNumber = savedBiller ? savedBiller.identifier : extractSmartcardNumber(message);
+
+    // "renew my DStv" - use the card paid for last time
+    if (!smartcardNumber) {
+      const lastPayment = await getLastBillPayment(customerId, 'cable', providerName);
+      smartcardNumber = lastPayment?.account_number || null;
+    }
+
+    if (!smartcardNumber) {
+      return {
+        success: false,
+        response: `I need your ${providerName} smartcard/IUC number. For example: 'renew my ${providerName} Compact, smartcard 7023456789'`,
+      };
+    }
+  }
+
+  let cardDetails = {};
+  if (serviceId !== 'showmax') {
+    try {
+      cardDetails = await verifyCustomer({
+        customer_id: smartcardNumber,
+        service_id: serviceId,
+      });
+    } catch (error) {
+      console.error('Smartcard verification error:', error);
+
+      if (error instanceof EbillsError && error.retryable) {
+        return ebillsErrorResult(error);
+      }
+
+      return {
+        success: false,
+        response: `I couldn't verify ${providerName} smartcard ${smartcardNumber}. Please check the number and provider.`,
+      };
+    }
+  }
+
+  const variations = await getTvVariations(serviceId);
+  if (variations.length === 0) {
+    return {
+      success: false,
+      response: `${providerName} bouquets are not available right now. Please try again later.`,
+    };
+  }
+
+  const currentBouquet = cardDetails.current_bouquet ? findBouquet(variations, cardDetails.current_bouquet) : null;
+  const bouquet = findBouquet(variations, message) || currentBouquet;
+
+  if (!bouquet) {
+    return {
+      success: false,
+      response: `Which ${providerName} bouquet would you like? Available bouquets include: ${describeBouquets(variations)}.`,
+    };
+  }
+
+  // Staying on the current bouquet is a renewal, charged at the provider's renewal amount
+  const isRenewal = SUBSCRIPTION_TYPE_SERVICE_IDS.includes(serviceId)
+    && currentBouquet !== null
+    && String(bouquet.variation_id) === String(currentBouquet.variation_id)
+    && Boolean(cardDetails.renewal_amount);
+  const subscriptionType = SUBSCRIPTION_TYPE_SERVICE_IDS.includes(serviceId)
+    ? (isRenewal ? 'renew' : 'change')
+    : null;
+  const amount = moneyToNumber(isRenewal ? cardDetails.renewal_amount : bouquet.price);
+
+  const accounts = await getAccountBalance(customerId);
+  if (!accounts || accounts.length === 0) {
+    return {
+      success: false,
+      response: 'No account found. Please create an account first.',
+    };
+  }
+
+  // Use first account for cable purchase
+  const account = accounts[0];
+
+  if (compareMoney(account.balance, amount) < 0) {
+    return {
+      success: false,
+      response: `Insufficient balance. ${providerName} ${bouquet.package_bouquet} costs ${formatNaira(amount)}. Please top up your account to pay for cable TV.`,
+    };
+  }
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
+  const customerName = cardDetails.customer_name || null;
+
+  const transactionId = await createPendingTransaction({
+    type: 'cable',
+    customerId: customerId,
+    status: 'awaiting_pin',
+    data: {
+      accountId: account.id,
+      smartcardNumber,
+      service_id: serviceId,
+      providerName,
+      variationId: String(bouquet.variation_id),
+      bouquet: bouquet.package_bouquet,
+      subscriptionType,
+      customerName,
+      amount: amount,
+    },
+  });
+
+  const action = isRenewal ? 'renew' : 'subscribe';
+  const cardLabel = serviceId === 'showmax' ? smartcardNumber
+    : `${savedBiller ? `${savedBiller.nickname}, ` : ''}smartcard ${smartcardNumber}`;
+  const owner = customerName ? ` (${customerName})` : '';
+
+  return {
+    success: true,
+    response: `I'll ${action} ${providerName} ${bouquet.package_bouquet} on ${cardLabel}${owner} for ${formatNaira(amount)}. If these details are correct, please verify your PIN to complete this transaction.`,
+    transactionId: transactionId,
+    action: 'verify_pin',
+    data: {
+      smartcardNumber,
+      provider: providerName,
+      bouquet: bouquet.package_bouquet,
+      subscriptionType,
+      customerName,
+      currentBouquet: cardDetails.current_bouquet || null,
+      dueDate: cardDetails.due_date || null,
+      amount,
+    },
+  };
+}
+
+/**
+ * @swagger
+ * /api/buy-cable:
+ *   post:
+ *     summary: Pay for a cable TV subscription using natural language
+ *     description: |
+ *       Subscribe or renew DStv, GOtv, Startimes or Showmax.
+ *       Examples:
+ *       - "renew my DStv Compact, smartcard 7023456789"
+ *       - "renew my GOtv" (last GOtv card paid for, current bouquet)
+ *       - "change my DStv 7023456789 to Compact Plus"
+ *       - "subscribe Showmax Mobile Only for 08031234567"
+ *       - "renew the parlour decoder" (a smartcard saved as "Parlour decoder" in /api/saved-billers)
+ *
+ *       Smartcards are verified with the provider first and the name on the card is returned.
+ *       Keeping the current DStv/GOtv bouquet is a renewal at the provider's renewal amount;
+ *       any other bouquet is a change at the catalogue price.
+ *       Complete the payment with POST /api/verify-transaction.
+ *     tags:
+ *       - Cable TV
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Natural language cable TV payment request
+ *                 example: "renew my DStv Compact, smartcard 7023456789"
+ *     responses:
+ *       200:
+ *         description: Smartcard verified and bouquet selected; PIN verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                   example: "TXN-1703123456789-ABC123"
+ *                 action:
+ *                   type: string
+ *                   example: verify_pin
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     smartcardNumber:
+ *                       type: string
+ *                     provider:
+ *                       type: string
+ *                     bouquet:
+ *                       type: string
+ *                     subscriptionType:
+ *                       type: string
+ *                       enum: [renew, change]
+ *                       nullable: true
+ *                     customerName:
+ *                       type: string
+ *                     currentBouquet:
+ *                       type: string
+ *                     dueDate:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *       400:
+ *         description: Smartcard could not be verified, no matching bouquet, insufficient balance or invalid input
+ *       401:
+ *         description: Authentication failed
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const customerId = req.customerId;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide a cable TV payment request in natural language',
+      });
+    }
+
+    const result = await processBuyCableRequest(message, customerId);
+
+    if (!result.success) {
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Buy cable route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process cable TV payment request'));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process cable TV payment request',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processBuyCableRequest = processBuyCableRequest;
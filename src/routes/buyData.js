@@ -0,0 +1,300 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAccountBalance, getCustomerById } = require('../services/database');
+const { createPendingTransaction } = require('../services/pendingTransactions');
+const { detectNetwork, normalizePhone, extractPhoneNumber, NETWORK_NAMES } = require('../utils/networkDetector');
+const { getDataVariations } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { findSavedBiller } = require('../services/savedBillers');
+const { parseDataSize, parseValidityDays, selectDataPlan, describeDataPlans } = require('../utils/dataPlans');
+const { compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
+
+// Network names customers use, mapped to eBills service IDs
+const NETWORK_ALIASES = {
+  mtn: 'mtn',
+  airtel: 'airtel',
+  glo: 'glo',
+  globacom: 'glo',
+  '9mobile': '9mobile',
+  etisalat: '9mobile',
+  smile: 'smile',
+};
+
+const DATA_NETWORK_NAMES = { ...NETWORK_NAMES, smile: 'Smile' };
+
+/**
+ * Find a network named in the message ("buy 2GB MTN ...")
+ * @returns {string|null} eBills service ID
+ */
+function extractNetwork(message) {
+  const match = message.match(/\b(mtn|airtel|globacom|glo|9mobile|etisalat|smile)\b/i);
+  return match ? NETWORK_ALIASES[match[1].toLowerCase()] : null;
+}
+
+/**
+ * Find a price or budget in the message ("₦1,000 data", "data worth 1000 naira").
+ * Phone number, plan size and validity are removed first so their digits aren't read as a price.
+ * @returns {number|null} Amount in Naira
+ */
+function extractPrice(message, phoneNumber) {
+  let remaining = phoneNumber ? message.replace(phoneNumber, ' ') : message;
+  remaining = remaining
+    .replace(/(\d+(?:\.\d+)?)\s*(tb|gb|mb)\b/gi, ' ')
+    .replace(/(\d+)\s*-?\s*days?\b/gi, ' ')
+    .replace(/\b9mobile\b/gi, ' ');
+
+  const match = remaining.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
+  return match ? moneyToNumber(match[1].replace(/,/g, '')) : null;
+}
+
+/**
+ * Process data bundle purchase request
+ * @param {string} message - Natural language message
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} Result object with response, transactionId, action
+ */
+async function processBuyDataRequest(message, customerId) {
+  const isSelfPurchase = /\b(for\s+me|for\s+myself|to\s+my\s+number|to\s+my\s+phone|to\s+me)\b/i.test(message);
+
+  // "buy 1GB data for mum" - a saved phone number, named by its nickname
+  let savedBiller = null;
+  if (!isSelfPurchase && !extractPhoneNumber(message)) {
+    const saved = await findSavedBiller(customerId, message, 'phone');
+    if (saved?.ambiguous) {
+      return {
+        success: false,
+        response: saved.response,
+      };
+    }
+    if (saved) {
+      savedBiller = saved.biller;
+      message = saved.message;
+    }
+  }
+
+  let phoneNumber = null;
+  let normalizedPhone = null;
+
+  if (savedBiller) {
+    normalizedPhone = normalizePhone(savedBiller.identifier);
+  } else if (isSelfPurchase) {
+    const customer = await getCustomerById(customerId);
+    if (!customer || !customer.phoneNumber) {
+      return {
+        success: false,
+        response: 'Unable to retrieve your phone number. Please specify the phone number explicitly.',
+      };
+    }
+    normalizedPhone = normalizePhone(customer.phoneNumber);
+  } else {
+    phoneNumber = extractPhoneNumber(message);
+
+    if (!phoneNumber) {
+      return {
+        success: false,
+        response: "I need the phone number to send data to. For example: 'buy 2GB MTN data for 08031234567'",
+      };
+    }
+
+    normalizedPhone = normalizePhone(phoneNumber);
+  }
+
+  if (!normalizedPhone || normalizedPhone.length !== 11) {
+    return {
+      success: false,
+      response: 'Invalid phone number format. Please provide a valid Nigerian phone number.',
+    };
+  }
+
+  // A network named in the message wins; otherwise detect it from the prefix
+  const namedNetwork = extractNetwork(message);
+  const detectedNetwork = detectNetwork(normalizedPhone);
+
+  if (namedNetwork && detectedNetwork && namedNetwork !== detectedNetwork.service_id) {
+    return {
+      success: false,
+      response: `${normalizedPhone} is on ${detectedNetwork.name}, but you asked for ${DATA_NETWORK_NAMES[namedNetwork]} data. Please check the number or network.`,
+    };
+  }
+
+  const serviceId = namedNetwork || detectedNetwork?.service_id;
+  if (!serviceId) {
+    return {
+      success: false,
+      response: 'Unable to detect network provider from phone number. Please include the network, e.g. "buy 2GB MTN data for 08031234567".',
+    };
+  }
+  const networkName = DATA_NETWORK_NAMES[serviceId];
+
+  const sizeMb = parseDataSize(message);
+  const days = parseValidityDays(message);
+  const price = extractPrice(message, phoneNumber);
+
+  const variations = await getDataVariations(serviceId);
+  if (variations.length === 0) {
+    return {
+      success: false,
+      response: `${networkName} data plans are not available right now. Please try again later.`,
+    };
+  }
+
+  if (!sizeMb && !price) {
+    return {
+      success: false,
+      response: `Which ${networkName} data plan would you like? Tell me a size or an amount, e.g. "buy 2GB ${networkName} data for ${normalizedPhone}". Some plans: ${describeDataPlans(variations)}.`,
+    };
+  }
+
+  const plan = selectDataPlan(variations, { sizeMb, days, price });
+  if (!plan) {
+    return {
+      success: false,
+      response: `No ${networkName} data plan matches your request. Available plans include: ${describeDataPlans(variations)}.`,
+    };
+  }
+
+  const amount = moneyToNumber(plan.price);
+
+  const accounts = await getAccountBalance(customerId);
+  if (!accounts || accounts.length === 0) {
+    return {
+      success: false,
+      response: 'No account found. Please create an account first.',
+    };
+  }
+
+  // Use first account for data purchase
+  const account = accounts[0];
+
+  if (compareMoney(account.balance, amount) < 0) {
+    return {
+      success: false,
+      response: `Insufficient balance. The ${plan.data_plan} plan costs ${formatNaira(amount)}. Please top up your account to purchase data.`,
+    };
+  }
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
+  const transactionId = await createPendingTransaction({
+    type: 'data',
+    customerId: customerId,
+    status: 'awaiting_pin',
+    data: {
+      accountId: account.id,
+      phone: normalizedPhone,
+      service_id: serviceId,
+      networkName,
+      variationId: String(plan.variation_id),
+      dataPlan: plan.data_plan,
+      amount: amount,
+    },
+  });
+
+  return {
+    success: true,
+    response: `Great! I'll buy the ${networkName} ${plan.data_plan} plan (${formatNaira(amount)}) for ${savedBiller ? `${savedBiller.nickname} (${normalizedPhone})` : normalizedPhone}. Please verify your PIN to complete this transaction.`,
+    transactionId: transactionId,
+    action: 'verify_pin',
+  };
+}
+
+/**
+ * @swagger
+ * /api/buy-data:
+ *   post:
+ *     summary: Purchase a mobile data bundle using natural language
+ *     description: |
+ *       Buy a data plan for a phone number, chosen from the network's eBills catalogue.
+ *       Examples:
+ *       - "buy 2GB MTN data for 08031234567" (cheapest available 2GB plan)
+ *       - "buy 1.5GB 2 days data for 08031234567" (size and validity)
+ *       - "buy ₦1000 data for 08051234567" (biggest plan within the budget)
+ *       - "buy 1GB data for me" (customer's own number)
+ *       - "buy 2GB data for mum" (a number saved as "Mum's line" in /api/saved-billers)
+ *
+ *       The network is taken from the message or detected from the phone number.
+ *       Every purchase returns a transactionId; complete it with POST /api/verify-transaction.
+ *     tags:
+ *       - Data
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Natural language data purchase request
+ *                 example: "buy 2GB MTN data for 08031234567"
+ *     responses:
+ *       200:
+ *         description: Data plan selected; PIN verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                   example: "TXN-1703123456789-ABC123"
+ *                 action:
+ *                   type: string
+ *                   example: verify_pin
+ *       400:
+ *         description: No matching plan, insufficient balance or invalid input
+ *       401:
+ *         description: Authentication failed
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const customerId = req.customerId;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide a data purchase request in natural language',
+      });
+    }
+
+    const result = await processBuyDataRequest(message, customerId);
+
+    if (!result.success) {
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Buy data route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process data purchase request'));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process data purchase request',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processBuyDataRequest = processBuyDataRequest;
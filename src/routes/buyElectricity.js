@@ -0,0 +1,351 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAccountBalance } = require('../services/database');
+const { createPendingTransaction } = require('../services/pendingTransactions');
+const { verifyCustomer, ELECTRICITY_PROVIDERS } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { findSavedBiller } = require('../services/savedBillers');
+const { compareMoney, isWholeNaira, moneyToNumber, formatNaira } = require('../utils/money');
+
+const MAX_ELECTRICITY_AMOUNT = 100000;
+
+// Names customers use for each distribution company, mapped to eBills service IDs
+const PROVIDER_ALIASES = [
+  { pattern: /\b(ikeja|ikedc)\b/i, serviceId: 'ikeja-electric' },
+  { pattern: /\b(eko|ekedc)\b/i, serviceId: 'eko-electric' },
+  { pattern: /\b(kano|kedco)\b/i, serviceId: 'kano-electric' },
+  { pattern: /\b(port\s*harcourt|portharcourt|phed|phedc)\b/i, serviceId: 'portharcourt-electric' },
+  { pattern: /\b(jos|jed|jedc)\b/i, serviceId: 'jos-electric' },
+  { pattern: /\b(ibadan|ibedc)\b/i, serviceId: 'ibadan-electric' },
+  { pattern: /\b(kaduna|kaedco)\b/i, serviceId: 'kaduna-electric' },
+  { pattern: /\b(abuja|aedc)\b/i, serviceId: 'abuja-electric' },
+  { pattern: /\b(enugu|eedc)\b/i, serviceId: 'enugu-electric' },
+  { pattern: /\b(benin|bedc)\b/i, serviceId: 'benin-electric' },
+  { pattern: /\b(aba|abedc)\b/i, serviceId: 'aba-electric' },
+  { pattern: /\b(yola|yedc)\b/i, serviceId: 'yola-electric' },
+];
+
+/**
+ * Find the distribution company named in the message
+ * @returns {string|null} eBills service ID
+ */
+function extractProvider(message) {
+  const alias = PROVIDER_ALIASES.find(({ pattern }) => pattern.test(message));
+  return alias ? alias.serviceId : null;
+}
+
+/**
+ * Find a meter (or postpaid account) number in the message
+ * @returns {Object|null} { meterNumber, text } - digits only, and the text it was read from
+ */
+function extractMeterNumber(message) {
+  const patterns = [
+    // "meter 1234 5678 901", "meter number: 12345678901", "account no 1234567890"
+    /\b(?:meter|account)(?:\s*(?:number|no\.?|num))?\s*:?\s*(\d[\d\s\-]{8,16}\d)/i,
+    // Any 10-13 digit number
+    /\b(\d{10,13})\b/,
+  ];
+
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      const meterNumber = match[1].replace(/\D/g, '');
+      if (meterNumber.length >= 10 && meterNumber.length <= 13) {
+        return { meterNumber, text: match[0] };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Process electricity purchase request
+ * Verifies the meter with eBills so the customer can check the name and
+ * address on it before confirming with their PIN.
+ * @param {string} message - Natural language message
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} Result object with response, transactionId, action, data
+ */
+async function processBuyElectricityRequest(message, customerId) {
+  let meter = extractMeterNumber(message);
+
+  // Read the amount from what's left once the meter number (or nickname) is removed
+  let amountText = meter ? message.replace(meter.text, ' ') : message;
+
+  // "pay 5000 for the shop meter" - a saved meter, named by its nickname
+  let savedBiller = null;
+  if (!meter) {
+    const saved = await findSavedBiller(customerId, message, 'meter');
+    if (saved?.ambiguous) {
+      return {
+        success: false,
+        response: saved.response,
+      };
+    }
+    if (saved) {
+      savedBiller = saved.biller;
+      meter = { meterNumber: savedBiller.identifier, text: null };
+      amountText = saved.message;
+    }
+  }
+
+  if (!meter) {
+    return {
+      success: false,
+      response: "I need your meter number. For example: 'pay 5000 electricity for Ikeja prepaid meter 12345678901'",
+    };
+  }
+
+  const amountMatch = amountText.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
+  const amount = amountMatch ? moneyToNumber(amountMatch[1].replace(/,/g, '')) : null;
+
+  if (!amount || amount <= 0) {
+    return {
+      success: false,
+      response: "I need the amount to pay. For example: 'pay 5000 electricity for Ikeja prepaid meter 12345678901'",
+    };
+  }
+
+  // eBills takes whole Naira, so an amount with kobo can't be paid as debited
+  if (!isWholeNaira(amount)) {
+    return {
+      success: false,
+      response: `Electricity is paid in whole Naira. Please enter an amount without kobo, e.g. ${formatNaira(Math.floor(amount))}.`,
+    };
+  }
+
+  // A saved meter knows its distribution company
+  const serviceId = savedBiller ? savedBiller.provider : extractProvider(message);
+  if (!serviceId) {
+    return {
+      success: false,
+      response: 'Which electricity company is the meter with? For example Ikeja (IKEDC), Eko (EKEDC) or Abuja (AEDC).',
+    };
+  }
+  const providerName = ELECTRICITY_PROVIDERS[serviceId];
+  const meterType = /\bpost-?paid\b/i.test(message) ? 'postpaid'
+    : /\bpre-?paid\b/i.test(message) ? 'prepaid'
+      : savedBiller?.meterType || 'prepaid';
+
+  let meterDetails;
+  try {
+    meterDetails = await verifyCustomer({
+      customer_id: meter.meterNumber,
+      service_id: serviceId,
+      variation_id: meterType,
+    });
+  } catch (error) {
+    console.error('Meter verification error:', error);
+
+    // An outage isn't a wrong meter number
+    if (error instanceof EbillsError && error.retryable) {
+      return ebillsErrorResult(error);
+    }
+
+    return {
+      success: false,
+      response: `I couldn't verify ${meterType} meter ${meter.meterNumber} with ${providerName}. Please check the meter number, company and meter type.`,
+    };
+  }
+
+  const minAmount = meterDetails.min_purchase_amount || 0;
+  const maxAmount = Math.min(meterDetails.max_purchase_amount || MAX_ELECTRICITY_AMOUNT, MAX_ELECTRICITY_AMOUNT);
+  const arrears = meterDetails.customer_arrears || 0;
+
+  if (amount < minAmount) {
+    return {
+      success: false,
+      response: `The minimum purchase for this meter is ${formatNaira(minAmount)}.`,
+    };
+  }
+
+  if (amount > maxAmount) {
+    return {
+      success: false,
+      response: `The maximum purchase for this meter is ${formatNaira(maxAmount)}.`,
+    };
+  }
+
+  if (compareMoney(amount, arrears) < 0) {
+    return {
+      success: false,
+      response: `This meter has ${formatNaira(arrears)} in arrears. Please pay at least that amount.`,
+    };
+  }
+
+  const accounts = await getAccountBalance(customerId);
+  if (!accounts || accounts.length === 0) {
+    return {
+      success: false,
+      response: 'No account found. Please create an account first.',
+    };
+  }
+
+  // Use first account for electricity purchase
+  const account = accounts[0];
+
+  if (compareMoney(account.balance, amount) < 0) {
+    return {
+      success: false,
+      response: 'Insufficient balance. Please top up your account to pay for electricity.',
+    };
+  }
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
+  const customerName = meterDetails.customer_name || null;
+  const customerAddress = meterDetails.customer_address || null;
+
+  const transactionId = await createPendingTransaction({
+    type: 'electricity',
+    customerId: customerId,
+    status: 'awaiting_pin',
+    data: {
+      accountId: account.id,
+      meterNumber: meter.meterNumber,
+      service_id: serviceId,
+      providerName,
+      meterType,
+      customerName,
+      customerAddress,
+      amount: amount,
+    },
+  });
+
+  const owner = [customerName, customerAddress].filter(Boolean).join(', ');
+
+  return {
+    success: true,
+    response: `${savedBiller ? `${savedBiller.nickname}: ` : ''}${providerName} ${meterType} meter ${meter.meterNumber} belongs to ${owner || 'an unnamed customer'}. I'll pay ${formatNaira(amount)} for electricity. If these details are correct, please verify your PIN to complete this transaction.`,
+    transactionId: transactionId,
+    action: 'verify_pin',
+    data: {
+      meterNumber: meter.meterNumber,
+      provider: providerName,
+      meterType,
+      customerName,
+      customerAddress,
+      amount,
+    },
+  };
+}
+
+/**
+ * @swagger
+ * /api/buy-electricity:
+ *   post:
+ *     summary: Pay for electricity using natural language
+ *     description: |
+ *       Buy a prepaid token or pay a postpaid electricity bill.
+ *       Examples:
+ *       - "pay 5000 electricity for Ikeja prepaid meter 12345678901"
+ *       - "buy ₦10,000 light for AEDC meter 45012345678"
+ *       - "pay 20000 Eko postpaid account 2345908905"
+ *       - "pay 5000 for the shop meter" (a meter saved as "Shop meter" in /api/saved-billers)
+ *
+ *       The meter is verified with the distribution company first, and the name and
+ *       address on it are returned so the customer can check them. Meters are treated
+ *       as prepaid unless the message says postpaid.
+ *       Complete the payment with POST /api/verify-transaction; prepaid tokens are
+ *       returned there and kept in bill payments.
+ *     tags:
+ *       - Electricity
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Natural language electricity payment request
+ *                 example: "pay 5000 electricity for Ikeja prepaid meter 12345678901"
+ *     responses:
+ *       200:
+ *         description: Meter verified; PIN verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                   example: "TXN-1703123456789-ABC123"
+ *                 action:
+ *                   type: string
+ *                   example: verify_pin
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     meterNumber:
+ *                       type: string
+ *                     provider:
+ *                       type: string
+ *                     meterType:
+ *                       type: string
+ *                       enum: [prepaid, postpaid]
+ *                     customerName:
+ *                       type: string
+ *                     customerAddress:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *       400:
+ *         description: Meter could not be verified, amount outside the meter's limits, insufficient balance or invalid input
+ *       401:
+ *         description: Authentication failed
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const customerId = req.customerId;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide an electricity payment request in natural language',
+      });
+    }
+
+    const result = await processBuyElectricityRequest(message, customerId);
+
+    if (!result.success) {
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Buy electricity route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process electricity payment request'));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process electricity payment request',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processBuyElectricityRequest = processBuyElectricityRequest;
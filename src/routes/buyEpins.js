@@ -0,0 +1,251 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAccountBalance } = require('../services/database');
+const { createPendingTransaction } = require('../services/pendingTransactions');
+const { NETWORK_NAMES } = require('../utils/networkDetector');
+const { EPIN_VALUES, MAX_EPIN_QUANTITY } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { isEpinStorageConfigured } = require('../services/epins');
+const { compareMoney, formatNaira } = require('../utils/money');
+
+// Network names customers use, mapped to eBills service IDs
+const NETWORK_ALIASES = {
+  mtn: 'mtn',
+  airtel: 'airtel',
+  glo: 'glo',
+  globacom: 'glo',
+  '9mobile': '9mobile',
+  etisalat: '9mobile',
+};
+
+/**
+ * Find a network named in the message ("buy 5 MTN recharge cards")
+ * @returns {string|null} eBills service ID
+ */
+function extractNetwork(message) {
+  const match = message.match(/\b(mtn|airtel|globacom|glo|9mobile|etisalat)\b/i);
+  return match ? NETWORK_ALIASES[match[1].toLowerCase()] : null;
+}
+
+/**
+ * Find the card value and how many cards ("3 x ₦500 MTN cards", "buy 10 glo 100 naira pins").
+ * A value marked with ₦/N/naira wins; otherwise the last number that is a card value.
+ * The first other number is the quantity (1 if there is none).
+ * @returns {Object} { value, quantity } - value is null if none was found
+ */
+function extractValueAndQuantity(message) {
+  let remaining = message.replace(/\b9mobile\b/gi, ' ').replace(/(\d),(\d{3})/g, '$1$2');
+
+  let valueMatch = remaining.match(/(?:₦|\bngn\s*|\bn)(\d+)\b|\b(\d+)\s*(?:naira|ngn)\b/i);
+  if (!valueMatch) {
+    valueMatch = [...remaining.matchAll(/\b(\d+)\b/g)]
+      .filter(match => EPIN_VALUES.includes(parseInt(match[1], 10)))
+      .pop();
+  }
+
+  const value = valueMatch ? parseInt(valueMatch[1] || valueMatch[2], 10) : null;
+  if (valueMatch) {
+    remaining = remaining.slice(0, valueMatch.index) + ' ' + remaining.slice(valueMatch.index + valueMatch[0].length);
+  }
+
+  const quantityMatch = remaining.match(/\b(\d+)\b/);
+  return {
+    value,
+    quantity: quantityMatch ? parseInt(quantityMatch[1], 10) : 1,
+  };
+}
+
+/**
+ * Process recharge card (ePIN) purchase request
+ * @param {string} message - Natural language message
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} Result object with response, transactionId, action
+ */
+async function processBuyEpinsRequest(message, customerId) {
+  const valueList = EPIN_VALUES.map(value => formatNaira(value)).join(', ');
+
+  if (!isEpinStorageConfigured()) {
+    return {
+      success: false,
+      response: 'Recharge card purchases are not available right now. Please try again later.',
+      httpStatus: 503,
+    };
+  }
+
+  const serviceId = extractNetwork(message);
+  if (!serviceId) {
+    return {
+      success: false,
+      response: 'Which network are the recharge cards for? For example: "buy 5 MTN ₦500 recharge cards". We sell MTN, Airtel, Glo and 9mobile cards.',
+    };
+  }
+  const networkName = NETWORK_NAMES[serviceId];
+
+  const { value, quantity } = extractValueAndQuantity(message);
+
+  if (!value) {
+    return {
+      success: false,
+      response: `What value should the ${networkName} recharge cards be? Cards come in ${valueList}. For example: "buy 5 ${networkName} ₦500 recharge cards".`,
+    };
+  }
+
+  if (!EPIN_VALUES.includes(value)) {
+    return {
+      success: false,
+      response: `${networkName} recharge cards come in ${valueList}. Please choose one of these values.`,
+    };
+  }
+
+  if (quantity < 1 || quantity > MAX_EPIN_QUANTITY) {
+    return {
+      success: false,
+      response: `You can buy between 1 and ${MAX_EPIN_QUANTITY} recharge cards at a time.`,
+    };
+  }
+
+  const amount = value * quantity;
+
+  const accounts = await getAccountBalance(customerId);
+  if (!accounts || accounts.length === 0) {
+    return {
+      success: false,
+      response: 'No account found. Please create an account first.',
+    };
+  }
+
+  // Use first account for ePIN purchase
+  const account = accounts[0];
+
+  if (compareMoney(account.balance, amount) < 0) {
+    return {
+      success: false,
+      response: `Insufficient balance. ${quantity} x ${formatNaira(value)} ${networkName} recharge cards cost ${formatNaira(amount)}. Please top up your account.`,
+    };
+  }
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
+  const transactionId = await createPendingTransaction({
+    type: 'epin',
+    customerId: customerId,
+    status: 'awaiting_pin',
+    data: {
+      accountId: account.id,
+      service_id: serviceId,
+      networkName,
+      value,
+      quantity,
+      amount: amount,
+    },
+  });
+
+  return {
+    success: true,
+    response: `Great! I'll buy ${quantity} x ${formatNaira(value)} ${networkName} recharge card${quantity === 1 ? '' : 's'} for ${formatNaira(amount)}. Please verify your PIN to complete this transaction.`,
+    transactionId: transactionId,
+    action: 'verify_pin',
+  };
+}
+
+/**
+ * @swagger
+ * /api/buy-epins:
+ *   post:
+ *     summary: Purchase recharge card PINs (ePINs) using natural language
+ *     description: |
+ *       Buy printed recharge cards to load later, resell or give away.
+ *       Examples:
+ *       - "buy 5 MTN ₦500 recharge cards"
+ *       - "buy 10 glo 100 naira pins"
+ *       - "buy an airtel ₦200 epin" (one card)
+ *
+ *       Cards come in ₦100, ₦200 and ₦500 for MTN, Airtel, Glo and 9mobile, up to 40 per order.
+ *       Every purchase returns a transactionId; complete it with POST /api/verify-transaction,
+ *       which answers with the PINs. They can be viewed again later through /api/epins.
+ *     tags:
+ *       - ePINs
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Natural language recharge card purchase request
+ *                 example: "buy 5 MTN ₦500 recharge cards"
+ *     responses:
+ *       200:
+ *         description: Order understood; PIN verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                   example: "TXN-1703123456789-ABC123"
+ *                 action:
+ *                   type: string
+ *                   example: verify_pin
+ *       400:
+ *         description: Missing network, unsupported value or quantity, or insufficient balance
+ *       401:
+ *         description: Authentication failed
+ *       503:
+ *         description: Recharge cards temporarily unavailable (code, retryable, response)
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const customerId = req.customerId;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide a recharge card purchase request in natural language',
+      });
+    }
+
+    const result = await processBuyEpinsRequest(message, customerId);
+
+    if (!result.success) {
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Buy ePINs route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process recharge card purchase request'));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process recharge card purchase request',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processBuyEpinsRequest = processBuyEpinsRequest;
@@ -1,104 +1,47 @@
 const express = require('express');
 const router = express.Router();
-const ConversationManager = require('../services/conversationManager');
-
-// Store active conversations (in production, use Redis or similar)
-const conversations = new Map();
+const { authenticateToken } = require('../middleware/auth');
+const { getConversationManager } = require('../services/conversationStore');
 
 /**
  * POST /api/chat
- * Process natural language banking queries
+ * Process natural language banking queries for the authenticated customer
+ * (history lives under /api/conversations)
  */
-router.post('/', async (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { message, customerId } = req.body;
+    const { message } = req.body || {};
+    const customerId = req.customerId;
 
-    if (!message || !customerId) {
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
       return res.status(400).json({
-        error: 'Message and customerId are required',
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide a message in the request body',
       });
     }
 
-    // Get or create conversation manager for this customer
-    let conversationManager = conversations.get(customerId);
-    if (!conversationManager) {
-      conversationManager = new ConversationManager(customerId);
-      conversations.set(customerId, conversationManager);
-    }
+    // Load the customer's conversation (shared with /api/message and /api/query-ai)
+    const conversationManager = await getConversationManager(customerId);
 
     // Process the message
-    const result = await conversationManager.processMessage(message);
+    const result = await conversationManager.processMessage(message.trim());
 
     res.json({
       success: true,
       response: result.response,
+      transactionId: result.transactionId || null,
       action: result.action,
       data: result.data || null,
     });
   } catch (error) {
     console.error('Chat route error:', error);
     res.status(500).json({
+      success: false,
       error: 'Failed to process message',
       message: error.message,
     });
   }
 });
 
-/**
- * GET /api/chat/history/:customerId
- * Get conversation history for a customer
- */
-router.get('/history/:customerId', (req, res) => {
-  try {
-    const { customerId } = req.params;
-    const conversationManager = conversations.get(customerId);
-
-    if (!conversationManager) {
-      return res.json({
-        success: true,
-        history: [],
-      });
-    }
-
-    res.json({
-      success: true,
-      history: conversationManager.getHistory(),
-    });
-  } catch (error) {
-    console.error('History route error:', error);
-    res.status(500).json({
-      error: 'Failed to get history',
-      message: error.message,
-    });
-  }
-});
-
-/**
- * DELETE /api/chat/history/:customerId
- * Clear conversation history for a customer
- */
-router.delete('/history/:customerId', (req, res) => {
-  try {
-    const { customerId } = req.params;
-    const conversationManager = conversations.get(customerId);
-
-    if (conversationManager) {
-      conversationManager.clearHistory();
-      conversations.delete(customerId);
-    }
-
-    res.json({
-      success: true,
-      message: 'Conversation history cleared',
-    });
-  } catch (error) {
-    console.error('Clear history error:', error);
-    res.status(500).json({
-      error: 'Failed to clear history',
-      message: error.message,
-    });
-  }
-});
-
 module.exports = router;
-
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getConversationHistory, clearConversation } = require('../services/conversationStore');
+
+/**
+ * @swagger
+ * /api/conversations/history:
+ *   get:
+ *     summary: Get your conversation history
+ *     description: |
+ *       Returns the latest messages (CONVERSATION_HISTORY_LIMIT, oldest first) of the
+ *       conversation /api/message, /api/query-ai and /api/chat share.
+ *     tags:
+ *       - Conversations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Latest messages, empty without a conversation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 history:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       role:
+ *                         type: string
+ *                         example: user
+ *                       content:
+ *                         type: string
+ *       401:
+ *         description: Authentication failed
+ */
+router.get('/history', authenticateToken, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      history: await getConversationHistory(req.customerId),
+    });
+  } catch (error) {
+    console.error('History route error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get history',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversations/history:
+ *   delete:
+ *     summary: Clear your conversation history
+ *     description: Ends your conversation, including any question it was waiting on an answer to; the next message starts a new one.
+ *     tags:
+ *       - Conversations
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Conversation history cleared
+ *       401:
+ *         description: Authentication failed
+ */
+router.delete('/history', authenticateToken, async (req, res) => {
+  try {
+    await clearConversation(req.customerId);
+
+    res.json({
+      success: true,
+      message: 'Conversation history cleared',
+    });
+  } catch (error) {
+    console.error('Clear history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear history',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
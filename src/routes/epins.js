@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { verifyCustomerPIN, buildPinFailureResponse } = require('../services/pinSecurity');
+const { recordSecurityEvent } = require('../services/auditLog');
+const { listEpins, revealEpins, markEpinUsed } = require('../services/epins');
+
+// Cards revealed at once (an order holds at most 40)
+const MAX_REVEAL_IDS = 100;
+
+/**
+ * @swagger
+ * /api/epins:
+ *   get:
+ *     summary: List purchased recharge cards (ePINs)
+ *     description: |
+ *       Returns the authenticated customer's recharge cards, newest first, with
+ *       each PIN masked to its last 4 digits. Only unused cards are listed unless
+ *       includeUsed=true. View the full PINs with POST /api/epins/reveal.
+ *     tags:
+ *       - ePINs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeUsed
+ *         schema:
+ *           type: boolean
+ *         description: Also list cards marked as used
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Recharge cards
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       network:
+ *                         type: string
+ *                         example: MTN
+ *                       value:
+ *                         type: number
+ *                         example: 500
+ *                       serialNumber:
+ *                         type: string
+ *                       pin:
+ *                         type: string
+ *                         example: "*************4514"
+ *                       purchasedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       usedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *       400:
+ *         description: Invalid limit
+ *       401:
+ *         description: Authentication failed
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid limit',
+        message: 'limit must be a whole number between 1 and 500',
+      });
+    }
+
+    const epins = await listEpins(req.customerId, {
+      includeUsed: req.query.includeUsed === 'true',
+      limit,
+    });
+
+    res.json({
+      success: true,
+      data: epins,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list recharge cards',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/epins/reveal:
+ *   post:
+ *     summary: View the full PINs of purchased recharge cards
+ *     description: |
+ *       Decrypts recharge card PINs after checking the customer's transaction PIN
+ *       (wrong PINs count towards the PIN lockout). Reveals the cards given in ids,
+ *       or every unused card when ids is left out. Each reveal is logged.
+ *     tags:
+ *       - ePINs
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 description: Transaction PIN
+ *                 example: "1234"
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Cards to reveal (from GET /api/epins)
+ *     responses:
+ *       200:
+ *         description: Recharge cards with full PINs
+ *       400:
+ *         description: Missing PIN or invalid ids
+ *       401:
+ *         description: Authentication failed or PIN incorrect (includes pinLock)
+ *       404:
+ *         description: No PIN set
+ *       423:
+ *         description: PIN locked after too many wrong attempts (includes pinLock)
+ */
+router.post('/reveal', authenticateToken, async (req, res) => {
+  try {
+    const { pin, ids } = req.body || {};
+    const customerId = req.customerId;
+
+    if (!pin || typeof pin !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN is required',
+        message: 'Please provide your PIN to view your recharge cards',
+      });
+    }
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_REVEAL_IDS ||
+        !ids.every(id => Number.isInteger(id) && id > 0))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ids',
+        message: `ids must be a list of up to ${MAX_REVEAL_IDS} recharge card IDs`,
+      });
+    }
+
+    const result = await verifyCustomerPIN(customerId, pin, { source: 'epin_reveal', ipAddress: req.ip });
+
+    if (result.pinNotSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'PIN not found',
+        message: 'No PIN has been set for this account. Please set a PIN first.',
+      });
+    }
+
+    if (!result.verified) {
+      const failure = buildPinFailureResponse(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const epins = await revealEpins(customerId, { ids });
+
+    await recordSecurityEvent(customerId, 'epins_revealed', {
+      ipAddress: req.ip,
+      metadata: { epinIds: epins.map(epin => epin.id) },
+    });
+
+    res.json({
+      success: true,
+      data: epins,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reveal recharge cards',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/epins/{id}/used:
+ *   post:
+ *     summary: Mark a recharge card as used
+ *     description: Takes a loaded or given-away card off the unused list. Marking it again changes nothing.
+ *     tags:
+ *       - ePINs
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Card marked as used (PIN masked)
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Authentication failed
+ *       404:
+ *         description: No such recharge card on this account
+ */
+router.post('/:id/used', authenticateToken, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ID',
+        message: 'Recharge card ID must be a number',
+      });
+    }
+
+    const epin = await markEpinUsed(req.customerId, req.params.id);
+
+    if (!epin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Recharge card not found',
+        message: 'No recharge card with this ID was found on your account',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: epin,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update recharge card',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,368 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { getAccountBalance, getLastBillPayment } = require('../services/database');
+const { createPendingTransaction } = require('../services/pendingTransactions');
+const { verifyCustomer, MIN_BETTING_AMOUNT, MAX_BETTING_AMOUNT } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody, ebillsErrorResult } = require('../services/ebillsErrors');
+const { billFloatShortfall } = require('../services/billFloat');
+const { bettingLimitShortfall } = require('../services/bettingLimits');
+const { findSavedBiller } = require('../services/savedBillers');
+const { compareMoney, isWholeNaira, moneyToNumber, formatNaira } = require('../utils/money');
+
+// Names customers use for each betting platform, mapped to eBills service IDs
+const PROVIDER_ALIASES = [
+  { pattern: /\b1\s*x\s*bet\b/i, serviceId: '1xBet' },
+  { pattern: /\bbang\s*bet\b/i, serviceId: 'BangBet' },
+  { pattern: /\bbet\s*9\s*ja\b/i, serviceId: 'Bet9ja' },
+  { pattern: /\bbet\s*king\b/i, serviceId: 'BetKing' },
+  { pattern: /\bbet\s*land\b/i, serviceId: 'BetLand' },
+  { pattern: /\bbet\s*lion\b/i, serviceId: 'BetLion' },
+  { pattern: /\bbet\s*way\b/i, serviceId: 'BetWay' },
+  { pattern: /\bcloud\s*bet\b/i, serviceId: 'CloudBet' },
+  { pattern: /\blive\s*score(?:\s*bet)?\b/i, serviceId: 'LiveScoreBet' },
+  { pattern: /\bmerry\s*bet\b/i, serviceId: 'MerryBet' },
+  { pattern: /\bnaija\s*bet\b/i, serviceId: 'NaijaBet' },
+  { pattern: /\bnaira\s*bet\b/i, serviceId: 'NairaBet' },
+  { pattern: /\bsupa\s*bet\b/i, serviceId: 'SupaBet' },
+];
+
+/**
+ * Find the betting platform named in the message
+ * @returns {Object|null} { serviceId, text } - eBills service ID and the text it was read from
+ */
+function extractProvider(message) {
+  for (const { pattern, serviceId } of PROVIDER_ALIASES) {
+    const match = message.match(pattern);
+    if (match) {
+      return { serviceId, text: match[0] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the betting account ID and amount ("fund Bet9ja ID 1234567 with ₦2,000").
+ * An ID follows id/account/user/username; otherwise it is a long number (6+
+ * characters) the amount isn't. The amount is marked with ₦/N/naira or follows
+ * with/of/worth; otherwise it is the number left over.
+ * @returns {Object} { bettingId, amount } - either may be null
+ */
+function extractBettingIdAndAmount(message) {
+  let remaining = message.replace(/(\d),(\d{3})/g, '$1$2');
+
+  let bettingId = null;
+  const idMatch = remaining.match(/\b(?:user\s*name|username|user|customer|account|acct|id)(?:\s*(?:id|number|no\.?|num))?\s*:?\s*([a-z0-9_\-]*\d[a-z0-9_\-]*)/i);
+  if (idMatch) {
+    bettingId = idMatch[1];
+    remaining = remaining.replace(idMatch[0], ' ');
+  }
+
+  let amountMatch = remaining.match(/(?:₦|\bngn\s*|\bn)(\d+(?:\.\d{1,2})?)\b|\b(\d+(?:\.\d{1,2})?)\s*(?:naira|ngn)\b|\b(?:with|of|worth)\s+(\d+(?:\.\d{1,2})?)\b/i);
+  if (amountMatch) {
+    remaining = remaining.replace(amountMatch[0], ' ');
+  }
+
+  if (!bettingId) {
+    // Until the amount is known, a six-digit number is read as the amount
+    const idToken = (remaining.match(/[a-z0-9_\-]*\d[a-z0-9_\-]*/gi) || [])
+      .find(token => token.length >= 6 && (amountMatch || !/^\d{6}$/.test(token)));
+    if (idToken) {
+      bettingId = idToken;
+      remaining = remaining.replace(idToken, ' ');
+    }
+  }
+
+  if (!amountMatch) {
+    amountMatch = remaining.match(/\b(\d+(?:\.\d{1,2})?)\b/);
+  }
+
+  const amountText = amountMatch ? amountMatch[1] || amountMatch[2] || amountMatch[3] : null;
+
+  return {
+    bettingId,
+    amount: amountText ? moneyToNumber(amountText) : null,
+  };
+}
+
+/**
+ * Process betting wallet funding request
+ * Verifies the betting account ID with eBills so the customer can check the
+ * name on it, and keeps fundings within the customer's monthly betting limit.
+ * @param {string} message - Natural language message
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} Result object with response, transactionId, action, data
+ */
+async function processFundBettingRequest(message, customerId) {
+  const provider = extractProvider(message);
+  const withoutProvider = text => (provider ? text.replace(provider.text, ' ') : text);
+  let serviceId = provider ? provider.serviceId : null;
+
+  let { bettingId, amount } = extractBettingIdAndAmount(withoutProvider(message));
+
+  // "fund Tunde's Bet9ja with 2000" - a saved betting account, which also knows its platform
+  if (!bettingId) {
+    const saved = await findSavedBiller(customerId, message, 'betting');
+    if (saved?.ambiguous) {
+      return {
+        success: false,
+        response: saved.response,
+      };
+    }
+    if (saved && (!serviceId || saved.biller.provider === serviceId)) {
+      serviceId = saved.biller.provider;
+      bettingId = saved.biller.identifier;
+      ({ amount } = extractBettingIdAndAmount(withoutProvider(saved.message)));
+    }
+  }
+
+  if (!serviceId) {
+    return {
+      success: false,
+      response: 'Which betting platform should I fund? I can fund Bet9ja, BetKing, 1xBet, SupaBet, NairaBet, MerryBet, BetWay, BangBet, BetLand, BetLion, CloudBet, LiveScoreBet and NaijaBet accounts.',
+    };
+  }
+
+  // "fund my Bet9ja 5000" tops up the account funded last time
+  if (!bettingId) {
+    const lastPayment = await getLastBillPayment(customerId, 'betting', serviceId);
+    bettingId = lastPayment?.account_number || null;
+  }
+
+  if (!bettingId) {
+    return {
+      success: false,
+      response: `I need your ${serviceId} customer ID. For example: 'fund ${serviceId} ID 1234567 with ₦2,000'`,
+    };
+  }
+
+  if (!amount || amount <= 0) {
+    return {
+      success: false,
+      response: `How much should I fund your ${serviceId} account with? For example: 'fund ${serviceId} ID ${bettingId} with ₦2,000'`,
+    };
+  }
+
+  // eBills takes whole Naira, so an amount with kobo can't be funded as debited
+  if (!isWholeNaira(amount)) {
+    return {
+      success: false,
+      response: `Betting accounts are funded in whole Naira. Please enter an amount without kobo, e.g. ${formatNaira(Math.floor(amount))}.`,
+    };
+  }
+
+  let accountDetails;
+  try {
+    accountDetails = await verifyCustomer({
+      customer_id: bettingId,
+      service_id: serviceId,
+    });
+  } catch (error) {
+    console.error('Betting account verification error:', error);
+
+    // An outage isn't a wrong customer ID
+    if (error instanceof EbillsError && error.retryable) {
+      return ebillsErrorResult(error);
+    }
+
+    return {
+      success: false,
+      response: `I couldn't verify ${serviceId} customer ID ${bettingId}. Please check the ID and the betting platform.`,
+    };
+  }
+
+  const minAmount = Math.max(moneyToNumber(accountDetails.minimum_amount || 0), MIN_BETTING_AMOUNT);
+  const maxAmount = Math.min(moneyToNumber(accountDetails.maximum_amount || MAX_BETTING_AMOUNT), MAX_BETTING_AMOUNT);
+
+  if (amount < minAmount) {
+    return {
+      success: false,
+      response: `The minimum ${serviceId} funding is ${formatNaira(minAmount)}.`,
+    };
+  }
+
+  if (amount > maxAmount) {
+    return {
+      success: false,
+      response: `The maximum ${serviceId} funding is ${formatNaira(maxAmount)}.`,
+    };
+  }
+
+  const limitError = await bettingLimitShortfall(customerId, amount);
+  if (limitError) {
+    return {
+      success: false,
+      response: limitError.message,
+    };
+  }
+
+  const accounts = await getAccountBalance(customerId);
+  if (!accounts || accounts.length === 0) {
+    return {
+      success: false,
+      response: 'No account found. Please create an account first.',
+    };
+  }
+
+  // Use first account for betting funding
+  const account = accounts[0];
+
+  if (compareMoney(account.balance, amount) < 0) {
+    return {
+      success: false,
+      response: `Insufficient balance. Please top up your account to fund ${serviceId}.`,
+    };
+  }
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    return ebillsErrorResult(floatError);
+  }
+
+  const customerName = accountDetails.customer_name || null;
+  const customerUsername = accountDetails.customer_username || null;
+
+  const transactionId = await createPendingTransaction({
+    type: 'betting',
+    customerId: customerId,
+    status: 'awaiting_pin',
+    data: {
+      accountId: account.id,
+      bettingId,
+      service_id: serviceId,
+      providerName: serviceId,
+      customerName,
+      amount: amount,
+    },
+  });
+
+  const owner = customerName
+    ? `${customerName}${customerUsername ? ` (${customerUsername})` : ''}`
+    : customerUsername;
+
+  return {
+    success: true,
+    response: `${serviceId} customer ID ${bettingId} belongs to ${owner || 'an unnamed customer'}. I'll fund it with ${formatNaira(amount)}. If these details are correct, please verify your PIN to complete this transaction.`,
+    transactionId: transactionId,
+    action: 'verify_pin',
+    data: {
+      bettingId,
+      provider: serviceId,
+      customerName,
+      customerUsername,
+      amount,
+    },
+  };
+}
+
+/**
+ * @swagger
+ * /api/fund-betting:
+ *   post:
+ *     summary: Fund a betting wallet using natural language
+ *     description: |
+ *       Top up a betting account with Bet9ja, BetKing, 1xBet, SupaBet and other platforms.
+ *       Examples:
+ *       - "fund Bet9ja ID 1234567 with ₦2,000"
+ *       - "top up my betking account 88990011 5000 naira"
+ *       - "fund my bet9ja 1000" (the account funded last time)
+ *       - "fund Tunde's Bet9ja with 1000" (a Bet9ja account saved as "Tunde" in /api/saved-billers)
+ *
+ *       The customer ID is verified with the platform first, and the name on the
+ *       account is returned so the customer can check it. Fundings that would take
+ *       the customer past their monthly betting limit (see /api/betting/limit) are refused.
+ *       Complete the funding with POST /api/verify-transaction.
+ *     tags:
+ *       - Betting
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 description: Natural language betting funding request
+ *                 example: "fund Bet9ja ID 1234567 with ₦2,000"
+ *     responses:
+ *       200:
+ *         description: Betting account verified; PIN verification required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 transactionId:
+ *                   type: string
+ *                   example: "TXN-1703123456789-ABC123"
+ *                 action:
+ *                   type: string
+ *                   example: verify_pin
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     bettingId:
+ *                       type: string
+ *                     provider:
+ *                       type: string
+ *                       example: Bet9ja
+ *                     customerName:
+ *                       type: string
+ *                     customerUsername:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *       400:
+ *         description: Account could not be verified, amount outside the platform's limits or the monthly betting limit, insufficient balance or invalid input
+ *       401:
+ *         description: Authentication failed
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { message } = req.body;
+    const customerId = req.customerId;
+
+    if (!message || typeof message !== 'string' || message.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Message is required',
+        message: 'Please provide a betting funding request in natural language',
+      });
+    }
+
+    const result = await processFundBettingRequest(message, customerId);
+
+    if (!result.success) {
+      const { httpStatus = 400, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Fund betting route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process betting funding request'));
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process betting funding request',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
+module.exports.processFundBettingRequest = processFundBettingRequest;
@@ -1,8 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { getAccountBalance } = require('../services/database');
-const { createPendingTransaction, pendingTransactions } = require('../services/pendingTransactions');
+const {
+  createPendingTransaction,
+  findActivePendingTransaction,
+  transitionPendingTransaction,
+} = require('../services/pendingTransactions');
+const { compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * @swagger
@@ -23,6 +29,10 @@ const { createPendingTransaction, pendingTransactions } = require('../services/p
  *       4. Request PIN verification via /api/verify-transaction
  *     tags:
  *       - Internal Transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -30,13 +40,8 @@ const { createPendingTransaction, pendingTransactions } = require('../services/p
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - message
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               message:
  *                 type: string
  *                 description: Natural language transfer request
@@ -58,8 +63,12 @@ const { createPendingTransaction, pendingTransactions } = require('../services/p
  *                   nullable: true
  *       400:
  *         description: Bad request - insufficient balance or invalid input
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { message } = req.body;
     const customerId = req.customerId;
@@ -73,9 +82,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // Check if there's a pending internal transfer selection
-    const pendingTransaction = Array.from(pendingTransactions.values()).find(
-      t => t.customerId === customerId && t.type === 'internal_transfer' && t.status === 'account_selection'
-    );
+    const pendingTransaction = await findActivePendingTransaction(customerId, 'internal_transfer', 'awaiting_selection');
 
     // If there's a pending account selection, handle selection
     if (pendingTransaction) {
@@ -114,7 +121,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
 async function processInternalTransferRequest(message, customerId) {
   // Extract amount from message
   const amountMatch = message.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-  const amount = amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null;
+  const amount = amountMatch ? moneyToNumber(amountMatch[1]) : null;
 
   if (!amount) {
     return {
@@ -146,7 +153,7 @@ async function processInternalTransferRequest(message, customerId) {
 
   // Check account balance (use first account as source)
   const sourceAccount = accounts[0];
-  if (sourceAccount.balance < amount) {
+  if (compareMoney(sourceAccount.balance, amount) < 0) {
     return {
       response: 'You do not have sufficient balance to make transfer. Please top up.',
       transactionId: null,
@@ -173,19 +180,19 @@ async function processInternalTransferRequest(message, customerId) {
     }
 
     // Create pending transaction
-    const transactionId = createPendingTransaction({
+    const transactionId = await createPendingTransaction({
       type: 'internal_transfer',
       customerId: customerId,
+      status: 'awaiting_pin',
       data: {
         sourceAccount: sourceAccount,
         targetAccount: targetAccount,
         amount: amount,
-        status: 'pending_pin',
       },
     });
 
     return {
-      response: `I'll transfer ₦${amount.toLocaleString()} from account ending ${sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)}. Please verify your PIN to complete the transfer.`,
+      response: `I'll transfer ${formatNaira(amount)} from account ending ${sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)}. Please verify your PIN to complete the transfer.`,
       transactionId: transactionId,
       action: 'verify_pin',
     };
@@ -193,19 +200,19 @@ async function processInternalTransferRequest(message, customerId) {
 
   // No specific account mentioned - ask user to select
   const accountEndings = accounts.map(acc => acc.accountNumber.slice(-4)).join(', ');
-  const transactionId = createPendingTransaction({
+  const transactionId = await createPendingTransaction({
     type: 'internal_transfer',
     customerId: customerId,
+    status: 'awaiting_selection',
     data: {
       sourceAccount: sourceAccount,
       accounts: accounts,
       amount: amount,
-      status: 'account_selection',
     },
   });
 
   return {
-    response: `I found ${accounts.length} accounts ending with: ${accountEndings}. Which account should I transfer ₦${amount.toLocaleString()} to? Please specify by account ending digits (e.g., "5685").`,
+    response: `I found ${accounts.length} accounts ending with: ${accountEndings}. Which account should I transfer ${formatNaira(amount)} to? Please specify by account ending digits (e.g., "5685").`,
     transactionId: transactionId,
     action: 'select_account',
   };
@@ -250,11 +257,18 @@ async function handleAccountSelection(message, pendingTransaction) {
 
   // Update pending transaction to PIN verification stage
   pendingTransaction.targetAccount = targetAccount;
-  pendingTransaction.status = 'pending_pin';
   delete pendingTransaction.accounts;
 
+  if (!await transitionPendingTransaction(pendingTransaction, 'awaiting_pin')) {
+    return {
+      response: 'This transfer has expired. Please start the transfer again.',
+      transactionId: null,
+      action: null,
+    };
+  }
+
   return {
-    response: `I'll transfer ₦${pendingTransaction.amount.toLocaleString()} from account ending ${pendingTransaction.sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)}. Please verify your PIN to complete the transfer.`,
+    response: `I'll transfer ${formatNaira(pendingTransaction.amount)} from account ending ${pendingTransaction.sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)}. Please verify your PIN to complete the transfer.`,
     transactionId: pendingTransaction.id,
     action: 'verify_pin',
   };
@@ -1,7 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
-const { getAccountBalance, prisma } = require('../services/database');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  getAccountBalance,
+  creditAccount,
+  postJournalEntry,
+  SYSTEM_LEDGER_ACCOUNTS,
+  prisma,
+} = require('../services/database');
+const { parseMoney, subtractMoney, isPositiveMoney, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * @swagger
@@ -14,6 +22,10 @@ const { getAccountBalance, prisma } = require('../services/database');
  *       A credit transaction record will be created.
  *     tags:
  *       - Account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -21,13 +33,8 @@ const { getAccountBalance, prisma } = require('../services/database');
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - amount
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               amount:
  *                 type: number
  *                 description: Amount to load into account (in NGN)
@@ -63,18 +70,22 @@ const { getAccountBalance, prisma } = require('../services/database');
  *         description: Bad request - invalid amount or no account found
  *       401:
  *         description: Authentication failed
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { amount } = req.body;
     const customerId = req.customerId;
 
     // Validate amount
-    if (!amount || typeof amount !== 'number' || amount <= 0) {
+    if (typeof amount !== 'number' || !isPositiveMoney(amount)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid amount',
-        message: 'Please provide a valid amount greater than 0',
+        message: 'Please provide a valid amount greater than 0 with at most 2 decimal places',
       });
     }
 
@@ -97,27 +108,18 @@ router.post('/', authenticateByPhone, async (req, res) => {
 
     // Load money into account and create transaction record
     const result = await prisma.$transaction(async (tx) => {
-      // Get current account balance
-      const currentAccount = await tx.account.findFirst({
-        where: {
-          id: BigInt(account.id),
-          deletedAt: null,
-        },
-      });
-
-      if (!currentAccount) {
-        throw new Error('Account not found');
-      }
-
-      // Convert Decimal balance to number for calculation
-      const balanceBeforeNum = currentAccount.balance?.toNumber ? currentAccount.balance.toNumber() : Number(currentAccount.balance);
-      const amountNum = parseFloat(amount);
-      const balanceAfterNum = balanceBeforeNum + amountNum;
-
-      // Update account balance (Prisma will convert number to Decimal)
-      await tx.account.update({
-        where: { id: BigInt(account.id) },
-        data: { balance: balanceAfterNum },
+      // Atomic increment, so concurrent top-ups and debits can't overwrite each other
+      const { balanceBefore, balanceAfter } = await creditAccount(tx, account.id, amount);
+
+      // Top-ups arrive from outside the bank, through the settlement account
+      const journalEntry = await postJournalEntry(tx, {
+        entryType: 'load_money',
+        reference,
+        description: 'Account top-up',
+        postings: [
+          { accountId: account.id, amount },
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SETTLEMENT, amount: subtractMoney(0, amount) },
+        ],
       });
 
       // Create credit transaction record
@@ -129,36 +131,37 @@ router.post('/', authenticateByPhone, async (req, res) => {
           bankName: account.bankName || null,
           bankAccount: account.accountNumber,
           accountNumber: account.accountNumber,
-          amount: amountNum,
-          balanceBefore: balanceBeforeNum,
-          balanceAfter: balanceAfterNum,
+          amount: parseMoney(amount),
+          balanceBefore,
+          balanceAfter,
           transactionDate: now,
           createdAt: now,
           status: 'success',
           transactionType: 'credit',
           reference: reference,
+          journalEntryId: journalEntry.id,
         },
       });
 
       return {
         transaction,
-        balanceBefore: balanceBeforeNum,
-        balanceAfter: balanceAfterNum,
+        balanceBefore,
+        balanceAfter,
       };
     });
 
-    // Response data (already converted to numbers in transaction)
+    // Response data (Decimal balances converted to numbers)
     const responseData = {
       accountNumber: account.accountNumber,
-      balanceBefore: Number(result.balanceBefore),
-      balanceAfter: Number(result.balanceAfter),
-      amount: parseFloat(amount),
+      balanceBefore: moneyToNumber(result.balanceBefore),
+      balanceAfter: moneyToNumber(result.balanceAfter),
+      amount: moneyToNumber(amount),
       reference: reference,
     };
 
     res.json({
       success: true,
-      response: `Successfully loaded ₦${amount.toLocaleString()} into your account. New balance: ₦${responseData.balanceAfter.toLocaleString()}`,
+      response: `Successfully loaded ${formatNaira(amount)} into your account. New balance: ${formatNaira(responseData.balanceAfter)}`,
       data: responseData,
     });
 
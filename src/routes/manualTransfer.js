@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { getAccountBalance, prisma } = require('../services/database');
+const { parseMoney, compareMoney, isPositiveMoney, formatNaira } = require('../utils/money');
 const { createPendingTransaction } = require('../services/pendingTransactions');
 
 /**
@@ -22,6 +24,10 @@ const { createPendingTransaction } = require('../services/pendingTransactions');
      *       Note: Receiver account verification will be handled in the verify-transaction endpoint.
  *     tags:
  *       - Transfer
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -29,15 +35,10 @@ const { createPendingTransaction } = require('../services/pendingTransactions');
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - sourceAccountNumber
  *               - receiverAccountNumber
  *               - amount
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               sourceAccountNumber:
  *                 type: string
  *                 description: Source account number (must belong to authenticated customer)
@@ -71,10 +72,14 @@ const { createPendingTransaction } = require('../services/pendingTransactions');
  *         description: Bad request - invalid account or insufficient balance
  *       401:
  *         description: Authentication failed
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
  *       404:
  *         description: Account not found
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { sourceAccountNumber, receiverAccountNumber, amount } = req.body;
     const customerId = req.customerId;
@@ -96,15 +101,15 @@ router.post('/', authenticateByPhone, async (req, res) => {
       });
     }
 
-    if (!amount || isNaN(amount) || parseFloat(amount) <= 0) {
+    if (!isPositiveMoney(amount)) {
       return res.status(400).json({
         success: false,
         error: 'Valid amount is required',
-        message: 'Please provide a valid transfer amount greater than 0',
+        message: 'Please provide a valid transfer amount greater than 0 with at most 2 decimal places',
       });
     }
 
-    const transferAmount = parseFloat(amount);
+    const transferAmount = Number(parseMoney(amount));
 
     // Normalize account numbers (remove spaces, dashes, etc.)
     const { normalizeAccountNumber } = require('../utils/networkDetector');
@@ -154,12 +159,11 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // Check balance
-    const balance = sourceAccount.balance?.toNumber ? sourceAccount.balance.toNumber() : Number(sourceAccount.balance);
-    if (balance < transferAmount) {
+    if (compareMoney(sourceAccount.balance, transferAmount) < 0) {
       return res.status(400).json({
         success: false,
         error: 'Insufficient balance',
-        message: `Insufficient balance. Your current balance is ₦${balance.toLocaleString()}.`,
+        message: `Insufficient balance. Your current balance is ${formatNaira(sourceAccount.balance)}.`,
       });
     }
 
@@ -180,9 +184,10 @@ router.post('/', authenticateByPhone, async (req, res) => {
     });
 
     // Create pending transaction (receiver account verification will be done in verify-transaction)
-    const transactionId = createPendingTransaction({
+    const transactionId = await createPendingTransaction({
       type: 'transfer',
       customerId: customerId,
+      status: 'awaiting_pin',
       data: {
         accountId: Number(sourceAccount.id),
         sourceAccountNumber: normalizedSourceAccount,
@@ -197,13 +202,12 @@ router.post('/', authenticateByPhone, async (req, res) => {
           source: 'manual_transfer',
         },
         amount: transferAmount,
-        status: 'pending_pin',
       },
     });
 
     return res.json({
       success: true,
-      response: `Transfer of ₦${transferAmount.toLocaleString()} from account ${normalizedSourceAccount} to account ${normalizedReceiverAccount} is ready. Please verify your PIN to complete the transfer.`,
+      response: `Transfer of ${formatNaira(transferAmount)} from account ${normalizedSourceAccount} to account ${normalizedReceiverAccount} is ready. Please verify your PIN to complete the transfer.`,
       transactionId: transactionId,
     });
   } catch (error) {
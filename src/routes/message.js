@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 const { extractIntentWithGemini } = require('../services/llm');
 const { 
   processTransferRequest, 
@@ -13,14 +14,17 @@ const {
   handleAccountSelection: handleInternalAccountSelection 
 } = require('../routes/internalTransfer');
 const { processBuyAirtimeRequest } = require('../routes/buyAirtime');
-const ConversationManager = require('../services/conversationManager');
-const { pendingTransactions } = require('../services/pendingTransactions');
+const { processBuyDataRequest } = require('../routes/buyData');
+const { processBuyElectricityRequest } = require('../routes/buyElectricity');
+const { processBuyCableRequest } = require('../routes/buyCable');
+const { processFundBettingRequest } = require('../routes/fundBetting');
+const { processBuyEpinsRequest } = require('../routes/buyEpins');
+const { EbillsError, ebillsErrorBody } = require('../services/ebillsErrors');
+const { getConversationManager } = require('../services/conversationStore');
+const { findActivePendingTransaction } = require('../services/pendingTransactions');
 const { formatResponse } = require('../utils/ssmlFormatter');
 const { normalizePhone } = require('../utils/networkDetector');
 
-// Store active conversations (in production, use Redis or similar)
-const conversations = new Map();
-
 /**
  * @swagger
  * /api/message:
@@ -39,6 +43,10 @@ const conversations = new Map();
  *       - Transfer money: "Send 10000 to Sarah Mohammed" or "Send 10000 to 0782435755"
  *       - Internal transfer: "Move 5000 to my second account"
  *       - Buy airtime: "Buy 1000 airtime to 07016409616" or "Buy airtime for me"
+ *       - Buy data: "Buy 2GB MTN data for 08031234567" or "Buy ₦1000 data for me"
+ *       - Pay electricity: "Pay 5000 electricity for Ikeja prepaid meter 12345678901"
+ *       - Fund a betting wallet: "Fund Bet9ja ID 1234567 with ₦2,000"
+ *       - Buy recharge cards: "Buy 5 MTN ₦500 recharge cards"
  *       - Query transactions: "Show me my transactions from last week"
  *       - Check balance: "What's my balance?"
  *       - General questions: "How do I open an account?"
@@ -50,6 +58,10 @@ const conversations = new Map();
  *       4. System: "I found Sarah Mohammed with account ending in 2725. Please verify your PIN to complete the transfer..."
  *     tags:
  *       - Message
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -57,13 +69,8 @@ const conversations = new Map();
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - message
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               message:
  *                 type: string
  *                 description: Natural language message/command
@@ -89,8 +96,12 @@ const conversations = new Map();
  *                   type: string
  *                   nullable: true
  *                   description: Action type (verify_pin, select_beneficiary, etc.)
+ *       409:
+ *         description: A request with the same Idempotency-Key is still being processed
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { message } = req.body;
     const customerId = req.customerId;
@@ -107,17 +118,12 @@ router.post('/', authenticateByPhone, async (req, res) => {
 
     // FIRST: Check for pending transactions that need follow-up responses
     // This handles cases like beneficiary selection, account selection, etc.
-    const allPendingTransactions = Array.from(pendingTransactions.values());
-    
     // Check for pending transfer transactions (account selection, beneficiary selection)
-    const pendingTransfer = allPendingTransactions.find(
-      t => t.customerId === customerId && t.type === 'transfer' && 
-      (t.status === 'beneficiary_selection' || t.status === 'account_selection')
-    );
+    const pendingTransfer = await findActivePendingTransaction(customerId, 'transfer', 'awaiting_selection');
 
     if (pendingTransfer) {
       // Handle account selection for transfers
-      if (pendingTransfer.status === 'account_selection') {
+      if (pendingTransfer.selection === 'account') {
         try {
           const selectionResult = await handleTransferAccountSelection(trimmedMessage, pendingTransfer);
           if (selectionResult) {
@@ -138,7 +144,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
       }
 
       // Handle beneficiary selection for transfers
-      if (pendingTransfer.status === 'beneficiary_selection') {
+      if (pendingTransfer.selection === 'beneficiary') {
         try {
           // Validate selection message
           if (!isValidSelectionMessage(trimmedMessage, pendingTransfer)) {
@@ -169,9 +175,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // Check for pending internal transfer transactions
-    const pendingInternalTransfer = allPendingTransactions.find(
-      t => t.customerId === customerId && t.type === 'internal_transfer' && t.status === 'account_selection'
-    );
+    const pendingInternalTransfer = await findActivePendingTransaction(customerId, 'internal_transfer', 'awaiting_selection');
 
     if (pendingInternalTransfer) {
       try {
@@ -209,15 +213,33 @@ router.post('/', authenticateByPhone, async (req, res) => {
 
     // Fallback: Check for explicit purchase keywords if intent is unclear or misclassified
     // This helps catch cases like "send 1000 airtime" which should be buy_airtime, not query
-    const purchaseKeywords = /\b(buy|purchase|send|get)\s+.*?\b(airtime|data|cable|internet|electricity)\b/i;
+    const purchaseKeywords = /\b(buy|purchase|send|get|pay|renew|subscribe|print|fund|top\s*up)\s+.*?\b(airtime|data|cable|internet|electricity|light|dstv|gotv|startimes|showmax|e-?pins?|recharge\s*cards?|scratch\s*cards?|betting|bet\s*9\s*ja|bet\s*king|1\s*x\s*bet|supa\s*bet|naira\s*bet|merry\s*bet)\b/i;
     const isPurchaseRequest = purchaseKeywords.test(trimmedMessage) && 
-                              (trimmedMessage.match(/\d+/) || trimmedMessage.includes('for me') || trimmedMessage.includes('for myself'));
+                              (trimmedMessage.match(/\d+/) || trimmedMessage.includes('for me') || trimmedMessage.includes('for myself') || /\brenew\b/i.test(trimmedMessage));
     
+    // Betting wallets are named by platform, recharge cards as ePINs or cards, cable TV by
+    // provider or smartcard, electricity by meter or "light"; data bundles by size ("2GB") or by the word "data"
+    const isBettingFunding = /\b(betting|bet\s*9\s*ja|bet\s*king|1\s*x\s*bet|bang\s*bet|bet\s*land|bet\s*lion|bet\s*way|cloud\s*bet|live\s*score(?:\s*bet)?|merry\s*bet|naija\s*bet|naira\s*bet|supa\s*bet)\b/i.test(trimmedMessage);
+    const isEpinPurchase = /\b(e-?pins?|recharge\s*cards?|scratch\s*cards?)\b/i.test(trimmedMessage);
+    const isCablePurchase = /\b(cable|dstv|gotv|startimes|showmax|bouquet|decoder|smart\s*card|iuc)\b/i.test(trimmedMessage);
+    const isElectricityPurchase = /\b(electricity|electric|light|meter|prepaid|postpaid)\b/i.test(trimmedMessage);
+    const isDataPurchase = /\b(data|\d+(?:\.\d+)?\s*(?:gb|mb))\b/i.test(trimmedMessage) && !/\bairtime\b/i.test(trimmedMessage);
+    const purchaseIntent = isBettingFunding ? 'fund_betting'
+      : isEpinPurchase ? 'buy_epin'
+        : isCablePurchase ? 'buy_cable'
+          : isElectricityPurchase ? 'buy_electricity'
+            : isDataPurchase ? 'buy_data' : 'buy_airtime';
+
     // Override intent if it's clearly a purchase request but was misclassified as query
     if (isPurchaseRequest && (intent.intent === 'query_bill_payment' || intent.intent === 'query_transaction')) {
       console.log('Overriding intent: detected purchase request but got query intent');
-      intent.intent = 'buy_airtime';
+      intent.intent = purchaseIntent;
       intent.confidence = 0.9;
+    } else if (intent.intent === 'buy_airtime' && purchaseIntent !== 'buy_airtime') {
+      intent.intent = purchaseIntent;
+    } else if (intent.intent === 'make_transfer' && isBettingFunding) {
+      // "Fund my Bet9ja with 2000" reads like a transfer to the model
+      intent.intent = 'fund_betting';
     }
 
     // Route to appropriate handler based on intent
@@ -240,6 +262,31 @@ router.post('/', authenticateByPhone, async (req, res) => {
         result = await processBuyAirtimeRequest(trimmedMessage, customerId);
         break;
 
+      case 'buy_data':
+        // Route to data bundle purchase handler
+        result = await processBuyDataRequest(trimmedMessage, customerId);
+        break;
+
+      case 'buy_electricity':
+        // Route to electricity payment handler
+        result = await processBuyElectricityRequest(trimmedMessage, customerId);
+        break;
+
+      case 'buy_cable':
+        // Route to cable TV subscription handler
+        result = await processBuyCableRequest(trimmedMessage, customerId);
+        break;
+
+      case 'fund_betting':
+        // Route to betting wallet funding handler
+        result = await processFundBettingRequest(trimmedMessage, customerId);
+        break;
+
+      case 'buy_epin':
+        // Route to recharge card (ePIN) purchase handler
+        result = await processBuyEpinsRequest(trimmedMessage, customerId);
+        break;
+
       case 'query_transaction':
       case 'query_bill_payment':
       case 'check_balance':
@@ -248,11 +295,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
       case 'general_question':
         // Route to query AI handler using ConversationManager
         {
-          let conversationManager = conversations.get(customerId);
-          if (!conversationManager) {
-            conversationManager = new ConversationManager(customerId);
-            conversations.set(customerId, conversationManager);
-          }
+          const conversationManager = await getConversationManager(customerId);
           result = await conversationManager.processMessage(trimmedMessage);
         }
         break;
@@ -261,11 +304,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
       default:
         // If unclear or low confidence, try ConversationManager for better understanding
         if (intent.confidence < 0.5) {
-          let conversationManager = conversations.get(customerId);
-          if (!conversationManager) {
-            conversationManager = new ConversationManager(customerId);
-            conversations.set(customerId, conversationManager);
-          }
+          const conversationManager = await getConversationManager(customerId);
           result = await conversationManager.processMessage(trimmedMessage);
         } else {
           result = {
@@ -294,6 +333,11 @@ router.post('/', authenticateByPhone, async (req, res) => {
     });
   } catch (error) {
     console.error('Message route error:', error);
+
+    if (error instanceof EbillsError) {
+      return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Failed to process message'));
+    }
+
     res.status(500).json({
       success: false,
       error: 'Failed to process message',
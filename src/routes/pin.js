@@ -1,19 +1,83 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
-const { authenticateByPhone } = require('../middleware/auth');
-const { updateCustomerPIN, getCustomerPINHash } = require('../services/database');
+const { authenticateToken } = require('../middleware/auth');
+const { updateCustomerPIN, getCustomerByPhone } = require('../services/database');
+const { verifyOtp } = require('../services/otp');
+const { revokeAllSessions } = require('../services/authTokens');
+const {
+  PIN_MAX_FAILED_ATTEMPTS,
+  verifyCustomerPIN,
+  unlockPin,
+  buildPinFailureResponse,
+  getPinStatus,
+  setSecurityQuestion,
+  verifySecurityAnswer,
+} = require('../services/pinSecurity');
+const { recordSecurityEvent } = require('../services/auditLog');
+const { normalizePhone } = require('../utils/networkDetector');
+const { validatePinStrength } = require('../utils/pinRules');
+
+// Shown for numbers without a security question, so the reset flow doesn't
+// reveal which numbers are registered or have a question set
+const DECOY_SECURITY_QUESTIONS = [
+  'What was the name of your first school?',
+  "What is your mother's maiden name?",
+  'What was the name of your first pet?',
+  'In which town were you born?',
+  'What is the name of your favourite teacher?',
+];
+
+// Compared against when there is no answer to check, so those replies take as long as real ones
+const DECOY_ANSWER_HASH = bcrypt.hashSync('decoy-security-answer', 10);
+
+/**
+ * Pick the same decoy question every time for a phone number
+ */
+function decoySecurityQuestion(phoneNumber) {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET || '';
+  const digest = crypto.createHmac('sha256', secret).update(phoneNumber).digest();
+  return DECOY_SECURITY_QUESTIONS[digest.readUInt32BE(0) % DECOY_SECURITY_QUESTIONS.length];
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PinLockState:
+ *       type: object
+ *       description: PIN brute-force lockout state, returned with every PIN check
+ *       properties:
+ *         locked:
+ *           type: boolean
+ *           example: false
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the current lockout ends (null when not locked)
+ *         attemptsRemaining:
+ *           type: integer
+ *           description: Wrong PINs allowed before the PIN is locked
+ *           example: 2
+ */
 
 /**
  * @swagger
  * /api/set-pin:
  *   post:
- *     summary: Set or update customer PIN
+ *     summary: Set the customer's first PIN
  *     description: |
- *       Set or update the PIN for a customer. The PIN will be hashed using bcrypt
- *       before being stored in the database.
+ *       Choose a PIN for a newly registered account. Only works while the account
+ *       still has its registration placeholder PIN; afterwards use /api/change-pin
+ *       (old PIN required) or /api/reset-pin (forgotten PIN).
+ *       Weak PINs are rejected: repeated digits (0000), sequences (1234, 4321),
+ *       year-like PINs (1990), very common PINs and the last 4 digits of your phone number.
  *     tags:
  *       - PIN Management
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -21,17 +85,12 @@ const { updateCustomerPIN, getCustomerPINHash } = require('../services/database'
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - pin
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               pin:
  *                 type: string
  *                 description: PIN to set (must be exactly 4 digits, will be hashed before storage)
- *                 example: "1234"
+ *                 example: "5831"
  *     responses:
  *       200:
  *         description: PIN set successfully
@@ -47,15 +106,17 @@ const { updateCustomerPIN, getCustomerPINHash } = require('../services/database'
  *                   type: string
  *                   example: "PIN has been set successfully"
  *       400:
- *         description: Bad request - invalid PIN format or missing fields
+ *         description: Bad request - invalid or weak PIN
  *       401:
- *         description: Authentication failed - phone number required
+ *         description: Authentication failed - missing, invalid or expired access token
  *       404:
  *         description: Customer not found
+ *       409:
+ *         description: A PIN is already set - use /api/change-pin or /api/reset-pin
  *       500:
  *         description: Internal server error
  */
-router.post('/set-pin', authenticateByPhone, async (req, res) => {
+router.post('/set-pin', authenticateToken, async (req, res) => {
   try {
     const { pin } = req.body;
     const customerId = req.customerId;
@@ -68,22 +129,40 @@ router.post('/set-pin', authenticateByPhone, async (req, res) => {
       });
     }
 
-    // Validate PIN format (must be exactly 4 digits)
-    const cleanedPIN = pin.trim();
-    if (!/^\d{4}$/.test(cleanedPIN)) {
+    const pinStatus = await getPinStatus(customerId);
+    if (!pinStatus) {
+      return res.status(404).json({
+        success: false,
+        error: 'Customer not found',
+        message: 'Customer account not found',
+      });
+    }
+
+    if (pinStatus.pinSet) {
+      return res.status(409).json({
+        success: false,
+        error: 'PIN already set',
+        message: 'Your PIN is already set. Use /api/change-pin with your current PIN, or /api/reset-pin if you forgot it.',
+      });
+    }
+
+    // Validate PIN format and strength
+    const strength = validatePinStrength(pin, { phoneNumber: req.customer.phoneNumber });
+    if (!strength.valid) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid PIN format',
-        message: 'PIN must be exactly 4 digits',
+        error: strength.error,
+        message: strength.message,
       });
     }
 
     // Hash the PIN using bcrypt
     const saltRounds = 10;
-    const hashedPIN = await bcrypt.hash(cleanedPIN, saltRounds);
+    const hashedPIN = await bcrypt.hash(pin.trim(), saltRounds);
 
     // Update customer PIN in database
     await updateCustomerPIN(customerId, hashedPIN);
+    await recordSecurityEvent(customerId, 'pin_set', { ipAddress: req.ip });
 
     res.json({
       success: true,
@@ -101,13 +180,138 @@ router.post('/set-pin', authenticateByPhone, async (req, res) => {
 
 /**
  * @swagger
- * /api/verify-pin:
+ * /api/change-pin:
  *   post:
- *     summary: Verify customer PIN
+ *     summary: Change PIN (current PIN required)
  *     description: |
- *       Verify a customer's PIN by comparing it with the hashed PIN stored in the database.
+ *       Replace the current PIN with a new one. The current PIN is checked like any
+ *       other PIN entry, so wrong guesses count towards the PIN lockout.
+ *       The new PIN must pass the same strength rules as /api/set-pin and differ
+ *       from the current PIN.
  *     tags:
  *       - PIN Management
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - oldPin
+ *               - newPin
+ *             properties:
+ *               oldPin:
+ *                 type: string
+ *                 description: Current PIN
+ *                 example: "5831"
+ *               newPin:
+ *                 type: string
+ *                 description: New 4-digit PIN
+ *                 example: "7302"
+ *     responses:
+ *       200:
+ *         description: PIN changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "PIN has been changed successfully"
+ *       400:
+ *         description: Bad request - missing fields, or new PIN invalid, weak or unchanged
+ *       401:
+ *         description: Current PIN incorrect (includes pinLock)
+ *       404:
+ *         description: No PIN set yet - use /api/set-pin
+ *       423:
+ *         description: PIN locked after too many wrong attempts (includes pinLock)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/change-pin', authenticateToken, async (req, res) => {
+  try {
+    const { oldPin, newPin } = req.body;
+    const customerId = req.customerId;
+
+    if (!oldPin || typeof oldPin !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Current PIN is required',
+        message: 'Please provide your current PIN as oldPin',
+      });
+    }
+
+    const strength = validatePinStrength(newPin, { phoneNumber: req.customer.phoneNumber });
+    if (!strength.valid) {
+      return res.status(400).json({
+        success: false,
+        error: strength.error,
+        message: strength.message,
+      });
+    }
+
+    if (newPin.trim() === oldPin.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN unchanged',
+        message: 'Your new PIN must be different from your current PIN',
+      });
+    }
+
+    const result = await verifyCustomerPIN(customerId, oldPin, { source: 'change_pin', ipAddress: req.ip });
+
+    if (result.pinNotSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'PIN not found',
+        message: 'No PIN has been set for this account. Please set a PIN first with /api/set-pin.',
+      });
+    }
+
+    if (!result.verified) {
+      const failure = buildPinFailureResponse(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const saltRounds = 10;
+    const hashedPIN = await bcrypt.hash(newPin.trim(), saltRounds);
+    await updateCustomerPIN(customerId, hashedPIN);
+    await recordSecurityEvent(customerId, 'pin_changed', { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'PIN has been changed successfully',
+    });
+  } catch (error) {
+    console.error('Change PIN error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change PIN',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/security-question:
+ *   post:
+ *     summary: Set a security question for PIN reset
+ *     description: |
+ *       Set or replace the security question that can be answered instead of an OTP
+ *       when resetting a forgotten PIN. Requires the current PIN. Answers are stored
+ *       hashed and compared ignoring case and extra spaces.
+ *     tags:
+ *       - PIN Management
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -115,13 +319,461 @@ router.post('/set-pin', authenticateByPhone, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - pin
+ *               - question
+ *               - answer
+ *             properties:
+ *               pin:
+ *                 type: string
+ *                 description: Current PIN
+ *                 example: "5831"
+ *               question:
+ *                 type: string
+ *                 example: "What was the name of your first school?"
+ *               answer:
+ *                 type: string
+ *                 example: "Corona School"
+ *     responses:
+ *       200:
+ *         description: Security question saved
+ *       400:
+ *         description: Bad request - missing question, answer or PIN
+ *       401:
+ *         description: PIN incorrect (includes pinLock)
+ *       404:
+ *         description: No PIN set yet - use /api/set-pin
+ *       423:
+ *         description: PIN locked after too many wrong attempts (includes pinLock)
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/security-question', authenticateToken, async (req, res) => {
+  try {
+    const { pin, question, answer } = req.body;
+    const customerId = req.customerId;
+
+    if (!pin || typeof pin !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'PIN is required',
+        message: 'Please provide your current PIN',
+      });
+    }
+
+    if (!question || typeof question !== 'string' || question.trim().length < 5) {
+      return res.status(400).json({
+        success: false,
+        error: 'Question is required',
+        message: 'Please provide a security question',
+      });
+    }
+
+    if (!answer || typeof answer !== 'string' || answer.trim().length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Answer is required',
+        message: 'Please provide an answer of at least 2 characters',
+      });
+    }
+
+    const result = await verifyCustomerPIN(customerId, pin, { source: 'security_question', ipAddress: req.ip });
+
+    if (result.pinNotSet) {
+      return res.status(404).json({
+        success: false,
+        error: 'PIN not found',
+        message: 'No PIN has been set for this account. Please set a PIN first with /api/set-pin.',
+      });
+    }
+
+    if (!result.verified) {
+      const failure = buildPinFailureResponse(result);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    await setSecurityQuestion(customerId, question, answer);
+    await recordSecurityEvent(customerId, 'security_question_set', { ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: 'Security question saved',
+    });
+  } catch (error) {
+    console.error('Set security question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save security question',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reset-pin/security-question:
+ *   post:
+ *     summary: Get the security question for a PIN reset
+ *     description: |
+ *       Returns the security question to show before resetting a forgotten PIN with
+ *       securityAnswer. Every well-formed phone number gets a question, so the response
+ *       doesn't reveal whether the number is registered or has a question set; without
+ *       a real question no answer is accepted and the customer must reset with an OTP.
+ *     tags:
+ *       - PIN Management
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
  *             properties:
  *               phoneNumber:
  *                 type: string
- *                 description: Customer phone number for authentication
  *                 example: "+2348012345678"
+ *     responses:
+ *       200:
+ *         description: Security question
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     question:
+ *                       type: string
+ *                       example: "What was the name of your first school?"
+ *       400:
+ *         description: Bad request - phone number missing
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-pin/security-question', async (req, res) => {
+  try {
+    const { phoneNumber } = req.body;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        message: 'Please provide your registered phone number',
+      });
+    }
+
+    const normalizedPhone = normalizePhone(phoneNumber) || phoneNumber.trim().replace(/\s+/g, '');
+    const customer = await getCustomerByPhone(normalizedPhone);
+    const pinStatus = customer ? await getPinStatus(customer.id) : null;
+
+    res.json({
+      success: true,
+      data: {
+        question: pinStatus?.securityQuestion || decoySecurityQuestion(normalizedPhone),
+      },
+    });
+  } catch (error) {
+    console.error('Get security question error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get security question',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/reset-pin:
+ *   post:
+ *     summary: Reset a forgotten PIN
+ *     description: |
+ *       Reset the PIN for a customer who cannot log in. Prove ownership with either:
+ *       - otp: a code sent by POST /api/auth/otp/request with purpose "pin_reset", or
+ *       - securityAnswer: the answer to the question from POST /api/reset-pin/security-question
+ *
+ *       The new PIN must pass the /api/set-pin strength rules. Any PIN lockout is
+ *       cleared, and all existing sessions are revoked after the reset, so every
+ *       device must log in again.
+ *     tags:
+ *       - PIN Management
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - newPin
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               otp:
+ *                 type: string
+ *                 description: PIN reset code sent by SMS (required unless securityAnswer is provided)
+ *                 example: "482913"
+ *               securityAnswer:
+ *                 type: string
+ *                 description: Answer to the customer's security question (alternative to otp)
+ *                 example: "Corona School"
+ *               newPin:
+ *                 type: string
+ *                 description: New 4-digit PIN
+ *                 example: "5831"
+ *     responses:
+ *       200:
+ *         description: PIN reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "PIN has been reset successfully. Please log in again."
+ *       400:
+ *         description: Bad request - missing fields, or new PIN invalid or weak
+ *       401:
+ *         description: OTP or security answer invalid
+ *       429:
+ *         description: Too many wrong security answers - try later or use an OTP
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/reset-pin', async (req, res) => {
+  try {
+    const { phoneNumber, otp, securityAnswer, newPin } = req.body;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        message: 'Please provide your registered phone number',
+      });
+    }
+
+    const useOtp = typeof otp === 'string' && otp.trim().length > 0;
+    const useSecurityAnswer = !useOtp && typeof securityAnswer === 'string' && securityAnswer.trim().length > 0;
+
+    if (!useOtp && !useSecurityAnswer) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification is required',
+        message: 'Please provide the code sent by SMS (POST /api/auth/otp/request) or the answer to your security question',
+      });
+    }
+
+    const normalizedPhone = normalizePhone(phoneNumber) || phoneNumber.trim().replace(/\s+/g, '');
+
+    const strength = validatePinStrength(newPin, { phoneNumber: normalizedPhone });
+    if (!strength.valid) {
+      return res.status(400).json({
+        success: false,
+        error: strength.error,
+        message: strength.message,
+      });
+    }
+
+    const customer = await getCustomerByPhone(normalizedPhone);
+
+    if (useOtp) {
+      const otpResult = customer ? await verifyOtp(normalizedPhone, 'pin_reset', otp) : null;
+
+      if (!otpResult || !otpResult.valid) {
+        return res.status(401).json({
+          success: false,
+          error: otpResult ? otpResult.error : 'Invalid OTP',
+          message: otpResult ? otpResult.message : 'The code you entered is incorrect',
+        });
+      }
+    } else {
+      const answerResult = customer
+        ? await verifySecurityAnswer(customer.id, securityAnswer, { ipAddress: req.ip })
+        : { verified: false, notConfigured: true };
+
+      if (answerResult.notConfigured) {
+        await bcrypt.compare(securityAnswer, DECOY_ANSWER_HASH);
+      }
+
+      if (answerResult.rateLimited) {
+        return res.status(429).json({
+          success: false,
+          error: 'Too many attempts',
+          message: 'Too many incorrect answers. Please try again later, or reset your PIN with a code sent by SMS.',
+        });
+      }
+
+      if (!answerResult.verified) {
+        // Also the answer when no question is set, so the number's state stays hidden
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid security answer',
+          message: 'The answer you entered is incorrect',
+        });
+      }
+    }
+
+    const saltRounds = 10;
+    const hashedPIN = await bcrypt.hash(newPin.trim(), saltRounds);
+    await updateCustomerPIN(customer.id, hashedPIN);
+    await unlockPin(customer.id, { reason: 'pin_reset', ipAddress: req.ip });
+    await recordSecurityEvent(customer.id, 'pin_reset', {
+      ipAddress: req.ip,
+      metadata: { method: useOtp ? 'otp' : 'security_question' },
+    });
+
+    // Whoever held the old PIN may still have a session
+    await revokeAllSessions(customer.id);
+
+    res.json({
+      success: true,
+      message: 'PIN has been reset successfully. Please log in again.',
+    });
+  } catch (error) {
+    console.error('Reset PIN error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reset PIN',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/unlock-pin:
+ *   post:
+ *     summary: Unlock a locked PIN with an OTP
+ *     description: |
+ *       Clears a PIN lockout caused by too many wrong PINs, without changing the PIN.
+ *       Requires a code sent by POST /api/auth/otp/request with purpose "pin_unlock".
+ *       Lockouts also end on their own once lockedUntil has passed.
+ *     tags:
+ *       - PIN Management
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phoneNumber
+ *               - otp
+ *             properties:
+ *               phoneNumber:
+ *                 type: string
+ *                 example: "+2348012345678"
+ *               otp:
+ *                 type: string
+ *                 description: PIN unlock code sent by SMS
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: PIN unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Your PIN has been unlocked"
+ *                 pinLock:
+ *                   $ref: '#/components/schemas/PinLockState'
+ *       400:
+ *         description: Bad request - missing fields
+ *       401:
+ *         description: OTP invalid, expired or already used
+ *       500:
+ *         description: Internal server error
+ */
+router.post('/unlock-pin', async (req, res) => {
+  try {
+    const { phoneNumber, otp } = req.body;
+
+    if (!phoneNumber || typeof phoneNumber !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        message: 'Please provide your registered phone number',
+      });
+    }
+
+    if (!otp || typeof otp !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'OTP is required',
+        message: 'Please provide the code sent by SMS (POST /api/auth/otp/request)',
+      });
+    }
+
+    const normalizedPhone = normalizePhone(phoneNumber) || phoneNumber.trim().replace(/\s+/g, '');
+    const customer = await getCustomerByPhone(normalizedPhone);
+    const otpResult = customer ? await verifyOtp(normalizedPhone, 'pin_unlock', otp) : null;
+
+    if (!otpResult || !otpResult.valid) {
+      return res.status(401).json({
+        success: false,
+        error: otpResult ? otpResult.error : 'Invalid OTP',
+        message: otpResult ? otpResult.message : 'The code you entered is incorrect',
+      });
+    }
+
+    const wasLocked = await unlockPin(customer.id, { reason: 'otp', ipAddress: req.ip });
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Your PIN has been unlocked' : 'Your PIN is not locked',
+      pinLock: {
+        locked: false,
+        lockedUntil: null,
+        attemptsRemaining: PIN_MAX_FAILED_ATTEMPTS,
+      },
+    });
+  } catch (error) {
+    console.error('Unlock PIN error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unlock PIN',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/verify-pin:
+ *   post:
+ *     summary: Verify customer PIN
+ *     description: |
+ *       Verify a customer's PIN by comparing it with the hashed PIN stored in the database.
+ *       Wrong PINs are counted; after too many the PIN is locked for a period that grows
+ *       with each lockout (see POST /api/unlock-pin).
+ *     tags:
+ *       - PIN Management
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pin
+ *             properties:
  *               pin:
  *                 type: string
  *                 description: PIN to verify
@@ -144,16 +796,20 @@ router.post('/set-pin', authenticateByPhone, async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "PIN verified successfully"
+ *                 pinLock:
+ *                   $ref: '#/components/schemas/PinLockState'
  *       400:
  *         description: Bad request - PIN is required
  *       401:
- *         description: Authentication failed - phone number required or PIN incorrect
+ *         description: Authentication failed - invalid access token or PIN incorrect (includes pinLock)
+ *       423:
+ *         description: PIN locked after too many wrong attempts (includes pinLock)
  *       404:
  *         description: Customer not found
  *       500:
  *         description: Internal server error
  */
-router.post('/verify-pin', authenticateByPhone, async (req, res) => {
+router.post('/verify-pin', authenticateToken, async (req, res) => {
   try {
     const { pin } = req.body;
     const customerId = req.customerId;
@@ -166,10 +822,10 @@ router.post('/verify-pin', authenticateByPhone, async (req, res) => {
       });
     }
 
-    // Get hashed PIN from database
-    const hashedPIN = await getCustomerPINHash(customerId);
+    // Verify the PIN (counts failures and enforces lockout)
+    const result = await verifyCustomerPIN(customerId, pin, { source: 'verify_pin', ipAddress: req.ip });
 
-    if (!hashedPIN) {
+    if (result.pinNotSet) {
       return res.status(404).json({
         success: false,
         error: 'PIN not found',
@@ -177,16 +833,11 @@ router.post('/verify-pin', authenticateByPhone, async (req, res) => {
       });
     }
 
-    // Verify the PIN
-    const cleanedPIN = pin.trim();
-    const isVerified = await bcrypt.compare(cleanedPIN, hashedPIN);
-
-    if (!isVerified) {
-      return res.status(401).json({
-        success: false,
+    if (!result.verified) {
+      const failure = buildPinFailureResponse(result);
+      return res.status(failure.status).json({
+        ...failure.body,
         verified: false,
-        error: 'Invalid PIN',
-        message: 'The PIN you entered is incorrect',
       });
     }
 
@@ -194,6 +845,7 @@ router.post('/verify-pin', authenticateByPhone, async (req, res) => {
       success: true,
       verified: true,
       message: 'PIN verified successfully',
+      pinLock: result.lock,
     });
   } catch (error) {
     console.error('Verify PIN error:', error);
@@ -1,12 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
-const ConversationManager = require('../services/conversationManager');
+const { authenticateToken } = require('../middleware/auth');
+const { getConversationManager } = require('../services/conversationStore');
 const { formatResponse } = require('../utils/ssmlFormatter');
 
-// Store active conversations (in production, use Redis or similar)
-const conversations = new Map();
-
 /**
  * @swagger
  * /api/query-ai:
@@ -14,7 +11,7 @@ const conversations = new Map();
  *     summary: Query AI assistant with natural language (Transaction-focused)
  *     description: |
  *       Ask any question about your transactions, balances, transfers, or beneficiaries.
- *       All queries are automatically scoped to your account based on your phone number.
+ *       All queries are automatically scoped to the account that owns the access token.
  *       
  *       Examples:
  *       - "What's my last transaction?"
@@ -23,6 +20,8 @@ const conversations = new Map();
  *       - "What's my account balance?"
  *     tags:
  *       - AI Query
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -30,13 +29,8 @@ const conversations = new Map();
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - message
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               message:
  *                 type: string
  *                 description: Natural language question or request
@@ -56,30 +50,22 @@ const conversations = new Map();
  *                   type: string
  *                   description: AI assistant's response
  *                   example: "Your last transaction was a debit of ₦5,000 to John Doe on 12/25/2024. Status: success"
+ *                 transactionId:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Pending transaction ID when action is verify_pin. Complete it with POST /api/verify-transaction.
+ *                   example: null
  *                 action:
  *                   type: string
  *                   nullable: true
- *                   description: Action type if applicable (e.g., 'confirm_transfer', 'select_beneficiary')
+ *                   description: Action type if applicable (e.g., 'confirm_transfer', 'select_beneficiary', 'verify_pin')
  *                   example: null
  *                 data:
  *                   type: object
  *                   nullable: true
  *                   description: Additional data if applicable
  *       401:
- *         description: Authentication failed - phone number required
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: "Phone number is required for authentication"
- *       404:
- *         description: Customer not found
+ *         description: Authentication failed - missing, invalid or expired access token
  *         content:
  *           application/json:
  *             schema:
@@ -90,7 +76,7 @@ const conversations = new Map();
  *                   example: false
  *                 error:
  *                   type: string
- *                   example: "Customer not found"
+ *                   example: "Access token is required"
  *       500:
  *         description: Internal server error
  *         content:
@@ -105,7 +91,7 @@ const conversations = new Map();
  *                   type: string
  *                   example: "Failed to process message"
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
     const { message } = req.body;
     const customerId = req.customerId;
@@ -119,12 +105,8 @@ router.post('/', authenticateByPhone, async (req, res) => {
       });
     }
 
-    // Get or create conversation manager for this customer
-    let conversationManager = conversations.get(customerId);
-    if (!conversationManager) {
-      conversationManager = new ConversationManager(customerId);
-      conversations.set(customerId, conversationManager);
-    }
+    // Load the customer's conversation (shared with /api/message and /api/chat)
+    const conversationManager = await getConversationManager(customerId);
 
     // Process the message (automatically scoped to authenticated customer)
     const result = await conversationManager.processMessage(message.trim());
@@ -136,10 +118,14 @@ router.post('/', authenticateByPhone, async (req, res) => {
       emphasizeImportant: true 
     });
 
-    // Return only success and response
+    // Transfers confirmed in the conversation still need PIN verification,
+    // so pass the transaction ID and action through to the client
     res.json({
       success: true,
       response: ssmlResponse,
+      transactionId: result.transactionId || null,
+      action: result.action || null,
+      data: result.data || null,
     });
   } catch (error) {
     console.error('Query AI route error:', error);
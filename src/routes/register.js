@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { generateAccountNumber, createCustomer, getCustomerByPhone } = require('../services/database');
+const { verifyOtp } = require('../services/otp');
+const { createSession } = require('../services/authTokens');
 
 /**
  * @swagger
@@ -10,8 +13,11 @@ const { generateAccountNumber, createCustomer, getCustomerByPhone } = require('.
  *     summary: Register a new customer account
  *     description: |
  *       Register a new customer account with phone number and name.
+ *       The phone number must first be verified: request a code with
+ *       POST /api/auth/otp/request (purpose "registration") and send it as otp.
  *       The system will automatically generate a unique 10-digit account number.
- *       After registration, use the /api/set-pin endpoint to set your PIN.
+ *       The response includes session tokens (data.auth); use the access token to
+ *       choose a PIN with /api/set-pin. PIN-protected actions are unavailable until then.
  *     tags:
  *       - Registration
  *     requestBody:
@@ -23,11 +29,16 @@ const { generateAccountNumber, createCustomer, getCustomerByPhone } = require('.
  *             required:
  *               - phoneNumber
  *               - customerName
+ *               - otp
  *             properties:
  *               phoneNumber:
  *                 type: string
  *                 description: Customer phone number (must be unique)
  *                 example: "+2348012345678"
+ *               otp:
+ *                 type: string
+ *                 description: Registration code sent by SMS to phoneNumber
+ *                 example: "482913"
  *               customerName:
  *                 type: string
  *                 description: Customer full name
@@ -88,8 +99,12 @@ const { generateAccountNumber, createCustomer, getCustomerByPhone } = require('.
  *                         bankName:
  *                           type: string
  *                           nullable: true
+ *                     auth:
+ *                       $ref: '#/components/schemas/AuthTokens'
  *       400:
  *         description: Bad request - invalid input or missing required fields
+ *       401:
+ *         description: OTP invalid, expired or already used
  *       409:
  *         description: Conflict - phone number already exists
  *       500:
@@ -97,7 +112,7 @@ const { generateAccountNumber, createCustomer, getCustomerByPhone } = require('.
  */
 router.post('/register-account', async (req, res) => {
   try {
-    const { phoneNumber, customerName, bankName } = req.body;
+    const { phoneNumber, customerName, bankName, otp } = req.body;
 
     // Validate required fields
     if (!phoneNumber || typeof phoneNumber !== 'string') {
@@ -116,6 +131,14 @@ router.post('/register-account', async (req, res) => {
       });
     }
 
+    if (!otp || typeof otp !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'OTP is required',
+        message: 'Please verify your phone number with the code sent by SMS (POST /api/auth/otp/request)',
+      });
+    }
+
     // Normalize phone number using enhanced normalization
     // Store in normalized format (07016409616) for consistency
     const { normalizePhone } = require('../utils/networkDetector');
@@ -139,13 +162,24 @@ router.post('/register-account', async (req, res) => {
       });
     }
 
+    // Prove the caller owns the phone number
+    const otpResult = await verifyOtp(normalizedPhone, 'registration', otp);
+    if (!otpResult.valid) {
+      return res.status(401).json({
+        success: false,
+        error: otpResult.error,
+        message: otpResult.message,
+      });
+    }
+
     // Generate unique 10-digit account number
     const accountNumber = await generateAccountNumber();
 
-    // Set default PIN (user must change it using /api/set-pin endpoint)
-    const defaultPIN = '0000';
+    // Unguessable placeholder PIN; it never verifies until the customer
+    // chooses their own with /api/set-pin
+    const placeholderPIN = crypto.randomBytes(16).toString('hex');
     const saltRounds = 10;
-    const hashedPIN = await bcrypt.hash(defaultPIN, saltRounds);
+    const hashedPIN = await bcrypt.hash(placeholderPIN, saltRounds);
 
     // Create customer account
     const customer = await createCustomer(
@@ -153,9 +187,16 @@ router.post('/register-account', async (req, res) => {
       normalizedPhone,
       accountNumber,
       hashedPIN,
-      bankName ? bankName.trim() : null
+      bankName ? bankName.trim() : null,
+      true
     );
 
+    // Phone ownership is proven, so start a session straight away
+    const tokens = await createSession(customer.id, {
+      userAgent: req.headers['user-agent'],
+      ipAddress: req.ip,
+    });
+
     res.status(201).json({
       success: true,
       message: 'Account registered successfully',
@@ -167,6 +208,7 @@ router.post('/register-account', async (req, res) => {
         bankName: customer.bankName,
         createdAt: customer.createdAt,
         account: customer.account,
+        auth: tokens,
       },
     });
   } catch (error) {
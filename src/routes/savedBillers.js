@@ -0,0 +1,375 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BILLER_TYPES,
+  validateSavedBiller,
+  listSavedBillers,
+  getSavedBiller,
+  createSavedBiller,
+  updateSavedBiller,
+  deleteSavedBiller,
+} = require('../services/savedBillers');
+
+const DUPLICATE_NICKNAME = 'A saved biller with this nickname already exists';
+
+function invalidIdResponse(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid ID',
+    message: 'Saved biller ID must be a number',
+  });
+}
+
+function notFoundResponse(res) {
+  return res.status(404).json({
+    success: false,
+    error: 'Saved biller not found',
+    message: 'No saved biller with this ID was found on your account',
+  });
+}
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SavedBiller:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         nickname:
+ *           type: string
+ *           example: Mum's line
+ *         type:
+ *           type: string
+ *           enum: [phone, meter, smartcard, betting]
+ *         identifier:
+ *           type: string
+ *           description: Phone number, meter number, smartcard/IUC number or betting customer ID
+ *           example: "08031234567"
+ *         provider:
+ *           type: string
+ *           nullable: true
+ *           description: eBills service ID (electricity company, cable provider or betting platform); null for phone numbers
+ *           example: ikeja-electric
+ *         meterType:
+ *           type: string
+ *           nullable: true
+ *           enum: [prepaid, postpaid]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *     SavedBillerInput:
+ *       type: object
+ *       required:
+ *         - nickname
+ *         - type
+ *         - identifier
+ *       properties:
+ *         nickname:
+ *           type: string
+ *           maxLength: 40
+ *           example: Shop meter
+ *         type:
+ *           type: string
+ *           enum: [phone, meter, smartcard, betting]
+ *         identifier:
+ *           type: string
+ *           example: "45012345678"
+ *         provider:
+ *           type: string
+ *           description: |
+ *             Required for meters (e.g. ikeja-electric), smartcards (dstv, gotv, startimes)
+ *             and betting accounts (e.g. Bet9ja)
+ *           example: abuja-electric
+ *         meterType:
+ *           type: string
+ *           enum: [prepaid, postpaid]
+ *           description: Meters only (default prepaid)
+ */
+
+/**
+ * @swagger
+ * /api/saved-billers:
+ *   get:
+ *     summary: List saved billers
+ *     description: |
+ *       Returns the phone numbers, meters, smartcards and betting accounts the customer
+ *       saved under a nickname. Purchases can name a nickname instead of the number,
+ *       e.g. "buy 500 airtime for mum" or "pay 5000 for the shop meter".
+ *     tags:
+ *       - Saved Billers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [phone, meter, smartcard, betting]
+ *     responses:
+ *       200:
+ *         description: Saved billers, by nickname
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedBiller'
+ *       400:
+ *         description: Invalid type
+ *       401:
+ *         description: Authentication failed
+ */
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type !== undefined && !BILLER_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type',
+        message: `type must be one of: ${BILLER_TYPES.join(', ')}`,
+      });
+    }
+
+    const billers = await listSavedBillers(req.customerId, { type });
+
+    res.json({
+      success: true,
+      data: billers,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list saved billers',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-billers:
+ *   post:
+ *     summary: Save a biller under a nickname
+ *     description: Nicknames must differ between billers of the same type.
+ *     tags:
+ *       - Saved Billers
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedBillerInput'
+ *     responses:
+ *       201:
+ *         description: Biller saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SavedBiller'
+ *       400:
+ *         description: Invalid nickname, type, identifier, provider or meter type
+ *       401:
+ *         description: Authentication failed
+ *       409:
+ *         description: Nickname already used for a biller of this type
+ */
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validation = validateSavedBiller(req.body || {});
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        message: validation.message,
+      });
+    }
+
+    const biller = await createSavedBiller(req.customerId, validation.biller);
+
+    res.status(201).json({
+      success: true,
+      data: biller,
+    });
+  } catch (error) {
+    if (error.message === DUPLICATE_NICKNAME) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nickname already used',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save biller',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-billers/{id}:
+ *   put:
+ *     summary: Update a saved biller
+ *     description: Fields left out keep their current values.
+ *     tags:
+ *       - Saved Billers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SavedBillerInput'
+ *     responses:
+ *       200:
+ *         description: Biller updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/SavedBiller'
+ *       400:
+ *         description: Invalid ID, nickname, type, identifier, provider or meter type
+ *       401:
+ *         description: Authentication failed
+ *       404:
+ *         description: No such saved biller on this account
+ *       409:
+ *         description: Nickname already used for a biller of this type
+ */
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return invalidIdResponse(res);
+    }
+
+    const existing = await getSavedBiller(req.customerId, req.params.id);
+    if (!existing) {
+      return notFoundResponse(res);
+    }
+
+    const { nickname, type, identifier, provider, meterType } = req.body || {};
+    const validation = validateSavedBiller({
+      nickname: nickname ?? existing.nickname,
+      type: type ?? existing.type,
+      identifier: identifier ?? existing.identifier,
+      provider: provider ?? existing.provider,
+      meterType: meterType ?? existing.meterType,
+    });
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.error,
+        message: validation.message,
+      });
+    }
+
+    const biller = await updateSavedBiller(req.customerId, req.params.id, validation.biller);
+    if (!biller) {
+      return notFoundResponse(res);
+    }
+
+    res.json({
+      success: true,
+      data: biller,
+    });
+  } catch (error) {
+    if (error.message === DUPLICATE_NICKNAME) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nickname already used',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update saved biller',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/saved-billers/{id}:
+ *   delete:
+ *     summary: Delete a saved biller
+ *     tags:
+ *       - Saved Billers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Biller deleted
+ *       400:
+ *         description: Invalid ID
+ *       401:
+ *         description: Authentication failed
+ *       404:
+ *         description: No such saved biller on this account
+ */
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return invalidIdResponse(res);
+    }
+
+    if (!await deleteSavedBiller(req.customerId, req.params.id)) {
+      return notFoundResponse(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Saved biller deleted',
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete saved biller',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,164 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
+const { reportTransactionProblem, getCustomerCases } = require('../services/accountHistory');
+
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+/**
+ * @swagger
+ * /api/transactions/{reference}/report:
+ *   post:
+ *     summary: Report a problem with a transaction
+ *     description: |
+ *       Opens a support case for one of the authenticated customer's transactions
+ *       (e.g. money debited but airtime not received). If the transaction already
+ *       has a case from an automatic failure record, that case is marked reported.
+ *       A resolved case can be reported again.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reference
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transaction reference
+ *         example: AIR1712345678901ABC123XYZ
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - description
+ *             properties:
+ *               description:
+ *                 type: string
+ *                 maxLength: 1000
+ *                 description: What went wrong
+ *                 example: "I was debited but the airtime never arrived"
+ *     responses:
+ *       201:
+ *         description: Problem reported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 response:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   description: The support case
+ *       400:
+ *         description: Missing or too long description
+ *       401:
+ *         description: Authentication failed
+ *       404:
+ *         description: Transaction not found for this customer
+ *       409:
+ *         description: The transaction is already being reviewed
+ */
+router.post('/:reference/report', authenticateToken, async (req, res) => {
+  try {
+    const { description } = req.body || {};
+
+    if (!description || typeof description !== 'string' || description.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Description is required',
+        message: 'Please describe the problem with this transaction',
+      });
+    }
+
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: 'Description too long',
+        message: `Please keep the description under ${MAX_DESCRIPTION_LENGTH} characters`,
+      });
+    }
+
+    const reportedCase = await reportTransactionProblem(req.customerId, req.params.reference, description.trim());
+
+    res.status(201).json({
+      success: true,
+      response: `Thanks, we've logged your report for transaction ${req.params.reference}. Our support team will follow up.`,
+      data: reportedCase,
+    });
+  } catch (error) {
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found',
+        message: 'No transaction with this reference was found on your account',
+      });
+    }
+
+    if (error.message === 'This transaction is already being reviewed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Already reported',
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to report problem',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transactions/reports:
+ *   get:
+ *     summary: List reported and failed transactions
+ *     description: Returns the authenticated customer's support cases (automatic failure records and reports), newest first.
+ *     tags:
+ *       - Transactions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cases
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Authentication failed
+ */
+router.get('/reports', authenticateToken, async (req, res) => {
+  try {
+    const cases = await getCustomerCases(req.customerId);
+
+    res.json({
+      success: true,
+      data: cases,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get reports',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,15 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
+const { authenticateToken } = require('../middleware/auth');
 const { getAccountBalance, searchBeneficiaries } = require('../services/database');
 const { extractIntentWithGemini } = require('../services/llm');
-const { createPendingTransaction, pendingTransactions } = require('../services/pendingTransactions');
+const {
+  createPendingTransaction,
+  findActivePendingTransaction,
+  transitionPendingTransaction,
+} = require('../services/pendingTransactions');
 const { verifyAccount } = require('../services/bankVerification');
+const { compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * @swagger
@@ -27,6 +32,8 @@ const { verifyAccount } = require('../services/bankVerification');
  *       6. Execute transfer once confirmed
  *     tags:
  *       - Transfer
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -34,13 +41,8 @@ const { verifyAccount } = require('../services/bankVerification');
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - message
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               message:
  *                 type: string
  *                 description: Natural language transfer request (can include name or account number)
@@ -72,7 +74,7 @@ const { verifyAccount } = require('../services/bankVerification');
  *       401:
  *         description: Authentication failed or invalid PIN
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, async (req, res) => {
   try {
     const { message } = req.body;
     const customerId = req.customerId;
@@ -96,12 +98,10 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // Check if there's a pending transaction for this customer
-    const pendingTransaction = Array.from(pendingTransactions.values()).find(
-      t => t.customerId === customerId && t.type === 'transfer' && (t.status === 'beneficiary_selection' || t.status === 'account_selection')
-    );
+    const pendingTransaction = await findActivePendingTransaction(customerId, 'transfer', 'awaiting_selection');
 
     // If there's a pending account selection, handle it first
-    if (pendingTransaction && pendingTransaction.status === 'account_selection') {
+    if (pendingTransaction && pendingTransaction.selection === 'account') {
       const selectionResult = await handleAccountSelection(trimmedMessage, pendingTransaction);
       if (selectionResult) {
         return res.json({
@@ -117,7 +117,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // If there's a pending beneficiary selection, handle selection
-    if (pendingTransaction && pendingTransaction.status === 'beneficiary_selection') {
+    if (pendingTransaction && pendingTransaction.selection === 'beneficiary') {
       // Validate that the selection message makes sense
       if (!isValidSelectionMessage(trimmedMessage, pendingTransaction)) {
         return res.json({
@@ -161,6 +161,12 @@ router.post('/', authenticateByPhone, async (req, res) => {
   }
 });
 
+// Returned when a pending transaction expired (or was superseded) mid-conversation
+const TRANSACTION_EXPIRED_RESULT = {
+  response: 'This transfer has expired. Please start the transfer again.',
+  action: null,
+};
+
 /**
  * Process transfer request - extract amount and recipient name
  */
@@ -170,7 +176,7 @@ async function processTransferRequest(message, customerId) {
 
   // Extract amount from message
   const amountMatch = message.match(/(\d+(?:,\d{3})*(?:\.\d{2})?)/);
-  const amount = amountMatch ? parseFloat(amountMatch[1].replace(/,/g, '')) : null;
+  const amount = amountMatch ? moneyToNumber(amountMatch[1]) : null;
 
   if (!amount) {
     return {
@@ -249,7 +255,7 @@ async function processTransferRequest(message, customerId) {
   // If customer has multiple accounts, ask them to select which account to use
   if (accounts.length > 1) {
     // Check if any account has sufficient balance
-    const accountsWithBalance = accounts.filter(acc => acc.balance >= amount);
+    const accountsWithBalance = accounts.filter(acc => compareMoney(acc.balance, amount) >= 0);
     if (accountsWithBalance.length === 0) {
       return {
         response: 'You do not have sufficient balance in any account to make this transfer. Please top up.',
@@ -259,15 +265,16 @@ async function processTransferRequest(message, customerId) {
 
     // Create pending transaction for account selection
     const accountEndings = accounts.map(acc => acc.accountNumber.slice(-4)).join(', ');
-    const transactionId = createPendingTransaction({
+    const transactionId = await createPendingTransaction({
       type: 'transfer',
       customerId: customerId,
+      status: 'awaiting_selection',
       data: {
         accounts: accounts,
         amount: amount,
         recipientName: recipientName,
         accountNumber: accountNumber,
-        status: 'account_selection',
+        selection: 'account',
       },
     });
 
@@ -280,7 +287,7 @@ async function processTransferRequest(message, customerId) {
 
   // Single account - proceed with that account
   const account = accounts[0];
-  if (account.balance < amount) {
+  if (compareMoney(account.balance, amount) < 0) {
     // Generate AI response (10-12 words exactly)
     return {
       response: 'You do not have sufficient balance to make transfer. Please top up.',
@@ -294,9 +301,10 @@ async function processTransferRequest(message, customerId) {
       const accountDetails = await verifyAccount(accountNumber);
       
       // Create pending transaction with verified account details
-      const transactionId = createPendingTransaction({
+      const transactionId = await createPendingTransaction({
         type: 'transfer',
         customerId: customerId,
+        status: 'awaiting_pin',
         data: {
           beneficiary: {
             id: null,
@@ -309,12 +317,11 @@ async function processTransferRequest(message, customerId) {
           },
           amount: amount,
           accountId: account.id,
-          status: 'pending_pin',
         },
       });
 
       return {
-        response: `I verified account ${accountDetails.account_number} belongs to ${accountDetails.account_name} at ${accountDetails.bank_name}. Please verify your PIN to complete the transfer of ₦${amount.toLocaleString()}.`,
+        response: `I verified account ${accountDetails.account_number} belongs to ${accountDetails.account_name} at ${accountDetails.bank_name}. Please verify your PIN to complete the transfer of ${formatNaira(amount)}.`,
         transactionId: transactionId,
         action: 'verify_pin',
       };
@@ -339,19 +346,19 @@ async function processTransferRequest(message, customerId) {
 
   if (beneficiaries.length === 1) {
     // Single match - create pending transaction and ask for PIN verification
-    const transactionId = createPendingTransaction({
+    const transactionId = await createPendingTransaction({
       type: 'transfer',
       customerId: customerId,
+      status: 'awaiting_pin',
       data: {
         beneficiary: beneficiaries[0],
         amount: amount,
         accountId: account.id,
-        status: 'pending_pin',
       },
     });
 
     return {
-      response: `I found ${beneficiaries[0].name} with account ending in ${beneficiaries[0].last4Digits}. Please verify your PIN to complete the transfer of ₦${amount.toLocaleString()}.`,
+      response: `I found ${beneficiaries[0].name} with account ending in ${beneficiaries[0].last4Digits}. Please verify your PIN to complete the transfer of ${formatNaira(amount)}.`,
       transactionId: transactionId,
       action: 'verify_pin',
     };
@@ -359,15 +366,16 @@ async function processTransferRequest(message, customerId) {
 
   // Multiple matches - ask for confirmation
   const accountEndings = beneficiaries.map(b => b.last4Digits).join(', ');
-  const transactionId = createPendingTransaction({
+  const transactionId = await createPendingTransaction({
     type: 'transfer',
     customerId: customerId,
+    status: 'awaiting_selection',
     data: {
       beneficiaries: beneficiaries,
       amount: amount,
       accountId: account.id,
       recipientName: recipientName,
-      status: 'beneficiary_selection',
+      selection: 'beneficiary',
     },
   });
 
@@ -406,7 +414,7 @@ async function handleAccountSelection(message, pendingTransaction) {
         const selectedAccount = pendingTransaction.accounts[index];
         
         // Check balance
-        if (selectedAccount.balance < pendingTransaction.amount) {
+        if (compareMoney(selectedAccount.balance, pendingTransaction.amount) < 0) {
           const accountEndings = pendingTransaction.accounts.map(acc => acc.accountNumber.slice(-4)).join(', ');
           return {
             response: `Insufficient balance in account ending ${selectedAccount.accountNumber.slice(-4)}. Your accounts end with: ${accountEndings}`,
@@ -421,11 +429,7 @@ async function handleAccountSelection(message, pendingTransaction) {
         pendingTransaction.amount = pendingTransaction.amount || pendingTransaction.data?.amount;
         pendingTransaction.recipientName = pendingTransaction.recipientName || pendingTransaction.data?.recipientName;
         pendingTransaction.accountNumber = pendingTransaction.accountNumber || pendingTransaction.data?.accountNumber;
-        pendingTransaction.status = 'processing';
         delete pendingTransaction.accounts;
-        
-        // Update in Map
-        pendingTransactions.set(pendingTransaction.id, pendingTransaction);
 
         // Continue with transfer processing
         return await continueTransferAfterAccountSelection(pendingTransaction);
@@ -454,7 +458,7 @@ async function handleAccountSelection(message, pendingTransaction) {
   }
 
   // Check balance
-  if (selectedAccount.balance < pendingTransaction.amount) {
+  if (compareMoney(selectedAccount.balance, pendingTransaction.amount) < 0) {
     const accountEndings = pendingTransaction.accounts.map(acc => acc.accountNumber.slice(-4)).join(', ');
     return {
       response: `Insufficient balance in account ending ${accountEnding}. Your accounts end with: ${accountEndings}`,
@@ -469,11 +473,7 @@ async function handleAccountSelection(message, pendingTransaction) {
   pendingTransaction.amount = pendingTransaction.amount || pendingTransaction.data?.amount;
   pendingTransaction.recipientName = pendingTransaction.recipientName || pendingTransaction.data?.recipientName;
   pendingTransaction.accountNumber = pendingTransaction.accountNumber || pendingTransaction.data?.accountNumber;
-  pendingTransaction.status = 'processing';
   delete pendingTransaction.accounts;
-  
-  // Update in Map
-  pendingTransactions.set(pendingTransaction.id, pendingTransaction);
 
   // Continue with transfer processing
   return await continueTransferAfterAccountSelection(pendingTransaction);
@@ -495,6 +495,7 @@ async function continueTransferAfterAccountSelection(pendingTransaction) {
     if (normalized) {
       accountNumber = normalized;
     } else {
+      await transitionPendingTransaction(pendingTransaction, 'cancelled', { failureReason: 'Invalid account number' });
       return {
         response: `Invalid account number format: ${accountNumber}. Please provide a valid account number.`,
         action: null,
@@ -518,18 +519,20 @@ async function continueTransferAfterAccountSelection(pendingTransaction) {
         last4Digits: accountDetails.account_number.slice(-4),
         source: 'account_verification',
       };
-      pendingTransaction.status = 'pending_pin';
-      
-      // Update in Map
-      pendingTransactions.set(pendingTransaction.id, pendingTransaction);
+      delete pendingTransaction.selection;
+
+      if (!await transitionPendingTransaction(pendingTransaction, 'awaiting_pin')) {
+        return TRANSACTION_EXPIRED_RESULT;
+      }
 
       return {
-        response: `I verified account ${accountDetails.account_number} belongs to ${accountDetails.account_name} at ${accountDetails.bank_name}. Please verify your PIN to complete the transfer of ₦${amount.toLocaleString()}.`,
+        response: `I verified account ${accountDetails.account_number} belongs to ${accountDetails.account_name} at ${accountDetails.bank_name}. Please verify your PIN to complete the transfer of ${formatNaira(amount)}.`,
         transactionId: pendingTransaction.id,
         action: 'verify_pin',
       };
     } catch (error) {
       console.error('Account verification error:', error);
+      await transitionPendingTransaction(pendingTransaction, 'cancelled', { failureReason: 'Account verification failed' });
       return {
         response: `I couldn't verify account number ${accountNumber}. Please check the account number and try again.`,
         action: null,
@@ -542,6 +545,7 @@ async function continueTransferAfterAccountSelection(pendingTransaction) {
   const beneficiaries = await searchBeneficiaries(pendingTransaction.customerId, recipientName);
 
   if (beneficiaries.length === 0) {
+    await transitionPendingTransaction(pendingTransaction, 'cancelled', { failureReason: 'Beneficiary not found' });
     return {
       response: `We did not find that user "${recipientName}". Please verify the name or try using an account number instead.`,
       action: null,
@@ -551,13 +555,14 @@ async function continueTransferAfterAccountSelection(pendingTransaction) {
   if (beneficiaries.length === 1) {
     // Single match - update pending transaction and ask for PIN verification
     pendingTransaction.beneficiary = beneficiaries[0];
-    pendingTransaction.status = 'pending_pin';
-    
-    // Update in Map
-    pendingTransactions.set(pendingTransaction.id, pendingTransaction);
+    delete pendingTransaction.selection;
+
+    if (!await transitionPendingTransaction(pendingTransaction, 'awaiting_pin')) {
+      return TRANSACTION_EXPIRED_RESULT;
+    }
 
     return {
-      response: `I found ${beneficiaries[0].name} with account ending in ${beneficiaries[0].last4Digits}. Please verify your PIN to complete the transfer of ₦${amount.toLocaleString()}.`,
+      response: `I found ${beneficiaries[0].name} with account ending in ${beneficiaries[0].last4Digits}. Please verify your PIN to complete the transfer of ${formatNaira(amount)}.`,
       transactionId: pendingTransaction.id,
       action: 'verify_pin',
     };
@@ -566,10 +571,11 @@ async function continueTransferAfterAccountSelection(pendingTransaction) {
   // Multiple matches - ask for confirmation
   const accountEndings = beneficiaries.map(b => b.last4Digits).join(', ');
   pendingTransaction.beneficiaries = beneficiaries;
-  pendingTransaction.status = 'beneficiary_selection';
-  
-  // Update in Map
-  pendingTransactions.set(pendingTransaction.id, pendingTransaction);
+  pendingTransaction.selection = 'beneficiary';
+
+  if (!await transitionPendingTransaction(pendingTransaction, 'awaiting_selection')) {
+    return TRANSACTION_EXPIRED_RESULT;
+  }
 
   return {
     response: `I found ${beneficiaries.length} people named "${recipientName}". Please confirm which account ending: ${accountEndings}?`,
@@ -594,12 +600,16 @@ async function handleBeneficiarySelection(message, pendingTransaction) {
 
   // Update pending transaction to PIN verification stage
   pendingTransaction.beneficiary = selected;
-  pendingTransaction.status = 'pending_pin';
   delete pendingTransaction.beneficiaries;
   delete pendingTransaction.recipientName;
+  delete pendingTransaction.selection;
+
+  if (!await transitionPendingTransaction(pendingTransaction, 'awaiting_pin')) {
+    return TRANSACTION_EXPIRED_RESULT;
+  }
 
   return {
-    response: `You selected ${selected.name} with account ending in ${selected.last4Digits}. Please verify your PIN to complete the transfer of ₦${pendingTransaction.amount.toLocaleString()}.`,
+    response: `You selected ${selected.name} with account ending in ${selected.last4Digits}. Please verify your PIN to complete the transfer of ${formatNaira(pendingTransaction.amount)}.`,
     transactionId: pendingTransaction.id,
     action: 'verify_pin',
   };
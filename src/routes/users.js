@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { prisma } = require('../services/database');
+const { addMoney, moneyToNumber } = require('../utils/money');
 
 /**
  * @swagger
@@ -92,7 +93,7 @@ router.get('/', async (req, res) => {
       accounts: user.accounts.map(acc => ({
         id: Number(acc.id),
         accountNumber: acc.accountNumber,
-        balance: acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance),
+        balance: moneyToNumber(acc.balance),
         currency: acc.currency || 'NGN',
         bankName: acc.bankName,
         createdAt: acc.createdAt,
@@ -103,9 +104,9 @@ router.get('/', async (req, res) => {
         bankName: txn.bankName,
         bankAccount: txn.bankAccount,
         accountNumber: txn.accountNumber,
-        amount: txn.amount?.toNumber ? txn.amount.toNumber() : Number(txn.amount),
-        balanceBefore: txn.balanceBefore?.toNumber ? txn.balanceBefore.toNumber() : Number(txn.balanceBefore),
-        balanceAfter: txn.balanceAfter?.toNumber ? txn.balanceAfter.toNumber() : Number(txn.balanceAfter),
+        amount: moneyToNumber(txn.amount),
+        balanceBefore: moneyToNumber(txn.balanceBefore),
+        balanceAfter: moneyToNumber(txn.balanceAfter),
         transactionDate: txn.transactionDate,
         status: txn.status,
         transactionType: txn.transactionType,
@@ -119,9 +120,11 @@ router.get('/', async (req, res) => {
         phoneNumber: bp.phone_number,
         meterNumber: bp.meter_number,
         accountNumber: bp.account_number,
-        amount: bp.amount?.toNumber ? bp.amount.toNumber() : Number(bp.amount),
-        balanceBefore: bp.balance_before?.toNumber ? bp.balance_before.toNumber() : Number(bp.balance_before),
-        balanceAfter: bp.balance_after?.toNumber ? bp.balance_after.toNumber() : Number(bp.balance_after),
+        token: bp.token,
+        units: bp.units,
+        amount: moneyToNumber(bp.amount),
+        balanceBefore: moneyToNumber(bp.balance_before),
+        balanceAfter: moneyToNumber(bp.balance_after),
         paymentDate: bp.payment_date,
         status: bp.status,
         reference: bp.reference,
@@ -272,10 +275,7 @@ router.get('/:id', async (req, res) => {
     }
 
     // Calculate total balance across all accounts
-    const totalBalance = user.accounts.reduce((sum, acc) => {
-      const balance = acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance);
-      return sum + balance;
-    }, 0);
+    const totalBalance = moneyToNumber(addMoney(...user.accounts.map(acc => acc.balance)));
 
     // Convert BigInt IDs and Decimal values to numbers
     const formattedUser = {
@@ -293,7 +293,7 @@ router.get('/:id', async (req, res) => {
       accounts: user.accounts.map(acc => ({
         id: Number(acc.id),
         accountNumber: acc.accountNumber,
-        balance: acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance),
+        balance: moneyToNumber(acc.balance),
         currency: acc.currency || 'NGN',
         bankName: acc.bankName,
         createdAt: acc.createdAt,
@@ -304,9 +304,9 @@ router.get('/:id', async (req, res) => {
         bankName: txn.bankName,
         bankAccount: txn.bankAccount,
         accountNumber: txn.accountNumber,
-        amount: txn.amount?.toNumber ? txn.amount.toNumber() : Number(txn.amount),
-        balanceBefore: txn.balanceBefore?.toNumber ? txn.balanceBefore.toNumber() : Number(txn.balanceBefore),
-        balanceAfter: txn.balanceAfter?.toNumber ? txn.balanceAfter.toNumber() : Number(txn.balanceAfter),
+        amount: moneyToNumber(txn.amount),
+        balanceBefore: moneyToNumber(txn.balanceBefore),
+        balanceAfter: moneyToNumber(txn.balanceAfter),
         transactionDate: txn.transactionDate,
         status: txn.status,
         transactionType: txn.transactionType,
@@ -320,9 +320,11 @@ router.get('/:id', async (req, res) => {
         phoneNumber: bp.phone_number,
         meterNumber: bp.meter_number,
         accountNumber: bp.account_number,
-        amount: bp.amount?.toNumber ? bp.amount.toNumber() : Number(bp.amount),
-        balanceBefore: bp.balance_before?.toNumber ? bp.balance_before.toNumber() : Number(bp.balance_before),
-        balanceAfter: bp.balance_after?.toNumber ? bp.balance_after.toNumber() : Number(bp.balance_after),
+        token: bp.token,
+        units: bp.units,
+        amount: moneyToNumber(bp.amount),
+        balanceBefore: moneyToNumber(bp.balance_before),
+        balanceAfter: moneyToNumber(bp.balance_after),
         paymentDate: bp.payment_date,
         status: bp.status,
         reference: bp.reference,
@@ -352,7 +354,7 @@ router.get('/:id', async (req, res) => {
       accountHistories: user.accountHistories.map(ah => ({
         id: Number(ah.id),
         customerPhoneNumber: ah.customerPhoneNumber,
-        failedAmount: ah.failedAmount?.toNumber ? ah.failedAmount.toNumber() : Number(ah.failedAmount),
+        failedAmount: moneyToNumber(ah.failedAmount),
         failedDate: ah.failedDate,
         failureReason: ah.failureReason,
         status: ah.status,
@@ -591,10 +593,7 @@ validatePhoneRouter.post('/', async (req, res) => {
     console.log(`[validate-phone-number] User found: ${user.customerName} (${user.phoneNumber})`);
 
     // Calculate total balance across all accounts
-    const totalBalance = user.accounts.reduce((sum, acc) => {
-      const balance = acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance);
-      return sum + balance;
-    }, 0);
+    const totalBalance = moneyToNumber(addMoney(...user.accounts.map(acc => acc.balance)));
 
     // Convert BigInt IDs and Decimal values to numbers
     const formattedUser = {
@@ -612,7 +611,7 @@ validatePhoneRouter.post('/', async (req, res) => {
       accounts: user.accounts.map(acc => ({
         id: Number(acc.id),
         accountNumber: acc.accountNumber,
-        balance: acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance),
+        balance: moneyToNumber(acc.balance),
         currency: acc.currency || 'NGN',
         bankName: acc.bankName,
         createdAt: acc.createdAt,
@@ -623,9 +622,9 @@ validatePhoneRouter.post('/', async (req, res) => {
         bankName: txn.bankName,
         bankAccount: txn.bankAccount,
         accountNumber: txn.accountNumber,
-        amount: txn.amount?.toNumber ? txn.amount.toNumber() : Number(txn.amount),
-        balanceBefore: txn.balanceBefore?.toNumber ? txn.balanceBefore.toNumber() : Number(txn.balanceBefore),
-        balanceAfter: txn.balanceAfter?.toNumber ? txn.balanceAfter.toNumber() : Number(txn.balanceAfter),
+        amount: moneyToNumber(txn.amount),
+        balanceBefore: moneyToNumber(txn.balanceBefore),
+        balanceAfter: moneyToNumber(txn.balanceAfter),
         transactionDate: txn.transactionDate,
         status: txn.status,
         transactionType: txn.transactionType,
@@ -639,9 +638,11 @@ validatePhoneRouter.post('/', async (req, res) => {
         phoneNumber: bp.phone_number,
         meterNumber: bp.meter_number,
         accountNumber: bp.account_number,
-        amount: bp.amount?.toNumber ? bp.amount.toNumber() : Number(bp.amount),
-        balanceBefore: bp.balance_before?.toNumber ? bp.balance_before.toNumber() : Number(bp.balance_before),
-        balanceAfter: bp.balance_after?.toNumber ? bp.balance_after.toNumber() : Number(bp.balance_after),
+        token: bp.token,
+        units: bp.units,
+        amount: moneyToNumber(bp.amount),
+        balanceBefore: moneyToNumber(bp.balance_before),
+        balanceAfter: moneyToNumber(bp.balance_after),
         paymentDate: bp.payment_date,
         status: bp.status,
         reference: bp.reference,
@@ -1,11 +1,24 @@
 const express = require('express');
 const router = express.Router();
-const { authenticateByPhone } = require('../middleware/auth');
-const { getCustomerPINHash, initiateTransfer, prisma } = require('../services/database');
-const bcrypt = require('bcryptjs');
-const { getPendingTransaction, deletePendingTransaction } = require('../services/pendingTransactions');
-const { purchaseAirtime } = require('../services/ebills');
+const { authenticateToken } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  initiateTransfer,
+  debitAccount,
+  creditAccount,
+  postJournalEntry,
+  prisma,
+} = require('../services/database');
+const { verifyCustomerPIN } = require('../services/pinSecurity');
+const { getPendingTransaction, transitionPendingTransaction } = require('../services/pendingTransactions');
+const { purchaseAirtime, purchaseData, purchaseElectricity, purchaseCable, purchaseBetting, purchaseEpins } = require('../services/billProvider');
+const { EbillsError, ebillsErrorBody } = require('../services/ebillsErrors');
+const { executeBillPurchase } = require('../services/billPurchases');
+const { BettingLimitError, bettingLimitShortfall } = require('../services/bettingLimits');
+const { storeEpins, listEpins } = require('../services/epins');
 const { verifyAccount } = require('../services/bankVerification');
+const { escalateTransaction } = require('../services/accountHistory');
+const { parseMoney, subtractMoney, formatNaira } = require('../utils/money');
 
 /**
  * @swagger
@@ -17,6 +30,10 @@ const { verifyAccount } = require('../services/bankVerification');
  *       The transaction ID is returned from the initial transaction request.
  *     tags:
  *       - Transaction
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -24,14 +41,9 @@ const { verifyAccount } = require('../services/bankVerification');
  *           schema:
  *             type: object
  *             required:
- *               - phoneNumber
  *               - transactionId
  *               - pin
  *             properties:
- *               phoneNumber:
- *                 type: string
- *                 description: Customer phone number for authentication
- *                 example: "+2348012345678"
  *               transactionId:
  *                 type: string
  *                 description: Transaction ID from the pending transaction
@@ -53,14 +65,31 @@ const { verifyAccount } = require('../services/bankVerification');
  *                 response:
  *                   type: string
  *                   description: Success message
+ *                 epins:
+ *                   type: array
+ *                   description: |
+ *                     Recharge cards of a completed ePIN purchase, PINs masked (as in GET /api/epins).
+ *                     View them in full with POST /api/epins/reveal.
+ *                   items:
+ *                     type: object
  *       400:
- *         description: Bad request - invalid transaction ID or insufficient balance
+ *         description: Bad request - invalid transaction ID, insufficient balance, a betting funding over the monthly betting limit, or a bill order the provider rejected (code, retryable, response)
+ *       409:
+ *         description: Transaction already submitted, a request with the same Idempotency-Key is still being processed, or a duplicate bill order (code duplicate_order)
  *       401:
- *         description: Authentication failed or invalid PIN
+ *         description: Authentication failed or invalid PIN (includes pinLock with attempts remaining)
+ *       422:
+ *         description: Idempotency-Key was already used with a different request body
+ *       423:
+ *         description: PIN locked after too many wrong attempts (includes pinLock)
  *       404:
  *         description: Transaction not found or expired
+ *       502:
+ *         description: Bill provider unreachable or failing (code, retryable, response)
+ *       503:
+ *         description: Bill service temporarily unavailable, e.g. wallet busy (code, retryable, response)
  */
-router.post('/', authenticateByPhone, async (req, res) => {
+router.post('/', authenticateToken, idempotency, async (req, res) => {
   try {
     const { transactionId, pin } = req.body;
     const customerId = req.customerId;
@@ -82,7 +111,7 @@ router.post('/', authenticateByPhone, async (req, res) => {
     }
 
     // Get pending transaction
-    const pendingTransaction = getPendingTransaction(transactionId);
+    const pendingTransaction = await getPendingTransaction(transactionId);
 
     if (!pendingTransaction) {
       return res.status(404).json({
@@ -101,9 +130,33 @@ router.post('/', authenticateByPhone, async (req, res) => {
       });
     }
 
-    // Verify PIN
-    const hashedPIN = await getCustomerPINHash(customerId);
-    if (!hashedPIN) {
+    if (pendingTransaction.status === 'executing' || pendingTransaction.status === 'completed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Transaction already processed',
+        message: 'This transaction has already been submitted.',
+      });
+    }
+
+    if (pendingTransaction.status === 'awaiting_selection') {
+      return res.status(400).json({
+        success: false,
+        error: 'Transaction not ready',
+        message: 'Please finish selecting the account or recipient before verifying your PIN.',
+      });
+    }
+
+    if (pendingTransaction.status !== 'awaiting_pin' || pendingTransaction.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transaction not found',
+        message: 'Transaction not found or has expired. Please initiate a new transaction.',
+      });
+    }
+
+    // Verify PIN (counts failures and enforces lockout)
+    const pinResult = await verifyCustomerPIN(customerId, pin, { source: 'verify_transaction', ipAddress: req.ip });
+    if (pinResult.pinNotSet) {
       return res.status(404).json({
         success: false,
         error: 'PIN not found',
@@ -111,13 +164,24 @@ router.post('/', authenticateByPhone, async (req, res) => {
       });
     }
 
-    const cleanedPIN = pin.trim();
-    const isVerified = await bcrypt.compare(cleanedPIN, hashedPIN);
+    if (!pinResult.verified) {
+      const { locked, attemptsRemaining } = pinResult.lock;
+      return res.status(locked ? 423 : 401).json({
+        success: false,
+        response: locked
+          ? 'Your PIN is locked after too many incorrect attempts. Please try again later.'
+          : `Invalid PIN. Please try again. ${attemptsRemaining} attempt(s) remaining.`,
+        error: locked ? 'PIN locked' : 'Invalid PIN',
+        pinLock: pinResult.lock,
+      });
+    }
 
-    if (!isVerified) {
-      return res.status(401).json({
+    // Claim the transaction so a double submit cannot execute it twice
+    if (!await transitionPendingTransaction(pendingTransaction, 'executing')) {
+      return res.status(409).json({
         success: false,
-        response: 'Invalid PIN. Please try again.',
+        error: 'Transaction already processed',
+        message: 'This transaction has already been submitted or has expired.',
       });
     }
 
@@ -135,16 +199,23 @@ router.post('/', authenticateByPhone, async (req, res) => {
           result = await executeAirtimePurchase(pendingTransaction);
           break;
         case 'data':
-        case 'cable':
-        case 'internet':
+          result = await executeDataPurchase(pendingTransaction);
+          break;
         case 'electricity':
-          // TODO: Implement bill payment execution
-          result = {
-            success: true,
-            response: `${pendingTransaction.type} purchase completed successfully!`,
-          };
+          result = await executeElectricityPurchase(pendingTransaction);
+          break;
+        case 'cable':
+          result = await executeCablePurchase(pendingTransaction);
+          break;
+        case 'betting':
+          result = await executeBettingPurchase(pendingTransaction);
+          break;
+        case 'epin':
+          result = await executeEpinPurchase(pendingTransaction);
           break;
         default:
+          // Includes internet subscriptions, which have no purchase flow yet
+          await transitionPendingTransaction(pendingTransaction, 'cancelled', { failureReason: 'Unsupported transaction type' });
           return res.status(400).json({
             success: false,
             error: 'Invalid transaction type',
@@ -152,16 +223,15 @@ router.post('/', authenticateByPhone, async (req, res) => {
           });
       }
 
-      // Remove pending transaction after successful execution
-      deletePendingTransaction(transactionId);
+      await transitionPendingTransaction(pendingTransaction, 'completed');
 
       return res.json({
         success: true,
         response: result.response,
+        ...(result.epins && { epins: result.epins }),
       });
     } catch (error) {
-      // Remove pending transaction on error
-      deletePendingTransaction(transactionId);
+      await transitionPendingTransaction(pendingTransaction, 'cancelled', { failureReason: error.message });
 
       if (error.message === 'Insufficient balance') {
         return res.status(400).json({
@@ -170,6 +240,20 @@ router.post('/', authenticateByPhone, async (req, res) => {
         });
       }
 
+      if (error instanceof BettingLimitError) {
+        return res.status(error.httpStatus).json({
+          success: false,
+          error: 'Betting limit reached',
+          response: error.message,
+          monthlyLimit: error.monthlyLimit,
+          remaining: error.remaining,
+        });
+      }
+
+      if (error instanceof EbillsError) {
+        return res.status(error.httpStatus).json(ebillsErrorBody(error, 'Transaction failed'));
+      }
+
       return res.status(500).json({
         success: false,
         error: 'Transaction failed',
@@ -228,104 +312,272 @@ async function executeTransfer(pendingTransaction) {
 
   return {
     success: true,
-    response: `Transfer of ₦${amount.toLocaleString()} to ${beneficiary.name} has been completed successfully! Reference: ${transaction.reference}`,
+    response: `Transfer of ${formatNaira(amount)} to ${beneficiary.name} has been completed successfully! Reference: ${transaction.reference}`,
   };
 }
 
 /**
  * Execute airtime purchase
+ * Recorded in bill_payments with the phone number and outcome, which is
+ * where airtime queries ("my last airtime purchase") look.
  */
 async function executeAirtimePurchase(pendingTransaction) {
-  const { customerId, accountId, phone, service_id, networkName, amount } = pendingTransaction;
-
-  // Generate unique request_id for eBills API (max 50 chars)
-  const request_id = `AIR-${Date.now()}-${Math.random().toString(36).substring(2, 9).toUpperCase()}`;
-
-  // Get account to verify balance
-  const account = await prisma.account.findFirst({
-    where: {
-      id: BigInt(accountId),
-      deletedAt: null,
+  const { phone, service_id, networkName, amount } = pendingTransaction;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'AIR',
+    entryType: 'airtime_purchase',
+    name: 'Airtime purchase',
+    reservation: {
+      description: `Airtime for ${phone} (${networkName})`,
+      receiverName: `Airtime Purchase - ${networkName}`,
+      provider: networkName,
+      recipient: phone,
+    },
+    billDetails: {
+      paymentType: 'airtime',
+      provider: networkName,
+      phoneNumber: phone,
+      description: `${networkName} airtime`,
     },
+    call: request_id => purchaseAirtime({
+      request_id,
+      phone,
+      service_id,
+      amount,
+    }),
+    describe: (state, order) => `Airtime purchase of ${formatNaira(amount)} for ${phone} (${networkName}) ${state === 'completed' ? 'completed successfully!' : 'is being processed.'} Order ID: ${order.order_id || 'N/A'}`,
   });
+}
 
-  if (!account) {
-    throw new Error('Account not found');
-  }
+/**
+ * Execute data bundle purchase
+ * Recorded in bill_payments with the plan name, like airtime.
+ */
+async function executeDataPurchase(pendingTransaction) {
+  const { phone, service_id, networkName, variationId, dataPlan, amount } = pendingTransaction;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'DAT',
+    entryType: 'data_purchase',
+    name: 'Data purchase',
+    reservation: {
+      description: `Data ${dataPlan} for ${phone} (${networkName})`,
+      receiverName: `Data Purchase - ${networkName} ${dataPlan}`,
+      provider: networkName,
+      recipient: phone,
+    },
+    billDetails: {
+      paymentType: 'data',
+      provider: networkName,
+      phoneNumber: phone,
+      description: `${networkName} ${dataPlan}`,
+    },
+    call: request_id => purchaseData({
+      request_id,
+      phone,
+      service_id,
+      variation_id: variationId,
+    }),
+    describe: (state, order) => `${networkName} ${dataPlan} data (${formatNaira(amount)}) for ${phone} ${state === 'completed' ? 'was delivered successfully!' : 'is being processed.'} Order ID: ${order.order_id || 'N/A'}`,
+  });
+}
 
-  if (account.balance < amount) {
-    throw new Error('Insufficient balance');
-  }
+/**
+ * Execute electricity purchase (prepaid token or postpaid bill)
+ * The outcome is kept in bill_payments with the meter number, and the token
+ * for completed prepaid orders, so the customer can read it back later.
+ */
+async function executeElectricityPurchase(pendingTransaction) {
+  const { meterNumber, service_id, providerName, meterType, customerName, amount } = pendingTransaction;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'ELE',
+    entryType: 'electricity_purchase',
+    name: 'Electricity purchase',
+    reservation: {
+      description: `Electricity ${meterType} meter ${meterNumber} (${providerName})`,
+      receiverName: `Electricity - ${providerName}${customerName ? ` (${customerName})` : ''}`,
+      provider: providerName,
+      recipient: meterNumber,
+    },
+    billDetails: {
+      paymentType: 'electricity',
+      provider: providerName,
+      meterNumber,
+      description: `${meterType} electricity${customerName ? ` for ${customerName}` : ''}`,
+    },
+    call: request_id => purchaseElectricity({
+      request_id,
+      customer_id: meterNumber,
+      service_id,
+      variation_id: meterType,
+      amount,
+    }),
+    completedDetails: order => ({ token: order.token, units: order.units }),
+    describe: (state, order) => {
+      if (state === 'completed') {
+        const tokenMessage = order.token
+          ? ` Your token is ${order.token}${order.units ? ` (${order.units} units)` : ''}.`
+          : '';
+        return `${formatNaira(amount)} electricity for ${providerName} meter ${meterNumber} was paid successfully!${tokenMessage} Order ID: ${order.order_id || 'N/A'}`;
+      }
+      return `${formatNaira(amount)} electricity for ${providerName} meter ${meterNumber} is being processed.${meterType === 'prepaid' ? ' Your token will be available once the order completes.' : ''} Order ID: ${order.order_id || 'N/A'}`;
+    },
+  });
+}
 
-  // Purchase airtime from eBills API
-  let ebillsResponse;
-  try {
-    ebillsResponse = await purchaseAirtime({
+/**
+ * Execute cable TV subscription (DStv, GOtv, Startimes, Showmax)
+ * Recorded in bill_payments with the smartcard number, so "renew my DStv"
+ * can reuse it next time.
+ */
+async function executeCablePurchase(pendingTransaction) {
+  const { smartcardNumber, service_id, providerName, variationId, bouquet, subscriptionType, customerName, amount } = pendingTransaction;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'CAB',
+    entryType: 'cable_purchase',
+    name: 'Cable TV payment',
+    reservation: {
+      description: `${providerName} ${bouquet} for ${smartcardNumber}`,
+      receiverName: `Cable TV - ${providerName}${customerName ? ` (${customerName})` : ''}`,
+      provider: providerName,
+      recipient: smartcardNumber,
+    },
+    billDetails: {
+      paymentType: 'cable',
+      provider: providerName,
+      accountNumber: smartcardNumber,
+      description: `${bouquet}${subscriptionType ? ` (${subscriptionType})` : ''}${customerName ? ` for ${customerName}` : ''}`,
+    },
+    call: request_id => purchaseCable({
       request_id,
-      phone,
+      customer_id: smartcardNumber,
       service_id,
-      amount: parseInt(amount),
-    });
-  } catch (error) {
-    // If eBills purchase fails, don't deduct from account
-    throw new Error(`Airtime purchase failed: ${error.message}`);
-  }
+      variation_id: variationId,
+      subscription_type: subscriptionType,
+      amount: subscriptionType === 'renew' ? amount : undefined,
+    }),
+    describe: (state, order) => `${providerName} ${bouquet} (${formatNaira(amount)}) for ${smartcardNumber} ${state === 'completed' ? 'was paid successfully!' : 'is being processed.'} Order ID: ${order.order_id || 'N/A'}`,
+  });
+}
 
-  // If order is processing or completed, deduct from account and create transaction record
-  const orderStatus = ebillsResponse.data?.status;
-  const isSuccessful = orderStatus === 'completed-api' || orderStatus === 'processing-api';
+/**
+ * Execute betting wallet funding
+ * The monthly betting limit is checked again while the debit is reserved:
+ * other fundings may have been confirmed since this one was requested.
+ */
+async function executeBettingPurchase(pendingTransaction) {
+  const { customerId, bettingId, service_id, providerName, customerName, amount } = pendingTransaction;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'BET',
+    entryType: 'betting_funding',
+    name: 'Betting funding',
+    shortfall: tx => bettingLimitShortfall(customerId, amount, tx),
+    reservation: {
+      description: `${providerName} funding for ${bettingId}`,
+      receiverName: `Betting - ${providerName}${customerName ? ` (${customerName})` : ''}`,
+      provider: providerName,
+      recipient: bettingId,
+    },
+    billDetails: {
+      paymentType: 'betting',
+      provider: providerName,
+      accountNumber: bettingId,
+      description: `${providerName} wallet funding${customerName ? ` for ${customerName}` : ''}`,
+    },
+    call: request_id => purchaseBetting({
+      request_id,
+      customer_id: bettingId,
+      service_id,
+      amount,
+    }),
+    describe: (state, order) => (state === 'completed'
+      ? `Your ${providerName} account ${bettingId} was funded with ${formatNaira(amount)}! Order ID: ${order.order_id || 'N/A'}`
+      : `Funding of ${formatNaira(amount)} to your ${providerName} account ${bettingId} is being processed. Order ID: ${order.order_id || 'N/A'}`),
+  });
+}
 
-  if (isSuccessful) {
-    const reference = `AIR${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-    const now = new Date();
+/**
+ * Store the PINs of a completed ePIN order and read them back masked: the
+ * response is kept by the idempotency layer, so full PINs never go in it.
+ * If they couldn't be stored, the purchase is escalated to support (requerying
+ * the order stores its PINs, see billOrders) and no cards are returned.
+ */
+async function deliverEpins(pendingTransaction, request_id, order, transaction) {
+  const { customerId, networkName, value } = pendingTransaction;
 
-    // Deduct from account and create transaction record
-    await prisma.$transaction(async (tx) => {
-      // Update account balance
-      await tx.account.update({
-        where: { id: BigInt(accountId) },
-        data: { balance: account.balance - parseFloat(amount) },
-      });
+  try {
+    await storeEpins({ customerId, requestId: request_id, network: networkName, value, epins: order.epins });
+    return await listEpins(customerId, { requestId: request_id });
+  } catch (error) {
+    console.error(`Error delivering ePINs of order ${request_id}:`, error);
 
-      // Create transaction record
-      await tx.transaction.create({
-        data: {
-          customerId: BigInt(customerId),
-          accountId: BigInt(accountId),
-          receiverName: `Airtime Purchase - ${networkName}`,
-          bankName: networkName,
-          bankAccount: phone,
-          accountNumber: phone,
-          amount: parseFloat(amount),
-          balanceBefore: account.balance,
-          balanceAfter: account.balance - parseFloat(amount),
-          transactionDate: now,
-          createdAt: now,
-          status: orderStatus === 'completed-api' ? 'success' : 'pending',
-          transactionType: 'debit',
-          reference: reference,
-        },
+    try {
+      await escalateTransaction(transaction.id, {
+        note: `ePINs of eBills order ${request_id} could not be stored (${error.message}); requery the order to store them`,
+        by: 'ePIN delivery',
       });
-    });
-
-    // Determine response message based on order status
-    if (orderStatus === 'completed-api') {
-      return {
-        success: true,
-        response: `Airtime purchase of ₦${amount.toLocaleString()} for ${phone} (${networkName}) completed successfully! Order ID: ${ebillsResponse.data?.order_id || 'N/A'}`,
-      };
-    } else {
-      return {
-        success: true,
-        response: `Airtime purchase of ₦${amount.toLocaleString()} for ${phone} (${networkName}) is being processed. Order ID: ${ebillsResponse.data?.order_id || 'N/A'}`,
-      };
+    } catch (escalationError) {
+      // Already logged; the error above is in the logs too
     }
-  } else {
-    // Order was refunded or failed
-    throw new Error(`Airtime purchase failed. Status: ${orderStatus}`);
+    return [];
   }
 }
 
+/**
+ * Execute recharge card (ePIN) purchase
+ * The PINs are stored encrypted in epins and listed here masked; the customer
+ * views them in full through POST /api/epins/reveal. An order still processing
+ * gets its PINs stored when it completes (see billOrders).
+ */
+async function executeEpinPurchase(pendingTransaction) {
+  const { service_id, networkName, value, quantity, amount } = pendingTransaction;
+  const cards = `${quantity} x ${formatNaira(value)} ${networkName}`;
+
+  return executeBillPurchase(pendingTransaction, {
+    prefix: 'EPN',
+    entryType: 'epin_purchase',
+    name: 'ePIN purchase',
+    reservation: {
+      description: `${cards} recharge cards`,
+      receiverName: `ePIN Purchase - ${networkName}`,
+      provider: networkName,
+      // No phone or meter to credit; the transaction shows what was printed
+      recipient: `${networkName} ${value} x${quantity}`,
+    },
+    billDetails: {
+      paymentType: 'epin',
+      provider: networkName,
+      units: String(quantity),
+      description: `${cards} recharge cards`,
+    },
+    call: request_id => purchaseEpins({
+      request_id,
+      service_id,
+      value,
+      quantity,
+    }),
+    // Completed without PINs yet: the requery worker picks them up with the order
+    isCompleted: order => order.status === 'completed-api' && Array.isArray(order.epins),
+    deliver: async (order, request_id, transaction) => ({ epins: await deliverEpins(pendingTransaction, request_id, order, transaction) }),
+    describe: (state, order, { epins }) => {
+      if (state === 'processing') {
+        return `Your ${cards} recharge cards (${formatNaira(amount)}) are being printed. We'll send you an SMS when they are ready to view. Order ID: ${order.order_id || 'N/A'}`;
+      }
+      if (epins.length === 0) {
+        return `Your ${cards} recharge cards (${formatNaira(amount)}) were printed, but we couldn't save them to your account just now. Our support team has been notified and will make them available to you. Order ID: ${order.order_id || 'N/A'}`;
+      }
+      const pinList = epins
+        .map((epin, index) => `${index + 1}. PIN ${epin.pin}${epin.serialNumber ? ` (serial ${epin.serialNumber})` : ''}`)
+        .join('\n');
+      return `Your ${cards} recharge cards (${formatNaira(amount)}) are ready. Order ID: ${order.order_id || 'N/A'}\n${pinList}\nView the full PINs from your recharge cards with your PIN.`;
+    },
+  });
+}
+
 /**
  * Execute internal transfer between customer's own accounts
  */
@@ -338,22 +590,6 @@ async function executeInternalTransfer(pendingTransaction) {
 
   // Execute transfer in a transaction
   const result = await prisma.$transaction(async (tx) => {
-    // Verify source account balance
-    const source = await tx.account.findFirst({
-      where: {
-        id: BigInt(sourceAccount.id),
-        deletedAt: null,
-      },
-    });
-
-    if (!source) {
-      throw new Error('Source account not found');
-    }
-
-    if (source.balance < amount) {
-      throw new Error('Insufficient balance');
-    }
-
     // Verify target account exists
     const target = await tx.account.findFirst({
       where: {
@@ -366,6 +602,20 @@ async function executeInternalTransfer(pendingTransaction) {
       throw new Error('Target account not found');
     }
 
+    // Guarded debit and atomic credit, so concurrent requests can't overdraw the source
+    const sourceBalance = await debitAccount(tx, sourceAccount.id, amount);
+    const targetBalance = await creditAccount(tx, targetAccount.id, amount);
+
+    const journalEntry = await postJournalEntry(tx, {
+      entryType: 'internal_transfer',
+      reference,
+      description: `Internal transfer ${sourceAccount.accountNumber.slice(-4)} -> ${targetAccount.accountNumber.slice(-4)}`,
+      postings: [
+        { accountId: sourceAccount.id, amount: subtractMoney(0, amount) },
+        { accountId: targetAccount.id, amount },
+      ],
+    });
+
     // Create debit transaction for source account
     await tx.transaction.create({
       data: {
@@ -375,14 +625,15 @@ async function executeInternalTransfer(pendingTransaction) {
         bankName: targetAccount.bankName || null,
         bankAccount: targetAccount.accountNumber,
         accountNumber: targetAccount.accountNumber,
-        amount: parseFloat(amount),
-        balanceBefore: source.balance,
-        balanceAfter: source.balance - parseFloat(amount),
+        amount: parseMoney(amount),
+        balanceBefore: sourceBalance.balanceBefore,
+        balanceAfter: sourceBalance.balanceAfter,
         transactionDate: now,
         createdAt: now,
         status: 'success',
         transactionType: 'debit',
         reference: `${reference}-DEBIT`,
+        journalEntryId: journalEntry.id,
       },
     });
 
@@ -395,35 +646,24 @@ async function executeInternalTransfer(pendingTransaction) {
         bankName: sourceAccount.bankName || null,
         bankAccount: sourceAccount.accountNumber,
         accountNumber: sourceAccount.accountNumber,
-        amount: parseFloat(amount),
-        balanceBefore: target.balance,
-        balanceAfter: target.balance + parseFloat(amount),
+        amount: parseMoney(amount),
+        balanceBefore: targetBalance.balanceBefore,
+        balanceAfter: targetBalance.balanceAfter,
         transactionDate: now,
         createdAt: now,
         status: 'success',
         transactionType: 'credit',
         reference: `${reference}-CREDIT`,
+        journalEntryId: journalEntry.id,
       },
     });
 
-    // Update source account balance
-    await tx.account.update({
-      where: { id: BigInt(sourceAccount.id) },
-      data: { balance: source.balance - parseFloat(amount) },
-    });
-
-    // Update target account balance
-    await tx.account.update({
-      where: { id: BigInt(targetAccount.id) },
-      data: { balance: target.balance + parseFloat(amount) },
-    });
-
     return { reference };
   });
 
   return {
     success: true,
-    response: `Internal transfer of ₦${amount.toLocaleString()} from account ending ${sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)} completed successfully! Reference: ${result.reference}`,
+    response: `Internal transfer of ${formatNaira(amount)} from account ending ${sourceAccount.accountNumber.slice(-4)} to account ending ${targetAccount.accountNumber.slice(-4)} completed successfully! Reference: ${result.reference}`,
   };
 }
 
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const { verifyEbillsSignature } = require('../middleware/auth');
+const { processEbillsWebhook } = require('../services/ebillsWebhooks');
+
+/**
+ * @swagger
+ * /api/webhooks/ebills:
+ *   post:
+ *     summary: Receive eBills order status notifications
+ *     description: |
+ *       Called by eBills when an order that was still processing completes (`completed-api`)
+ *       or is refunded (`refunded`). The order is matched by `request_id`.
+ *       - `completed-api` settles the held amount
+ *       - `refunded` returns the amount to the customer's account, marks the bill payment
+ *         refunded and notifies the customer by SMS
+ *
+ *       `X-Signature` must be the hex HMAC-SHA256 of the raw body, keyed with `EBILLS_USER_PIN`.
+ *       Each event (request_id + status) is applied once; redeliveries are acknowledged
+ *       with `duplicate: true`.
+ *     tags:
+ *       - Webhooks
+ *     parameters:
+ *       - in: header
+ *         name: X-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - request_id
+ *               - status
+ *             properties:
+ *               order_id:
+ *                 type: integer
+ *                 example: 12345
+ *               status:
+ *                 type: string
+ *                 enum: [completed-api, refunded]
+ *               request_id:
+ *                 type: string
+ *                 example: "AIR-1744636800000-K3J9QZP"
+ *               amount:
+ *                 type: string
+ *                 example: "100.00"
+ *               meta_data:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event received (applied, already applied, or for an unknown order)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 outcome:
+ *                   type: string
+ *                   enum: [settled, refunded, already_final, unmatched, ignored]
+ *                 duplicate:
+ *                   type: boolean
+ *       400:
+ *         description: Missing request_id or status
+ *       403:
+ *         description: Invalid signature
+ *       503:
+ *         description: Webhooks disabled (EBILLS_USER_PIN not set)
+ */
+router.post('/ebills', verifyEbillsSignature, async (req, res) => {
+  const { request_id: requestId, status } = req.body || {};
+
+  if (!requestId || !status) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid webhook payload',
+      message: 'Webhook payload must include request_id and status',
+    });
+  }
+
+  try {
+    const result = await processEbillsWebhook(req.body);
+
+    res.json({
+      success: true,
+      outcome: result.outcome,
+      duplicate: result.duplicate,
+    });
+  } catch (error) {
+    // A non-2xx response lets eBills deliver the event again
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process webhook',
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
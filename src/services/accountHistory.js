@@ -0,0 +1,363 @@
+/**
+ * Account History Service
+ *
+ * Support cases for problem transactions, stored in account_histories (one
+ * case per transaction). Failed debits open a case automatically (see
+ * recordFailedTransaction / refundFailedDebit in the database service);
+ * customers can report any of their transactions, and support escalates and
+ * resolves cases. Bill orders eBills never finalizes are escalated by the
+ * requery worker.
+ *
+ * Status lifecycle:
+ *   failed -> reported -> escalated -> resolved
+ *   failed / reported -> resolved
+ *   resolved -> reported (the customer reports the transaction again)
+ *
+ * Every step appends a timestamped line to notes, so a case keeps its history.
+ */
+
+const { prisma, getCustomerById } = require('./database');
+const { sendSms } = require('./smsSender');
+const { parseMoney, moneyToNumber } = require('../utils/money');
+
+const STATUS = {
+  FAILED: 'failed',
+  REPORTED: 'reported',
+  ESCALATED: 'escalated',
+  RESOLVED: 'resolved',
+};
+
+// Allowed status transitions
+const TRANSITIONS = {
+  failed: ['reported', 'escalated', 'resolved'],
+  reported: ['escalated', 'resolved'],
+  escalated: ['resolved'],
+  resolved: ['reported'],
+};
+
+const CASE_INCLUDE = {
+  transaction: {
+    select: {
+      reference: true,
+      transactionType: true,
+      receiverName: true,
+      status: true,
+    },
+  },
+};
+
+/**
+ * Append a timestamped line to a case's notes
+ */
+function appendNote(notes, action, text, by) {
+  const line = `[${new Date().toISOString()}] ${action}${by ? ` by ${by}` : ''}${text ? `: ${text}` : ''}`;
+  return notes ? `${notes}\n${line}` : line;
+}
+
+/**
+ * Convert an account_histories row (with its transaction) for JSON responses
+ */
+function toCase(row) {
+  return {
+    id: Number(row.id),
+    transactionId: Number(row.transactionId),
+    reference: row.transaction?.reference || null,
+    transactionType: row.transaction?.transactionType || null,
+    receiverName: row.transaction?.receiverName || null,
+    transactionStatus: row.transaction?.status || null,
+    customerId: Number(row.customerId),
+    customerPhoneNumber: row.customerPhoneNumber,
+    amount: moneyToNumber(row.failedAmount),
+    failedDate: row.failedDate,
+    failureReason: row.failureReason,
+    status: row.status,
+    escalatedAt: row.escalatedAt,
+    resolvedAt: row.resolvedAt,
+    notes: row.notes,
+    createdAt: row.createdAt,
+  };
+}
+
+/**
+ * Customer view of a case, without support's internal notes
+ */
+function toCustomerCase(row) {
+  const { notes, customerPhoneNumber, ...customerCase } = toCase(row);
+  return customerCase;
+}
+
+/**
+ * Move a case to a new status, guarded on its current status
+ * @returns {Promise<Object>} Updated case
+ */
+async function transitionCase(caseId, toStatus, data) {
+  const existing = await prisma.accountHistory.findFirst({
+    where: { id: BigInt(caseId), deletedAt: null },
+  });
+
+  if (!existing) {
+    throw new Error('Case not found');
+  }
+
+  if (!(TRANSITIONS[existing.status] || []).includes(toStatus)) {
+    throw new Error(`Case is ${existing.status} and cannot be ${toStatus}`);
+  }
+
+  const result = await prisma.accountHistory.updateMany({
+    where: { id: existing.id, status: existing.status },
+    data: data(existing),
+  });
+
+  if (result.count === 0) {
+    throw new Error('Case was updated by another request. Please try again.');
+  }
+
+  return prisma.accountHistory.findUnique({
+    where: { id: existing.id },
+    include: CASE_INCLUDE,
+  });
+}
+
+/**
+ * Report a problem with one of the customer's transactions
+ * @param {number} customerId - Customer ID (owner of the transaction)
+ * @param {string} reference - Transaction reference
+ * @param {string} description - What went wrong, in the customer's words
+ * @returns {Promise<Object>} The case (customer view)
+ */
+async function reportTransactionProblem(customerId, reference, description) {
+  try {
+    const transaction = await prisma.transaction.findFirst({
+      where: {
+        reference,
+        customerId: BigInt(customerId),
+        deletedAt: null,
+      },
+      include: { accountHistory: true },
+    });
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+
+    const existing = transaction.accountHistory;
+
+    if (existing && !(TRANSITIONS[existing.status] || []).includes(STATUS.REPORTED)) {
+      throw new Error('This transaction is already being reviewed');
+    }
+
+    if (existing) {
+      return toCustomerCase(await transitionCase(existing.id, STATUS.REPORTED, (current) => ({
+        status: STATUS.REPORTED,
+        resolvedAt: null,
+        notes: appendNote(current.notes, 'Reported by customer', description),
+      })));
+    }
+
+    const customer = await getCustomerById(customerId);
+    const now = new Date();
+
+    try {
+      const created = await prisma.accountHistory.create({
+        data: {
+          transactionId: transaction.id,
+          customerId: BigInt(customerId),
+          customerPhoneNumber: customer.phoneNumber,
+          failedAmount: parseMoney(transaction.amount),
+          failedDate: transaction.transactionDate,
+          failureReason: description,
+          status: STATUS.REPORTED,
+          notes: appendNote(null, 'Reported by customer', description),
+          createdAt: now,
+        },
+        include: CASE_INCLUDE,
+      });
+
+      return toCustomerCase(created);
+    } catch (error) {
+      // A case was opened for this transaction in the meantime
+      if (error.code === 'P2002') {
+        throw new Error('This transaction is already being reviewed');
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error reporting transaction problem:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a customer's cases, newest first
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Array>} Cases
+ */
+async function getCustomerCases(customerId) {
+  try {
+    const rows = await prisma.accountHistory.findMany({
+      where: { customerId: BigInt(customerId), deletedAt: null },
+      include: CASE_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return rows.map(toCustomerCase);
+  } catch (error) {
+    console.error('Error getting customer cases:', error);
+    throw error;
+  }
+}
+
+/**
+ * List cases for support, oldest first so the longest-waiting case is on top
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only cases with this status
+ * @param {number} filters.limit - Maximum number of cases (default 50)
+ * @returns {Promise<Array>} Cases
+ */
+async function listCases(filters = {}) {
+  try {
+    const rows = await prisma.accountHistory.findMany({
+      where: {
+        deletedAt: null,
+        ...(filters.status && { status: filters.status }),
+      },
+      include: CASE_INCLUDE,
+      orderBy: { createdAt: 'asc' },
+      take: filters.limit || 50,
+    });
+
+    return rows.map(toCase);
+  } catch (error) {
+    console.error('Error listing cases:', error);
+    throw error;
+  }
+}
+
+/**
+ * Escalate a case for further investigation
+ * @param {number} caseId - Case ID
+ * @param {Object} options - Escalation details
+ * @param {string} options.note - Why the case is escalated
+ * @param {string} options.by - Staff member escalating
+ * @returns {Promise<Object>} Updated case
+ */
+async function escalateCase(caseId, options = {}) {
+  try {
+    const updated = await transitionCase(caseId, STATUS.ESCALATED, (current) => ({
+      status: STATUS.ESCALATED,
+      escalatedAt: new Date(),
+      notes: appendNote(current.notes, 'Escalated', options.note, options.by),
+    }));
+
+    return toCase(updated);
+  } catch (error) {
+    console.error('Error escalating case:', error);
+    throw error;
+  }
+}
+
+/**
+ * Escalate the case for a transaction, opening one first if it has none
+ * (e.g. a bill order that never left processing)
+ * @param {number} transactionId - Transaction ID
+ * @param {Object} options - Escalation details
+ * @param {string} options.note - Why the transaction is escalated
+ * @param {string} options.by - Who is escalating (staff member or job)
+ * @returns {Promise<Object|null>} Escalated case, or null if it was already escalated or resolved
+ */
+async function escalateTransaction(transactionId, options = {}) {
+  try {
+    const existing = await prisma.accountHistory.findUnique({
+      where: { transactionId: BigInt(transactionId) },
+    });
+
+    if (existing) {
+      if (!(TRANSITIONS[existing.status] || []).includes(STATUS.ESCALATED)) {
+        return null;
+      }
+      return await escalateCase(existing.id, options);
+    }
+
+    const transaction = await prisma.transaction.findUnique({
+      where: { id: BigInt(transactionId) },
+    });
+
+    if (!transaction) {
+      throw new Error('Transaction not found');
+    }
+
+    const customer = await getCustomerById(Number(transaction.customerId));
+    const now = new Date();
+
+    try {
+      const created = await prisma.accountHistory.create({
+        data: {
+          transactionId: transaction.id,
+          customerId: transaction.customerId,
+          customerPhoneNumber: customer.phoneNumber,
+          failedAmount: parseMoney(transaction.amount),
+          failedDate: transaction.transactionDate,
+          failureReason: options.note || null,
+          status: STATUS.ESCALATED,
+          escalatedAt: now,
+          notes: appendNote(null, 'Escalated', options.note, options.by),
+          createdAt: now,
+        },
+        include: CASE_INCLUDE,
+      });
+
+      return toCase(created);
+    } catch (error) {
+      // A case was opened for this transaction in the meantime
+      if (error.code === 'P2002') {
+        return escalateTransaction(transactionId, options);
+      }
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error escalating transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Resolve a case and tell the customer
+ * @param {number} caseId - Case ID
+ * @param {Object} options - Resolution details
+ * @param {string} options.note - How the case was resolved (sent to the customer)
+ * @param {string} options.by - Staff member resolving
+ * @returns {Promise<Object>} Updated case
+ */
+async function resolveCase(caseId, options = {}) {
+  try {
+    const updated = toCase(await transitionCase(caseId, STATUS.RESOLVED, (current) => ({
+      status: STATUS.RESOLVED,
+      resolvedAt: new Date(),
+      notes: appendNote(current.notes, 'Resolved', options.note, options.by),
+    })));
+
+    try {
+      await sendSms(
+        updated.customerPhoneNumber,
+        `Your report about transaction ${updated.reference} has been resolved.${options.note ? ` ${options.note}` : ''}`
+      );
+    } catch (error) {
+      // Already logged; the case stays resolved
+    }
+
+    return updated;
+  } catch (error) {
+    console.error('Error resolving case:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  ACCOUNT_HISTORY_STATUS: STATUS,
+  reportTransactionProblem,
+  getCustomerCases,
+  listCases,
+  escalateCase,
+  escalateTransaction,
+  resolveCase,
+};
@@ -0,0 +1,60 @@
+/**
+ * Audit Log Service
+ *
+ * Append-only record of security-relevant events per customer
+ * (PIN lockouts, unlocks, ...), stored in security_events.
+ */
+
+const { prisma } = require('./database');
+
+/**
+ * Record a security event for a customer
+ * @param {number} customerId - Customer ID
+ * @param {string} eventType - Event type (e.g. 'pin_locked', 'pin_unlocked')
+ * @param {Object} options - Optional details
+ * @param {string} options.ipAddress - Client IP address
+ * @param {Object} options.metadata - Extra event data stored as JSON
+ */
+async function recordSecurityEvent(customerId, eventType, options = {}) {
+  try {
+    await prisma.securityEvent.create({
+      data: {
+        customerId: BigInt(customerId),
+        eventType,
+        ipAddress: options.ipAddress || null,
+        metadata: options.metadata || undefined,
+        createdAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error('Error recording security event:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count a customer's security events of one type since a point in time
+ * @param {number} customerId - Customer ID
+ * @param {string} eventType - Event type
+ * @param {Date} since - Only count events created at or after this time
+ * @returns {Promise<number>} Number of matching events
+ */
+async function countSecurityEvents(customerId, eventType, since) {
+  try {
+    return await prisma.securityEvent.count({
+      where: {
+        customerId: BigInt(customerId),
+        eventType,
+        createdAt: { gte: since },
+      },
+    });
+  } catch (error) {
+    console.error('Error counting security events:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  recordSecurityEvent,
+  countSecurityEvents,
+};
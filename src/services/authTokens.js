@@ -0,0 +1,248 @@
+/**
+ * Auth Tokens Service
+ *
+ * Issues signed access tokens and rotating refresh tokens after a customer
+ * has proven who they are. Every login creates an auth_sessions row so a
+ * session (and every token issued for it) can be revoked server-side.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { prisma } = require('./database');
+
+// Access tokens are short-lived; refresh tokens keep the session alive
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Get the secret used to sign access tokens
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT secret not configured. Please set JWT_SECRET in environment variables.');
+  }
+
+  return secret;
+}
+
+/**
+ * Hash a refresh token for storage (only the hash is persisted)
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate an opaque refresh token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+/**
+ * Sign an access token bound to a session
+ */
+function signAccessToken(customerId, sessionId) {
+  const accessToken = jwt.sign(
+    { sid: sessionId.toString(), type: 'access' },
+    getJwtSecret(),
+    { subject: customerId.toString(), expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const { iat, exp } = jwt.decode(accessToken);
+
+  return {
+    accessToken,
+    expiresIn: exp - iat,
+  };
+}
+
+/**
+ * Build the token payload returned to clients
+ */
+function buildTokenResponse(customerId, session, refreshToken) {
+  const { accessToken, expiresIn } = signAccessToken(customerId, session.id);
+
+  return {
+    tokenType: 'Bearer',
+    accessToken,
+    expiresIn,
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Create a new session for a verified customer and issue its tokens
+ * @param {number} customerId - Customer ID
+ * @param {Object} metadata - Optional client metadata
+ * @param {string} metadata.userAgent - Client user agent
+ * @param {string} metadata.ipAddress - Client IP address
+ * @returns {Promise<Object>} Access and refresh tokens
+ */
+async function createSession(customerId, metadata = {}) {
+  try {
+    const refreshToken = generateRefreshToken();
+    const now = new Date();
+
+    const session = await prisma.authSession.create({
+      data: {
+        customerId: BigInt(customerId),
+        refreshTokenHash: hashToken(refreshToken),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        lastUsedAt: now,
+        createdAt: now,
+        userAgent: metadata.userAgent || null,
+        ipAddress: metadata.ipAddress || null,
+      },
+    });
+
+    return buildTokenResponse(customerId, session, refreshToken);
+  } catch (error) {
+    console.error('Error creating auth session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Verify an access token and make sure its session is still active
+ * @param {string} accessToken - Bearer token from the Authorization header
+ * @returns {Promise<Object|null>} { customerId, sessionId } or null if the token is invalid, expired or revoked
+ */
+async function verifyAccessToken(accessToken) {
+  let payload;
+  try {
+    payload = jwt.verify(accessToken, getJwtSecret());
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (payload.type !== 'access' || !payload.sid || !payload.sub) {
+    return null;
+  }
+
+  const session = await prisma.authSession.findFirst({
+    where: {
+      id: BigInt(payload.sid),
+      customerId: BigInt(payload.sub),
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    select: {
+      id: true,
+      customerId: true,
+    },
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  return {
+    customerId: Number(session.customerId),
+    sessionId: Number(session.id),
+  };
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * The refresh token is rotated: the presented token stops working immediately.
+ * @param {string} refreshToken - Refresh token issued at login or previous refresh
+ * @returns {Promise<Object|null>} New tokens or null if the refresh token is invalid, expired or revoked
+ */
+async function refreshSession(refreshToken) {
+  try {
+    const session = await prisma.authSession.findFirst({
+      where: {
+        refreshTokenHash: hashToken(refreshToken),
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+    });
+
+    if (!session) {
+      return null;
+    }
+
+    const newRefreshToken = generateRefreshToken();
+
+    // Guard on the old hash so two concurrent refreshes cannot both succeed
+    const rotated = await prisma.authSession.updateMany({
+      where: {
+        id: session.id,
+        refreshTokenHash: session.refreshTokenHash,
+        revokedAt: null,
+      },
+      data: {
+        refreshTokenHash: hashToken(newRefreshToken),
+        lastUsedAt: new Date(),
+      },
+    });
+
+    if (rotated.count === 0) {
+      return null;
+    }
+
+    return buildTokenResponse(Number(session.customerId), session, newRefreshToken);
+  } catch (error) {
+    console.error('Error refreshing auth session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a single session (logout from one device)
+ */
+async function revokeSession(sessionId) {
+  try {
+    const result = await prisma.authSession.updateMany({
+      where: {
+        id: BigInt(sessionId),
+        revokedAt: null,
+      },
+      data: {
+        revokedAt: new Date(),
+      },
+    });
+
+    return result.count;
+  } catch (error) {
+    console.error('Error revoking auth session:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke every active session for a customer (logout from all devices)
+ */
+async function revokeAllSessions(customerId) {
+  try {
+    const result = await prisma.authSession.updateMany({
+      where: {
+        customerId: BigInt(customerId),
+        revokedAt: null,
+      },
+      data: {
+        revokedAt: new Date(),
+      },
+    });
+
+    return result.count;
+  } catch (error) {
+    console.error('Error revoking customer auth sessions:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  createSession,
+  verifyAccessToken,
+  refreshSession,
+  revokeSession,
+  revokeAllSessions,
+};
@@ -0,0 +1,141 @@
+/**
+ * Betting Limits Service
+ *
+ * Customers can cap how much they fund betting accounts with each calendar
+ * month (Nigerian time). The cap is optional, set by the customer, and
+ * changes to it apply straight away.
+ *
+ * Spend is what the customer's betting orders took this month: completed and
+ * still processing ones count, failed and refunded ones don't. The cap is
+ * checked when a funding is requested and again in the transaction that
+ * reserves its amount, with the customer row locked (SELECT ... FOR UPDATE):
+ * a second funding confirmed at the same time waits for the first to commit,
+ * and then counts its pending bill payment.
+ */
+
+const { prisma } = require('./database');
+const { parseMoney, subtractMoney, compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
+
+// Nigeria is UTC+1 all year
+const LAGOS_UTC_OFFSET_MS = 60 * 60 * 1000;
+
+// Betting orders that took the customer's money
+const COUNTED_STATUSES = ['success', 'pending'];
+
+class BettingLimitError extends Error {
+  /**
+   * @param {Object} status - Limit status ({ monthlyLimit, spent, remaining })
+   * @param {number} amount - Funding that was refused
+   */
+  constructor(status, amount) {
+    super(compareMoney(status.remaining, 0) > 0
+      ? `This would take you past your monthly betting limit of ${formatNaira(status.monthlyLimit)}. You can fund up to ${formatNaira(status.remaining)} more this month.`
+      : `You have reached your monthly betting limit of ${formatNaira(status.monthlyLimit)}. It resets at the start of next month.`);
+    this.name = 'BettingLimitError';
+    this.httpStatus = 400;
+    this.monthlyLimit = status.monthlyLimit;
+    this.remaining = status.remaining;
+    this.amount = amount;
+  }
+}
+
+/**
+ * Start of the current calendar month in Nigeria
+ */
+function currentMonthStart(now = new Date()) {
+  const local = new Date(now.getTime() + LAGOS_UTC_OFFSET_MS);
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1) - LAGOS_UTC_OFFSET_MS);
+}
+
+/**
+ * Get a customer's betting limit and this month's betting spend
+ * @param {number} customerId - Customer ID
+ * @param {Object} [client] - Prisma client or transaction client to read with
+ * @returns {Promise<Object>} { monthlyLimit, spent, remaining, monthStart } - monthlyLimit and remaining are null without a limit
+ */
+async function getBettingLimitStatus(customerId, client = prisma) {
+  try {
+    const monthStart = currentMonthStart();
+
+    const [customer, spend] = await Promise.all([
+      client.customer.findFirst({
+        where: { id: BigInt(customerId), deletedAt: null },
+        select: { bettingMonthlyLimit: true },
+      }),
+      client.bill_payments.aggregate({
+        where: {
+          customer_id: BigInt(customerId),
+          payment_type: 'betting',
+          status: { in: COUNTED_STATUSES },
+          payment_date: { gte: monthStart },
+          deleted_at: null,
+        },
+        _sum: { amount: true },
+      }),
+    ]);
+
+    const monthlyLimit = customer?.bettingMonthlyLimit != null ? moneyToNumber(customer.bettingMonthlyLimit) : null;
+    const spent = moneyToNumber(spend._sum.amount || 0);
+
+    let remaining = null;
+    if (monthlyLimit !== null) {
+      remaining = compareMoney(spent, monthlyLimit) >= 0 ? 0 : moneyToNumber(subtractMoney(monthlyLimit, spent));
+    }
+
+    return { monthlyLimit, spent, remaining, monthStart };
+  } catch (error) {
+    console.error('Error getting betting limit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set or remove a customer's monthly betting limit
+ * @param {number} customerId - Customer ID
+ * @param {number|null} monthlyLimit - Limit in Naira, or null to remove it
+ * @returns {Promise<Object>} New limit status
+ */
+async function setBettingLimit(customerId, monthlyLimit) {
+  try {
+    await prisma.customer.update({
+      where: { id: BigInt(customerId) },
+      data: { bettingMonthlyLimit: monthlyLimit === null ? null : parseMoney(monthlyLimit) },
+    });
+
+    return getBettingLimitStatus(customerId);
+  } catch (error) {
+    console.error('Error setting betting limit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a betting funding against the customer's monthly limit
+ * Given the transaction that reserves the funding, the customer row is locked
+ * first, so concurrent fundings are checked one after the other.
+ * @param {number} customerId - Customer ID
+ * @param {number|string} amount - Funding amount in Naira
+ * @param {Object} [tx] - Prisma transaction client of the reservation
+ * @returns {Promise<BettingLimitError|null>} Error to refuse the funding with, or null if it fits
+ */
+async function bettingLimitShortfall(customerId, amount, tx = null) {
+  if (tx) {
+    await tx.$queryRaw`SELECT id FROM customers WHERE id = ${BigInt(customerId)} FOR UPDATE`;
+  }
+
+  const status = await getBettingLimitStatus(customerId, tx || prisma);
+
+  if (status.monthlyLimit === null || compareMoney(amount, status.remaining) <= 0) {
+    return null;
+  }
+
+  return new BettingLimitError(status, moneyToNumber(amount));
+}
+
+module.exports = {
+  BettingLimitError,
+  currentMonthStart,
+  getBettingLimitStatus,
+  setBettingLimit,
+  bettingLimitShortfall,
+};
@@ -0,0 +1,258 @@
+/**
+ * Bill Float Service
+ *
+ * Bill purchases are paid out of our prepaid wallet with the bill provider
+ * (the float). The monitor reads its balance every
+ * BILL_FLOAT_POLL_INTERVAL_MINUTES, keeps each reading in bill_float_snapshots
+ * and alerts operations (SMS to BILL_FLOAT_ALERT_PHONE, or the log) when the
+ * float drops below BILL_FLOAT_LOW_BALANCE or BILL_FLOAT_CRITICAL_BALANCE.
+ *
+ * The last reading doubles as a circuit breaker: a purchase the float can't
+ * cover is refused before the customer is debited. A provider rejecting an
+ * order for insufficient funds empties the float until a reading shows it
+ * topped up. Readings older than three poll intervals are not trusted, and
+ * purchases go through to the provider as before.
+ */
+
+const { prisma } = require('./database');
+const { checkBalance, getBillProviderName, onBillProviderError } = require('./billProvider');
+const { EbillsError } = require('./ebillsErrors');
+const { sendSms } = require('./smsSender');
+const { compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
+
+const BILL_FLOAT_POLL_INTERVAL_MINUTES = parseInt(process.env.BILL_FLOAT_POLL_INTERVAL_MINUTES || '5', 10);
+const BILL_FLOAT_LOW_BALANCE = parseFloat(process.env.BILL_FLOAT_LOW_BALANCE || '50000');
+const BILL_FLOAT_CRITICAL_BALANCE = parseFloat(process.env.BILL_FLOAT_CRITICAL_BALANCE || '10000');
+const READING_MAX_AGE_MS = 3 * BILL_FLOAT_POLL_INTERVAL_MINUTES * 60 * 1000;
+
+const FLOAT_LEVEL = {
+  OK: 'ok',
+  LOW: 'low',
+  CRITICAL: 'critical',
+  UNKNOWN: 'unknown',
+};
+
+// Last balance we know of: { balance, level, checkedAt }
+let lastReading = null;
+
+let monitorInterval = null;
+let monitorRunning = false;
+
+/**
+ * Level of a float balance against the thresholds
+ */
+function floatLevel(balance) {
+  if (balance < BILL_FLOAT_CRITICAL_BALANCE) {
+    return FLOAT_LEVEL.CRITICAL;
+  }
+  if (balance < BILL_FLOAT_LOW_BALANCE) {
+    return FLOAT_LEVEL.LOW;
+  }
+  return FLOAT_LEVEL.OK;
+}
+
+/**
+ * Tell operations the float moved to another level
+ */
+async function alertLevelChange(previousLevel, reading) {
+  const message = reading.level === FLOAT_LEVEL.OK
+    ? `Bill float is back to ${formatNaira(reading.balance)} (was ${previousLevel}).`
+    : `Bill float is ${reading.level.toUpperCase()}: ${formatNaira(reading.balance)} left with ${getBillProviderName()}. Purchases above the balance are refused until it is topped up.`;
+
+  console.warn(`💰 ${message}`);
+
+  const alertPhone = process.env.BILL_FLOAT_ALERT_PHONE;
+  if (!alertPhone) {
+    return;
+  }
+
+  try {
+    await sendSms(alertPhone, message);
+  } catch (error) {
+    // Already logged; the reading stands
+  }
+}
+
+/**
+ * Keep a new reading and alert when its level differs from the last one
+ */
+async function updateReading(balance, checkedAt) {
+  const previousLevel = lastReading?.level || null;
+  lastReading = {
+    balance,
+    level: floatLevel(balance),
+    checkedAt,
+  };
+
+  // No alert for the first reading after a start when the float is fine
+  if (lastReading.level !== previousLevel && (previousLevel || lastReading.level !== FLOAT_LEVEL.OK)) {
+    await alertLevelChange(previousLevel || FLOAT_LEVEL.UNKNOWN, lastReading);
+  }
+
+  return lastReading;
+}
+
+/**
+ * Read the float balance from the provider and record it
+ * A failed read is recorded too (level unknown), and the last good reading stands.
+ * @returns {Promise<Object>} Snapshot: { balance, level, checkedAt, error }
+ */
+async function checkBillFloat() {
+  const checkedAt = new Date();
+  let snapshot;
+
+  try {
+    const result = await checkBalance();
+    const balance = moneyToNumber(result.balance);
+    const reading = await updateReading(balance, checkedAt);
+    snapshot = { balance, level: reading.level, checkedAt, error: null };
+  } catch (error) {
+    console.error('Error checking bill float:', error.detail || error.message);
+    snapshot = { balance: null, level: FLOAT_LEVEL.UNKNOWN, checkedAt, error: error.detail || error.message };
+  }
+
+  try {
+    await prisma.billFloatSnapshot.create({
+      data: {
+        checkedAt,
+        provider: getBillProviderName(),
+        balance: snapshot.balance,
+        level: snapshot.level,
+        error: snapshot.error,
+      },
+    });
+  } catch (error) {
+    console.error('Error recording bill float snapshot:', error);
+  }
+
+  return snapshot;
+}
+
+/**
+ * Check that the float can cover a purchase
+ * @param {number|string} amount - Purchase amount in Naira
+ * @returns {EbillsError|null} float_insufficient error if the purchase must be refused, else null
+ */
+function billFloatShortfall(amount) {
+  // Without a recent reading the provider has the last word
+  if (!lastReading || Date.now() - lastReading.checkedAt.getTime() > READING_MAX_AGE_MS) {
+    return null;
+  }
+
+  if (compareMoney(amount, lastReading.balance) > 0) {
+    return new EbillsError(
+      'float_insufficient',
+      {},
+      `Float ${formatNaira(lastReading.balance)} can't cover ${formatNaira(amount)}`
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Current float state and thresholds
+ */
+function getBillFloatStatus() {
+  const fresh = Boolean(lastReading) && Date.now() - lastReading.checkedAt.getTime() <= READING_MAX_AGE_MS;
+
+  return {
+    provider: getBillProviderName(),
+    balance: lastReading?.balance ?? null,
+    level: fresh ? lastReading.level : FLOAT_LEVEL.UNKNOWN,
+    checkedAt: lastReading?.checkedAt || null,
+    breakerActive: fresh,
+    thresholds: {
+      low: BILL_FLOAT_LOW_BALANCE,
+      critical: BILL_FLOAT_CRITICAL_BALANCE,
+    },
+    pollIntervalMinutes: BILL_FLOAT_POLL_INTERVAL_MINUTES,
+  };
+}
+
+/**
+ * List float readings, newest first
+ * @param {Object} filters - { since, limit }
+ * @returns {Promise<Array>} Snapshots
+ */
+async function listBillFloatSnapshots(filters = {}) {
+  try {
+    const rows = await prisma.billFloatSnapshot.findMany({
+      where: {
+        ...(filters.since && { checkedAt: { gte: filters.since } }),
+      },
+      orderBy: { checkedAt: 'desc' },
+      take: filters.limit || 100,
+    });
+
+    return rows.map(row => ({
+      id: Number(row.id),
+      checkedAt: row.checkedAt,
+      provider: row.provider,
+      balance: moneyToNumber(row.balance),
+      level: row.level,
+      error: row.error,
+    }));
+  } catch (error) {
+    console.error('Error listing bill float snapshots:', error);
+    throw error;
+  }
+}
+
+// The provider turning an order down for lack of funds is the freshest reading there is
+onBillProviderError((method, error) => {
+  if (error.code === 'insufficient_funds' && method.startsWith('purchase')) {
+    updateReading(0, new Date()).catch(() => {});
+  }
+});
+
+/**
+ * Start polling the float balance (reads once straight away)
+ * @param {number} intervalMs - How often to poll (default BILL_FLOAT_POLL_INTERVAL_MINUTES)
+ */
+function startBillFloatMonitor(intervalMs = BILL_FLOAT_POLL_INTERVAL_MINUTES * 60 * 1000) {
+  if (monitorInterval) {
+    return;
+  }
+
+  const poll = () => {
+    if (monitorRunning) {
+      return;
+    }
+    monitorRunning = true;
+
+    checkBillFloat()
+      .catch(() => {
+        // Already logged; try again on the next tick
+      })
+      .finally(() => {
+        monitorRunning = false;
+      });
+  };
+
+  poll();
+  monitorInterval = setInterval(poll, intervalMs);
+
+  // Don't keep the process alive just for the monitor
+  monitorInterval.unref();
+}
+
+/**
+ * Stop polling the float balance
+ */
+function stopBillFloatMonitor() {
+  if (monitorInterval) {
+    clearInterval(monitorInterval);
+    monitorInterval = null;
+  }
+}
+
+module.exports = {
+  FLOAT_LEVEL,
+  checkBillFloat,
+  billFloatShortfall,
+  getBillFloatStatus,
+  listBillFloatSnapshots,
+  startBillFloatMonitor,
+  stopBillFloatMonitor,
+};
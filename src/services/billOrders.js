@@ -0,0 +1,359 @@
+/**
+ * Bill Orders Service
+ *
+ * Finalizes bill orders that eBills accepted as processing-api: the amount
+ * stays held in suspense (a pending debit) until eBills reports the order
+ * completed (settle) or refunded/failed (money back to the customer).
+ * Used by the eBills webhook and by the requery worker.
+ *
+ * The requery worker polls eBills for pending orders with exponential backoff
+ * (BILL_REQUERY_BASE_DELAY_MINUTES, doubling up to BILL_REQUERY_MAX_DELAY_MINUTES).
+ * After BILL_REQUERY_MAX_ATTEMPTS it stops and escalates the transaction's
+ * support case so someone checks the order with eBills by hand.
+ */
+
+const {
+  prisma,
+  settlePendingDebit,
+  refundFailedDebit,
+  getCustomerById,
+} = require('./database');
+const { reverseTransaction } = require('./reversals');
+const { escalateTransaction } = require('./accountHistory');
+const { requeryOrder } = require('./billProvider');
+const { sendSms } = require('./smsSender');
+const { storeEpins } = require('./epins');
+const { formatNaira, moneyToNumber } = require('../utils/money');
+
+const BILL_REQUERY_BASE_DELAY_MINUTES = parseInt(process.env.BILL_REQUERY_BASE_DELAY_MINUTES || '2', 10);
+const BILL_REQUERY_MAX_DELAY_MINUTES = parseInt(process.env.BILL_REQUERY_MAX_DELAY_MINUTES || '60', 10);
+const BILL_REQUERY_MAX_ATTEMPTS = parseInt(process.env.BILL_REQUERY_MAX_ATTEMPTS || '8', 10);
+const BILL_REQUERY_BATCH_SIZE = 20;
+
+const OUTCOME = {
+  SETTLED: 'settled',
+  REFUNDED: 'refunded',
+  ALREADY_FINAL: 'already_final',
+  UNMATCHED: 'unmatched',
+  IGNORED: 'ignored',
+  STILL_PROCESSING: 'still_processing',
+  ESCALATED: 'escalated',
+};
+
+// eBills order statuses that mean the customer's money must be returned
+const REFUNDED_ORDER_STATUSES = ['refunded', 'failed', 'cancelled'];
+
+let requeryInterval = null;
+let requeryRunning = false;
+
+/**
+ * Tell the customer their bill purchase was refunded
+ */
+async function notifyRefund(billPayment) {
+  try {
+    const customer = await getCustomerById(Number(billPayment.customer_id));
+    if (!customer?.phoneNumber) {
+      return;
+    }
+
+    const recipient = billPayment.phone_number || billPayment.meter_number || billPayment.account_number;
+    await sendSms(
+      customer.phoneNumber,
+      `Your ${formatNaira(billPayment.amount)} ${billPayment.payment_type} purchase${recipient ? ` for ${recipient}` : ''} (${billPayment.reference}) was not delivered by ${billPayment.provider} and has been refunded to your account.`
+    );
+  } catch (error) {
+    // Already logged; the refund stands
+  }
+}
+
+/**
+ * Keep the PINs of an ePIN order that completed after the purchase returned,
+ * and tell the customer they can view them
+ */
+async function deliverEpins(billPayment, order) {
+  const quantity = parseInt(billPayment.units, 10) || order.epins.length;
+
+  const stored = await storeEpins({
+    customerId: billPayment.customer_id,
+    requestId: billPayment.request_id,
+    network: billPayment.provider,
+    value: moneyToNumber(billPayment.amount) / quantity,
+    epins: order.epins,
+  });
+
+  if (stored === 0) {
+    return;
+  }
+
+  try {
+    const customer = await getCustomerById(Number(billPayment.customer_id));
+    if (customer?.phoneNumber) {
+      await sendSms(
+        customer.phoneNumber,
+        `Your ${billPayment.description || `${billPayment.provider} recharge cards`} (${billPayment.reference}) are ready. Open the app and verify your PIN to view them.`
+      );
+    }
+  } catch (error) {
+    // Already logged; the PINs are stored
+  }
+}
+
+/**
+ * Give the customer back the amount of a refunded order
+ * @returns {Promise<boolean>} Whether money was returned
+ */
+async function refundOrder(transaction, reason) {
+  if (transaction.status === 'pending') {
+    return refundFailedDebit(transaction.id, reason);
+  }
+
+  // Settled already (e.g. eBills completed the order, then refunded it): reverse it out of settlement
+  if (transaction.status === 'success') {
+    try {
+      await reverseTransaction(transaction.reference, {
+        reason,
+        initiatedBy: 'ebills',
+      });
+      return true;
+    } catch (error) {
+      if (error.message === 'Transaction already reversed') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Apply an eBills order status to our records
+ * @param {Object} billPayment - bill_payments row of the order
+ * @param {Object} order - eBills order ({ status, order_id, token, units, epins, ... })
+ * @returns {Promise<string>} Outcome (settled, refunded, already_final, unmatched, ignored)
+ */
+async function applyOrderStatus(billPayment, order) {
+  const transaction = billPayment && billPayment.reference
+    ? await prisma.transaction.findUnique({ where: { reference: billPayment.reference } })
+    : null;
+
+  if (!transaction) {
+    return OUTCOME.UNMATCHED;
+  }
+
+  let outcome = OUTCOME.IGNORED;
+
+  if (order.status === 'completed-api') {
+    const settled = await settlePendingDebit(transaction.id);
+    outcome = settled ? OUTCOME.SETTLED : OUTCOME.ALREADY_FINAL;
+  } else if (REFUNDED_ORDER_STATUSES.includes(order.status)) {
+    const refunded = await refundOrder(transaction, `eBills order status: ${order.status}`);
+
+    if (refunded) {
+      await prisma.bill_payments.update({
+        where: { id: billPayment.id },
+        data: { status: 'refunded', updated_at: new Date() },
+      });
+
+      // Reversals send their own SMS
+      if (transaction.status === 'pending') {
+        await notifyRefund(billPayment);
+      }
+    }
+    outcome = refunded ? OUTCOME.REFUNDED : OUTCOME.ALREADY_FINAL;
+  }
+
+  // Keep the order ID, and a prepaid token that only arrived once the order completed
+  const details = {};
+  if (!billPayment.order_id && order.order_id != null) {
+    details.order_id = String(order.order_id);
+  }
+  if (outcome === OUTCOME.SETTLED && !billPayment.token && order.token) {
+    details.token = order.token;
+    details.units = order.units != null ? String(order.units) : null;
+  }
+  if (Object.keys(details).length > 0) {
+    await prisma.bill_payments.update({
+      where: { id: billPayment.id },
+      data: details,
+    });
+  }
+
+  // Also on a repeat, in case storing failed the first time (stored PINs are skipped)
+  if (order.status === 'completed-api' && billPayment.payment_type === 'epin' && billPayment.status !== 'refunded') {
+    if (Array.isArray(order.epins)) {
+      await deliverEpins(billPayment, order);
+    } else {
+      console.error(`ePIN order ${billPayment.request_id} completed without PINs`);
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Minutes to wait before the next requery, after the given number of attempts
+ */
+function requeryDelayMinutes(attempts) {
+  return Math.min(BILL_REQUERY_BASE_DELAY_MINUTES * 2 ** attempts, BILL_REQUERY_MAX_DELAY_MINUTES);
+}
+
+/**
+ * Requery one pending order
+ * The attempt is claimed first (guarded on the attempt count), so two
+ * instances never requery the same order at once.
+ * @returns {Promise<string|null>} Outcome, or null if another worker claimed it
+ */
+async function requeryBillPayment(billPayment) {
+  const attempts = billPayment.requery_attempts + 1;
+  const now = new Date();
+
+  const claimed = await prisma.bill_payments.updateMany({
+    where: {
+      id: billPayment.id,
+      status: 'pending',
+      requery_attempts: billPayment.requery_attempts,
+    },
+    data: {
+      requery_attempts: attempts,
+      next_requery_at: new Date(now.getTime() + requeryDelayMinutes(attempts) * 60 * 1000),
+    },
+  });
+
+  if (claimed.count === 0) {
+    return null;
+  }
+
+  try {
+    const response = await requeryOrder(billPayment.request_id);
+    const order = response?.data || {};
+
+    const outcome = await applyOrderStatus(billPayment, order);
+    if (outcome !== OUTCOME.IGNORED) {
+      return outcome;
+    }
+  } catch (error) {
+    console.error(`Error requerying bill order ${billPayment.request_id}:`, error.detail || error.message);
+  }
+
+  if (attempts < BILL_REQUERY_MAX_ATTEMPTS) {
+    return OUTCOME.STILL_PROCESSING;
+  }
+
+  // Give up: stop requerying and hand the order to support
+  await prisma.bill_payments.update({
+    where: { id: billPayment.id },
+    data: { next_requery_at: null },
+  });
+
+  const transaction = await prisma.transaction.findUnique({
+    where: { reference: billPayment.reference },
+    select: { id: true },
+  });
+
+  if (transaction) {
+    await escalateTransaction(transaction.id, {
+      note: `eBills order ${billPayment.request_id} still not final after ${attempts} requeries`,
+      by: 'requery worker',
+    });
+  }
+
+  return OUTCOME.ESCALATED;
+}
+
+/**
+ * Requery pending bill orders that are due
+ * @returns {Promise<Object>} Count of orders per outcome
+ */
+async function requeryPendingBillOrders() {
+  try {
+    const now = new Date();
+    const firstRequeryBefore = new Date(now.getTime() - BILL_REQUERY_BASE_DELAY_MINUTES * 60 * 1000);
+
+    const due = await prisma.bill_payments.findMany({
+      where: {
+        status: 'pending',
+        deleted_at: null,
+        request_id: { not: null },
+        requery_attempts: { lt: BILL_REQUERY_MAX_ATTEMPTS },
+        OR: [
+          { next_requery_at: null, requery_attempts: 0, payment_date: { lte: firstRequeryBefore } },
+          { next_requery_at: { lte: now } },
+        ],
+      },
+      orderBy: { payment_date: 'asc' },
+      take: BILL_REQUERY_BATCH_SIZE,
+    });
+
+    const counts = {};
+    for (const billPayment of due) {
+      try {
+        const outcome = await requeryBillPayment(billPayment);
+        if (outcome) {
+          counts[outcome] = (counts[outcome] || 0) + 1;
+        }
+      } catch (error) {
+        // One bad order shouldn't hold up the rest; it is retried when next due
+        console.error(`Error finalizing bill order ${billPayment.request_id}:`, error);
+      }
+    }
+
+    return counts;
+  } catch (error) {
+    console.error('Error requerying pending bill orders:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the background worker that requeries processing bill orders
+ * @param {number} intervalMs - How often to look for due orders (default 60 seconds)
+ */
+function startBillRequeryWorker(intervalMs = 60 * 1000) {
+  if (requeryInterval) {
+    return;
+  }
+
+  requeryInterval = setInterval(() => {
+    // A slow eBills can make a run outlast the interval; skip rather than overlap
+    if (requeryRunning) {
+      return;
+    }
+    requeryRunning = true;
+
+    requeryPendingBillOrders()
+      .then((counts) => {
+        const summary = Object.entries(counts).map(([outcome, count]) => `${count} ${outcome}`).join(', ');
+        if (summary) {
+          console.log(`🔁 Requeried bill orders: ${summary}`);
+        }
+      })
+      .catch(() => {
+        // Already logged in requeryPendingBillOrders; try again on the next tick
+      })
+      .finally(() => {
+        requeryRunning = false;
+      });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the worker
+  requeryInterval.unref();
+}
+
+/**
+ * Stop the background requery worker
+ */
+function stopBillRequeryWorker() {
+  if (requeryInterval) {
+    clearInterval(requeryInterval);
+    requeryInterval = null;
+  }
+}
+
+module.exports = {
+  BILL_ORDER_OUTCOME: OUTCOME,
+  applyOrderStatus,
+  requeryPendingBillOrders,
+  startBillRequeryWorker,
+  stopBillRequeryWorker,
+};
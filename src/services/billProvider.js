@@ -0,0 +1,140 @@
+/**
+ * Bill Provider
+ *
+ * Pluggable bill-payment provider (airtime, data, electricity, cable TV, betting, ePINs).
+ * The active provider is chosen with BILL_PROVIDER:
+ *   - ebills (default): the eBills.africa API
+ *   - mock: in-process provider with configurable outcomes (see mockBillProvider),
+ *     for running the purchase flows offline; refused when NODE_ENV=production
+ *
+ * Every provider implements the BillProvider contract below and speaks eBills'
+ * vocabulary: the same service IDs, request/response fields and order statuses
+ * (completed-api, processing-api, refunded, ...), so routes and the ledger
+ * don't care which one is active.
+ *
+ * Other providers are added by calling registerBillProvider(name, provider).
+ */
+
+const ebills = require('./ebills');
+const mockBillProvider = require('./mockBillProvider');
+
+/**
+ * @typedef {Object} BillProvider
+ * @property {function(): Promise<Object>} checkBalance - Wallet balance ({ balance, ... })
+ * @property {function(Object): Promise<Object>} purchaseAirtime - { request_id, phone, service_id, amount }
+ * @property {function(string): Promise<Array>} getDataVariations - Data plans for a network
+ * @property {function(Object): Promise<Object>} purchaseData - { request_id, phone, service_id, variation_id }
+ * @property {function(Object): Promise<Object>} verifyCustomer - { customer_id, service_id, variation_id }
+ * @property {function(Object): Promise<Object>} purchaseElectricity - { request_id, customer_id, service_id, variation_id, amount }
+ * @property {function(string): Promise<Array>} getTvVariations - Bouquets for a cable TV provider
+ * @property {function(Object): Promise<Object>} purchaseCable - { request_id, customer_id, service_id, variation_id, subscription_type, amount }
+ * @property {function(Object): Promise<Object>} purchaseBetting - { request_id, customer_id, service_id, amount }
+ * @property {function(Object): Promise<Object>} purchaseEpins - { request_id, service_id, value, quantity }
+ * @property {function(string): Promise<Object>} requeryOrder - Order status by request_id
+ *
+ * Purchases and requeries resolve to { code, message, data: { order_id, status, request_id, ... } }
+ * (completed ePIN orders add data.epins: [{ pin, serial, value, instruction }])
+ * and reject with an EbillsError (see ebillsErrors.js) whose message can be shown to the customer.
+ */
+
+const PROVIDER_METHODS = [
+  'checkBalance',
+  'purchaseAirtime',
+  'getDataVariations',
+  'purchaseData',
+  'verifyCustomer',
+  'purchaseElectricity',
+  'getTvVariations',
+  'purchaseCable',
+  'purchaseBetting',
+  'purchaseEpins',
+  'requeryOrder',
+];
+
+const providers = {
+  ebills,
+  mock: mockBillProvider,
+};
+
+const errorListeners = [];
+
+/**
+ * Register a bill provider under a name
+ * @param {string} name - Provider name used in BILL_PROVIDER
+ * @param {BillProvider} provider - Object implementing every BillProvider method
+ */
+function registerBillProvider(name, provider) {
+  const missing = PROVIDER_METHODS.filter(method => typeof provider?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Bill provider "${name}" must implement: ${missing.join(', ')}`);
+  }
+
+  providers[name] = provider;
+}
+
+/**
+ * Name of the provider configured by BILL_PROVIDER
+ */
+function getBillProviderName() {
+  return process.env.BILL_PROVIDER || 'ebills';
+}
+
+/**
+ * Get the provider configured by BILL_PROVIDER
+ * @returns {BillProvider}
+ */
+function getBillProvider() {
+  const name = getBillProviderName();
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Unknown bill provider "${name}". Please check BILL_PROVIDER in environment variables.`);
+  }
+
+  // Mock orders move no money, so they must never stand in for real purchases
+  if (name === 'mock' && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock bill provider cannot be used in production. Please set BILL_PROVIDER=ebills.');
+  }
+
+  return provider;
+}
+
+/**
+ * Be told about every failed provider call (e.g. to notice the float running out)
+ * @param {function(string, Error): void} listener - Called with the method name and the error
+ */
+function onBillProviderError(listener) {
+  errorListeners.push(listener);
+}
+
+// Each call goes to the provider configured at that moment
+const delegates = Object.fromEntries(PROVIDER_METHODS.map(method => [
+  method,
+  async (...args) => {
+    try {
+      return await getBillProvider()[method](...args);
+    } catch (error) {
+      errorListeners.forEach(listener => listener(method, error));
+      throw error;
+    }
+  },
+]));
+
+module.exports = {
+  ...delegates,
+  registerBillProvider,
+  onBillProviderError,
+  getBillProvider,
+  getBillProviderName,
+  DATA_SERVICE_IDS: ebills.DATA_SERVICE_IDS,
+  ELECTRICITY_PROVIDERS: ebills.ELECTRICITY_PROVIDERS,
+  METER_TYPES: ebills.METER_TYPES,
+  CABLE_PROVIDERS: ebills.CABLE_PROVIDERS,
+  SUBSCRIPTION_TYPE_SERVICE_IDS: ebills.SUBSCRIPTION_TYPE_SERVICE_IDS,
+  BETTING_SERVICE_IDS: ebills.BETTING_SERVICE_IDS,
+  MIN_BETTING_AMOUNT: ebills.MIN_BETTING_AMOUNT,
+  MAX_BETTING_AMOUNT: ebills.MAX_BETTING_AMOUNT,
+  EPIN_SERVICE_IDS: ebills.EPIN_SERVICE_IDS,
+  EPIN_VALUES: ebills.EPIN_VALUES,
+  MAX_EPIN_QUANTITY: ebills.MAX_EPIN_QUANTITY,
+};
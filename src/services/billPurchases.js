@@ -0,0 +1,224 @@
+/**
+ * Bill Purchases Service
+ *
+ * Runs a bill purchase (airtime, data, electricity, cable, betting, ePINs)
+ * once the customer has confirmed it: reserve the amount, place the order
+ * with the bill provider, then settle, leave pending or refund depending on
+ * the order status. Each purchase type only supplies what differs: the
+ * provider call, how it is described and what it keeps from the order.
+ *
+ * The pending bill_payments row is written with the reservation, so a debit
+ * held in suspense is always one the requery worker will finalize, even if
+ * this process dies before eBills answers.
+ */
+
+const {
+  debitAccount,
+  postJournalEntry,
+  recordFailedTransaction,
+  settlePendingDebit,
+  refundFailedDebit,
+  createBillPayment,
+  updateBillPaymentOrder,
+  SYSTEM_LEDGER_ACCOUNTS,
+  prisma,
+} = require('./database');
+const { EbillsError, isOrderUnconfirmed } = require('./ebillsErrors');
+const { billFloatShortfall } = require('./billFloat');
+const { parseMoney, subtractMoney } = require('../utils/money');
+
+// Order statuses that mean eBills accepted the order
+const ACCEPTED_ORDER_STATUSES = ['completed-api', 'processing-api'];
+
+/**
+ * Generate a reference or eBills request_id (max 50 chars) for a purchase
+ */
+function generateBillReferences(prefix) {
+  const random = () => Math.random().toString(36).substring(2, 11).toUpperCase();
+  return {
+    requestId: `${prefix}-${Date.now()}-${random().slice(0, 7)}`,
+    reference: `${prefix}${Date.now()}${random()}`,
+  };
+}
+
+/**
+ * Reserve the amount of a bill purchase before calling eBills, so two purchases
+ * can't both spend the same balance. The debit is held in suspense (status
+ * 'pending') until the order is confirmed, together with a pending
+ * bill_payments row; if the reservation itself fails, a failed transaction is
+ * recorded and the error rethrown.
+ * Nothing is reserved while the float can't cover the purchase (it ran low
+ * after the purchase was requested), or when the purchase's own shortfall
+ * check refuses it; that check runs in the reservation transaction, before the
+ * debit, so it sees purchases reserved up to that point.
+ * @returns {Promise<Object>} The pending Transaction row
+ */
+async function reservePurchase(purchase, { entryType, reference, description, receiverName, provider, recipient, billDetails, shortfall }) {
+  const { customerId, accountId, amount } = purchase;
+  const now = new Date();
+
+  const floatError = billFloatShortfall(amount);
+  if (floatError) {
+    throw floatError;
+  }
+
+  let refusal = null;
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      refusal = shortfall ? await shortfall(tx) : null;
+      if (refusal) {
+        throw refusal;
+      }
+
+      const { balanceBefore, balanceAfter } = await debitAccount(tx, accountId, amount);
+
+      // Held in suspense until eBills confirms the order
+      const journalEntry = await postJournalEntry(tx, {
+        entryType,
+        reference,
+        description,
+        postings: [
+          { accountId, amount: subtractMoney(0, amount) },
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SUSPENSE, amount },
+        ],
+      });
+
+      const transaction = await tx.transaction.create({
+        data: {
+          customerId: BigInt(customerId),
+          accountId: BigInt(accountId),
+          receiverName,
+          bankName: provider,
+          bankAccount: recipient,
+          accountNumber: recipient,
+          amount: parseMoney(amount),
+          balanceBefore,
+          balanceAfter,
+          transactionDate: now,
+          createdAt: now,
+          status: 'pending',
+          transactionType: 'debit',
+          reference: reference,
+          journalEntryId: journalEntry.id,
+        },
+      });
+
+      await createBillPayment(tx, transaction, { ...billDetails, status: 'pending' });
+      return transaction;
+    });
+  } catch (error) {
+    // Refused, not failed: nothing was reserved
+    if (error === refusal) {
+      throw error;
+    }
+
+    await recordFailedTransaction({
+      customerId,
+      accountId,
+      amount,
+      receiverName,
+      bankName: provider,
+      accountNumber: recipient,
+      reference,
+      failureReason: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Reserve, order and finalize a bill purchase
+ * @param {Object} purchase - { customerId, accountId, amount } (a pending transaction)
+ * @param {Object} options
+ * @param {string} options.prefix - Reference prefix (AIR, DAT, ELE, ...)
+ * @param {string} options.entryType - Journal entry type of the debit
+ * @param {string} options.name - What is bought, for error messages ("Airtime purchase")
+ * @param {Object} options.reservation - { description, receiverName, provider, recipient } of the debit
+ * @param {Object} options.billDetails - bill_payments fields (paymentType, provider, phoneNumber, ...)
+ * @param {Function} options.call - (requestId) => provider purchase response
+ * @param {Function} options.describe - (state, order, delivered) => response text; state is 'completed' or 'processing'
+ * @param {Function} [options.isCompleted] - (order) => whether the order is complete (default: completed-api)
+ * @param {Function} [options.completedDetails] - (order) => extra bill_payments fields of a completed order
+ * @param {Function} [options.deliver] - async (order, requestId, transaction) => fields added to the result of a completed order
+ * @param {Function} [options.shortfall] - async (tx) => error to refuse the purchase with, or null; runs in the reservation transaction
+ * @returns {Promise<Object>} { success, response, state, ...delivered }
+ */
+async function executeBillPurchase(purchase, options) {
+  const {
+    prefix,
+    entryType,
+    name,
+    reservation,
+    call,
+    describe,
+    isCompleted = order => order.status === 'completed-api',
+    completedDetails = () => ({}),
+    deliver = null,
+    shortfall = null,
+  } = options;
+  const { requestId, reference } = generateBillReferences(prefix);
+  const billDetails = { ...options.billDetails, requestId };
+
+  const transaction = await reservePurchase(purchase, { entryType, reference, billDetails, shortfall, ...reservation });
+
+  let providerResponse;
+  try {
+    providerResponse = await call(requestId);
+  } catch (error) {
+    // eBills may have placed the order anyway: keep the amount held and let
+    // the requery worker settle or refund it by its request_id
+    if (isOrderUnconfirmed(error)) {
+      console.error(`${name} ${requestId} unconfirmed, left for requery:`, error.detail);
+      return {
+        success: true,
+        state: 'processing',
+        response: describe('processing', {}, {}),
+      };
+    }
+
+    // If the purchase fails, give the reserved amount back
+    await refundFailedDebit(transaction.id, `eBills request failed: ${error.detail || error.message}`);
+    // Provider errors already carry the customer's message, status and retryability
+    if (error instanceof EbillsError) {
+      throw error;
+    }
+    throw new Error(`${name} failed: ${error.message}`);
+  }
+
+  const order = providerResponse?.data || {};
+
+  if (isCompleted(order)) {
+    await settlePendingDebit(transaction.id);
+    await updateBillPaymentOrder(reference, { ...completedDetails(order), orderId: order.order_id });
+
+    const delivered = deliver ? await deliver(order, requestId, transaction) : {};
+
+    return {
+      success: true,
+      state: 'completed',
+      response: describe('completed', order, delivered),
+      ...delivered,
+    };
+  }
+
+  // Accepted but not complete yet: the webhook or requery worker finalizes it
+  if (ACCEPTED_ORDER_STATUSES.includes(order.status)) {
+    await updateBillPaymentOrder(reference, { orderId: order.order_id });
+
+    return {
+      success: true,
+      state: 'processing',
+      response: describe('processing', order, {}),
+    };
+  }
+
+  // Order was refunded or failed
+  await refundFailedDebit(transaction.id, `eBills order status: ${order.status}`);
+  await updateBillPaymentOrder(reference, { orderId: order.order_id });
+  throw new EbillsError('order_failed', {}, `Order status: ${order.status}`);
+}
+
+module.exports = {
+  executeBillPurchase,
+};
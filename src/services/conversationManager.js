@@ -8,25 +8,53 @@ const {
   getLastBillPayment,
   searchBeneficiaries,
   getAccountBalance,
-  initiateTransfer,
   getCustomerById,
 } = require('./database');
+const { createPendingTransaction } = require('./pendingTransactions');
 const { normalizePhone, normalizeAccountNumber } = require('../utils/networkDetector');
+const { addMoney, compareMoney, moneyToNumber, formatNaira } = require('../utils/money');
 
 /**
  * Conversation Manager - Handles multi-turn dialogues and natural language queries
  */
 class ConversationManager {
-  constructor(customerId) {
+  /**
+   * @param {number} customerId - Customer ID
+   * @param {Object} options - { history, pendingAction, onTurn } - onTurn(messages, pendingAction) saves
+   *   the messages each turn adds and the pending action it leaves
+   */
+  constructor(customerId, { history = [], pendingAction = null, onTurn = null } = {}) {
     this.customerId = customerId;
-    this.conversationHistory = [];
-    this.pendingAction = null;
+    this.conversationHistory = history;
+    this.pendingAction = pendingAction;
+    this.onTurn = onTurn;
   }
 
   /**
    * Main entry point for processing user messages
    */
   async processMessage(userMessage) {
+    const history = this.conversationHistory;
+    const firstNewMessage = history.length;
+
+    const result = await this.respond(userMessage);
+
+    if (this.onTurn) {
+      try {
+        await this.onTurn(history.slice(firstNewMessage), this.pendingAction);
+      } catch (error) {
+        // The customer still gets the reply; only the turn isn't saved
+        console.error('Error saving conversation turn:', error);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Answer a message, adding it and the reply to the history
+   */
+  async respond(userMessage) {
     // Add user message to history
     this.conversationHistory.push({
       role: 'user',
@@ -73,9 +101,10 @@ class ConversationManager {
           type: 'transfer_confirmation',
           beneficiary: selected,
           amount: this.pendingAction.amount,
+          accountId: this.pendingAction.accountId,
         };
 
-        const response = `You selected ${selected.name} with account ending in ${selected.last4Digits}. Should I proceed with the transfer of ₦${this.pendingAction.amount.toLocaleString()}?`;
+        const response = `You selected ${selected.name} with account ending in ${selected.last4Digits}. Should I proceed with the transfer of ${formatNaira(this.pendingAction.amount)}?`;
         
         this.conversationHistory.push({
           role: 'assistant',
@@ -99,21 +128,41 @@ class ConversationManager {
     }
 
     if (this.pendingAction.type === 'transfer_confirmation') {
-      // User is confirming a transfer
+      // User is confirming a transfer. The transfer itself only runs after
+      // PIN verification (POST /api/verify-transaction), as on /api/transfer.
       if (this.isPositiveResponse(message)) {
         const { beneficiary, amount, accountId } = this.pendingAction;
+        this.pendingAction = null;
 
         try {
-          const transaction = await initiateTransfer(
-            this.customerId,
-            accountId,
-            beneficiary.id,
-            amount
-          );
+          const accounts = await getAccountBalance(this.customerId);
+          const account = accounts.find(acc => acc.id === accountId);
+
+          if (!account) {
+            return {
+              response: "You don't have an active account. Please contact support.",
+              action: null,
+            };
+          }
 
-          this.pendingAction = null;
+          if (compareMoney(account.balance, amount) < 0) {
+            const response = 'You do not have sufficient balance to make transfer. Please top up.';
+            this.conversationHistory.push({ role: 'assistant', content: response });
+            return { response, action: null };
+          }
+
+          const transactionId = await createPendingTransaction({
+            type: 'transfer',
+            customerId: this.customerId,
+            status: 'awaiting_pin',
+            data: {
+              beneficiary,
+              amount,
+              accountId,
+            },
+          });
 
-          const response = `✅ Transfer of ₦${amount.toLocaleString()} to ${beneficiary.name} has been initiated successfully! Reference: ${transaction.reference}`;
+          const response = `Please verify your PIN to complete the transfer of ${formatNaira(amount)} to ${beneficiary.name}.`;
 
           this.conversationHistory.push({
             role: 'assistant',
@@ -122,11 +171,11 @@ class ConversationManager {
 
           return {
             response,
-            action: 'transfer_completed',
-            data: { transaction },
+            transactionId,
+            action: 'verify_pin',
+            data: { beneficiary, amount },
           };
         } catch (error) {
-          this.pendingAction = null;
           return {
             response: `❌ Transfer failed: ${error.message}. Please try again.`,
             action: null,
@@ -198,7 +247,7 @@ class ConversationManager {
       },
       {
         name: 'get_last_bill_payment',
-        description: 'Get the most recent bill payment (airtime, data, cable, internet, electricity) for the customer. Use for queries like: "last airtime purchase", "last bill payment", "most recent airtime", "recent airtime purchase", "what phone number did I last buy airtime for", "phone number from my last airtime", "who did I last send airtime to", "last airtime I transferred", "last airtime I bought". This tool returns the complete bill payment record including phone_number, amount, date, provider, etc. Can optionally filter by payment type (airtime, data, cable, internet, electricity).',
+        description: 'Get the most recent bill payment (airtime, data, cable, internet, electricity) for the customer. Use for queries like: "last airtime purchase", "last bill payment", "most recent airtime", "recent airtime purchase", "what phone number did I last buy airtime for", "phone number from my last airtime", "who did I last send airtime to", "last airtime I transferred", "last airtime I bought", "my last electricity token". This tool returns the complete bill payment record including phone_number, meter_number, token and units (prepaid electricity), amount, date, provider, etc. Can optionally filter by payment type (airtime, data, cable, internet, electricity).',
         input_schema: {
           type: 'object',
           properties: {
@@ -489,7 +538,7 @@ class ConversationManager {
 
         case 'get_account_balance':
           const accounts = await getAccountBalance(this.customerId);
-          const totalBalance = accounts.reduce((sum, acc) => sum + acc.balance, 0);
+          const totalBalance = moneyToNumber(addMoney(...accounts.map(acc => acc.balance)));
           return { accounts, totalBalance, count: accounts.length };
 
         case 'get_customer_info':
@@ -557,7 +606,7 @@ class ConversationManager {
     }
 
     const date = new Date(transaction.transactionDate).toLocaleDateString('en-NG');
-    const response = `Your last transaction was a ${transaction.transactionType} of ₦${transaction.amount.toLocaleString()} to ${transaction.receiverName} on ${date}. Status: ${transaction.status}`;
+    const response = `Your last transaction was a ${transaction.transactionType} of ${formatNaira(transaction.amount)} to ${transaction.receiverName} on ${date}. Status: ${transaction.status}`;
 
     this.conversationHistory.push({ role: 'assistant', content: response });
     return { response, action: null };
@@ -589,23 +638,23 @@ class ConversationManager {
         }
 
         // Calculate totals
-        const totalSpent = transactions
+        const totalSpent = moneyToNumber(addMoney(...transactions
           .filter(t => t.transactionType === 'debit')
-          .reduce((sum, t) => sum + (t.amount || 0), 0);
+          .map(t => t.amount || 0)));
         
-        const totalReceived = transactions
+        const totalReceived = moneyToNumber(addMoney(...transactions
           .filter(t => t.transactionType === 'credit')
-          .reduce((sum, t) => sum + (t.amount || 0), 0);
+          .map(t => t.amount || 0)));
 
         let response = `I found ${transactions.length} transaction(s) in the last period.`;
         
         if (totalSpent > 0 || totalReceived > 0) {
           const parts = [];
           if (totalSpent > 0) {
-            parts.push(`Total spent: ₦${totalSpent.toLocaleString()}`);
+            parts.push(`Total spent: ${formatNaira(totalSpent)}`);
           }
           if (totalReceived > 0) {
-            parts.push(`Total received: ₦${totalReceived.toLocaleString()}`);
+            parts.push(`Total received: ${formatNaira(totalReceived)}`);
           }
           if (parts.length > 0) {
             response += ` ${parts.join('. ')}.`;
@@ -641,23 +690,23 @@ class ConversationManager {
       }
 
       // Calculate totals
-      const totalSpent = transactions
+      const totalSpent = moneyToNumber(addMoney(...transactions
         .filter(t => t.transactionType === 'debit')
-        .reduce((sum, t) => sum + (t.amount || 0), 0);
+        .map(t => t.amount || 0)));
       
-      const totalReceived = transactions
+      const totalReceived = moneyToNumber(addMoney(...transactions
         .filter(t => t.transactionType === 'credit')
-        .reduce((sum, t) => sum + (t.amount || 0), 0);
+        .map(t => t.amount || 0)));
 
       let response = `I found ${transactions.length} transaction(s) in your account.`;
       
       if (totalSpent > 0 || totalReceived > 0) {
         const parts = [];
         if (totalSpent > 0) {
-          parts.push(`Total spent: ₦${totalSpent.toLocaleString()}`);
+          parts.push(`Total spent: ${formatNaira(totalSpent)}`);
         }
         if (totalReceived > 0) {
-          parts.push(`Total received: ₦${totalReceived.toLocaleString()}`);
+          parts.push(`Total received: ${formatNaira(totalReceived)}`);
         }
         if (parts.length > 0) {
           response += ` ${parts.join('. ')}.`;
@@ -683,14 +732,14 @@ class ConversationManager {
     }
 
     // Calculate total spent (sum of debit transactions)
-    const totalSpent = transactions
+    const totalSpent = moneyToNumber(addMoney(...transactions
       .filter(t => t.transactionType === 'debit')
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
+      .map(t => t.amount || 0)));
     
     // Calculate total received (sum of credit transactions)
-    const totalReceived = transactions
+    const totalReceived = moneyToNumber(addMoney(...transactions
       .filter(t => t.transactionType === 'credit')
-      .reduce((sum, t) => sum + (t.amount || 0), 0);
+      .map(t => t.amount || 0)));
 
     // Format date range for display
     const dateRangeText = startDate === endDate ? `on ${startDate}` : `between ${startDate} and ${endDate}`;
@@ -700,10 +749,10 @@ class ConversationManager {
     if (totalSpent > 0 || totalReceived > 0) {
       const parts = [];
       if (totalSpent > 0) {
-        parts.push(`Total spent: ₦${totalSpent.toLocaleString()}`);
+        parts.push(`Total spent: ${formatNaira(totalSpent)}`);
       }
       if (totalReceived > 0) {
-        parts.push(`Total received: ₦${totalReceived.toLocaleString()}`);
+        parts.push(`Total received: ${formatNaira(totalReceived)}`);
       }
       if (parts.length > 0) {
         response += ` ${parts.join('. ')}.`;
@@ -715,7 +764,7 @@ class ConversationManager {
   }
 
   /**
-   * Handle bill payment queries (airtime, data, cable, internet, electricity)
+   * Handle bill payment queries (airtime, data, cable, internet, electricity, ePINs)
    */
   async handleQueryBillPayments(parameters, originalMessage = '') {
     let { startDate, endDate, transactionType } = parameters;
@@ -733,6 +782,8 @@ class ConversationManager {
         'cable': 'cable',
         'internet': 'internet',
         'electricity': 'electricity',
+        'epin': 'epin',
+        'betting': 'betting',
       };
       paymentType = typeMap[transactionType.toLowerCase()] || transactionType.toLowerCase();
     }
@@ -741,6 +792,8 @@ class ConversationManager {
     if (!paymentType && originalMessage) {
       const messageLower = originalMessage.toLowerCase();
       const paymentTypeKeywords = {
+        'epin': /\b(e-?pins?|recharge cards?|scratch cards?)\b/i,
+        'betting': /\b(betting|bet9ja|betking|1xbet|supabet|nairabet|merrybet)\b/i,
         'airtime': /\b(airtime|air time)\b/i,
         'data': /\b(data|internet data|mobile data)\b/i,
         'cable': /\b(cable|cable tv|dstv|gotv|startimes)\b/i,
@@ -771,7 +824,7 @@ class ConversationManager {
       const date = new Date(lastBillPayment.payment_date).toLocaleDateString('en-NG');
       const time = new Date(lastBillPayment.payment_date).toLocaleTimeString('en-NG', { hour: '2-digit', minute: '2-digit' });
       let response = `Your last ${paymentType || 'bill payment'} was on ${date} at ${time}. `;
-      response += `Amount: ₦${lastBillPayment.amount.toLocaleString()}. `;
+      response += `Amount: ${formatNaira(lastBillPayment.amount)}. `;
       
       if (lastBillPayment.phone_number) {
         response += `Phone number: ${lastBillPayment.phone_number}. `;
@@ -779,6 +832,15 @@ class ConversationManager {
       if (lastBillPayment.provider) {
         response += `Provider: ${lastBillPayment.provider}. `;
       }
+      if (lastBillPayment.meter_number) {
+        response += `Meter number: ${lastBillPayment.meter_number}. `;
+      }
+      if (lastBillPayment.account_number) {
+        response += `${lastBillPayment.payment_type === 'cable' ? 'Smartcard' : 'Account'} number: ${lastBillPayment.account_number}. `;
+      }
+      if (lastBillPayment.token) {
+        response += `Token: ${lastBillPayment.token}${lastBillPayment.units ? ` (${lastBillPayment.units} units)` : ''}. `;
+      }
       if (lastBillPayment.status) {
         response += `Status: ${lastBillPayment.status}.`;
       }
@@ -809,13 +871,6 @@ class ConversationManager {
       endDate = endDate || `${currentYear}-12-31`;
     }
 
-    console.log(`[handleQueryBillPayments] Querying bill payments:`);
-    console.log(`  - customerId: ${this.customerId}`);
-    console.log(`  - startDate: ${startDate}`);
-    console.log(`  - endDate: ${endDate}`);
-    console.log(`  - paymentType: ${paymentType || 'all'}`);
-    console.log(`  - originalMessage: ${originalMessage}`);
-
     const billPayments = await getBillPaymentsByDateRange(
       this.customerId,
       startDate,
@@ -831,9 +886,9 @@ class ConversationManager {
     }
 
     // Calculate total
-    const total = billPayments.reduce((sum, bp) => sum + bp.amount, 0);
+    const total = moneyToNumber(addMoney(...billPayments.map(bp => bp.amount)));
     const typeText = paymentType || 'bill payment';
-    const response = `Between ${startDate} and ${endDate}, you made ${billPayments.length} ${typeText} payment(s) for a total of ₦${total.toLocaleString()}.`;
+    const response = `Between ${startDate} and ${endDate}, you made ${billPayments.length} ${typeText} payment(s) for a total of ${formatNaira(total)}.`;
     
     this.conversationHistory.push({ role: 'assistant', content: response });
     return { response, action: null, data: { billPayments, total } };
@@ -876,17 +931,17 @@ class ConversationManager {
       this.pendingAction = {
         type: 'transfer_confirmation',
         beneficiary,
-        amount: parseFloat(amount),
+        amount: moneyToNumber(amount),
         accountId,
       };
 
-      const response = `I found ${beneficiary.name} with ${beneficiary.bankName || 'bank'} (account ending in ${beneficiary.last4Digits}). Should I proceed with the transfer of ₦${amount.toLocaleString()}?`;
+      const response = `I found ${beneficiary.name} with ${beneficiary.bankName || 'bank'} (account ending in ${beneficiary.last4Digits}). Should I proceed with the transfer of ${formatNaira(amount)}?`;
 
       this.conversationHistory.push({ role: 'assistant', content: response });
       return {
         response,
         action: 'confirm_transfer',
-        data: { beneficiary, amount: parseFloat(amount) },
+        data: { beneficiary, amount: moneyToNumber(amount) },
       };
     }
 
@@ -901,17 +956,17 @@ class ConversationManager {
     this.pendingAction = {
       type: 'beneficiary_selection',
       beneficiaries,
-      amount: parseFloat(amount),
+      amount: moneyToNumber(amount),
       accountId,
     };
 
-    const response = `I found ${beneficiaries.length} people named "${recipientName}":\n\n${options}\n\nWhich one would you like to send ₦${amount.toLocaleString()} to? You can say "the first one" or mention the account number ending.`;
+    const response = `I found ${beneficiaries.length} people named "${recipientName}":\n\n${options}\n\nWhich one would you like to send ${formatNaira(amount)} to? You can say "the first one" or mention the account number ending.`;
 
     this.conversationHistory.push({ role: 'assistant', content: response });
     return {
       response,
       action: 'select_beneficiary',
-      data: { beneficiaries, amount: parseFloat(amount) },
+      data: { beneficiaries, amount: moneyToNumber(amount) },
     };
   }
 
@@ -929,7 +984,7 @@ class ConversationManager {
 
     const balanceText = accounts.map(acc => {
       const normalizedAccountNumber = normalizeAccountNumber(acc.accountNumber) || acc.accountNumber;
-      return `Account ${normalizedAccountNumber}: ₦${acc.balance.toLocaleString()} ${acc.currency}`;
+      return `Account ${normalizedAccountNumber}: ${formatNaira(acc.balance)} ${acc.currency}`;
     }).join('\n');
 
     const response = `Your account balance(s):\n${balanceText}`;
@@ -0,0 +1,182 @@
+/**
+ * Conversation Store
+ *
+ * One conversation per customer, kept in the conversations and messages
+ * tables and shared by /api/chat, /api/query-ai and /api/message. Each request
+ * gets its own ConversationManager, loaded with the latest
+ * CONVERSATION_HISTORY_LIMIT messages and the conversation's pending action (a
+ * beneficiary selection or transfer confirmation); the turn it adds and the
+ * pending action it leaves are written back. Nothing is kept in memory, so a
+ * conversation survives restarts and is the same on every server instance.
+ * Two messages of one customer handled at once both keep their turns, and the
+ * pending action of the one saved last stands.
+ *
+ * Clearing a conversation soft-deletes it; the next message starts a new one.
+ */
+
+const { prisma, Prisma } = require('./database');
+const ConversationManager = require('./conversationManager');
+
+const CONVERSATION_HISTORY_LIMIT = parseInt(process.env.CONVERSATION_HISTORY_LIMIT || '20', 10);
+
+/**
+ * Get the customer's active conversation, starting one if they have none
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object>} conversations row
+ */
+async function getOrCreateConversation(customerId) {
+  try {
+    const existing = await prisma.conversations.findFirst({
+      where: { customer_id: BigInt(customerId), deleted_at: null },
+      orderBy: { id: 'desc' },
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const now = new Date();
+    return await prisma.conversations.create({
+      data: {
+        customer_id: BigInt(customerId),
+        created_at: now,
+        updated_at: now,
+      },
+    });
+  } catch (error) {
+    console.error('Error getting conversation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Load the latest messages of a conversation, oldest first
+ * @param {bigint|number} conversationId - Conversation ID
+ * @param {number} limit - Most messages to load
+ * @returns {Promise<Array>} [{ role, content }]
+ */
+async function loadMessages(conversationId, limit = CONVERSATION_HISTORY_LIMIT) {
+  try {
+    const rows = await prisma.messages.findMany({
+      where: { conversation_id: BigInt(conversationId), deleted_at: null },
+      orderBy: [{ created_at: 'desc' }, { id: 'desc' }],
+      take: limit,
+    });
+
+    return rows.reverse().map(row => ({ role: row.role, content: row.content }));
+  } catch (error) {
+    console.error('Error loading conversation messages:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a turn: append its messages and keep the pending action it left
+ * @param {bigint|number} conversationId - Conversation ID
+ * @param {Array} messages - [{ role, content }]
+ * @param {Object|null} pendingAction - Pending action after the turn
+ */
+async function saveTurn(conversationId, messages, pendingAction) {
+  try {
+    // Rows of one turn get increasing timestamps so they load back in order
+    const start = Date.now();
+
+    await prisma.$transaction([
+      prisma.messages.createMany({
+        data: messages.map((message, index) => ({
+          conversation_id: BigInt(conversationId),
+          role: message.role,
+          content: String(message.content),
+          created_at: new Date(start + index),
+          updated_at: new Date(start + index),
+        })),
+      }),
+      prisma.conversations.update({
+        where: { id: BigInt(conversationId) },
+        data: {
+          updated_at: new Date(start),
+          pending_action: pendingAction || Prisma.DbNull,
+        },
+      }),
+    ]);
+  } catch (error) {
+    console.error('Error saving conversation turn:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a ConversationManager for one request, with the customer's recent
+ * history and pending action loaded
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<ConversationManager>} Manager that saves the turn it adds
+ */
+async function getConversationManager(customerId) {
+  const conversation = await getOrCreateConversation(customerId);
+  const history = await loadMessages(conversation.id);
+
+  return new ConversationManager(customerId, {
+    history,
+    pendingAction: conversation.pending_action || null,
+    onTurn: (messages, pendingAction) => saveTurn(conversation.id, messages, pendingAction),
+  });
+}
+
+/**
+ * Get the recent messages of the customer's active conversation
+ * @param {number} customerId - Customer ID
+ * @param {number} limit - Most messages to return
+ * @returns {Promise<Array>} [{ role, content }], empty without a conversation
+ */
+async function getConversationHistory(customerId, limit = CONVERSATION_HISTORY_LIMIT) {
+  try {
+    const conversation = await prisma.conversations.findFirst({
+      where: { customer_id: BigInt(customerId), deleted_at: null },
+      orderBy: { id: 'desc' },
+    });
+
+    return conversation ? loadMessages(conversation.id, limit) : [];
+  } catch (error) {
+    console.error('Error getting conversation history:', error);
+    throw error;
+  }
+}
+
+/**
+ * End the customer's conversation (soft delete), pending action included
+ * @param {number} customerId - Customer ID
+ */
+async function clearConversation(customerId) {
+  try {
+    const now = new Date();
+    const conversations = await prisma.conversations.findMany({
+      where: { customer_id: BigInt(customerId), deleted_at: null },
+      select: { id: true },
+    });
+    const ids = conversations.map(conversation => conversation.id);
+
+    if (ids.length > 0) {
+      await prisma.$transaction([
+        prisma.messages.updateMany({
+          where: { conversation_id: { in: ids }, deleted_at: null },
+          data: { deleted_at: now },
+        }),
+        prisma.conversations.updateMany({
+          where: { id: { in: ids } },
+          data: { deleted_at: now, updated_at: now },
+        }),
+      ]);
+    }
+
+  } catch (error) {
+    console.error('Error clearing conversation:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  CONVERSATION_HISTORY_LIMIT,
+  getConversationManager,
+  getConversationHistory,
+  clearConversation,
+};
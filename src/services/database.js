@@ -1,8 +1,18 @@
+const {
+  parseMoney,
+  addMoney,
+  subtractMoney,
+  compareMoney,
+  isPositiveMoney,
+  moneyToNumber,
+} = require('../utils/money');
+
 let PrismaClient;
+let Prisma;
 let prisma;
 
 try {
-  PrismaClient = require('@prisma/client').PrismaClient;
+  ({ PrismaClient, Prisma } = require('@prisma/client'));
   prisma = new PrismaClient({
     log: process.env.NODE_ENV === 'development' ? ['query', 'error', 'warn'] : ['error'],
   });
@@ -60,10 +70,10 @@ async function getLastTransaction(customerId) {
       transaction.customerId = Number(transaction.customerId);
       transaction.accountId = Number(transaction.accountId);
       
-      // Convert Decimal fields to numbers (Prisma Decimal has toNumber method)
-      transaction.amount = transaction.amount?.toNumber ? transaction.amount.toNumber() : Number(transaction.amount);
-      transaction.balanceBefore = transaction.balanceBefore?.toNumber ? transaction.balanceBefore.toNumber() : Number(transaction.balanceBefore);
-      transaction.balanceAfter = transaction.balanceAfter?.toNumber ? transaction.balanceAfter.toNumber() : Number(transaction.balanceAfter);
+      // Convert Decimal fields to numbers (exact to the kobo)
+      transaction.amount = moneyToNumber(transaction.amount);
+      transaction.balanceBefore = moneyToNumber(transaction.balanceBefore);
+      transaction.balanceAfter = moneyToNumber(transaction.balanceAfter);
       
       if (transaction.account) {
         transaction.account.id = Number(transaction.account.id);
@@ -127,9 +137,9 @@ async function getTransactionsByTimeRange(customerId, startTime, endTime, transa
       id: Number(t.id),
       customerId: Number(t.customerId),
       accountId: Number(t.accountId),
-      amount: t.amount?.toNumber ? t.amount.toNumber() : Number(t.amount),
-      balanceBefore: t.balanceBefore?.toNumber ? t.balanceBefore.toNumber() : Number(t.balanceBefore),
-      balanceAfter: t.balanceAfter?.toNumber ? t.balanceAfter.toNumber() : Number(t.balanceAfter),
+      amount: moneyToNumber(t.amount),
+      balanceBefore: moneyToNumber(t.balanceBefore),
+      balanceAfter: moneyToNumber(t.balanceAfter),
       account: t.account ? {
         ...t.account,
         id: Number(t.account.id),
@@ -193,9 +203,9 @@ async function getAllTransactions(customerId, transactionType = null, limit = nu
       id: Number(t.id),
       customerId: Number(t.customerId),
       accountId: Number(t.accountId),
-      amount: t.amount?.toNumber ? t.amount.toNumber() : Number(t.amount),
-      balanceBefore: t.balanceBefore?.toNumber ? t.balanceBefore.toNumber() : Number(t.balanceBefore),
-      balanceAfter: t.balanceAfter?.toNumber ? t.balanceAfter.toNumber() : Number(t.balanceAfter),
+      amount: moneyToNumber(t.amount),
+      balanceBefore: moneyToNumber(t.balanceBefore),
+      balanceAfter: moneyToNumber(t.balanceAfter),
       account: t.account ? {
         ...t.account,
         id: Number(t.account.id),
@@ -277,9 +287,9 @@ async function getTransactionsByDateRange(customerId, startDate, endDate, transa
       id: Number(t.id),
       customerId: Number(t.customerId),
       accountId: Number(t.accountId),
-      amount: t.amount?.toNumber ? t.amount.toNumber() : Number(t.amount),
-      balanceBefore: t.balanceBefore?.toNumber ? t.balanceBefore.toNumber() : Number(t.balanceBefore),
-      balanceAfter: t.balanceAfter?.toNumber ? t.balanceAfter.toNumber() : Number(t.balanceAfter),
+      amount: moneyToNumber(t.amount),
+      balanceBefore: moneyToNumber(t.balanceBefore),
+      balanceAfter: moneyToNumber(t.balanceAfter),
       account: t.account ? {
         ...t.account,
         id: Number(t.account.id),
@@ -452,7 +462,7 @@ async function getAccountBalance(customerId, accountId = null) {
     return accounts.map(acc => ({
       id: Number(acc.id),
       accountNumber: acc.accountNumber,
-      balance: acc.balance?.toNumber ? acc.balance.toNumber() : Number(acc.balance),
+      balance: moneyToNumber(acc.balance),
       currency: acc.currency || 'NGN',
       bankName: acc.bankName,
       createdAt: acc.createdAt,
@@ -463,6 +473,408 @@ async function getAccountBalance(customerId, accountId = null) {
   }
 }
 
+/**
+ * Debit an account inside a Prisma transaction.
+ * The balance check and the decrement are a single guarded UPDATE, so
+ * concurrent debits can never take the balance below zero.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} accountId - Account to debit
+ * @param {number|string} amount - Amount to debit (must be positive)
+ * @returns {Promise<Object>} { balanceBefore, balanceAfter } as 2-decimal strings
+ */
+async function debitAccount(tx, accountId, amount) {
+  if (!isPositiveMoney(amount)) {
+    throw new Error('Amount must be greater than zero');
+  }
+
+  const exactAmount = parseMoney(amount);
+  const debited = await tx.account.updateMany({
+    where: {
+      id: BigInt(accountId),
+      deletedAt: null,
+      balance: { gte: exactAmount },
+    },
+    data: {
+      balance: { decrement: exactAmount },
+    },
+  });
+
+  if (debited.count === 0) {
+    const exists = await tx.account.count({
+      where: { id: BigInt(accountId), deletedAt: null },
+    });
+    throw new Error(exists ? 'Insufficient balance' : 'Account not found');
+  }
+
+  // The row stays locked by our UPDATE until commit, so this is our own result
+  const { balance } = await tx.account.findUnique({
+    where: { id: BigInt(accountId) },
+    select: { balance: true },
+  });
+
+  return {
+    balanceBefore: addMoney(balance, exactAmount),
+    balanceAfter: parseMoney(balance),
+  };
+}
+
+/**
+ * Credit an account inside a Prisma transaction with an atomic increment
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} accountId - Account to credit
+ * @param {number|string} amount - Amount to credit (must be positive)
+ * @returns {Promise<Object>} { balanceBefore, balanceAfter } as 2-decimal strings
+ */
+async function creditAccount(tx, accountId, amount) {
+  if (!isPositiveMoney(amount)) {
+    throw new Error('Amount must be greater than zero');
+  }
+
+  const exactAmount = parseMoney(amount);
+  const { balance } = await tx.account.update({
+    where: { id: BigInt(accountId), deletedAt: null },
+    data: {
+      balance: { increment: exactAmount },
+    },
+    select: { balance: true },
+  });
+
+  return {
+    balanceBefore: subtractMoney(balance, exactAmount),
+    balanceAfter: parseMoney(balance),
+  };
+}
+
+/**
+ * System ledger accounts (the bank's side of every journal entry)
+ * - settlement: money leaving to or arriving from outside (other banks, top-ups, billers)
+ * - fees: fees earned
+ * - suspense: money held while an outcome is unknown (e.g. a bill order still processing)
+ * - opening_balance: balances that existed before the ledger was introduced
+ */
+const SYSTEM_LEDGER_ACCOUNTS = {
+  SETTLEMENT: 'settlement',
+  FEES: 'fees',
+  SUSPENSE: 'suspense',
+  OPENING_BALANCE: 'opening_balance',
+};
+
+/**
+ * Find or create the ledger account for a customer account or a system account
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} target - { accountId } or { systemAccount }
+ * @returns {Promise<bigint>} Ledger account ID
+ */
+async function ensureLedgerAccount(tx, target) {
+  const isSystem = !!target.systemAccount;
+  const code = isSystem ? `system:${target.systemAccount}` : `account:${target.accountId}`;
+  const existing = await tx.ledgerAccount.findUnique({
+    where: { code },
+    select: { id: true },
+  });
+
+  if (existing) {
+    return existing.id;
+  }
+
+  // A concurrent request may create the same ledger account; the unique code makes
+  // one of the inserts a no-op
+  await tx.ledgerAccount.createMany({
+    data: [{
+      code,
+      kind: isSystem ? 'system' : 'customer',
+      name: isSystem ? target.systemAccount : `Account ${target.accountId}`,
+      accountId: isSystem ? null : BigInt(target.accountId),
+      createdAt: new Date(),
+    }],
+    skipDuplicates: true,
+  });
+
+  const created = await tx.ledgerAccount.findUnique({
+    where: { code },
+    select: { id: true },
+  });
+
+  return created.id;
+}
+
+/**
+ * Write a balanced journal entry. Call it in the same Prisma transaction as
+ * the matching debitAccount / creditAccount calls, so cached account balances
+ * and postings always move together.
+ *
+ * Posting amounts are signed from the ledger account holder's point of view:
+ * positive credits the account (raises a customer balance), negative debits it.
+ * The amounts of an entry must add up to exactly zero.
+ *
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} entry - Journal entry
+ * @param {string} entry.entryType - e.g. 'transfer', 'load_money', 'airtime_purchase', 'refund'
+ * @param {string} entry.reference - Unique reference (usually the transaction reference)
+ * @param {string} entry.description - Optional human-readable description
+ * @param {Object} entry.metadata - Optional extra data stored as JSON
+ * @param {Array<Object>} entry.postings - [{ accountId | systemAccount, amount }]
+ * @returns {Promise<Object>} Created journal entry
+ */
+async function postJournalEntry(tx, entry) {
+  const { entryType, reference, description, metadata, postings } = entry;
+
+  if (!Array.isArray(postings) || postings.length < 2) {
+    throw new Error('A journal entry needs at least two postings');
+  }
+
+  const total = addMoney(...postings.map(posting => posting.amount));
+  if (compareMoney(total, 0) !== 0) {
+    throw new Error(`Unbalanced journal entry ${reference}: postings add up to ${total}`);
+  }
+
+  const unknown = postings.find(posting => posting.systemAccount
+    && !Object.values(SYSTEM_LEDGER_ACCOUNTS).includes(posting.systemAccount));
+  if (unknown) {
+    throw new Error(`Unknown system ledger account: ${unknown.systemAccount}`);
+  }
+
+  const now = new Date();
+  const journalEntry = await tx.journalEntry.create({
+    data: {
+      reference,
+      entryType,
+      description: description || null,
+      metadata: metadata || undefined,
+      createdAt: now,
+    },
+  });
+
+  for (const posting of postings) {
+    const ledgerAccountId = await ensureLedgerAccount(tx, posting);
+
+    await tx.journalPosting.create({
+      data: {
+        journalEntryId: journalEntry.id,
+        ledgerAccountId,
+        amount: parseMoney(posting.amount),
+        createdAt: now,
+      },
+    });
+  }
+
+  return journalEntry;
+}
+
+/**
+ * Open (or update) the account_histories case for a failed transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - Transaction row (id, customerId, amount)
+ * @param {string} failureReason - Why the transaction failed
+ */
+async function recordTransactionFailure(tx, transaction, failureReason) {
+  const now = new Date();
+  const existing = await tx.accountHistory.findUnique({
+    where: { transactionId: transaction.id },
+    select: { id: true },
+  });
+
+  // The customer may have reported the transaction while it was still pending
+  if (existing) {
+    return tx.accountHistory.update({
+      where: { id: existing.id },
+      data: { failureReason, failedDate: now },
+    });
+  }
+
+  const customer = await tx.customer.findUnique({
+    where: { id: transaction.customerId },
+    select: { phoneNumber: true },
+  });
+
+  return tx.accountHistory.create({
+    data: {
+      transactionId: transaction.id,
+      customerId: transaction.customerId,
+      customerPhoneNumber: customer.phoneNumber,
+      failedAmount: parseMoney(transaction.amount),
+      failedDate: now,
+      failureReason,
+      status: 'failed',
+      createdAt: now,
+    },
+  });
+}
+
+/**
+ * Record a debit that failed before any money moved (e.g. insufficient balance
+ * or a rejected recipient): a 'failed' transaction row for the customer's
+ * history, plus an account_histories case for support.
+ * Never throws - the caller is already handling the original failure.
+ * @param {Object} details - Failed transaction details
+ * @param {number} details.customerId - Customer ID
+ * @param {number} details.accountId - Account that would have been debited
+ * @param {number|string} details.amount - Amount of the failed debit
+ * @param {string} details.receiverName - Recipient or purchase description
+ * @param {string} details.bankName - Recipient bank or network
+ * @param {string} details.accountNumber - Recipient account number or phone
+ * @param {string} details.reference - Transaction reference
+ * @param {string} details.failureReason - Why it failed
+ * @returns {Promise<Object|null>} Created transaction row, or null if recording failed
+ */
+async function recordFailedTransaction(details) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const account = await tx.account.findUnique({
+        where: { id: BigInt(details.accountId) },
+        select: { balance: true },
+      });
+      const now = new Date();
+
+      const transaction = await tx.transaction.create({
+        data: {
+          customerId: BigInt(details.customerId),
+          accountId: BigInt(details.accountId),
+          receiverName: details.receiverName || 'Unknown',
+          bankName: details.bankName || null,
+          bankAccount: details.accountNumber || '',
+          accountNumber: details.accountNumber || '',
+          amount: parseMoney(details.amount),
+          balanceBefore: account.balance,
+          balanceAfter: account.balance,
+          transactionDate: now,
+          createdAt: now,
+          status: 'failed',
+          transactionType: 'debit',
+          reference: details.reference,
+        },
+      });
+
+      await recordTransactionFailure(tx, transaction, details.failureReason);
+      return transaction;
+    });
+  } catch (error) {
+    console.error('Error recording failed transaction:', error);
+    return null;
+  }
+}
+
+/**
+ * Give back the amount of a pending debit that could not be completed
+ * (e.g. the biller rejected the order) and mark the debit failed.
+ * Guarded on the pending status, so the amount is only returned once.
+ * The failure is recorded in account_histories.
+ * @param {number} transactionId - Pending debit transaction ID
+ * @param {string} failureReason - Why the debit failed
+ * @returns {Promise<boolean>} Whether the amount was returned
+ */
+async function refundFailedDebit(transactionId, failureReason = null) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const failed = await tx.transaction.updateMany({
+        where: {
+          id: BigInt(transactionId),
+          transactionType: 'debit',
+          status: 'pending',
+        },
+        data: { status: 'failed' },
+      });
+
+      if (failed.count === 0) {
+        return false;
+      }
+
+      const transaction = await tx.transaction.findUnique({
+        where: { id: BigInt(transactionId) },
+        select: {
+          id: true,
+          customerId: true,
+          accountId: true,
+          amount: true,
+          reference: true,
+          journalEntry: {
+            select: {
+              postings: {
+                select: { amount: true, ledgerAccount: { select: { code: true, accountId: true } } },
+              },
+            },
+          },
+        },
+      });
+
+      // Reverse every posting of the original entry; debits from before the ledger have none
+      const postings = transaction.journalEntry
+        ? transaction.journalEntry.postings.map(posting => ({
+          ...(posting.ledgerAccount.accountId
+            ? { accountId: posting.ledgerAccount.accountId }
+            : { systemAccount: posting.ledgerAccount.code.replace(/^system:/, '') }),
+          amount: subtractMoney(0, posting.amount),
+        }))
+        : [
+          { accountId: transaction.accountId, amount: transaction.amount },
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SUSPENSE, amount: subtractMoney(0, transaction.amount) },
+        ];
+
+      await postJournalEntry(tx, {
+        entryType: 'refund',
+        reference: `REV-${transaction.reference || transactionId}`,
+        description: `Refund of failed debit ${transaction.reference || transactionId}`,
+        postings,
+      });
+
+      await creditAccount(tx, transaction.accountId, transaction.amount);
+      await recordTransactionFailure(tx, transaction, failureReason || 'Provider rejected the order');
+      await updateBillPaymentStatus(tx, transaction.reference, 'failed');
+      return true;
+    });
+  } catch (error) {
+    console.error('Error refunding failed debit:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a pending debit as successful once the provider confirms it, moving
+ * the held amount from the suspense account to settlement.
+ * Guarded on the pending status, so it can't race a refund of the same debit.
+ * @param {number} transactionId - Pending debit transaction ID
+ * @returns {Promise<boolean>} Whether the debit was settled
+ */
+async function settlePendingDebit(transactionId) {
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const settled = await tx.transaction.updateMany({
+        where: {
+          id: BigInt(transactionId),
+          transactionType: 'debit',
+          status: 'pending',
+        },
+        data: { status: 'success' },
+      });
+
+      if (settled.count === 0) {
+        return false;
+      }
+
+      const transaction = await tx.transaction.findUnique({
+        where: { id: BigInt(transactionId) },
+        select: { amount: true, reference: true },
+      });
+
+      await postJournalEntry(tx, {
+        entryType: 'settlement',
+        reference: `SET-${transaction.reference || transactionId}`,
+        description: `Settlement of ${transaction.reference || transactionId}`,
+        postings: [
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SUSPENSE, amount: subtractMoney(0, transaction.amount) },
+          { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SETTLEMENT, amount: transaction.amount },
+        ],
+      });
+
+      await updateBillPaymentStatus(tx, transaction.reference, 'success');
+      return true;
+    });
+  } catch (error) {
+    console.error('Error settling pending debit:', error);
+    throw error;
+  }
+}
+
 /**
  * Initiate a transfer (creates transaction record)
  * Verifies both Customer and Transaction tables
@@ -472,6 +884,8 @@ async function getAccountBalance(customerId, accountId = null) {
  * @param {number} amount - Transfer amount
  */
 async function initiateTransfer(customerId, accountId, recipientData, amount) {
+  let failureDetails = null;
+
   try {
     // Verify customer exists in Customer table
     const customer = await prisma.customer.findFirst({
@@ -504,12 +918,15 @@ async function initiateTransfer(customerId, accountId, recipientData, amount) {
       throw new Error('Account not found');
     }
 
-    // Verify balance is sufficient
-    // Convert account.balance to number if it's a Decimal type
-    const accountBalance = account.balance?.toNumber ? account.balance.toNumber() : Number(account.balance);
-    if (accountBalance < amount) {
-      throw new Error('Insufficient balance');
-    }
+    // From here on a failure is recorded in the customer's history and for support
+    failureDetails = {
+      customerId,
+      accountId,
+      amount,
+      receiverName: recipientData?.name,
+      bankName: recipientData?.bankName,
+      accountNumber: recipientData?.accountNumber,
+    };
 
     // Validate recipient data
     if (!recipientData || !recipientData.name || !recipientData.accountNumber) {
@@ -552,149 +969,94 @@ async function initiateTransfer(customerId, accountId, recipientData, amount) {
 
     // Use transaction to ensure atomicity
     const result = await prisma.$transaction(async (tx) => {
-      // Create debit transaction record for sender
-      const senderTransaction = await tx.transaction.create({
-        data: {
-          customerId: BigInt(customerId),
-          accountId: BigInt(accountId),
-          receiverName: recipientData.name,
-          bankName: recipientData.bankName || null,
-          bankAccount: recipientData.bankAccount || recipientData.accountNumber,
-          accountNumber: recipientData.accountNumber,
-          amount: parseFloat(amount),
-          balanceBefore: accountBalance,
-          balanceAfter: accountBalance - parseFloat(amount),
-          transactionDate: now,
-          createdAt: now,
-          status: 'success',
-          transactionType: 'debit',
-          reference: senderReference,
-        },
-      });
-
-      // Update sender account balance (debit)
-      // Convert account.balance to number if it's a Decimal type
-      const currentBalance = account.balance?.toNumber ? account.balance.toNumber() : Number(account.balance);
-      const newBalance = currentBalance - parseFloat(amount);
-      
-      await tx.account.update({
-        where: { id: BigInt(accountId) },
-        data: { balance: newBalance },
-      });
-
-      // Handle recipient transaction - create record even if recipient doesn't have account in our system
-      let recipientBalanceBefore = 0;
-      let recipientBalanceAfter = 0;
-      let recipientAccountId = null;
-      let recipientCustomerId = null;
-
-      if (recipientAccount) {
-        // Recipient has account in our system - update balance
-        // Convert balance to number if it's a Decimal type
-        recipientBalanceBefore = recipientAccount.balance?.toNumber ? recipientAccount.balance.toNumber() : Number(recipientAccount.balance);
-        recipientBalanceAfter = recipientBalanceBefore + parseFloat(amount);
-        recipientAccountId = BigInt(recipientAccount.id);
-        recipientCustomerId = BigInt(recipientAccount.customerId);
-        
-        await tx.account.update({
-          where: { id: BigInt(recipientAccount.id) },
-          data: { balance: recipientBalanceAfter },
-        });
-      } else if (recipientCustomer) {
-        // Recipient is a customer but has no account record - use customer ID
-        recipientCustomerId = BigInt(recipientCustomer.id);
-        // Find or create a placeholder account for this customer
-        const placeholderAccount = await tx.account.findFirst({
-          where: {
-            customerId: recipientCustomerId,
-            deletedAt: null,
-          },
-        });
-        
-        if (placeholderAccount) {
-          recipientAccountId = BigInt(placeholderAccount.id);
-        } else {
-          // Create a placeholder account for transaction history
-          const newAccount = await tx.account.create({
-            data: {
-              customerId: recipientCustomerId,
-              accountNumber: recipientData.accountNumber,
-              balance: 0.00, // Explicitly set to 0.00
-              currency: 'NGN',
-              bankName: recipientData.bankName || null,
-            },
-          });
-          recipientAccountId = BigInt(newAccount.id);
-        }
-      } else {
-        // Recipient is not in our system - create system customer and account for transaction history
-        // First, check if system customer exists (using a special identifier)
-        let systemCustomer = await tx.customer.findFirst({
-          where: {
-            phoneNumber: 'SYSTEM_EXTERNAL',
-            deletedAt: null,
-          },
-        });
+      // Debit sender first: fails with 'Insufficient balance' if a concurrent debit got there first
+      const senderBalance = await debitAccount(tx, accountId, amount);
 
-        if (!systemCustomer) {
-          // Create system customer for external recipients
-          systemCustomer = await tx.customer.create({
-            data: {
-              customerName: 'External Recipient',
-              phoneNumber: 'SYSTEM_EXTERNAL',
-              accountNumber: '0000000000',
-              pin: 'SYSTEM', // Placeholder PIN
-              bankName: null,
-            },
-          });
-        }
-
-        recipientCustomerId = BigInt(systemCustomer.id);
+      // Resolve the recipient's account in our system, if any
+      let creditedAccount = recipientAccount;
 
-        // Create or find account for this external recipient
-        let externalAccount = await tx.account.findFirst({
+      if (!creditedAccount && recipientCustomer) {
+        // Recipient is a customer without an account record under this number - use or open their account
+        creditedAccount = await tx.account.findFirst({
           where: {
-            accountNumber: recipientData.accountNumber,
-            customerId: recipientCustomerId,
+            customerId: BigInt(recipientCustomer.id),
             deletedAt: null,
           },
         });
 
-        if (!externalAccount) {
-          externalAccount = await tx.account.create({
+        if (!creditedAccount) {
+          creditedAccount = await tx.account.create({
             data: {
-              customerId: recipientCustomerId,
+              customerId: BigInt(recipientCustomer.id),
               accountNumber: recipientData.accountNumber,
               balance: 0.00, // Explicitly set to 0.00
               currency: 'NGN',
               bankName: recipientData.bankName || null,
+              createdAt: now,
             },
           });
         }
-
-        recipientAccountId = BigInt(externalAccount.id);
       }
 
-      // Create credit transaction record for recipient (always create, even for external recipients)
-      await tx.transaction.create({
+      // Internal recipients are credited directly; money for other banks goes to the settlement account
+      const journalEntry = await postJournalEntry(tx, {
+        entryType: 'transfer',
+        reference: senderReference,
+        description: `Transfer to ${recipientData.name}`,
+        postings: [
+          { accountId, amount: subtractMoney(0, amount) },
+          creditedAccount
+            ? { accountId: creditedAccount.id, amount }
+            : { systemAccount: SYSTEM_LEDGER_ACCOUNTS.SETTLEMENT, amount },
+        ],
+      });
+
+      // Create debit transaction record for sender
+      const senderTransaction = await tx.transaction.create({
         data: {
-          customerId: recipientCustomerId,
-          accountId: recipientAccountId,
-          receiverName: customer.customerName,
-          bankName: account.bankName || null,
-          bankAccount: account.accountNumber,
-          accountNumber: account.accountNumber,
-          amount: parseFloat(amount),
-          balanceBefore: recipientBalanceBefore,
-          balanceAfter: recipientBalanceAfter,
+          customerId: BigInt(customerId),
+          accountId: BigInt(accountId),
+          receiverName: recipientData.name,
+          bankName: recipientData.bankName || null,
+          bankAccount: recipientData.bankAccount || recipientData.accountNumber,
+          accountNumber: recipientData.accountNumber,
+          amount: parseMoney(amount),
+          balanceBefore: senderBalance.balanceBefore,
+          balanceAfter: senderBalance.balanceAfter,
           transactionDate: now,
           createdAt: now,
           status: 'success',
-          transactionType: 'credit',
-          reference: recipientReference,
+          transactionType: 'debit',
+          reference: senderReference,
+          journalEntryId: journalEntry.id,
         },
       });
 
+      if (creditedAccount) {
+        const recipientBalance = await creditAccount(tx, creditedAccount.id, amount);
+
+        // Create credit transaction record for recipient
+        await tx.transaction.create({
+          data: {
+            customerId: BigInt(creditedAccount.customerId),
+            accountId: BigInt(creditedAccount.id),
+            receiverName: customer.customerName,
+            bankName: account.bankName || null,
+            bankAccount: account.accountNumber,
+            accountNumber: account.accountNumber,
+            amount: parseMoney(amount),
+            balanceBefore: recipientBalance.balanceBefore,
+            balanceAfter: recipientBalance.balanceAfter,
+            transactionDate: now,
+            createdAt: now,
+            status: 'success',
+            transactionType: 'credit',
+            reference: recipientReference,
+            journalEntryId: journalEntry.id,
+          },
+        });
+      }
+
       // Update beneficiary transfer count if it's a saved beneficiary
       if (recipientData.beneficiaryId) {
         await tx.beneficiary.update({
@@ -715,12 +1077,22 @@ async function initiateTransfer(customerId, accountId, recipientData, amount) {
       id: Number(result.id),
       customerId: Number(result.customerId),
       accountId: Number(result.accountId),
-      amount: result.amount?.toNumber ? result.amount.toNumber() : Number(result.amount),
-      balanceBefore: result.balanceBefore?.toNumber ? result.balanceBefore.toNumber() : Number(result.balanceBefore),
-      balanceAfter: result.balanceAfter?.toNumber ? result.balanceAfter.toNumber() : Number(result.balanceAfter),
+      journalEntryId: Number(result.journalEntryId),
+      amount: moneyToNumber(result.amount),
+      balanceBefore: moneyToNumber(result.balanceBefore),
+      balanceAfter: moneyToNumber(result.balanceAfter),
     };
   } catch (error) {
     console.error('Error initiating transfer:', error);
+
+    if (failureDetails) {
+      await recordFailedTransaction({
+        ...failureDetails,
+        reference: `TXN${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`,
+        failureReason: error.message,
+      });
+    }
+
     throw error;
   }
 }
@@ -860,13 +1232,6 @@ async function getBillPaymentsByDateRange(customerId, startDate, endDate, paymen
       endDateObj.setUTCHours(23, 59, 59, 999);
     }
     
-    console.log(`[getBillPaymentsByDateRange] Querying bill_payments for customer ${customerId}:`);
-    console.log(`  - startDate input: ${startDate}`);
-    console.log(`  - endDate input: ${endDate}`);
-    console.log(`  - startDateObj (UTC): ${startDateObj.toISOString()}`);
-    console.log(`  - endDateObj (UTC): ${endDateObj.toISOString()}`);
-    console.log(`  - paymentType: ${paymentType || 'all'}`);
-    
     const where = {
       customer_id: BigInt(customerId),
       deleted_at: null,
@@ -884,16 +1249,6 @@ async function getBillPaymentsByDateRange(customerId, startDate, endDate, paymen
       };
     }
 
-    console.log(`  - Query where clause:`, JSON.stringify({
-      customer_id: customerId.toString(),
-      deleted_at: null,
-      payment_date: {
-        gte: startDateObj.toISOString(),
-        lte: endDateObj.toISOString(),
-      },
-      payment_type: paymentType && paymentType !== 'all' ? { contains: paymentType.toLowerCase() } : undefined,
-    }, null, 2));
-
     const billPayments = await prisma.bill_payments.findMany({
       where,
       orderBy: {
@@ -910,11 +1265,6 @@ async function getBillPaymentsByDateRange(customerId, startDate, endDate, paymen
       },
     });
 
-    console.log(`  - Found ${billPayments.length} bill payment(s)`);
-    if (billPayments.length > 0) {
-      console.log(`  - Sample payment_date: ${billPayments[0].payment_date}`);
-    }
-
     // Convert BigInt IDs and Decimal values to numbers for JSON serialization
     return billPayments.map(bp => ({
       id: Number(bp.id),
@@ -928,9 +1278,11 @@ async function getBillPaymentsByDateRange(customerId, startDate, endDate, paymen
       phoneNumber: bp.phone_number,
       meterNumber: bp.meter_number,
       accountNumber: bp.account_number,
-      amount: bp.amount?.toNumber ? bp.amount.toNumber() : Number(bp.amount),
-      balanceBefore: bp.balance_before?.toNumber ? bp.balance_before.toNumber() : Number(bp.balance_before),
-      balanceAfter: bp.balance_after?.toNumber ? bp.balance_after.toNumber() : Number(bp.balance_after),
+      token: bp.token,
+      units: bp.units,
+      amount: moneyToNumber(bp.amount),
+      balanceBefore: moneyToNumber(bp.balance_before),
+      balanceAfter: moneyToNumber(bp.balance_after),
       paymentDate: bp.payment_date,
       status: bp.status,
       reference: bp.reference,
@@ -949,8 +1301,11 @@ async function getBillPaymentsByDateRange(customerId, startDate, endDate, paymen
 
 /**
  * Get the most recent bill payment for a customer
+ * @param {number} customerId - Customer ID
+ * @param {string} paymentType - Optional payment type filter
+ * @param {string} provider - Optional provider name (e.g. "DStv"), to find the last card or meter used with it
  */
-async function getLastBillPayment(customerId, paymentType = null) {
+async function getLastBillPayment(customerId, paymentType = null, provider = null) {
   try {
     const where = {
       customer_id: BigInt(customerId),
@@ -965,6 +1320,10 @@ async function getLastBillPayment(customerId, paymentType = null) {
       };
     }
 
+    if (provider) {
+      where.provider = provider;
+    }
+
     const billPayment = await prisma.bill_payments.findFirst({
       where,
       orderBy: {
@@ -991,9 +1350,9 @@ async function getLastBillPayment(customerId, paymentType = null) {
     billPayment.account_id = Number(billPayment.account_id);
     
     // Convert Decimal fields to numbers
-    billPayment.amount = billPayment.amount?.toNumber ? billPayment.amount.toNumber() : Number(billPayment.amount);
-    billPayment.balance_before = billPayment.balance_before?.toNumber ? billPayment.balance_before.toNumber() : Number(billPayment.balance_before);
-    billPayment.balance_after = billPayment.balance_after?.toNumber ? billPayment.balance_after.toNumber() : Number(billPayment.balance_after);
+    billPayment.amount = moneyToNumber(billPayment.amount);
+    billPayment.balance_before = moneyToNumber(billPayment.balance_before);
+    billPayment.balance_after = moneyToNumber(billPayment.balance_after);
     
     if (billPayment.accounts) {
       billPayment.accounts.id = Number(billPayment.accounts.id);
@@ -1006,6 +1365,130 @@ async function getLastBillPayment(customerId, paymentType = null) {
   }
 }
 
+/**
+ * bill_payments fields of a bill purchase and its debit transaction
+ */
+function billPaymentData(transaction, details) {
+  const now = new Date();
+
+  return {
+    created_at: now,
+    updated_at: now,
+    customer_id: transaction.customerId,
+    account_id: transaction.accountId,
+    payment_type: details.paymentType,
+    provider: details.provider,
+    phone_number: details.phoneNumber || null,
+    meter_number: details.meterNumber || null,
+    account_number: details.accountNumber || null,
+    token: details.token || null,
+    units: details.units != null ? String(details.units) : null,
+    amount: parseMoney(transaction.amount),
+    balance_before: transaction.balanceBefore,
+    balance_after: transaction.balanceAfter,
+    payment_date: transaction.transactionDate,
+    status: details.status,
+    reference: transaction.reference,
+    request_id: details.requestId || null,
+    order_id: details.orderId != null ? String(details.orderId) : null,
+    description: details.description || null,
+  };
+}
+
+/**
+ * Record a bill purchase in bill_payments, alongside its debit transaction.
+ * Never throws - the money has already moved, and a missing record must not
+ * turn a completed purchase into an error.
+ * @param {Object} transaction - The debit Transaction row of the purchase
+ * @param {Object} details - Bill details
+ * @param {string} details.paymentType - airtime, data, cable, internet or electricity
+ * @param {string} details.provider - Network or biller name
+ * @param {string} details.phoneNumber - Phone number (airtime/data)
+ * @param {string} details.meterNumber - Meter number (electricity)
+ * @param {string} details.accountNumber - Smartcard or customer number (cable, internet)
+ * @param {string} details.status - success, pending or failed
+ * @param {string} details.description - Plan, package or meter type
+ * @param {string} details.token - Prepaid electricity token
+ * @param {string} details.units - Units bought with the token
+ * @param {string} details.requestId - request_id sent to eBills (matched by webhooks and requery)
+ * @param {string|number} details.orderId - eBills order ID
+ * @returns {Promise<Object|null>} Created bill_payments row, or null if recording failed
+ */
+async function recordBillPayment(transaction, details) {
+  try {
+    return await prisma.bill_payments.create({
+      data: billPaymentData(transaction, details),
+    });
+  } catch (error) {
+    console.error('Error recording bill payment:', error);
+    return null;
+  }
+}
+
+/**
+ * Create the bill_payments row of a bill purchase in the transaction that
+ * reserves its amount, so a reserved debit always has a row the requery
+ * worker can find. Throws, rolling the reservation back.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} transaction - The pending debit Transaction row
+ * @param {Object} details - Bill details (as for recordBillPayment)
+ * @returns {Promise<Object>} Created bill_payments row
+ */
+async function createBillPayment(tx, transaction, details) {
+  return tx.bill_payments.create({
+    data: billPaymentData(transaction, details),
+  });
+}
+
+/**
+ * Keep what eBills returned for a bill purchase (order ID, prepaid token).
+ * Never throws, like recordBillPayment: the order has already been placed.
+ * @param {string} reference - Transaction reference (shared with bill_payments)
+ * @param {Object} details - { orderId, token, units }; missing fields are left as they are
+ */
+async function updateBillPaymentOrder(reference, details) {
+  const data = {};
+  if (details.orderId != null) {
+    data.order_id = String(details.orderId);
+  }
+  if (details.token) {
+    data.token = details.token;
+    data.units = details.units != null ? String(details.units) : null;
+  }
+
+  if (!reference || Object.keys(data).length === 0) {
+    return;
+  }
+
+  try {
+    await prisma.bill_payments.updateMany({
+      where: { reference, deleted_at: null },
+      data: { ...data, updated_at: new Date() },
+    });
+  } catch (error) {
+    console.error('Error updating bill payment order:', error);
+  }
+}
+
+/**
+ * Bring the bill_payments row of a bill purchase in line with its debit,
+ * once a pending order settles or is refunded. Purchases without a
+ * bill_payments row (or transfers) are left alone.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} reference - Transaction reference (shared with bill_payments)
+ * @param {string} status - New bill payment status (success, failed, reversed)
+ */
+async function updateBillPaymentStatus(tx, reference, status) {
+  if (!reference) {
+    return;
+  }
+
+  await tx.bill_payments.updateMany({
+    where: { reference, deleted_at: null },
+    data: { status, updated_at: new Date() },
+  });
+}
+
 /**
  * Update customer PIN (hashed)
  */
@@ -1017,6 +1500,7 @@ async function updateCustomerPIN(customerId, hashedPIN) {
       },
       data: {
         pin: hashedPIN,
+        pinIsDefault: false,
       },
       select: {
         id: true,
@@ -1037,29 +1521,6 @@ async function updateCustomerPIN(customerId, hashedPIN) {
   }
 }
 
-/**
- * Get customer PIN hash for verification
- */
-async function getCustomerPINHash(customerId) {
-  try {
-    const customer = await prisma.customer.findFirst({
-      where: {
-        id: BigInt(customerId),
-        deletedAt: null,
-      },
-      select: {
-        id: true,
-        pin: true,
-      },
-    });
-
-    return customer ? customer.pin : null;
-  } catch (error) {
-    console.error('Error getting customer PIN hash:', error);
-    throw error;
-  }
-}
-
 /**
  * Generate a unique 10-digit account number
  */
@@ -1098,7 +1559,7 @@ async function generateAccountNumber() {
 /**
  * Create a new customer account
  */
-async function createCustomer(customerName, phoneNumber, accountNumber, pin, bankName = null) {
+async function createCustomer(customerName, phoneNumber, accountNumber, pin, bankName = null, pinIsDefault = false) {
   try {
     // Create customer and account in a transaction
     const result = await prisma.$transaction(async (tx) => {
@@ -1109,6 +1570,7 @@ async function createCustomer(customerName, phoneNumber, accountNumber, pin, ban
           phoneNumber,
           accountNumber,
           pin, // PIN should already be hashed
+          pinIsDefault,
           bankName,
         },
         select: {
@@ -1142,7 +1604,7 @@ async function createCustomer(customerName, phoneNumber, accountNumber, pin, ban
       // Convert BigInt IDs to numbers
       customer.id = Number(customer.id);
       account.id = Number(account.id);
-      account.balance = account.balance?.toNumber ? account.balance.toNumber() : Number(account.balance);
+      account.balance = moneyToNumber(account.balance);
 
       return {
         ...customer,
@@ -1164,15 +1626,26 @@ module.exports = {
   getTransactionsByTimeRange,
   getBillPaymentsByDateRange,
   getLastBillPayment,
+  recordBillPayment,
+  createBillPayment,
+  updateBillPaymentOrder,
+  updateBillPaymentStatus,
   searchBeneficiaries,
   getAccountBalance,
+  debitAccount,
+  creditAccount,
+  SYSTEM_LEDGER_ACCOUNTS,
+  postJournalEntry,
+  recordFailedTransaction,
+  settlePendingDebit,
+  refundFailedDebit,
   initiateTransfer,
   getCustomerById,
   getCustomerByPhone,
   updateCustomerPIN,
-  getCustomerPINHash,
   generateAccountNumber,
   createCustomer,
   prisma,
+  Prisma,
 };
 
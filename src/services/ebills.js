@@ -1,17 +1,75 @@
 /**
  * eBills API Service
  * 
- * Handles integration with eBills.africa API for airtime, data, and bill payments
+ * Handles integration with eBills.africa API for airtime, data, bill payments, betting and ePINs.
+ * Failures are thrown as EbillsError (see ebillsErrors.js).
  */
 
 const axios = require('axios');
+const { normalizePhone } = require('../utils/networkDetector');
+const { EbillsError, toEbillsError } = require('./ebillsErrors');
+const { isWholeNaira, moneyToNumber } = require('../utils/money');
 
 const EBILLS_BASE_URL = 'https://ebills.africa/wp-json';
 const AUTH_URL = `${EBILLS_BASE_URL}/jwt-auth/v1/token`;
 const API_URL = `${EBILLS_BASE_URL}/api/v2`;
 
+// Networks eBills sells data for
+const DATA_SERVICE_IDS = ['mtn', 'airtel', 'glo', '9mobile', 'smile'];
+
+// Electricity distribution companies, by eBills service ID
+const ELECTRICITY_PROVIDERS = {
+  'ikeja-electric': 'Ikeja (IKEDC)',
+  'eko-electric': 'Eko (EKEDC)',
+  'kano-electric': 'Kano (KEDCO)',
+  'portharcourt-electric': 'Portharcourt (PHED)',
+  'jos-electric': 'Jos (JED)',
+  'ibadan-electric': 'Ibadan (IBEDC)',
+  'kaduna-electric': 'Kaduna (KAEDCO)',
+  'abuja-electric': 'Abuja (AEDC)',
+  'enugu-electric': 'Enugu (EEDC)',
+  'benin-electric': 'Benin (BEDC)',
+  'aba-electric': 'Aba (ABEDC)',
+  'yola-electric': 'Yola (YEDC)',
+};
+
+const METER_TYPES = ['prepaid', 'postpaid'];
+
+// Largest electricity purchase eBills accepts, in Naira
+const MAX_ELECTRICITY_AMOUNT = 100000;
+
+// Cable TV providers, by eBills service ID
+const CABLE_PROVIDERS = {
+  dstv: 'DStv',
+  gotv: 'GOtv',
+  startimes: 'Startimes',
+  showmax: 'Showmax',
+};
+
+// Only DStv and GOtv distinguish renewing the current bouquet from changing it
+const SUBSCRIPTION_TYPE_SERVICE_IDS = ['dstv', 'gotv'];
+
+// Betting platforms eBills funds accounts on (service IDs are case-sensitive)
+const BETTING_SERVICE_IDS = [
+  '1xBet', 'BangBet', 'Bet9ja', 'BetKing', 'BetLand', 'BetLion', 'BetWay',
+  'CloudBet', 'LiveScoreBet', 'MerryBet', 'NaijaBet', 'NairaBet', 'SupaBet',
+];
+
+// Betting funding limits per order, in Naira
+const MIN_BETTING_AMOUNT = 100;
+const MAX_BETTING_AMOUNT = 100000;
+
+// Networks and denominations eBills prints recharge cards (ePINs) for
+const EPIN_SERVICE_IDS = ['mtn', 'airtel', 'glo', '9mobile'];
+const EPIN_VALUES = [100, 200, 500];
+const MAX_EPIN_QUANTITY = 40;
+
+// Plan and bouquet prices change rarely, so catalogues are refreshed hourly per provider
+const VARIATIONS_CACHE_TTL_MS = 60 * 60 * 1000;
+
 let cachedToken = null;
 let tokenExpiry = null;
+const cachedVariations = new Map();
 
 /**
  * Get access token from eBills API
@@ -26,7 +84,7 @@ async function getAccessToken() {
   const password = process.env.EBILLS_PASSWORD;
 
   if (!username || !password) {
-    throw new Error('eBills credentials not configured. Please set EBILLS_USERNAME and EBILLS_PASSWORD in environment variables.');
+    throw new EbillsError('auth_failed', {}, 'eBills credentials not configured. Please set EBILLS_USERNAME and EBILLS_PASSWORD in environment variables.');
   }
 
   try {
@@ -46,16 +104,9 @@ async function getAccessToken() {
       return cachedToken;
     }
 
-    throw new Error(response.data?.message || 'Failed to obtain access token');
+    throw new EbillsError('auth_failed', {}, response.data?.message || 'Failed to obtain access token');
   } catch (error) {
-    if (error.response) {
-      const status = error.response.status;
-      if (status === 401 || status === 403) {
-        throw new Error('Invalid eBills credentials');
-      }
-      throw new Error(error.response.data?.message || `Authentication failed: ${status}`);
-    }
-    throw new Error(`Failed to connect to eBills API: ${error.message}`);
+    throw toEbillsError(error);
   }
 }
 
@@ -82,13 +133,47 @@ async function checkBalance() {
       return response.data.data;
     }
     
-    throw new Error(response.data?.message || 'Failed to retrieve balance');
+    throw new EbillsError(response.data?.code, {}, response.data?.message || 'Failed to retrieve balance');
   } catch (error) {
-    if (error.response) {
-      throw new Error(error.response.data?.message || `Error checking balance: ${error.response.status}`);
+    throw toEbillsError(error);
+  }
+}
+
+/**
+ * Get an order amount as the whole Naira number eBills expects
+ * @throws {EbillsError} invalid_amount if the amount has kobo, rather than dropping them
+ */
+function toOrderAmount(amount) {
+  if (!isWholeNaira(amount)) {
+    throw new EbillsError('invalid_amount', {}, `Amount ${amount} is not in whole Naira`);
+  }
+
+  return moneyToNumber(amount);
+}
+
+/**
+ * Normalize a phone number to the format eBills expects (11 digits starting with 0)
+ * @throws {Error} If the phone number cannot be normalized
+ */
+function normalizeOrderPhone(phone) {
+  // Normalize phone number using the enhanced normalization function
+  // This ensures consistent format (07016409616) for eBills API
+  let normalizedPhone = normalizePhone(phone);
+
+  // Fallback to manual normalization if normalizePhone returns null
+  if (!normalizedPhone) {
+    normalizedPhone = phone.replace(/^\+234/, '0').replace(/\s+/g, '');
+    if (!normalizedPhone.startsWith('0')) {
+      normalizedPhone = '0' + normalizedPhone;
     }
-    throw error;
   }
+
+  // Ensure it's in the correct format for eBills (11 digits starting with 0)
+  if (!normalizedPhone || normalizedPhone.length !== 11 || !normalizedPhone.startsWith('0')) {
+    throw new Error('Invalid phone number format. Phone number must be 11 digits starting with 0 (e.g., 07016409616)');
+  }
+
+  return normalizedPhone;
 }
 
 /**
@@ -112,34 +197,18 @@ async function purchaseAirtime(params) {
     throw new Error('Request ID must be 50 characters or less');
   }
 
-  // Normalize phone number using the enhanced normalization function
-  // This ensures consistent format (07016409616) for eBills API
-  const { normalizePhone } = require('../utils/networkDetector');
-  let normalizedPhone = normalizePhone(phone);
-  
-  // Fallback to manual normalization if normalizePhone returns null
-  if (!normalizedPhone) {
-    normalizedPhone = phone.replace(/^\+234/, '0').replace(/\s+/g, '');
-    if (!normalizedPhone.startsWith('0')) {
-      normalizedPhone = '0' + normalizedPhone;
-    }
-  }
-  
-  // Ensure it's in the correct format for eBills (11 digits starting with 0)
-  if (!normalizedPhone || normalizedPhone.length !== 11 || !normalizedPhone.startsWith('0')) {
-    throw new Error('Invalid phone number format. Phone number must be 11 digits starting with 0 (e.g., 07016409616)');
-  }
+  const normalizedPhone = normalizeOrderPhone(phone);
 
   // Validate amount
   const minAmount = service_id === 'mtn' ? 10 : 50;
   const maxAmount = 50000;
 
   if (amount < minAmount) {
-    throw new Error(`Amount must be at least ₦${minAmount} for ${service_id}`);
+    throw new EbillsError('below_minimum_amount', { minAmount });
   }
 
   if (amount > maxAmount) {
-    throw new Error(`Amount must not exceed ₦${maxAmount}`);
+    throw new EbillsError('above_maximum_amount', { maxAmount });
   }
 
   try {
@@ -150,36 +219,403 @@ async function purchaseAirtime(params) {
         request_id,
         phone: normalizedPhone,
         service_id,
-        amount: parseInt(amount),
+        amount: toOrderAmount(amount),
+      },
+      { headers }
+    );
+
+    return response.data;
+  } catch (error) {
+    throw toEbillsError(error, { minAmount, maxAmount });
+  }
+}
+
+/**
+ * Get a product catalogue (data plans or TV bouquets) for one provider
+ * Variations are public (no token needed) and cached per provider for an hour.
+ * If eBills is unreachable, the last cached catalogue is returned instead.
+ * @param {string} product - Variations product (data, tv)
+ * @param {string} service_id - Provider service ID
+ * @returns {Promise<Array>} Variations
+ */
+async function getVariations(product, service_id) {
+  const cacheKey = `${product}:${service_id}`;
+  const cached = cachedVariations.get(cacheKey);
+  if (cached && Date.now() < cached.expiresAt) {
+    return cached.variations;
+  }
+
+  try {
+    const response = await axios.get(`${API_URL}/variations/${product}`, {
+      params: { service_id },
+    });
+
+    if (response.data && response.data.code === 'success') {
+      const variations = response.data.data || [];
+      cachedVariations.set(cacheKey, {
+        variations,
+        expiresAt: Date.now() + VARIATIONS_CACHE_TTL_MS,
+      });
+      return variations;
+    }
+
+    throw new EbillsError(response.data?.code, {}, response.data?.message || `Failed to retrieve ${product} variations`);
+  } catch (error) {
+    if (cached) {
+      console.error(`Error refreshing ${service_id} ${product} variations, using cached catalogue:`, error.message);
+      return cached.variations;
+    }
+
+    throw toEbillsError(error);
+  }
+}
+
+/**
+ * Get the data plan catalogue for a network
+ * @param {string} service_id - Network provider (mtn, airtel, glo, 9mobile, smile)
+ * @returns {Promise<Array>} Variations: { variation_id, service_name, service_id, data_plan, price, availability }
+ */
+async function getDataVariations(service_id) {
+  if (!DATA_SERVICE_IDS.includes(service_id)) {
+    throw new Error(`Service ID must be one of: ${DATA_SERVICE_IDS.join(', ')}`);
+  }
+
+  return getVariations('data', service_id);
+}
+
+/**
+ * Get the bouquet catalogue for a cable TV provider
+ * @param {string} service_id - Cable TV provider (dstv, gotv, startimes, showmax)
+ * @returns {Promise<Array>} Variations: { variation_id, service_name, service_id, package_bouquet, price, availability }
+ */
+async function getTvVariations(service_id) {
+  if (!CABLE_PROVIDERS[service_id]) {
+    throw new Error(`Service ID must be one of: ${Object.keys(CABLE_PROVIDERS).join(', ')}`);
+  }
+
+  return getVariations('tv', service_id);
+}
+
+/**
+ * Purchase a data plan
+ * @param {Object} params - Purchase parameters
+ * @param {string} params.request_id - Unique request ID (max 50 chars)
+ * @param {string} params.phone - Phone number (e.g., 08012345678 or +2348012345678)
+ * @param {string} params.service_id - Network provider (mtn, airtel, glo, 9mobile, smile)
+ * @param {string|number} params.variation_id - Data plan variation ID (from getDataVariations)
+ * @returns {Promise<Object>} Order response
+ */
+async function purchaseData(params) {
+  const { request_id, phone, service_id, variation_id } = params;
+
+  if (!request_id || !phone || !service_id || !variation_id) {
+    throw new Error('Missing required parameters: request_id, phone, service_id, variation_id');
+  }
+
+  if (request_id.length > 50) {
+    throw new Error('Request ID must be 50 characters or less');
+  }
+
+  if (!DATA_SERVICE_IDS.includes(service_id)) {
+    throw new Error(`Service ID must be one of: ${DATA_SERVICE_IDS.join(', ')}`);
+  }
+
+  const normalizedPhone = normalizeOrderPhone(phone);
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(
+      `${API_URL}/data`,
+      {
+        request_id,
+        phone: normalizedPhone,
+        service_id,
+        variation_id: String(variation_id),
+      },
+      { headers }
+    );
+
+    return response.data;
+  } catch (error) {
+    throw toEbillsError(error);
+  }
+}
+
+/**
+ * Verify a customer before paying a bill (meter, smartcard or betting ID)
+ * @param {Object} params - Verification parameters
+ * @param {string} params.customer_id - Meter/account number, smartcard number or betting ID
+ * @param {string} params.service_id - Service provider (e.g. ikeja-electric, dstv, Bet9ja)
+ * @param {string} params.variation_id - Meter type (prepaid, postpaid); electricity only
+ * @returns {Promise<Object>} Customer details (customer_name, customer_address, min_purchase_amount, ...)
+ */
+async function verifyCustomer(params) {
+  const { customer_id, service_id, variation_id } = params;
+
+  if (!customer_id || !service_id) {
+    throw new Error('Missing required parameters: customer_id, service_id');
+  }
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(
+      `${API_URL}/verify-customer`,
+      {
+        customer_id: String(customer_id),
+        service_id,
+        ...(variation_id && { variation_id }),
+      },
+      { headers }
+    );
+
+    if (response.data && response.data.code === 'success') {
+      return response.data.data;
+    }
+
+    throw new EbillsError(response.data?.code || 'failure', { customerId: customer_id }, response.data?.message || 'Customer verification failed');
+  } catch (error) {
+    throw toEbillsError(error, { customerId: customer_id });
+  }
+}
+
+/**
+ * Purchase electricity (prepaid token or postpaid bill payment)
+ * Verify the meter with verifyCustomer first.
+ * @param {Object} params - Purchase parameters
+ * @param {string} params.request_id - Unique request ID (max 50 chars)
+ * @param {string} params.customer_id - Meter or account number
+ * @param {string} params.service_id - Electricity provider (see ELECTRICITY_PROVIDERS)
+ * @param {string} params.variation_id - Meter type (prepaid, postpaid)
+ * @param {number} params.amount - Amount in NGN (max ₦100,000)
+ * @returns {Promise<Object>} Order response; completed prepaid orders carry data.token and data.units
+ */
+async function purchaseElectricity(params) {
+  const { request_id, customer_id, service_id, variation_id, amount } = params;
+
+  if (!request_id || !customer_id || !service_id || !variation_id || !amount) {
+    throw new Error('Missing required parameters: request_id, customer_id, service_id, variation_id, amount');
+  }
+
+  if (request_id.length > 50) {
+    throw new Error('Request ID must be 50 characters or less');
+  }
+
+  if (!ELECTRICITY_PROVIDERS[service_id]) {
+    throw new Error(`Service ID must be one of: ${Object.keys(ELECTRICITY_PROVIDERS).join(', ')}`);
+  }
+
+  if (!METER_TYPES.includes(variation_id)) {
+    throw new Error(`Meter type must be one of: ${METER_TYPES.join(', ')}`);
+  }
+
+  if (amount > MAX_ELECTRICITY_AMOUNT) {
+    throw new EbillsError('above_maximum_amount', { maxAmount: MAX_ELECTRICITY_AMOUNT });
+  }
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(
+      `${API_URL}/electricity`,
+      {
+        request_id,
+        customer_id: String(customer_id),
+        service_id,
+        variation_id,
+        amount: toOrderAmount(amount),
+      },
+      { headers }
+    );
+
+    return response.data;
+  } catch (error) {
+    throw toEbillsError(error, { maxAmount: MAX_ELECTRICITY_AMOUNT });
+  }
+}
+
+/**
+ * Purchase a cable TV subscription
+ * Verify the smartcard/IUC with verifyCustomer first (not needed for Showmax).
+ * @param {Object} params - Purchase parameters
+ * @param {string} params.request_id - Unique request ID (max 50 chars)
+ * @param {string} params.customer_id - Smartcard/IUC number (phone number for Showmax)
+ * @param {string} params.service_id - Cable TV provider (dstv, gotv, startimes, showmax)
+ * @param {string|number} params.variation_id - Bouquet variation ID (from getTvVariations)
+ * @param {string} params.subscription_type - change or renew (DStv and GOtv only)
+ * @param {number} params.amount - Renewal amount from verifyCustomer (required to renew)
+ * @returns {Promise<Object>} Order response
+ */
+async function purchaseCable(params) {
+  const { request_id, customer_id, service_id, variation_id, subscription_type, amount } = params;
+
+  if (!request_id || !customer_id || !service_id || !variation_id) {
+    throw new Error('Missing required parameters: request_id, customer_id, service_id, variation_id');
+  }
+
+  if (request_id.length > 50) {
+    throw new Error('Request ID must be 50 characters or less');
+  }
+
+  if (!CABLE_PROVIDERS[service_id]) {
+    throw new Error(`Service ID must be one of: ${Object.keys(CABLE_PROVIDERS).join(', ')}`);
+  }
+
+  if (subscription_type === 'renew' && !amount) {
+    throw new Error('Renewal amount is required to renew a subscription');
+  }
+
+  const body = {
+    request_id,
+    customer_id: String(customer_id),
+    service_id,
+    variation_id: String(variation_id),
+  };
+
+  if (SUBSCRIPTION_TYPE_SERVICE_IDS.includes(service_id)) {
+    body.subscription_type = subscription_type || 'change';
+  }
+
+  if (subscription_type === 'renew') {
+    body.amount = toOrderAmount(amount);
+  }
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(`${API_URL}/tv`, body, { headers });
+
+    return response.data;
+  } catch (error) {
+    throw toEbillsError(error);
+  }
+}
+
+/**
+ * Fund a betting account
+ * @param {Object} params - Purchase parameters
+ * @param {string} params.request_id - Unique request ID (max 50 chars)
+ * @param {string} params.customer_id - Betting account ID (verify it with verifyCustomer first)
+ * @param {string} params.service_id - Betting platform (one of BETTING_SERVICE_IDS, e.g. Bet9ja)
+ * @param {number} params.amount - Amount in NGN (100 to 100,000)
+ * @returns {Promise<Object>} Order response
+ */
+async function purchaseBetting(params) {
+  const { request_id, customer_id, service_id, amount } = params;
+
+  if (!request_id || !customer_id || !service_id || !amount) {
+    throw new Error('Missing required parameters: request_id, customer_id, service_id, amount');
+  }
+
+  if (request_id.length > 50) {
+    throw new Error('Request ID must be 50 characters or less');
+  }
+
+  if (!BETTING_SERVICE_IDS.includes(service_id)) {
+    throw new EbillsError('invalid_service_id');
+  }
+
+  const context = { minAmount: MIN_BETTING_AMOUNT, maxAmount: MAX_BETTING_AMOUNT };
+
+  if (amount < MIN_BETTING_AMOUNT) {
+    throw new EbillsError('below_minimum_amount', context);
+  }
+
+  if (amount > MAX_BETTING_AMOUNT) {
+    throw new EbillsError('above_maximum_amount', context);
+  }
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(
+      `${API_URL}/betting`,
+      {
+        request_id,
+        customer_id: String(customer_id),
+        service_id,
+        amount: toOrderAmount(amount),
       },
       { headers }
     );
 
     return response.data;
   } catch (error) {
-    if (error.response) {
-      const errorData = error.response.data;
-      const errorMessage = errorData?.message || `Error purchasing airtime: ${error.response.status}`;
-      const errorCode = errorData?.code;
-
-      // Map error codes to user-friendly messages
-      if (errorCode === 'insufficient_funds') {
-        throw new Error('Insufficient wallet balance on eBills account');
-      } else if (errorCode === 'duplicate_request_id') {
-        throw new Error('This request ID has already been used');
-      } else if (errorCode === 'duplicate_order') {
-        throw new Error('Duplicate order detected. Please wait 3 minutes before retrying');
-      } else if (errorCode === 'invalid_service') {
-        throw new Error('Invalid service ID or phone number does not match network');
-      } else if (errorCode === 'below_minimum_amount') {
-        throw new Error(`Amount below minimum (₦${minAmount} for ${service_id})`);
-      } else if (errorCode === 'above_maximum_amount') {
-        throw new Error(`Amount above maximum (₦${maxAmount})`);
-      }
-
-      throw new Error(errorMessage);
+    throw toEbillsError(error, context);
+  }
+}
+
+/**
+ * Normalize the printed PINs of an ePIN order
+ * eBills has sent both { pin, serial } and { pin, serial_number } shapes.
+ * @returns {Array|null} [{ pin, serial, value, instruction }], or null while the order is processing
+ */
+function normalizeEpins(epins) {
+  if (!Array.isArray(epins)) {
+    return null;
+  }
+
+  return epins.map(epin => ({
+    pin: String(epin.pin),
+    serial: epin.serial || epin.serial_number || null,
+    value: epin.amount || epin.Amount || null,
+    instruction: epin.instruction ? epin.instruction.trim() : null,
+  }));
+}
+
+/**
+ * Purchase recharge card PINs (ePINs)
+ * @param {Object} params - Purchase parameters
+ * @param {string} params.request_id - Unique request ID (max 50 chars)
+ * @param {string} params.service_id - Network provider (mtn, airtel, glo, 9mobile)
+ * @param {number} params.value - PIN denomination in NGN (100, 200, 500)
+ * @param {number} params.quantity - Number of PINs (1 to 40)
+ * @returns {Promise<Object>} Order response; data.epins holds the PINs once the order is completed
+ */
+async function purchaseEpins(params) {
+  const { request_id, service_id, value, quantity } = params;
+
+  if (!request_id || !service_id || !value || !quantity) {
+    throw new Error('Missing required parameters: request_id, service_id, value, quantity');
+  }
+
+  if (request_id.length > 50) {
+    throw new Error('Request ID must be 50 characters or less');
+  }
+
+  if (!EPIN_SERVICE_IDS.includes(service_id)) {
+    throw new EbillsError('invalid_service_id');
+  }
+
+  if (!EPIN_VALUES.includes(parseInt(value))) {
+    throw new EbillsError('invalid_value');
+  }
+
+  if (quantity < 1) {
+    throw new EbillsError('below_minimum_quantity');
+  }
+
+  if (quantity > MAX_EPIN_QUANTITY) {
+    throw new EbillsError('above_maximum_quantity', { maxQuantity: MAX_EPIN_QUANTITY });
+  }
+
+  try {
+    const headers = await getHeaders();
+    const response = await axios.post(
+      `${API_URL}/epins`,
+      {
+        request_id,
+        service_id,
+        value: parseInt(value),
+        quantity: parseInt(quantity),
+      },
+      { headers }
+    );
+
+    const { data } = response;
+    if (data?.data) {
+      data.data.epins = normalizeEpins(data.data.epins);
     }
-    throw error;
+
+    return data;
+  } catch (error) {
+    throw toEbillsError(error, { maxQuantity: MAX_EPIN_QUANTITY });
   }
 }
 
@@ -197,12 +633,15 @@ async function requeryOrder(request_id) {
       { headers }
     );
 
-    return response.data;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(error.response.data?.message || `Error requerying order: ${error.response.status}`);
+    // ePIN orders carry their PINs once completed
+    const { data } = response;
+    if (data?.data?.epins !== undefined) {
+      data.data.epins = normalizeEpins(data.data.epins);
     }
-    throw error;
+
+    return data;
+  } catch (error) {
+    throw toEbillsError(error);
   }
 }
 
@@ -210,6 +649,27 @@ module.exports = {
   getAccessToken,
   checkBalance,
   purchaseAirtime,
+  getDataVariations,
+  purchaseData,
+  verifyCustomer,
+  purchaseElectricity,
+  getTvVariations,
+  purchaseCable,
+  purchaseBetting,
+  purchaseEpins,
   requeryOrder,
+  normalizeEpins,
+  toOrderAmount,
+  DATA_SERVICE_IDS,
+  ELECTRICITY_PROVIDERS,
+  METER_TYPES,
+  CABLE_PROVIDERS,
+  SUBSCRIPTION_TYPE_SERVICE_IDS,
+  BETTING_SERVICE_IDS,
+  MIN_BETTING_AMOUNT,
+  MAX_BETTING_AMOUNT,
+  EPIN_SERVICE_IDS,
+  EPIN_VALUES,
+  MAX_EPIN_QUANTITY,
 };
 
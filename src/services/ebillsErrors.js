@@ -0,0 +1,283 @@
+/**
+ * eBills Errors
+ *
+ * eBills reports failures as { code, message } (e.g. duplicate_order,
+ * wallet_busy, insufficient_funds). Every failure from the bill provider is
+ * turned into an EbillsError carrying:
+ *   - code: the eBills code, or one of ours for failures without one
+ *     (order_failed, float_insufficient, auth_failed, rate_limited, provider_unavailable,
+ *     network_error, unknown)
+ *   - retryable: whether the same purchase can succeed if tried again later
+ *   - httpStatus: status our API answers with
+ *   - message: a sentence the customer can be shown as is
+ *   - detail: what eBills (or axios) actually said, for logs and support
+ *
+ * Our float wallet running dry or our credentials failing are our problem, so
+ * customers only ever hear that the service is temporarily unavailable.
+ */
+
+const { formatNaira } = require('../utils/money');
+
+const SERVICE_UNAVAILABLE = 'This service is temporarily unavailable. Please try again later.';
+
+/**
+ * Known error codes: retryable, httpStatus and the customer message
+ * (a string, or a function of the context the error was raised with)
+ */
+const EBILLS_ERRORS = {
+  insufficient_funds: {
+    retryable: true,
+    httpStatus: 503,
+    message: SERVICE_UNAVAILABLE,
+  },
+  wallet_busy: {
+    retryable: true,
+    httpStatus: 503,
+    message: 'We are finishing another order right now. Please try again in a moment.',
+  },
+  duplicate_order: {
+    retryable: true,
+    httpStatus: 409,
+    message: 'The same purchase was made a moment ago. Please wait 3 minutes before trying again.',
+  },
+  duplicate_request_id: {
+    retryable: false,
+    httpStatus: 409,
+    message: 'This order has already been submitted.',
+  },
+  below_minimum_amount: {
+    retryable: false,
+    httpStatus: 400,
+    message: ({ minAmount }) => (minAmount
+      ? `The minimum amount is ${formatNaira(minAmount)}.`
+      : 'The amount is below the minimum for this service.'),
+  },
+  above_maximum_amount: {
+    retryable: false,
+    httpStatus: 400,
+    message: ({ maxAmount }) => (maxAmount
+      ? `The maximum amount is ${formatNaira(maxAmount)}.`
+      : 'The amount is above the maximum for this service.'),
+  },
+  invalid_amount: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'Bills are paid in whole Naira. Please enter an amount without kobo.',
+  },
+  below_customer_arrears: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'The amount is less than the outstanding arrears on this meter. Please pay at least the arrears.',
+  },
+  invalid_service: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'The phone number does not belong to the selected network. Please check the number or network.',
+  },
+  invalid_service_id: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'This provider is not supported.',
+  },
+  invalid_variation_id: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'This plan or bouquet is no longer available. Please choose another one.',
+  },
+  invalid_field: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'Some details of this order are invalid. Please check them and try again.',
+  },
+  missing_fields: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'Some details of this order are missing. Please check them and try again.',
+  },
+  invalid_value: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'Recharge cards come in ₦100, ₦200 and ₦500. Please choose one of these values.',
+  },
+  below_minimum_quantity: {
+    retryable: false,
+    httpStatus: 400,
+    message: 'Please buy at least one recharge card.',
+  },
+  above_maximum_quantity: {
+    retryable: false,
+    httpStatus: 400,
+    message: ({ maxQuantity }) => (maxQuantity
+      ? `You can buy up to ${maxQuantity} recharge cards at a time.`
+      : 'Too many recharge cards in one order. Please buy fewer at a time.'),
+  },
+  float_insufficient: {
+    retryable: true,
+    httpStatus: 503,
+    message: 'Airtime and bill payments are temporarily unavailable. Please try again later.',
+  },
+  order_failed: {
+    retryable: true,
+    httpStatus: 502,
+    message: 'The biller could not complete this order, so your money has been returned to your account. Please try again later.',
+  },
+  failure: {
+    retryable: false,
+    httpStatus: 400,
+    message: ({ customerId }) => (customerId
+      ? `Could not verify ${customerId}. Please check the number and provider.`
+      : 'The biller could not complete this request. Please check the details and try again.'),
+  },
+  auth_failed: {
+    retryable: false,
+    httpStatus: 502,
+    message: SERVICE_UNAVAILABLE,
+  },
+  rate_limited: {
+    retryable: true,
+    httpStatus: 503,
+    message: 'We are receiving too many requests right now. Please try again in a moment.',
+  },
+  provider_unavailable: {
+    retryable: true,
+    httpStatus: 502,
+    message: 'The biller is not responding right now. Please try again shortly.',
+  },
+  network_error: {
+    retryable: true,
+    httpStatus: 502,
+    message: 'We could not reach the biller. Please try again shortly.',
+  },
+  unknown: {
+    retryable: false,
+    httpStatus: 502,
+    message: 'The biller could not complete this request. Please try again later.',
+  },
+};
+
+// Codes eBills uses for a rejected login or token
+const AUTH_ERROR_CODES = [
+  'invalid_username',
+  'invalid_password',
+  'incorrect_password',
+  'rest_forbidden',
+  'jwt_auth_failed',
+  'jwt_auth_invalid_token',
+  'jwt_auth_bad_request',
+];
+
+// Failures after which eBills may still have placed the order (the request
+// timed out, or eBills broke while handling it): the order has to be requeried
+// before the customer's money can be returned
+const ORDER_UNCONFIRMED_CODES = ['network_error', 'provider_unavailable'];
+
+class EbillsError extends Error {
+  /**
+   * @param {string} code - Error code (a key of EBILLS_ERRORS)
+   * @param {Object} context - Values the customer message uses (minAmount, maxAmount, maxQuantity, customerId)
+   * @param {string} detail - Raw provider message
+   */
+  constructor(code, context = {}, detail = null) {
+    const entry = EBILLS_ERRORS[code] || EBILLS_ERRORS.unknown;
+    const message = typeof entry.message === 'function' ? entry.message(context) : entry.message;
+
+    super(message);
+    this.name = 'EbillsError';
+    this.code = EBILLS_ERRORS[code] ? code : 'unknown';
+    this.retryable = entry.retryable;
+    this.httpStatus = entry.httpStatus;
+    this.detail = detail || code;
+  }
+}
+
+/**
+ * Turn an error from an eBills call into an EbillsError
+ * @param {Error} error - axios error (or an EbillsError, returned as is)
+ * @param {Object} context - Values the customer message uses (minAmount, maxAmount, customerId)
+ * @returns {EbillsError}
+ */
+function toEbillsError(error, context = {}) {
+  if (error instanceof EbillsError) {
+    return error;
+  }
+
+  if (!error.isAxiosError) {
+    return new EbillsError('unknown', context, error.message);
+  }
+
+  // Timeouts, refused connections, DNS failures
+  if (!error.response) {
+    return new EbillsError('network_error', context, error.message);
+  }
+
+  const { status, data } = error.response;
+  const code = data?.code;
+  const detail = data?.message || `HTTP ${status}`;
+
+  if (EBILLS_ERRORS[code]) {
+    return new EbillsError(code, context, detail);
+  }
+
+  if (AUTH_ERROR_CODES.includes(code) || status === 401 || status === 403) {
+    return new EbillsError('auth_failed', context, detail);
+  }
+
+  if (status === 429) {
+    return new EbillsError('rate_limited', context, detail);
+  }
+
+  if (status >= 500) {
+    return new EbillsError('provider_unavailable', context, detail);
+  }
+
+  return new EbillsError('unknown', context, code ? `${code}: ${detail}` : detail);
+}
+
+/**
+ * Whether an error from placing an order leaves it unknown if the order exists
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isOrderUnconfirmed(error) {
+  return error instanceof EbillsError && ORDER_UNCONFIRMED_CODES.includes(error.code);
+}
+
+/**
+ * Build the JSON error body our API returns for an EbillsError
+ * @param {EbillsError} error
+ * @param {string} title - Short error title (e.g. "Transaction failed")
+ */
+function ebillsErrorBody(error, title) {
+  return {
+    success: false,
+    error: title,
+    code: error.code,
+    retryable: error.retryable,
+    response: error.message,
+    message: error.message,
+  };
+}
+
+/**
+ * Build the failed result a process*Request handler returns for an EbillsError
+ * (routes answer with its httpStatus; chat shows the response)
+ * @param {EbillsError} error
+ */
+function ebillsErrorResult(error) {
+  return {
+    success: false,
+    response: error.message,
+    code: error.code,
+    retryable: error.retryable,
+    httpStatus: error.httpStatus,
+  };
+}
+
+module.exports = {
+  EbillsError,
+  EBILLS_ERRORS,
+  toEbillsError,
+  isOrderUnconfirmed,
+  ebillsErrorBody,
+  ebillsErrorResult,
+};
@@ -0,0 +1,96 @@
+/**
+ * eBills Webhook Service
+ *
+ * eBills notifies us when an order that was still processing completes
+ * (completed-api) or is refunded (refunded). Each notification is matched to
+ * our order through the request_id stored on its bill_payments row and
+ * applied with applyOrderStatus (settle, or refund and tell the customer).
+ *
+ * Every event is logged once in ebills_webhook_events (unique on request_id
+ * and status), so redelivered notifications are acknowledged without being
+ * applied again. The settle/refund steps are themselves guarded on the debit's
+ * status, so an event retried after a crash can't double-credit either.
+ */
+
+const { prisma } = require('./database');
+const { applyOrderStatus, BILL_ORDER_OUTCOME } = require('./billOrders');
+const { normalizeEpins } = require('./ebills');
+
+/**
+ * Log an event, or find the earlier delivery of the same event
+ * @returns {Promise<Object>} { event, duplicate } - duplicate is true once the earlier delivery was processed
+ */
+async function claimEvent(payload) {
+  const requestId = String(payload.request_id);
+
+  try {
+    const event = await prisma.ebillsWebhookEvent.create({
+      data: {
+        requestId,
+        orderId: payload.order_id != null ? String(payload.order_id) : null,
+        status: payload.status,
+        payload,
+      },
+    });
+
+    return { event, duplicate: false };
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+
+    const event = await prisma.ebillsWebhookEvent.findUnique({
+      where: { requestId_status: { requestId, status: payload.status } },
+    });
+
+    // An earlier delivery that never finished is processed again
+    return { event, duplicate: Boolean(event.processedAt) };
+  }
+}
+
+/**
+ * Apply an eBills webhook (signature already verified)
+ * @param {Object} payload - Webhook body: { order_id, status, request_id, amount, meta_data, ... }
+ * @returns {Promise<Object>} { outcome, duplicate, reference }
+ */
+async function processEbillsWebhook(payload) {
+  try {
+    if (!payload || !payload.request_id || !payload.status) {
+      throw new Error('Webhook payload must include request_id and status');
+    }
+
+    const { event, duplicate } = await claimEvent(payload);
+    if (duplicate) {
+      return { outcome: event.outcome, duplicate: true, reference: null };
+    }
+
+    const billPayment = await prisma.bill_payments.findUnique({
+      where: { request_id: String(payload.request_id) },
+    });
+
+    // ePIN orders deliver their PINs with the completion
+    const order = payload.epins ? { ...payload, epins: normalizeEpins(payload.epins) } : payload;
+
+    const outcome = billPayment
+      ? await applyOrderStatus(billPayment, order)
+      : BILL_ORDER_OUTCOME.UNMATCHED;
+
+    if (outcome === BILL_ORDER_OUTCOME.UNMATCHED) {
+      console.error(`eBills webhook for unknown request_id ${payload.request_id} (status ${payload.status})`);
+    }
+
+    await prisma.ebillsWebhookEvent.update({
+      where: { id: event.id },
+      data: { outcome, processedAt: new Date() },
+    });
+
+    return { outcome, duplicate: false, reference: billPayment?.reference || null };
+  } catch (error) {
+    console.error('Error processing eBills webhook:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  processEbillsWebhook,
+};
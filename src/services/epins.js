@@ -0,0 +1,204 @@
+/**
+ * ePIN Service
+ *
+ * Recharge card PINs (ePINs) bought through the bill provider are kept per
+ * customer in the epins table. A PIN is as good as cash until someone loads
+ * it, so it is stored encrypted (AES-256-GCM under EPIN_ENCRYPTION_KEY) and
+ * only decrypted for its owner after a PIN check. Listings show the serial
+ * number and the last digits of the PIN.
+ *
+ * The key has no fallback: rotating JWT_SECRET must not make stored PINs
+ * unreadable.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('./database');
+const { moneyToNumber } = require('../utils/money');
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const VISIBLE_PIN_DIGITS = 4;
+
+/**
+ * Get the 256-bit key ePINs are encrypted with (from EPIN_ENCRYPTION_KEY)
+ */
+function getEncryptionKey() {
+  const secret = process.env.EPIN_ENCRYPTION_KEY;
+
+  if (!secret) {
+    throw new Error('ePIN encryption key not configured. Please set EPIN_ENCRYPTION_KEY in environment variables.');
+  }
+
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Whether ePINs can be stored (purchases are refused otherwise, since
+ * PINs that can't be kept would be lost to the customer)
+ */
+function isEpinStorageConfigured() {
+  return Boolean(process.env.EPIN_ENCRYPTION_KEY);
+}
+
+/**
+ * Encrypt a PIN as "iv:authTag:ciphertext" (base64 parts)
+ */
+function encryptPin(pin) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(pin), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+function decryptPin(pinEncrypted) {
+  const [iv, authTag, ciphertext] = pinEncrypted.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(CIPHER, getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function maskPin(pin) {
+  return `${'*'.repeat(Math.max(pin.length - VISIBLE_PIN_DIGITS, 0))}${pin.slice(-VISIBLE_PIN_DIGITS)}`;
+}
+
+function formatEpin(row, pin) {
+  return {
+    id: Number(row.id),
+    network: row.network,
+    value: moneyToNumber(row.value),
+    serialNumber: row.serialNumber,
+    pin,
+    instruction: row.instruction,
+    purchasedAt: row.createdAt,
+    revealedAt: row.revealedAt,
+    usedAt: row.usedAt,
+  };
+}
+
+/**
+ * Store the PINs of a completed ePIN order
+ * Storing the same order twice (executor and requery worker) keeps one copy.
+ * @param {Object} order - { customerId, requestId, network, value, epins: [{ pin, serial, value, instruction }] }
+ * @returns {Promise<number>} Number of PINs stored
+ */
+async function storeEpins(order) {
+  try {
+    const { count } = await prisma.epin.createMany({
+      data: order.epins.map(epin => ({
+        customerId: BigInt(order.customerId),
+        requestId: order.requestId,
+        network: order.network,
+        value: epin.value || order.value,
+        serialNumber: epin.serial,
+        pinEncrypted: encryptPin(epin.pin),
+        instruction: epin.instruction,
+      })),
+      skipDuplicates: true,
+    });
+
+    return count;
+  } catch (error) {
+    console.error('Error storing ePINs:', error);
+    throw error;
+  }
+}
+
+/**
+ * List a customer's ePINs with their PINs masked, newest first
+ * @param {number} customerId - Customer ID
+ * @param {Object} filters - { includeUsed, requestId, limit }
+ * @returns {Promise<Array>} ePINs
+ */
+async function listEpins(customerId, filters = {}) {
+  try {
+    const rows = await prisma.epin.findMany({
+      where: {
+        customerId: BigInt(customerId),
+        ...(!filters.includeUsed && { usedAt: null }),
+        ...(filters.requestId && { requestId: filters.requestId }),
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+      take: filters.limit || 100,
+    });
+
+    return rows.map(row => formatEpin(row, maskPin(decryptPin(row.pinEncrypted))));
+  } catch (error) {
+    console.error('Error listing ePINs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Decrypt a customer's ePINs (the caller has already checked their PIN)
+ * @param {number} customerId - Customer ID
+ * @param {Object} filters - { ids, requestId } - without either, every unused ePIN is revealed
+ * @returns {Promise<Array>} ePINs with their PINs in full
+ */
+async function revealEpins(customerId, filters = {}) {
+  try {
+    const where = {
+      customerId: BigInt(customerId),
+      ...(filters.ids?.length > 0 && { id: { in: filters.ids.map(id => BigInt(id)) } }),
+      ...(filters.requestId && { requestId: filters.requestId }),
+      ...(!filters.ids?.length && !filters.requestId && { usedAt: null }),
+    };
+
+    const rows = await prisma.epin.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'asc' }],
+    });
+
+    if (rows.length > 0) {
+      await prisma.epin.updateMany({
+        where: { id: { in: rows.map(row => row.id) }, revealedAt: null },
+        data: { revealedAt: new Date() },
+      });
+    }
+
+    return rows.map(row => formatEpin(row, decryptPin(row.pinEncrypted)));
+  } catch (error) {
+    console.error('Error revealing ePINs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark one of a customer's ePINs as used (loaded or given away)
+ * @returns {Promise<Object|null>} The ePIN (masked), or null if the customer has no such ePIN
+ */
+async function markEpinUsed(customerId, epinId) {
+  try {
+    const row = await prisma.epin.findFirst({
+      where: { id: BigInt(epinId), customerId: BigInt(customerId) },
+    });
+
+    if (!row) {
+      return null;
+    }
+
+    const updated = row.usedAt
+      ? row
+      : await prisma.epin.update({
+        where: { id: row.id },
+        data: { usedAt: new Date() },
+      });
+
+    return formatEpin(updated, maskPin(decryptPin(updated.pinEncrypted)));
+  } catch (error) {
+    console.error('Error marking ePIN used:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  isEpinStorageConfigured,
+  encryptPin,
+  decryptPin,
+  maskPin,
+  storeEpins,
+  listEpins,
+  revealEpins,
+  markEpinUsed,
+};
@@ -0,0 +1,174 @@
+/**
+ * Idempotency Service
+ *
+ * Stores the outcome of requests sent with an Idempotency-Key header so a
+ * retried request returns the original response instead of running again.
+ * Keys are scoped to the customer, remembered for IDEMPOTENCY_KEY_TTL_HOURS
+ * and bound to a hash of the request they were first used with.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('./database');
+
+const IDEMPOTENCY_KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24', 10);
+
+const STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed',
+};
+
+/**
+ * Serialize a value with object keys sorted, so key order doesn't change the hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash a request's method, path and body.
+ * Keyed with the server secret because bodies can contain a PIN.
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - Parsed request body
+ * @returns {string} Hex digest
+ */
+function hashRequest(method, path, body) {
+  const secret = process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured. Please set it in environment variables.');
+  }
+
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${method}:${path}:${stableStringify(body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Claim an idempotency key for a request
+ * @param {number} customerId - Customer ID
+ * @param {string} key - Idempotency-Key header value
+ * @param {string} requestPath - Request path
+ * @param {string} requestHash - Hash from hashRequest
+ * @returns {Promise<Object>} { claimed: true, id } for a new key, otherwise
+ *   { claimed: false, mismatch?, inProgress?, responseStatus?, responseBody? }
+ */
+async function beginIdempotentRequest(customerId, key, requestPath, requestHash) {
+  try {
+    const now = new Date();
+    const where = {
+      customerId_key: {
+        customerId: BigInt(customerId),
+        key,
+      },
+    };
+
+    let existing = await prisma.idempotencyKey.findUnique({ where });
+
+    // An expired key can be used again
+    if (existing && existing.expiresAt <= now) {
+      await prisma.idempotencyKey.deleteMany({
+        where: { id: existing.id, expiresAt: { lte: now } },
+      });
+      existing = null;
+    }
+
+    if (!existing) {
+      try {
+        const created = await prisma.idempotencyKey.create({
+          data: {
+            customerId: BigInt(customerId),
+            key,
+            requestPath,
+            requestHash,
+            status: STATUS.IN_PROGRESS,
+            expiresAt: new Date(now.getTime() + IDEMPOTENCY_KEY_TTL_HOURS * 60 * 60 * 1000),
+            createdAt: now,
+          },
+        });
+
+        return { claimed: true, id: created.id };
+      } catch (error) {
+        // Another request claimed the same key first
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+        existing = await prisma.idempotencyKey.findUnique({ where });
+        if (!existing) {
+          throw error;
+        }
+      }
+    }
+
+    if (existing.requestPath !== requestPath || existing.requestHash !== requestHash) {
+      return { claimed: false, mismatch: true };
+    }
+
+    if (existing.status !== STATUS.COMPLETED) {
+      return { claimed: false, inProgress: true };
+    }
+
+    return {
+      claimed: false,
+      responseStatus: existing.responseStatus,
+      responseBody: existing.responseBody,
+    };
+  } catch (error) {
+    console.error('Error beginning idempotent request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store the response for a claimed key
+ * @param {bigint} id - Idempotency key record ID
+ * @param {number} responseStatus - HTTP status sent
+ * @param {Object} responseBody - JSON body sent
+ */
+async function completeIdempotentRequest(id, responseStatus, responseBody) {
+  try {
+    await prisma.idempotencyKey.update({
+      where: { id },
+      data: {
+        status: STATUS.COMPLETED,
+        responseStatus,
+        responseBody: JSON.parse(JSON.stringify(responseBody)),
+        completedAt: new Date(),
+      },
+    });
+  } catch (error) {
+    console.error('Error completing idempotent request:', error);
+    throw error;
+  }
+}
+
+/**
+ * Release a claimed key without storing a response, so the request can be retried
+ * @param {bigint} id - Idempotency key record ID
+ */
+async function releaseIdempotentRequest(id) {
+  try {
+    await prisma.idempotencyKey.deleteMany({
+      where: { id, status: STATUS.IN_PROGRESS },
+    });
+  } catch (error) {
+    console.error('Error releasing idempotent request:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  hashRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+};
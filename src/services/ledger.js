@@ -0,0 +1,192 @@
+/**
+ * Ledger Service
+ *
+ * Read side of the double-entry journal written by postJournalEntry in the
+ * database service. Every Account.balance is a cached total of that
+ * account's postings; checkLedgerInvariants proves it, and
+ * backfillOpeningBalances brings accounts from before the ledger in line.
+ */
+
+const { prisma, postJournalEntry, SYSTEM_LEDGER_ACCOUNTS } = require('./database');
+const { addMoney, subtractMoney, compareMoney } = require('../utils/money');
+
+/**
+ * Get an account's balance as the sum of its postings
+ * @param {number} accountId - Account ID
+ * @returns {Promise<string>} Balance, e.g. "1500.00"
+ */
+async function getLedgerBalance(accountId) {
+  try {
+    const result = await prisma.journalPosting.aggregate({
+      where: {
+        ledgerAccount: { accountId: BigInt(accountId) },
+      },
+      _sum: { amount: true },
+    });
+
+    return addMoney(result._sum.amount || 0);
+  } catch (error) {
+    console.error('Error getting ledger balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Sum postings per customer account
+ * @returns {Promise<Map<string, string>>} accountId -> sum of postings
+ */
+async function getPostingTotalsByAccount() {
+  const [totals, ledgerAccounts] = await Promise.all([
+    prisma.journalPosting.groupBy({
+      by: ['ledgerAccountId'],
+      _sum: { amount: true },
+    }),
+    prisma.ledgerAccount.findMany({
+      where: { kind: 'customer' },
+      select: { id: true, accountId: true },
+    }),
+  ]);
+
+  const accountIdByLedgerAccount = new Map(
+    ledgerAccounts.map(ledgerAccount => [ledgerAccount.id.toString(), ledgerAccount.accountId.toString()])
+  );
+
+  const totalsByAccount = new Map();
+  for (const total of totals) {
+    const accountId = accountIdByLedgerAccount.get(total.ledgerAccountId.toString());
+    if (accountId) {
+      totalsByAccount.set(accountId, addMoney(total._sum.amount || 0));
+    }
+  }
+
+  return totalsByAccount;
+}
+
+/**
+ * Check the ledger invariants:
+ * - every journal entry's postings add up to zero
+ * - all postings together add up to zero
+ * - every account balance equals the sum of its postings
+ * @returns {Promise<Object>} { ok, unbalancedEntries, mismatchedAccounts, postingsTotal, accountsChecked }
+ */
+async function checkLedgerInvariants() {
+  try {
+    const unbalanced = await prisma.journalPosting.groupBy({
+      by: ['journalEntryId'],
+      _sum: { amount: true },
+      having: {
+        amount: { _sum: { not: 0 } },
+      },
+    });
+
+    const overall = await prisma.journalPosting.aggregate({
+      _sum: { amount: true },
+    });
+    const postingsTotal = addMoney(overall._sum.amount || 0);
+
+    const [accounts, totalsByAccount] = await Promise.all([
+      prisma.account.findMany({
+        select: { id: true, accountNumber: true, balance: true },
+        orderBy: { id: 'asc' },
+      }),
+      getPostingTotalsByAccount(),
+    ]);
+
+    const mismatchedAccounts = [];
+    for (const account of accounts) {
+      const ledgerBalance = totalsByAccount.get(account.id.toString()) || '0.00';
+
+      if (compareMoney(account.balance, ledgerBalance) !== 0) {
+        mismatchedAccounts.push({
+          accountId: Number(account.id),
+          accountNumber: account.accountNumber,
+          balance: addMoney(account.balance),
+          ledgerBalance,
+          difference: subtractMoney(account.balance, ledgerBalance),
+        });
+      }
+    }
+
+    const unbalancedEntries = unbalanced.map(entry => ({
+      journalEntryId: Number(entry.journalEntryId),
+      total: addMoney(entry._sum.amount || 0),
+    }));
+
+    return {
+      ok: unbalancedEntries.length === 0
+        && mismatchedAccounts.length === 0
+        && compareMoney(postingsTotal, 0) === 0,
+      unbalancedEntries,
+      mismatchedAccounts,
+      postingsTotal,
+      accountsChecked: accounts.length,
+    };
+  } catch (error) {
+    console.error('Error checking ledger invariants:', error);
+    throw error;
+  }
+}
+
+/**
+ * Post an opening balance for every account whose balance is not yet covered
+ * by postings (accounts created before the ledger, or seeded directly).
+ * Each account row is locked while it is compared, so a concurrent debit or
+ * credit can't slip in between reading the balance and posting the difference.
+ * Safe to run more than once: accounts already in line are skipped.
+ * @returns {Promise<Object>} { accountsBackfilled, total }
+ */
+async function backfillOpeningBalances() {
+  try {
+    const accounts = await prisma.account.findMany({
+      select: { id: true },
+      orderBy: { id: 'asc' },
+    });
+
+    let accountsBackfilled = 0;
+    let total = '0.00';
+
+    for (const { id } of accounts) {
+      const difference = await prisma.$transaction(async (tx) => {
+        const [locked] = await tx.$queryRaw`SELECT balance FROM accounts WHERE id = ${id} FOR UPDATE`;
+
+        const posted = await tx.journalPosting.aggregate({
+          where: { ledgerAccount: { accountId: id } },
+          _sum: { amount: true },
+        });
+
+        const missing = subtractMoney(locked.balance, posted._sum.amount || 0);
+        if (compareMoney(missing, 0) === 0) {
+          return missing;
+        }
+
+        await postJournalEntry(tx, {
+          entryType: 'opening_balance',
+          reference: `OPEN-${id}-${Date.now()}`,
+          description: `Opening balance for account ${id}`,
+          postings: [
+            { accountId: id, amount: missing },
+            { systemAccount: SYSTEM_LEDGER_ACCOUNTS.OPENING_BALANCE, amount: subtractMoney(0, missing) },
+          ],
+        });
+
+        return missing;
+      });
+
+      if (compareMoney(difference, 0) !== 0) {
+        accountsBackfilled += 1;
+        total = addMoney(total, difference);
+      }
+    }
+
+    return { accountsBackfilled, total };
+  } catch (error) {
+    console.error('Error backfilling opening balances:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  getLedgerBalance,
+  checkLedgerInvariants,
+  backfillOpeningBalances,
+};
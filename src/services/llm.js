@@ -52,6 +52,12 @@ CRITICAL INSTRUCTIONS:
    - "transfer funds" = "make_transfer"
    - "move money" = "internal_transfer"
    - "buy airtime" = "buy_airtime" (PURCHASE action)
+   - "buy 500 airtime for mum" = "buy_airtime" (a saved biller's nickname, like "mum" or "shop meter", stands in for the number)
+   - "buy 2GB data" = "buy_data" (PURCHASE action for a mobile data bundle)
+   - "pay 5000 electricity for meter 12345678901" = "buy_electricity" (PURCHASE action; also "buy light", prepaid token)
+   - "renew my DStv Compact" = "buy_cable" (PURCHASE action for DStv, GOtv, Startimes or Showmax)
+   - "fund my Bet9ja 1234567 with 2000" = "fund_betting" (PURCHASE action for betting wallets: Bet9ja, BetKing, 1xBet, SupaBet, etc.)
+   - "buy 5 MTN 500 recharge cards" = "buy_epin" (PURCHASE action for printed recharge card PINs / ePINs)
    - "show airtime" = "query_bill_payment" (QUERY action)
    - "check balance" = "check_balance" (for account BALANCE - the amount of money, e.g., ₦50,000)
    - "what's my balance" = "check_balance" (for account BALANCE - the amount of money)
@@ -123,6 +129,11 @@ CRITICAL INSTRUCTIONS:
 
 6. INTENT DISTINCTION - Critical:
    - "buy_airtime" = User wants to PURCHASE/BUY airtime (action verb: buy, purchase, send airtime)
+   - "buy_data" = User wants to PURCHASE/BUY a data bundle (e.g., "buy 2GB MTN data for 0803...", "buy 1000 naira data")
+   - "buy_electricity" = User wants to PAY for electricity / buy a prepaid meter token (e.g., "pay 5000 Ikeja electric for meter 12345678901")
+   - "buy_cable" = User wants to PAY for or RENEW a cable TV subscription (e.g., "renew my GOtv", "change my DStv 7023456789 to Compact Plus")
+   - "fund_betting" = User wants to FUND/TOP UP a betting wallet (e.g., "fund Bet9ja ID 1234567 with ₦2,000", "top up my betking 5000"); this is not a bank transfer
+   - "buy_epin" = User wants to BUY recharge card PINs to load later, resell or gift (e.g., "buy 10 Glo ₦100 recharge cards", "print 3 MTN 500 epins"); airtime sent straight to a phone number is "buy_airtime"
    - "query_bill_payment" = User wants to QUERY/VIEW past purchases (query verbs: show, view, check, how much, when did I)
    - Same for data, cable, internet, electricity
    - If user says "buy" or "purchase" = action intent
@@ -135,7 +146,7 @@ CRITICAL INSTRUCTIONS:
    - If not banking-related, use "general_question" intent
 
 Analyze this message and extract:
-1. Intent (query_transaction, query_bill_payment, make_transfer, internal_transfer, buy_airtime, check_balance, get_account_number, get_last_transaction, general_question, unclear)
+1. Intent (query_transaction, query_bill_payment, make_transfer, internal_transfer, buy_airtime, buy_data, buy_electricity, buy_cable, fund_betting, buy_epin, check_balance, get_account_number, get_last_transaction, general_question, unclear)
 2. Parameters (dates, amounts, names, transaction types, payment types, phone numbers - NORMALIZED)
 3. Confidence (0-1)
 4. Whether clarification is needed
@@ -143,7 +154,7 @@ Analyze this message and extract:
 
 Respond ONLY in valid JSON format:
 {
-    "intent": "query_transaction|query_bill_payment|make_transfer|internal_transfer|buy_airtime|check_balance|get_account_number|get_last_transaction|general_question|unclear",
+    "intent": "query_transaction|query_bill_payment|make_transfer|internal_transfer|buy_airtime|buy_data|buy_electricity|buy_cable|fund_betting|buy_epin|check_balance|get_account_number|get_last_transaction|general_question|unclear",
     "parameters": {
         "startDate": "YYYY-MM-DD or null",
         "endDate": "YYYY-MM-DD or null",
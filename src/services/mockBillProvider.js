@@ -0,0 +1,449 @@
+/**
+ * Mock Bill Provider
+ *
+ * In-process stand-in for eBills (BILL_PROVIDER=mock). It keeps orders and a
+ * wallet in memory and answers in eBills' shapes, so airtime, data,
+ * electricity, cable, betting and ePIN purchases run end to end without credentials.
+ *
+ * Every order ends the way MOCK_BILL_OUTCOME says (or setMockBillOutcome, which wins):
+ *   - success (default): completed-api straight away
+ *   - processing: processing-api, completed-api from the first requery
+ *   - refund: processing-api, refunded from the first requery
+ *   - failure: the order comes back failed
+ *   - insufficient_funds: rejected with an insufficient_funds EbillsError, as when the wallet runs dry
+ *
+ * The wallet starts at MOCK_BILL_WALLET_BALANCE (default ₦1,000,000); orders
+ * larger than what is left are rejected the same way.
+ */
+
+const {
+  DATA_SERVICE_IDS,
+  ELECTRICITY_PROVIDERS,
+  METER_TYPES,
+  CABLE_PROVIDERS,
+  BETTING_SERVICE_IDS,
+  MIN_BETTING_AMOUNT,
+  MAX_BETTING_AMOUNT,
+  EPIN_SERVICE_IDS,
+  EPIN_VALUES,
+  MAX_EPIN_QUANTITY,
+  toOrderAmount,
+} = require('./ebills');
+const { EbillsError } = require('./ebillsErrors');
+
+const MOCK_OUTCOMES = ['success', 'processing', 'failure', 'refund', 'insufficient_funds'];
+
+// Status an accepted order reports when it is first requeried
+const FINAL_STATUS_ON_REQUERY = {
+  processing: 'completed-api',
+  refund: 'refunded',
+};
+
+const DATA_PLANS = [
+  { suffix: '500mb', data_plan: '500MB - 7 Days', price: '350.00' },
+  { suffix: '1gb', data_plan: '1GB - 30 Days', price: '1000.00' },
+  { suffix: '2gb', data_plan: '2GB - 30 Days', price: '2000.00' },
+  { suffix: '5gb', data_plan: '5GB - 30 Days', price: '3500.00' },
+];
+
+const TV_BOUQUETS = {
+  dstv: [
+    { variation_id: '1001', package_bouquet: 'DStv Padi', price: '3600.00' },
+    { variation_id: '1002', package_bouquet: 'DStv Yanga', price: '5100.00' },
+    { variation_id: '1003', package_bouquet: 'DStv Compact', price: '15700.00' },
+    { variation_id: '1004', package_bouquet: 'DStv Compact Plus', price: '25000.00' },
+  ],
+  gotv: [
+    { variation_id: '2001', package_bouquet: 'GOtv Smallie', price: '1575.00' },
+    { variation_id: '2002', package_bouquet: 'GOtv Jolli', price: '4850.00' },
+    { variation_id: '2003', package_bouquet: 'GOtv Max', price: '7200.00' },
+  ],
+  startimes: [
+    { variation_id: '3001', package_bouquet: 'Startimes Nova', price: '1900.00' },
+    { variation_id: '3002', package_bouquet: 'Startimes Basic', price: '3700.00' },
+  ],
+  showmax: [
+    { variation_id: '4001', package_bouquet: 'Showmax Mobile', price: '1200.00' },
+    { variation_id: '4002', package_bouquet: 'Showmax Pro', price: '3200.00' },
+  ],
+};
+
+const orders = new Map();
+let nextOrderId = 1;
+let outcomeOverride = null;
+let walletBalance = null;
+
+/**
+ * Outcome for new orders
+ */
+function getMockBillOutcome() {
+  const outcome = outcomeOverride || process.env.MOCK_BILL_OUTCOME || 'success';
+
+  if (!MOCK_OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown mock bill outcome "${outcome}". Must be one of: ${MOCK_OUTCOMES.join(', ')}`);
+  }
+
+  return outcome;
+}
+
+/**
+ * Make new orders end a given way, whatever MOCK_BILL_OUTCOME says
+ * @param {string|null} outcome - One of MOCK_OUTCOMES, or null to go back to MOCK_BILL_OUTCOME
+ */
+function setMockBillOutcome(outcome) {
+  if (outcome !== null && !MOCK_OUTCOMES.includes(outcome)) {
+    throw new Error(`Mock bill outcome must be one of: ${MOCK_OUTCOMES.join(', ')}`);
+  }
+
+  outcomeOverride = outcome;
+}
+
+/**
+ * Forget all orders and the outcome override, and refill the wallet
+ */
+function resetMockBillProvider() {
+  orders.clear();
+  nextOrderId = 1;
+  outcomeOverride = null;
+  walletBalance = null;
+}
+
+function getWalletBalance() {
+  if (walletBalance === null) {
+    walletBalance = parseFloat(process.env.MOCK_BILL_WALLET_BALANCE || '1000000');
+  }
+  return walletBalance;
+}
+
+function orderResponse(order) {
+  const messages = {
+    'completed-api': 'ORDER COMPLETED',
+    'processing-api': 'ORDER PROCESSING',
+    refunded: 'ORDER REFUNDED',
+    failed: 'ORDER FAILED',
+  };
+
+  return {
+    code: 'success',
+    message: messages[order.status] || order.status,
+    data: { ...order },
+  };
+}
+
+/**
+ * Place an order, ending it the way the configured outcome says
+ * @param {string} product - Product name shown on the order (e.g. "MTN Airtime")
+ * @param {Object} params - Purchase parameters (request_id, amount, ...)
+ * @param {Object} extra - Fields a completed order carries (e.g. token, units)
+ */
+function placeOrder(product, params, extra = {}) {
+  const { request_id } = params;
+  const amount = parseFloat(params.amount);
+
+  if (!request_id) {
+    throw new Error('Missing required parameter: request_id');
+  }
+
+  if (orders.has(request_id)) {
+    throw new EbillsError('duplicate_request_id');
+  }
+
+  const outcome = getMockBillOutcome();
+  const initialBalance = getWalletBalance();
+
+  if (outcome === 'insufficient_funds' || amount > initialBalance) {
+    throw new EbillsError('insufficient_funds', {}, 'Insufficient wallet balance');
+  }
+
+  const status = {
+    success: 'completed-api',
+    processing: 'processing-api',
+    refund: 'processing-api',
+    failure: 'failed',
+  }[outcome];
+
+  // Failed orders never touch the wallet
+  const charged = status === 'failed' ? 0 : amount;
+  walletBalance = initialBalance - charged;
+
+  const order = {
+    order_id: nextOrderId++,
+    status,
+    product_name: product,
+    service_name: params.service_id,
+    request_id,
+    amount: amount.toFixed(2),
+    amount_charged: charged.toFixed(2),
+    initial_balance: initialBalance.toFixed(2),
+    final_balance: walletBalance.toFixed(2),
+    date_created: new Date().toISOString(),
+    ...(extra.epins && { epins: null }),
+    ...(status === 'completed-api' && extra),
+  };
+
+  orders.set(request_id, {
+    order,
+    extra,
+    finalStatus: FINAL_STATUS_ON_REQUERY[outcome] || null,
+  });
+
+  return orderResponse(order);
+}
+
+function requireParams(params, names) {
+  const missing = names.filter(name => !params?.[name]);
+  if (missing.length > 0) {
+    throw new Error(`Missing required parameters: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Made-up prepaid token for a completed electricity order
+ */
+function electricityToken(orderId) {
+  const digits = String(orderId).padStart(20, '7').slice(-20);
+  return digits.match(/\d{4}/g).join('-');
+}
+
+/**
+ * Made-up recharge card PINs for an ePIN order
+ */
+function mockEpins(orderId, serviceId, value, quantity) {
+  return Array.from({ length: quantity }, (_, index) => {
+    const number = `${orderId}${String(index + 1).padStart(3, '0')}`;
+    return {
+      pin: number.padStart(17, '5'),
+      serial: number.padStart(17, '0'),
+      value: String(value),
+      instruction: `To Recharge: Dial the ${serviceId.toUpperCase()} recharge code with the PIN`,
+    };
+  });
+}
+
+async function checkBalance() {
+  return {
+    balance: getWalletBalance().toFixed(2),
+    currency: 'NGN',
+  };
+}
+
+async function purchaseAirtime(params) {
+  requireParams(params, ['request_id', 'phone', 'service_id', 'amount']);
+  return placeOrder(`${params.service_id.toUpperCase()} Airtime`, {
+    ...params,
+    amount: toOrderAmount(params.amount),
+  }, { phone: params.phone });
+}
+
+async function getDataVariations(service_id) {
+  if (!DATA_SERVICE_IDS.includes(service_id)) {
+    throw new Error(`Service ID must be one of: ${DATA_SERVICE_IDS.join(', ')}`);
+  }
+
+  return DATA_PLANS.map(plan => ({
+    variation_id: `${service_id}-${plan.suffix}`,
+    service_name: service_id.toUpperCase(),
+    service_id,
+    data_plan: plan.data_plan,
+    price: plan.price,
+    availability: 'Available',
+  }));
+}
+
+async function purchaseData(params) {
+  requireParams(params, ['request_id', 'phone', 'service_id', 'variation_id']);
+
+  const variations = await getDataVariations(params.service_id);
+  const plan = variations.find(variation => variation.variation_id === String(params.variation_id));
+  if (!plan) {
+    throw new EbillsError('invalid_variation_id');
+  }
+
+  return placeOrder(`${plan.service_name} Data`, {
+    ...params,
+    amount: plan.price,
+  }, { phone: params.phone, data_plan: plan.data_plan });
+}
+
+async function verifyCustomer(params) {
+  requireParams(params, ['customer_id', 'service_id']);
+  const { customer_id, service_id, variation_id } = params;
+
+  if (ELECTRICITY_PROVIDERS[service_id]) {
+    if (!METER_TYPES.includes(variation_id)) {
+      throw new EbillsError('invalid_field', {}, 'Invalid meter type');
+    }
+
+    return {
+      customer_id: String(customer_id),
+      customer_name: 'MOCK CUSTOMER',
+      customer_address: '1 Test Street, Lagos',
+      meter_type: variation_id,
+      min_purchase_amount: 500,
+      max_purchase_amount: 100000,
+      customer_arrears: 0,
+    };
+  }
+
+  if (TV_BOUQUETS[service_id]) {
+    const currentBouquet = TV_BOUQUETS[service_id][0];
+
+    return {
+      customer_id: String(customer_id),
+      customer_name: 'MOCK CUSTOMER',
+      status: 'ACTIVE',
+      current_bouquet: currentBouquet.package_bouquet,
+      renewal_amount: currentBouquet.price,
+      due_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    };
+  }
+
+  if (BETTING_SERVICE_IDS.includes(service_id)) {
+    return {
+      service_name: service_id,
+      customer_id: String(customer_id),
+      customer_name: 'MOCK BETTOR',
+      customer_username: 'mockbettor',
+      minimum_amount: MIN_BETTING_AMOUNT,
+      maximum_amount: MAX_BETTING_AMOUNT,
+    };
+  }
+
+  throw new EbillsError('failure', { customerId: customer_id });
+}
+
+async function purchaseElectricity(params) {
+  requireParams(params, ['request_id', 'customer_id', 'service_id', 'variation_id', 'amount']);
+
+  const providerName = ELECTRICITY_PROVIDERS[params.service_id];
+  if (!providerName) {
+    throw new EbillsError('invalid_service_id');
+  }
+
+  const amount = toOrderAmount(params.amount);
+  const extra = {
+    customer_name: 'MOCK CUSTOMER',
+    ...(params.variation_id === 'prepaid' && {
+      token: electricityToken(nextOrderId),
+      units: (amount / 100).toFixed(1),
+    }),
+  };
+
+  return placeOrder(`${providerName} Electricity`, { ...params, amount }, extra);
+}
+
+async function getTvVariations(service_id) {
+  if (!TV_BOUQUETS[service_id]) {
+    throw new Error(`Service ID must be one of: ${Object.keys(CABLE_PROVIDERS).join(', ')}`);
+  }
+
+  return TV_BOUQUETS[service_id].map(bouquet => ({
+    ...bouquet,
+    service_name: CABLE_PROVIDERS[service_id],
+    service_id,
+    availability: 'Available',
+  }));
+}
+
+async function purchaseCable(params) {
+  requireParams(params, ['request_id', 'customer_id', 'service_id', 'variation_id']);
+
+  const variations = await getTvVariations(params.service_id);
+  const bouquet = variations.find(variation => variation.variation_id === String(params.variation_id));
+  if (!bouquet) {
+    throw new EbillsError('invalid_variation_id');
+  }
+
+  if (params.subscription_type === 'renew' && !params.amount) {
+    throw new Error('Renewal amount is required to renew a subscription');
+  }
+
+  return placeOrder(`${bouquet.service_name} Subscription`, {
+    ...params,
+    amount: params.subscription_type === 'renew' ? toOrderAmount(params.amount) : bouquet.price,
+  }, { customer_id: String(params.customer_id), package_bouquet: bouquet.package_bouquet });
+}
+
+async function purchaseBetting(params) {
+  requireParams(params, ['request_id', 'customer_id', 'service_id', 'amount']);
+
+  if (!BETTING_SERVICE_IDS.includes(params.service_id)) {
+    throw new EbillsError('invalid_service_id');
+  }
+
+  const amount = toOrderAmount(params.amount);
+  if (amount < MIN_BETTING_AMOUNT) {
+    throw new EbillsError('below_minimum_amount', { minAmount: MIN_BETTING_AMOUNT });
+  }
+  if (amount > MAX_BETTING_AMOUNT) {
+    throw new EbillsError('above_maximum_amount', { maxAmount: MAX_BETTING_AMOUNT });
+  }
+
+  return placeOrder('Betting', { ...params, amount }, {
+    customer_id: String(params.customer_id),
+    customer_name: 'MOCK BETTOR',
+  });
+}
+
+async function purchaseEpins(params) {
+  requireParams(params, ['request_id', 'service_id', 'value', 'quantity']);
+
+  const value = parseInt(params.value);
+  const quantity = parseInt(params.quantity);
+
+  if (!EPIN_SERVICE_IDS.includes(params.service_id)) {
+    throw new EbillsError('invalid_service_id');
+  }
+  if (!EPIN_VALUES.includes(value)) {
+    throw new EbillsError('invalid_value');
+  }
+  if (quantity > MAX_EPIN_QUANTITY) {
+    throw new EbillsError('above_maximum_quantity', { maxQuantity: MAX_EPIN_QUANTITY });
+  }
+
+  return placeOrder('ePINs', {
+    ...params,
+    amount: value * quantity,
+  }, { epins: mockEpins(nextOrderId, params.service_id, value, quantity) });
+}
+
+/**
+ * Requery an order; processing orders reach their final status here
+ */
+async function requeryOrder(request_id) {
+  const entry = orders.get(request_id);
+  if (!entry) {
+    throw new EbillsError('failure', {}, 'Order not found');
+  }
+
+  if (entry.finalStatus) {
+    entry.order.status = entry.finalStatus;
+    entry.finalStatus = null;
+
+    if (entry.order.status === 'completed-api') {
+      Object.assign(entry.order, entry.extra);
+    } else {
+      // Refunded: the wallet gets the amount back
+      walletBalance = getWalletBalance() + parseFloat(entry.order.amount_charged);
+    }
+  }
+
+  return orderResponse(entry.order);
+}
+
+module.exports = {
+  checkBalance,
+  purchaseAirtime,
+  getDataVariations,
+  purchaseData,
+  verifyCustomer,
+  purchaseElectricity,
+  getTvVariations,
+  purchaseCable,
+  purchaseBetting,
+  purchaseEpins,
+  requeryOrder,
+  setMockBillOutcome,
+  resetMockBillProvider,
+  MOCK_OUTCOMES,
+};
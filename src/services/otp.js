@@ -0,0 +1,240 @@
+/**
+ * OTP Service
+ *
+ * One-time codes that prove a caller owns a phone number. Codes are sent by
+ * SMS, stored only as an HMAC, expire after a few minutes and can be used once.
+ * Sending is rate-limited per phone number and purpose, and each code allows a
+ * limited number of wrong guesses.
+ */
+
+const crypto = require('crypto');
+const { prisma } = require('./database');
+const { sendSms } = require('./smsSender');
+
+const OTP_PURPOSES = ['registration', 'login', 'pin_reset', 'pin_unlock'];
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '5', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_MAX_PER_HOUR = parseInt(process.env.OTP_MAX_PER_HOUR || '5', 10);
+
+const PURPOSE_LABELS = {
+  registration: 'account registration',
+  login: 'login',
+  pin_reset: 'PIN reset',
+  pin_unlock: 'PIN unlock',
+};
+
+/**
+ * Get the key used to hash codes (OTP_SECRET, falling back to JWT_SECRET)
+ */
+function getOtpSecret() {
+  const secret = process.env.OTP_SECRET || process.env.JWT_SECRET;
+
+  if (!secret) {
+    throw new Error('OTP secret not configured. Please set OTP_SECRET or JWT_SECRET in environment variables.');
+  }
+
+  return secret;
+}
+
+/**
+ * Hash a code together with the phone number and purpose it was issued for
+ */
+function hashCode(phoneNumber, purpose, code) {
+  return crypto
+    .createHmac('sha256', getOtpSecret())
+    .update(`${phoneNumber}:${purpose}:${code}`)
+    .digest('hex');
+}
+
+function generateCode() {
+  return crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+}
+
+/**
+ * Generate a code, store its hash and send it to the phone number
+ * @param {string} phoneNumber - Normalized phone number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @returns {Promise<Object>} { success, expiresAt, expiresIn } or { success: false, error, message, retryAfterSeconds }
+ */
+async function requestOtp(phoneNumber, purpose) {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new Error(`Invalid OTP purpose: ${purpose}`);
+  }
+
+  try {
+    const now = new Date();
+    const oneHourAgo = new Date(now.getTime() - 60 * 60 * 1000);
+
+    const recentCodes = await prisma.otpCode.findMany({
+      where: {
+        phoneNumber,
+        purpose,
+        createdAt: { gte: oneHourAgo },
+      },
+      orderBy: { createdAt: 'desc' },
+      select: { createdAt: true },
+    });
+
+    if (recentCodes.length >= OTP_MAX_PER_HOUR) {
+      const oldest = recentCodes[recentCodes.length - 1].createdAt;
+      return {
+        success: false,
+        error: 'Too many OTP requests',
+        message: 'You have requested too many codes. Please try again later.',
+        retryAfterSeconds: Math.ceil((oldest.getTime() + 60 * 60 * 1000 - now.getTime()) / 1000),
+      };
+    }
+
+    if (recentCodes.length > 0) {
+      const secondsSinceLast = (now.getTime() - recentCodes[0].createdAt.getTime()) / 1000;
+      if (secondsSinceLast < OTP_RESEND_COOLDOWN_SECONDS) {
+        return {
+          success: false,
+          error: 'OTP recently sent',
+          message: 'Please wait before requesting another code.',
+          retryAfterSeconds: Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLast),
+        };
+      }
+    }
+
+    // Only the newest code for a phone number and purpose is valid
+    await prisma.otpCode.updateMany({
+      where: {
+        phoneNumber,
+        purpose,
+        consumedAt: null,
+        expiresAt: { gt: now },
+      },
+      data: {
+        expiresAt: now,
+      },
+    });
+
+    const code = generateCode();
+    const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+    await prisma.otpCode.create({
+      data: {
+        phoneNumber,
+        purpose,
+        codeHash: hashCode(phoneNumber, purpose, code),
+        expiresAt,
+        createdAt: now,
+      },
+    });
+
+    await sendSms(
+      phoneNumber,
+      `Your ${PURPOSE_LABELS[purpose]} code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it with anyone.`
+    );
+
+    return {
+      success: true,
+      expiresAt,
+      expiresIn: OTP_TTL_MINUTES * 60,
+    };
+  } catch (error) {
+    console.error('Error requesting OTP:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a code and consume it if it matches
+ * @param {string} phoneNumber - Normalized phone number
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} code - Code entered by the customer
+ * @returns {Promise<Object>} { valid: true } or { valid: false, error, message }
+ */
+async function verifyOtp(phoneNumber, purpose, code) {
+  if (!OTP_PURPOSES.includes(purpose)) {
+    throw new Error(`Invalid OTP purpose: ${purpose}`);
+  }
+
+  try {
+    const otp = await prisma.otpCode.findFirst({
+      where: {
+        phoneNumber,
+        purpose,
+        consumedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    if (!otp) {
+      return {
+        valid: false,
+        error: 'OTP expired or not found',
+        message: 'This code has expired or was never sent. Please request a new one.',
+      };
+    }
+
+    // Claim the attempt before comparing, so parallel guesses cannot all
+    // pass the check while attempts is still below the limit
+    const claimed = await prisma.otpCode.updateMany({
+      where: {
+        id: otp.id,
+        attempts: { lt: OTP_MAX_ATTEMPTS },
+      },
+      data: {
+        attempts: { increment: 1 },
+      },
+    });
+
+    if (claimed.count === 0) {
+      return {
+        valid: false,
+        error: 'Too many OTP attempts',
+        message: 'Too many incorrect attempts. Please request a new code.',
+      };
+    }
+
+    const expected = Buffer.from(otp.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(phoneNumber, purpose, String(code).trim()), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, actual)) {
+      const attemptsRemaining = Math.max(OTP_MAX_ATTEMPTS - otp.attempts - 1, 0);
+      return {
+        valid: false,
+        error: 'Invalid OTP',
+        message: attemptsRemaining > 0
+          ? `The code you entered is incorrect. ${attemptsRemaining} attempt(s) remaining.`
+          : 'Too many incorrect attempts. Please request a new code.',
+      };
+    }
+
+    // Guard on consumedAt so a code cannot be used twice concurrently
+    const consumed = await prisma.otpCode.updateMany({
+      where: {
+        id: otp.id,
+        consumedAt: null,
+      },
+      data: {
+        consumedAt: new Date(),
+      },
+    });
+
+    if (consumed.count === 0) {
+      return {
+        valid: false,
+        error: 'OTP expired or not found',
+        message: 'This code has already been used. Please request a new one.',
+      };
+    }
+
+    return { valid: true };
+  } catch (error) {
+    console.error('Error verifying OTP:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  requestOtp,
+  verifyOtp,
+};
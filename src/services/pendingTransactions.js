@@ -1,12 +1,48 @@
 /**
  * Pending Transactions Service
- * 
- * Manages pending transactions that require PIN verification.
- * In production, this should use Redis or a database for persistence.
+ *
+ * Persists transactions that still need input from the customer (an account
+ * or beneficiary selection, or PIN verification) in the pending_transactions
+ * table, so they survive restarts and are shared across server instances.
+ *
+ * Status lifecycle:
+ *   awaiting_selection -> awaiting_pin -> executing -> completed
+ *   awaiting_selection / awaiting_pin -> expired (sweeper) or cancelled
+ *   executing -> cancelled (execution failed)
+ *
+ * Records are returned flattened: { id, type, customerId, status, createdAt,
+ * expiresAt, ...data }, matching the shape the route handlers work with.
  */
 
-// Store pending transactions with unique IDs
-const pendingTransactions = new Map();
+const { prisma } = require('./database');
+
+const PENDING_TRANSACTION_TTL_MINUTES = 15;
+
+const STATUS = {
+  AWAITING_SELECTION: 'awaiting_selection',
+  AWAITING_PIN: 'awaiting_pin',
+  EXECUTING: 'executing',
+  COMPLETED: 'completed',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled',
+};
+
+// Allowed status transitions (awaiting_selection may repeat while the customer narrows down a choice)
+const TRANSITIONS = {
+  awaiting_selection: ['awaiting_selection', 'awaiting_pin', 'expired', 'cancelled'],
+  awaiting_pin: ['executing', 'expired', 'cancelled'],
+  executing: ['completed', 'cancelled'],
+  completed: [],
+  expired: [],
+  cancelled: [],
+};
+
+const ACTIVE_STATUSES = [STATUS.AWAITING_SELECTION, STATUS.AWAITING_PIN];
+
+// Fields stored in their own columns rather than in data
+const CORE_FIELDS = ['id', 'type', 'customerId', 'status', 'createdAt', 'expiresAt', 'completedAt', 'failureReason'];
+
+let sweeperInterval = null;
 
 /**
  * Generate a unique transaction ID
@@ -17,56 +53,243 @@ function generateTransactionId() {
   return `TXN-${timestamp}-${random}`;
 }
 
+/**
+ * Convert a database row to the flattened shape used by route handlers
+ */
+function toPendingTransaction(row) {
+  return {
+    ...row.data,
+    id: row.id,
+    type: row.type,
+    customerId: Number(row.customerId),
+    status: row.status,
+    createdAt: row.createdAt,
+    expiresAt: row.expiresAt,
+    completedAt: row.completedAt,
+    failureReason: row.failureReason,
+  };
+}
+
+/**
+ * Extract the transaction-specific data from a flattened record
+ */
+function toData(pendingTransaction) {
+  const data = {};
+  for (const [key, value] of Object.entries(pendingTransaction)) {
+    if (!CORE_FIELDS.includes(key) && value !== undefined) {
+      data[key] = value;
+    }
+  }
+  return data;
+}
+
 /**
  * Create a pending transaction
  * @param {Object} transactionData - Transaction data
  * @param {string} transactionData.type - Transaction type (transfer, airtime, data, etc.)
  * @param {number} transactionData.customerId - Customer ID
+ * @param {string} transactionData.status - Initial status (awaiting_selection or awaiting_pin)
  * @param {Object} transactionData.data - Transaction-specific data
- * @returns {string} Transaction ID
+ * @returns {Promise<string>} Transaction ID
  */
-function createPendingTransaction(transactionData) {
-  const transactionId = generateTransactionId();
-  
-  pendingTransactions.set(transactionId, {
-    id: transactionId,
-    type: transactionData.type,
-    customerId: transactionData.customerId,
-    createdAt: new Date(),
-    ...transactionData.data,
-  });
-
-  // Auto-expire transactions after 15 minutes
-  setTimeout(() => {
-    if (pendingTransactions.has(transactionId)) {
-      pendingTransactions.delete(transactionId);
+async function createPendingTransaction(transactionData) {
+  const status = transactionData.status || STATUS.AWAITING_PIN;
+
+  if (!ACTIVE_STATUSES.includes(status)) {
+    throw new Error(`Invalid initial status for pending transaction: ${status}`);
+  }
+
+  try {
+    const transactionId = generateTransactionId();
+    const now = new Date();
+
+    // Only one selection can be in progress per customer and type
+    if (status === STATUS.AWAITING_SELECTION) {
+      await prisma.pendingTransaction.updateMany({
+        where: {
+          customerId: BigInt(transactionData.customerId),
+          type: transactionData.type,
+          status: STATUS.AWAITING_SELECTION,
+        },
+        data: {
+          status: STATUS.CANCELLED,
+          failureReason: 'Superseded by a new request',
+        },
+      });
     }
-  }, 15 * 60 * 1000);
 
-  return transactionId;
+    await prisma.pendingTransaction.create({
+      data: {
+        id: transactionId,
+        customerId: BigInt(transactionData.customerId),
+        type: transactionData.type,
+        status,
+        data: transactionData.data || {},
+        expiresAt: new Date(now.getTime() + PENDING_TRANSACTION_TTL_MINUTES * 60 * 1000),
+        createdAt: now,
+      },
+    });
+
+    return transactionId;
+  } catch (error) {
+    console.error('Error creating pending transaction:', error);
+    throw error;
+  }
 }
 
 /**
- * Get a pending transaction by ID
+ * Get a pending transaction by ID, whatever its status
  * @param {string} transactionId - Transaction ID
- * @returns {Object|null} Pending transaction or null
+ * @returns {Promise<Object|null>} Pending transaction or null
  */
-function getPendingTransaction(transactionId) {
-  return pendingTransactions.get(transactionId) || null;
+async function getPendingTransaction(transactionId) {
+  try {
+    const row = await prisma.pendingTransaction.findUnique({
+      where: { id: transactionId },
+    });
+
+    return row ? toPendingTransaction(row) : null;
+  } catch (error) {
+    console.error('Error getting pending transaction:', error);
+    throw error;
+  }
 }
 
 /**
- * Delete a pending transaction
- * @param {string} transactionId - Transaction ID
+ * Find a customer's most recent unexpired pending transaction
+ * @param {number} customerId - Customer ID
+ * @param {string} type - Transaction type (transfer, internal_transfer, ...)
+ * @param {string} status - Status to match (awaiting_selection or awaiting_pin)
+ * @returns {Promise<Object|null>} Pending transaction or null
  */
-function deletePendingTransaction(transactionId) {
-  pendingTransactions.delete(transactionId);
+async function findActivePendingTransaction(customerId, type, status) {
+  try {
+    const row = await prisma.pendingTransaction.findFirst({
+      where: {
+        customerId: BigInt(customerId),
+        type,
+        status,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return row ? toPendingTransaction(row) : null;
+  } catch (error) {
+    console.error('Error finding pending transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move a pending transaction to a new status and save its data.
+ * Guarded on the current status so concurrent requests cannot both advance it.
+ * @param {Object} pendingTransaction - Flattened record (its status is the expected current status)
+ * @param {string} toStatus - New status
+ * @param {Object} options - Optional fields
+ * @param {string} options.failureReason - Reason stored when cancelling
+ * @returns {Promise<boolean>} Whether the transition was applied
+ */
+async function transitionPendingTransaction(pendingTransaction, toStatus, options = {}) {
+  const fromStatus = pendingTransaction.status;
+
+  if (!(TRANSITIONS[fromStatus] || []).includes(toStatus)) {
+    throw new Error(`Invalid pending transaction transition: ${fromStatus} -> ${toStatus}`);
+  }
+
+  try {
+    const now = new Date();
+    const result = await prisma.pendingTransaction.updateMany({
+      where: {
+        id: pendingTransaction.id,
+        status: fromStatus,
+        ...(ACTIVE_STATUSES.includes(fromStatus) && { expiresAt: { gt: now } }),
+      },
+      data: {
+        status: toStatus,
+        data: toData(pendingTransaction),
+        ...(toStatus === STATUS.COMPLETED && { completedAt: now }),
+        ...(options.failureReason && { failureReason: options.failureReason }),
+      },
+    });
+
+    if (result.count === 0) {
+      return false;
+    }
+
+    pendingTransaction.status = toStatus;
+    return true;
+  } catch (error) {
+    console.error('Error updating pending transaction:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark active pending transactions past their expiry as expired
+ * @returns {Promise<number>} Number of transactions expired
+ */
+async function expirePendingTransactions() {
+  try {
+    const result = await prisma.pendingTransaction.updateMany({
+      where: {
+        status: { in: ACTIVE_STATUSES },
+        expiresAt: { lte: new Date() },
+      },
+      data: {
+        status: STATUS.EXPIRED,
+      },
+    });
+
+    return result.count;
+  } catch (error) {
+    console.error('Error expiring pending transactions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Start the background sweeper that expires stale pending transactions
+ * @param {number} intervalMs - How often to sweep (default 60 seconds)
+ */
+function startPendingTransactionSweeper(intervalMs = 60 * 1000) {
+  if (sweeperInterval) {
+    return;
+  }
+
+  sweeperInterval = setInterval(() => {
+    expirePendingTransactions()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`⏱️  Expired ${count} pending transaction(s)`);
+        }
+      })
+      .catch(() => {
+        // Already logged in expirePendingTransactions; try again on the next tick
+      });
+  }, intervalMs);
+
+  // Don't keep the process alive just for the sweeper
+  sweeperInterval.unref();
+}
+
+/**
+ * Stop the background sweeper
+ */
+function stopPendingTransactionSweeper() {
+  if (sweeperInterval) {
+    clearInterval(sweeperInterval);
+    sweeperInterval = null;
+  }
 }
 
 module.exports = {
-  pendingTransactions,
+  PENDING_TRANSACTION_STATUS: STATUS,
   createPendingTransaction,
   getPendingTransaction,
-  deletePendingTransaction,
+  findActivePendingTransaction,
+  transitionPendingTransaction,
+  expirePendingTransactions,
+  startPendingTransactionSweeper,
+  stopPendingTransactionSweeper,
 };
-
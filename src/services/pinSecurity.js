@@ -0,0 +1,395 @@
+/**
+ * PIN Security Service
+ *
+ * Every PIN check goes through verifyCustomerPIN so wrong guesses are counted
+ * per customer. After PIN_MAX_FAILED_ATTEMPTS wrong PINs the PIN is locked,
+ * and each further lockout lasts longer (see PIN_LOCKOUT_MINUTES). A correct
+ * PIN resets the counters; a locked customer can wait, or unlock early with
+ * an OTP (POST /api/unlock-pin) or by resetting the PIN.
+ *
+ * New customers start with a placeholder PIN (pinIsDefault) that never
+ * verifies until they choose their own. The optional security question is a
+ * second way to reset a forgotten PIN; wrong answers are rate-limited.
+ */
+
+const bcrypt = require('bcryptjs');
+const { prisma } = require('./database');
+const { recordSecurityEvent, countSecurityEvents } = require('./auditLog');
+
+const PIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.PIN_MAX_FAILED_ATTEMPTS || '3', 10);
+
+// Lockout length for the 1st, 2nd, 3rd and every later lockout
+const PIN_LOCKOUT_MINUTES = [5, 30, 240, 1440];
+
+const SECURITY_ANSWER_MAX_FAILURES_PER_HOUR = 5;
+
+const lockSelect = {
+  pin: true,
+  pinIsDefault: true,
+  pinFailedAttempts: true,
+  pinLockoutCount: true,
+  pinLockedUntil: true,
+};
+
+/**
+ * Build the lock state returned to clients
+ */
+function buildLockState(customer, now = new Date()) {
+  const locked = !!customer.pinLockedUntil && customer.pinLockedUntil > now;
+
+  return {
+    locked,
+    lockedUntil: locked ? customer.pinLockedUntil : null,
+    attemptsRemaining: locked ? 0 : Math.max(PIN_MAX_FAILED_ATTEMPTS - customer.pinFailedAttempts, 0),
+  };
+}
+
+function getLockoutMinutes(lockoutCount) {
+  return PIN_LOCKOUT_MINUTES[Math.min(lockoutCount, PIN_LOCKOUT_MINUTES.length - 1)];
+}
+
+/**
+ * Get the current PIN lock state for a customer
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object|null>} { locked, lockedUntil, attemptsRemaining } or null if customer not found
+ */
+async function getPinLockState(customerId) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: BigInt(customerId),
+        deletedAt: null,
+      },
+      select: lockSelect,
+    });
+
+    return customer ? buildLockState(customer) : null;
+  } catch (error) {
+    console.error('Error getting PIN lock state:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lock the PIN once its failed attempts reach PIN_MAX_FAILED_ATTEMPTS
+ * Guarded on the counter, so concurrent failures only lock once.
+ * @returns {Promise<Object>} Lock state after the check
+ */
+async function lockIfExhausted(customerId, now, context = {}) {
+  const customer = await prisma.customer.findFirst({
+    where: {
+      id: BigInt(customerId),
+      deletedAt: null,
+    },
+    select: lockSelect,
+  });
+
+  const lockState = buildLockState(customer, now);
+  if (lockState.locked || customer.pinFailedAttempts < PIN_MAX_FAILED_ATTEMPTS) {
+    return lockState;
+  }
+
+  const lockoutMinutes = getLockoutMinutes(customer.pinLockoutCount);
+  const lockedUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+
+  const locked = await prisma.customer.updateMany({
+    where: {
+      id: BigInt(customerId),
+      pinFailedAttempts: { gte: PIN_MAX_FAILED_ATTEMPTS },
+    },
+    data: {
+      pinFailedAttempts: 0,
+      pinLockoutCount: { increment: 1 },
+      pinLockedUntil: lockedUntil,
+    },
+  });
+
+  if (locked.count === 0) {
+    // Another failure locked it first
+    return lockIfExhausted(customerId, now, context);
+  }
+
+  await recordSecurityEvent(customerId, 'pin_locked', {
+    ipAddress: context.ipAddress,
+    metadata: {
+      source: context.source || null,
+      lockoutMinutes,
+      lockoutNumber: customer.pinLockoutCount + 1,
+      lockedUntil: lockedUntil.toISOString(),
+    },
+  });
+
+  return { locked: true, lockedUntil, attemptsRemaining: 0 };
+}
+
+/**
+ * Verify a customer's PIN, counting failures and applying lockouts
+ * The attempt is counted before the PIN is compared (guarded on the lock and
+ * the counter), so concurrent guesses can't get past PIN_MAX_FAILED_ATTEMPTS
+ * compares; a correct PIN gives it back.
+ * @param {number} customerId - Customer ID
+ * @param {string} pin - PIN entered by the customer
+ * @param {Object} context - Optional request context for auditing
+ * @param {string} context.source - Where the PIN was entered (e.g. 'verify_pin', 'verify_transaction', 'login')
+ * @param {string} context.ipAddress - Client IP address
+ * @returns {Promise<Object>} { verified, pinNotSet?, lock: { locked, lockedUntil, attemptsRemaining } }
+ */
+async function verifyCustomerPIN(customerId, pin, context = {}) {
+  try {
+    const now = new Date();
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: BigInt(customerId),
+        deletedAt: null,
+      },
+      select: lockSelect,
+    });
+
+    if (!customer || !customer.pin || customer.pinIsDefault) {
+      return { verified: false, pinNotSet: true, lock: null };
+    }
+
+    const attempt = await prisma.customer.updateMany({
+      where: {
+        id: BigInt(customerId),
+        OR: [{ pinLockedUntil: null }, { pinLockedUntil: { lte: now } }],
+        pinFailedAttempts: { lt: PIN_MAX_FAILED_ATTEMPTS },
+      },
+      data: {
+        pinFailedAttempts: { increment: 1 },
+      },
+    });
+
+    // Locked, or the last attempts are being checked right now (which locks it)
+    if (attempt.count === 0) {
+      const lock = await lockIfExhausted(customerId, now, context);
+
+      // Unlocked in the meantime (correct PIN, OTP unlock): try again
+      if (!lock.locked) {
+        return verifyCustomerPIN(customerId, pin, context);
+      }
+      return { verified: false, lock };
+    }
+
+    const isVerified = await bcrypt.compare(pin.trim(), customer.pin);
+
+    if (isVerified) {
+      await prisma.customer.update({
+        where: { id: BigInt(customerId) },
+        data: {
+          pinFailedAttempts: 0,
+          pinLockoutCount: 0,
+          pinLockedUntil: null,
+        },
+      });
+
+      return {
+        verified: true,
+        lock: { locked: false, lockedUntil: null, attemptsRemaining: PIN_MAX_FAILED_ATTEMPTS },
+      };
+    }
+
+    return { verified: false, lock: await lockIfExhausted(customerId, now, context) };
+  } catch (error) {
+    console.error('Error verifying customer PIN:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear a customer's PIN lock and failure counters
+ * @param {number} customerId - Customer ID
+ * @param {Object} context - Optional context for auditing
+ * @param {string} context.reason - Why the PIN was unlocked (e.g. 'otp', 'pin_reset')
+ * @param {string} context.ipAddress - Client IP address
+ * @returns {Promise<boolean>} Whether the PIN was locked before unlocking
+ */
+async function unlockPin(customerId, context = {}) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: BigInt(customerId),
+        deletedAt: null,
+      },
+      select: lockSelect,
+    });
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+
+    const wasLocked = buildLockState(customer).locked;
+
+    await prisma.customer.update({
+      where: { id: BigInt(customerId) },
+      data: {
+        pinFailedAttempts: 0,
+        pinLockoutCount: 0,
+        pinLockedUntil: null,
+      },
+    });
+
+    if (wasLocked) {
+      await recordSecurityEvent(customerId, 'pin_unlocked', {
+        ipAddress: context.ipAddress,
+        metadata: {
+          reason: context.reason || null,
+          lockedUntil: customer.pinLockedUntil.toISOString(),
+        },
+      });
+    }
+
+    return wasLocked;
+  } catch (error) {
+    console.error('Error unlocking PIN:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get whether a customer has chosen a PIN and set a security question
+ * @param {number} customerId - Customer ID
+ * @returns {Promise<Object|null>} { pinSet, securityQuestion } or null if customer not found
+ */
+async function getPinStatus(customerId) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: BigInt(customerId),
+        deletedAt: null,
+      },
+      select: {
+        pinIsDefault: true,
+        securityQuestion: true,
+      },
+    });
+
+    if (!customer) {
+      return null;
+    }
+
+    return {
+      pinSet: !customer.pinIsDefault,
+      securityQuestion: customer.securityQuestion,
+    };
+  } catch (error) {
+    console.error('Error getting PIN status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Normalize a security answer so case and spacing don't matter
+ */
+function normalizeSecurityAnswer(answer) {
+  return answer.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Set (or replace) a customer's security question and answer
+ * @param {number} customerId - Customer ID
+ * @param {string} question - Question shown during PIN reset
+ * @param {string} answer - Answer (stored hashed)
+ */
+async function setSecurityQuestion(customerId, question, answer) {
+  try {
+    const saltRounds = 10;
+    const securityAnswerHash = await bcrypt.hash(normalizeSecurityAnswer(answer), saltRounds);
+
+    await prisma.customer.update({
+      where: { id: BigInt(customerId) },
+      data: {
+        securityQuestion: question.trim(),
+        securityAnswerHash,
+      },
+    });
+  } catch (error) {
+    console.error('Error setting security question:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check a security answer, limiting wrong answers per hour
+ * @param {number} customerId - Customer ID
+ * @param {string} answer - Answer entered by the customer
+ * @param {Object} context - Optional request context for auditing
+ * @param {string} context.ipAddress - Client IP address
+ * @returns {Promise<Object>} { verified, notConfigured?, rateLimited? }
+ */
+async function verifySecurityAnswer(customerId, answer, context = {}) {
+  try {
+    const customer = await prisma.customer.findFirst({
+      where: {
+        id: BigInt(customerId),
+        deletedAt: null,
+      },
+      select: {
+        securityAnswerHash: true,
+      },
+    });
+
+    if (!customer || !customer.securityAnswerHash) {
+      return { verified: false, notConfigured: true };
+    }
+
+    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const recentFailures = await countSecurityEvents(customerId, 'security_answer_failed', oneHourAgo);
+
+    if (recentFailures >= SECURITY_ANSWER_MAX_FAILURES_PER_HOUR) {
+      return { verified: false, rateLimited: true };
+    }
+
+    const isVerified = await bcrypt.compare(normalizeSecurityAnswer(answer), customer.securityAnswerHash);
+
+    if (!isVerified) {
+      await recordSecurityEvent(customerId, 'security_answer_failed', {
+        ipAddress: context.ipAddress,
+      });
+    }
+
+    return { verified: isVerified };
+  } catch (error) {
+    console.error('Error verifying security answer:', error);
+    throw error;
+  }
+}
+
+/**
+ * Build the error response body for a failed PIN check
+ */
+function buildPinFailureResponse(result) {
+  if (result.lock && result.lock.locked) {
+    return {
+      status: 423,
+      body: {
+        success: false,
+        error: 'PIN locked',
+        message: `Too many incorrect PIN attempts. Your PIN is locked until ${result.lock.lockedUntil.toISOString()}. ` +
+                 'Wait until then, or unlock it with a code sent to your phone.',
+        pinLock: result.lock,
+      },
+    };
+  }
+
+  return {
+    status: 401,
+    body: {
+      success: false,
+      error: 'Invalid PIN',
+      message: `The PIN you entered is incorrect. ${result.lock.attemptsRemaining} attempt(s) remaining before your PIN is locked.`,
+      pinLock: result.lock,
+    },
+  };
+}
+
+module.exports = {
+  PIN_MAX_FAILED_ATTEMPTS,
+  getPinLockState,
+  verifyCustomerPIN,
+  unlockPin,
+  buildPinFailureResponse,
+  getPinStatus,
+  setSecurityQuestion,
+  verifySecurityAnswer,
+};
@@ -0,0 +1,238 @@
+/**
+ * Reversals Service
+ *
+ * Reverses a completed or pending transaction by posting a compensating
+ * journal entry (every posting of the original, negated) and writing an
+ * opposite Transaction row for each row of the original, linked through
+ * reversalOfId. Originals are marked 'reversed', as is the bill_payments row
+ * of a reversed bill purchase.
+ *
+ * A transfer is reversed as a whole: reversing either the sender's debit or
+ * the recipient's credit returns the money to the sender and takes it back
+ * from the recipient. Both parties are notified by SMS afterwards.
+ */
+
+const {
+  prisma,
+  debitAccount,
+  creditAccount,
+  postJournalEntry,
+  updateBillPaymentStatus,
+  getCustomerById,
+  SYSTEM_LEDGER_ACCOUNTS,
+} = require('./database');
+const { sendSms } = require('./smsSender');
+const { parseMoney, subtractMoney, moneyToNumber, formatNaira } = require('../utils/money');
+
+const REVERSIBLE_STATUSES = ['success', 'pending'];
+
+/**
+ * Pick the system account a reversed posting goes to.
+ * A pending debit's amount is still held in suspense; once settled it has
+ * moved on to settlement, so that is where it comes back from.
+ */
+function reversalSystemAccount(code, originalStatus) {
+  const systemAccount = code.replace(/^system:/, '');
+
+  if (systemAccount === SYSTEM_LEDGER_ACCOUNTS.SUSPENSE && originalStatus !== 'pending') {
+    return SYSTEM_LEDGER_ACCOUNTS.SETTLEMENT;
+  }
+
+  return systemAccount;
+}
+
+/**
+ * Tell the owner of a reversed row what happened to their money
+ */
+async function notifyReversal(original) {
+  try {
+    const [customer, account] = await Promise.all([
+      getCustomerById(Number(original.customerId)),
+      prisma.account.findUnique({
+        where: { id: original.accountId },
+        select: { accountNumber: true },
+      }),
+    ]);
+
+    if (!customer || !customer.phoneNumber || !account) {
+      return;
+    }
+
+    const amount = formatNaira(original.amount);
+    const accountEnding = account.accountNumber.slice(-4);
+    const message = original.transactionType === 'debit'
+      ? `${amount} from transaction ${original.reference} (${original.receiverName}) has been reversed and returned to your account ending ${accountEnding}.`
+      : `${amount} received in transaction ${original.reference} has been reversed and debited from your account ending ${accountEnding}.`;
+
+    await sendSms(customer.phoneNumber, message);
+  } catch (error) {
+    // The reversal itself is already committed; a missed SMS must not undo it
+    console.error('Error sending reversal notification:', error);
+  }
+}
+
+/**
+ * Convert a Transaction row for JSON responses
+ */
+function toReversalRecord(row) {
+  return {
+    id: Number(row.id),
+    customerId: Number(row.customerId),
+    accountId: Number(row.accountId),
+    reference: row.reference,
+    reversalOfId: row.reversalOfId ? Number(row.reversalOfId) : null,
+    transactionType: row.transactionType,
+    amount: moneyToNumber(row.amount),
+    balanceBefore: moneyToNumber(row.balanceBefore),
+    balanceAfter: moneyToNumber(row.balanceAfter),
+    status: row.status,
+  };
+}
+
+/**
+ * Reverse a transaction and every other row of the same journal entry
+ * @param {string} reference - Reference of the transaction to reverse
+ * @param {Object} options - Reversal details
+ * @param {string} options.reason - Why the transaction is reversed (stored and sent to customers)
+ * @param {string} options.initiatedBy - Who requested the reversal (stored in the journal metadata)
+ * @returns {Promise<Object>} { reference, journalReference, reversals: [...] }
+ */
+async function reverseTransaction(reference, options = {}) {
+  try {
+    const original = await prisma.transaction.findUnique({
+      where: { reference },
+      include: {
+        journalEntry: {
+          include: {
+            postings: {
+              include: { ledgerAccount: true },
+            },
+          },
+        },
+      },
+    });
+
+    if (!original || original.deletedAt) {
+      throw new Error('Transaction not found');
+    }
+
+    if (original.reversalOfId) {
+      throw new Error('A reversal cannot be reversed');
+    }
+
+    if (original.status === 'reversed') {
+      throw new Error('Transaction already reversed');
+    }
+
+    if (!REVERSIBLE_STATUSES.includes(original.status)) {
+      throw new Error(`Transaction with status ${original.status} cannot be reversed`);
+    }
+
+    if (!original.journalEntry) {
+      throw new Error('Transaction has no journal entry and cannot be reversed automatically');
+    }
+
+    const journalReference = `REVERSAL-${original.journalEntry.reference}`;
+    const now = new Date();
+
+    const { rows, reversals } = await prisma.$transaction(async (tx) => {
+      // All customer-facing rows of the same movement (both sides of a transfer)
+      const rows = await tx.transaction.findMany({
+        where: { journalEntryId: original.journalEntryId },
+        orderBy: { id: 'asc' },
+      });
+
+      // Guarded on the status, so two concurrent reversals cannot both pass
+      const marked = await tx.transaction.updateMany({
+        where: {
+          id: { in: rows.map(row => row.id) },
+          status: { in: REVERSIBLE_STATUSES },
+        },
+        data: {
+          status: 'reversed',
+          reversedAt: now,
+          reversalReason: options.reason || null,
+        },
+      });
+
+      if (marked.count !== rows.length) {
+        throw new Error('Transaction already reversed');
+      }
+
+      const journalEntry = await postJournalEntry(tx, {
+        entryType: 'reversal',
+        reference: journalReference,
+        description: `Reversal of ${original.journalEntry.reference}`,
+        metadata: {
+          originalReference: original.journalEntry.reference,
+          reason: options.reason || null,
+          initiatedBy: options.initiatedBy || null,
+        },
+        postings: original.journalEntry.postings.map(posting => ({
+          ...(posting.ledgerAccount.accountId
+            ? { accountId: posting.ledgerAccount.accountId }
+            : { systemAccount: reversalSystemAccount(posting.ledgerAccount.code, original.status) }),
+          amount: subtractMoney(0, posting.amount),
+        })),
+      });
+
+      const reversals = [];
+      for (const row of rows) {
+        // Debits are given back; credits are taken back (and fail if the money was already spent)
+        let balance;
+        try {
+          balance = row.transactionType === 'debit'
+            ? await creditAccount(tx, row.accountId, row.amount)
+            : await debitAccount(tx, row.accountId, row.amount);
+        } catch (error) {
+          if (error.message === 'Insufficient balance') {
+            throw new Error('Recipient has insufficient balance for the reversal');
+          }
+          throw error;
+        }
+
+        reversals.push(await tx.transaction.create({
+          data: {
+            customerId: row.customerId,
+            accountId: row.accountId,
+            receiverName: `Reversal: ${row.receiverName}`,
+            bankName: row.bankName,
+            bankAccount: row.bankAccount,
+            accountNumber: row.accountNumber,
+            amount: parseMoney(row.amount),
+            balanceBefore: balance.balanceBefore,
+            balanceAfter: balance.balanceAfter,
+            transactionDate: now,
+            createdAt: now,
+            status: 'success',
+            transactionType: row.transactionType === 'debit' ? 'credit' : 'debit',
+            reference: `${row.reference || row.id}-REV`,
+            journalEntryId: journalEntry.id,
+            reversalOfId: row.id,
+          },
+        }));
+      }
+
+      for (const row of rows) {
+        await updateBillPaymentStatus(tx, row.reference, 'reversed');
+      }
+
+      return { rows, reversals };
+    });
+
+    await Promise.all(rows.map(notifyReversal));
+
+    return {
+      reference,
+      journalReference,
+      reversals: reversals.map(toReversalRecord),
+    };
+  } catch (error) {
+    console.error('Error reversing transaction:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  reverseTransaction,
+};
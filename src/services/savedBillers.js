@@ -0,0 +1,324 @@
+/**
+ * Saved Billers Service
+ *
+ * Customers keep the phone numbers, meters, smartcards and betting accounts
+ * they pay for under a nickname ("Mum's line", "Shop meter"), so purchases can
+ * name the nickname instead of the number: "buy 500 airtime for mum".
+ *
+ * A message names a saved biller by the distinctive words of its nickname;
+ * words like "line" or "meter" only count when the nickname has nothing else.
+ * Beneficiaries stay the bank transfer recipients.
+ */
+
+const { prisma } = require('./database');
+const { ELECTRICITY_PROVIDERS, METER_TYPES, CABLE_PROVIDERS, BETTING_SERVICE_IDS } = require('./billProvider');
+const { normalizePhone } = require('../utils/networkDetector');
+
+const BILLER_TYPES = ['phone', 'meter', 'smartcard', 'betting'];
+
+const MAX_NICKNAME_LENGTH = 40;
+
+// Showmax is paid for by phone number, so it has no smartcards to save
+const SMARTCARD_PROVIDERS = Object.keys(CABLE_PROVIDERS).filter(serviceId => serviceId !== 'showmax');
+
+// Words that describe the biller rather than tell nicknames apart
+const GENERIC_NICKNAME_WORDS = new Set([
+  'my', 'the', 'line', 'phone', 'number', 'meter', 'card', 'smartcard', 'decoder', 'account', 'id', 'betting',
+]);
+
+function formatSavedBiller(row) {
+  return {
+    id: Number(row.id),
+    nickname: row.nickname,
+    type: row.billerType,
+    identifier: row.identifier,
+    provider: row.provider,
+    meterType: row.meterType,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+  };
+}
+
+/**
+ * Check and normalize a saved biller before it is stored
+ * @param {Object} input - { nickname, type, identifier, provider, meterType }
+ * @returns {Object} { valid: true, biller } or { valid: false, error, message }
+ */
+function validateSavedBiller(input) {
+  const invalid = (error, message) => ({ valid: false, error, message });
+  const { nickname, type, identifier, provider, meterType } = input;
+
+  if (typeof nickname !== 'string' || !/[a-z]/i.test(nickname) || nickname.trim().length > MAX_NICKNAME_LENGTH) {
+    return invalid('Invalid nickname', `nickname must contain a letter and be at most ${MAX_NICKNAME_LENGTH} characters`);
+  }
+
+  if (!BILLER_TYPES.includes(type)) {
+    return invalid('Invalid type', `type must be one of: ${BILLER_TYPES.join(', ')}`);
+  }
+
+  if (typeof identifier !== 'string' && typeof identifier !== 'number') {
+    return invalid('Invalid identifier', 'identifier is required');
+  }
+
+  const biller = {
+    nickname: nickname.trim().replace(/\s+/g, ' '),
+    billerType: type,
+    identifier: String(identifier).trim(),
+    provider: null,
+    meterType: null,
+  };
+
+  if (type === 'phone') {
+    const phone = normalizePhone(biller.identifier);
+    if (!phone || !/^0\d{10}$/.test(phone)) {
+      return invalid('Invalid identifier', 'identifier must be a valid Nigerian phone number');
+    }
+    biller.identifier = phone;
+  }
+
+  if (type === 'meter') {
+    biller.identifier = biller.identifier.replace(/[\s\-]/g, '');
+    if (!/^\d{10,13}$/.test(biller.identifier)) {
+      return invalid('Invalid identifier', 'identifier must be a 10-13 digit meter number');
+    }
+    if (!ELECTRICITY_PROVIDERS[provider]) {
+      return invalid('Invalid provider', `provider must be one of: ${Object.keys(ELECTRICITY_PROVIDERS).join(', ')}`);
+    }
+    if (meterType !== undefined && meterType !== null && !METER_TYPES.includes(meterType)) {
+      return invalid('Invalid meter type', `meterType must be one of: ${METER_TYPES.join(', ')}`);
+    }
+    biller.provider = provider;
+    biller.meterType = meterType || 'prepaid';
+  }
+
+  if (type === 'smartcard') {
+    biller.identifier = biller.identifier.replace(/[\s\-]/g, '');
+    if (!/^\d{10,12}$/.test(biller.identifier)) {
+      return invalid('Invalid identifier', 'identifier must be a 10-12 digit smartcard/IUC number');
+    }
+    if (!SMARTCARD_PROVIDERS.includes(provider)) {
+      return invalid('Invalid provider', `provider must be one of: ${SMARTCARD_PROVIDERS.join(', ')}`);
+    }
+    biller.provider = provider;
+  }
+
+  if (type === 'betting') {
+    if (!/^[a-z0-9_\-]{3,30}$/i.test(biller.identifier)) {
+      return invalid('Invalid identifier', 'identifier must be a betting customer ID of 3-30 letters, digits, dashes or underscores');
+    }
+    const serviceId = BETTING_SERVICE_IDS.find(id => typeof provider === 'string' && id.toLowerCase() === provider.toLowerCase());
+    if (!serviceId) {
+      return invalid('Invalid provider', `provider must be one of: ${BETTING_SERVICE_IDS.join(', ')}`);
+    }
+    biller.provider = serviceId;
+  }
+
+  return { valid: true, biller };
+}
+
+/**
+ * Refuse a nickname the customer already uses for a biller of the same type
+ */
+async function assertNicknameFree(customerId, biller, exceptId = null) {
+  const existing = await prisma.savedBiller.findFirst({
+    where: {
+      customerId: BigInt(customerId),
+      billerType: biller.billerType,
+      nickname: { equals: biller.nickname, mode: 'insensitive' },
+      deletedAt: null,
+      ...(exceptId && { id: { not: BigInt(exceptId) } }),
+    },
+  });
+
+  if (existing) {
+    throw new Error('A saved biller with this nickname already exists');
+  }
+}
+
+/**
+ * List a customer's saved billers, by nickname
+ * @param {number} customerId - Customer ID
+ * @param {Object} filters - { type }
+ * @returns {Promise<Array>} Saved billers
+ */
+async function listSavedBillers(customerId, filters = {}) {
+  try {
+    const rows = await prisma.savedBiller.findMany({
+      where: {
+        customerId: BigInt(customerId),
+        deletedAt: null,
+        ...(filters.type && { billerType: filters.type }),
+      },
+      orderBy: { nickname: 'asc' },
+    });
+
+    return rows.map(formatSavedBiller);
+  } catch (error) {
+    console.error('Error listing saved billers:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get one of a customer's saved billers
+ * @returns {Promise<Object|null>} Saved biller, or null if the customer has no such biller
+ */
+async function getSavedBiller(customerId, billerId) {
+  try {
+    const row = await prisma.savedBiller.findFirst({
+      where: { id: BigInt(billerId), customerId: BigInt(customerId), deletedAt: null },
+    });
+
+    return row ? formatSavedBiller(row) : null;
+  } catch (error) {
+    console.error('Error getting saved biller:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save a biller
+ * @param {number} customerId - Customer ID
+ * @param {Object} biller - Validated biller (see validateSavedBiller)
+ * @returns {Promise<Object>} Saved biller
+ */
+async function createSavedBiller(customerId, biller) {
+  try {
+    await assertNicknameFree(customerId, biller);
+
+    const row = await prisma.savedBiller.create({
+      data: {
+        customerId: BigInt(customerId),
+        ...biller,
+      },
+    });
+
+    return formatSavedBiller(row);
+  } catch (error) {
+    console.error('Error creating saved biller:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace the details of a saved biller
+ * @param {number} customerId - Customer ID
+ * @param {number} billerId - Saved biller ID
+ * @param {Object} biller - Validated biller (see validateSavedBiller)
+ * @returns {Promise<Object|null>} Updated biller, or null if the customer has no such biller
+ */
+async function updateSavedBiller(customerId, billerId, biller) {
+  try {
+    await assertNicknameFree(customerId, biller, billerId);
+
+    const { count } = await prisma.savedBiller.updateMany({
+      where: { id: BigInt(billerId), customerId: BigInt(customerId), deletedAt: null },
+      data: biller,
+    });
+
+    return count > 0 ? getSavedBiller(customerId, billerId) : null;
+  } catch (error) {
+    console.error('Error updating saved biller:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete a saved biller (soft delete)
+ * @returns {Promise<boolean>} False if the customer has no such biller
+ */
+async function deleteSavedBiller(customerId, billerId) {
+  try {
+    const { count } = await prisma.savedBiller.updateMany({
+      where: { id: BigInt(billerId), customerId: BigInt(customerId), deletedAt: null },
+      data: { deletedAt: new Date() },
+    });
+
+    return count > 0;
+  } catch (error) {
+    console.error('Error deleting saved biller:', error);
+    throw error;
+  }
+}
+
+/**
+ * Lowercase words of a nickname or message, with possessives dropped ("Mum's" -> "mum")
+ */
+function toWords(text) {
+  return text.toLowerCase().replace(/['’]s\b/g, '').split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Words a message has to contain to name a nickname
+ */
+function nicknameKeyWords(nickname) {
+  const words = toWords(nickname);
+  const distinctive = words.filter(word => !GENERIC_NICKNAME_WORDS.has(word));
+  return distinctive.length > 0 ? distinctive : words;
+}
+
+/**
+ * Find the saved biller a purchase message names by nickname
+ * A nickname named in full beats one named in part ("dad" for "Dad office"),
+ * and more matching words beat fewer. When that leaves different billers
+ * tied, the customer is asked to choose.
+ * @param {number} customerId - Customer ID
+ * @param {string} message - Natural language message
+ * @param {string} type - Biller type (one of BILLER_TYPES)
+ * @returns {Promise<Object|null>} { biller, message } with the nickname taken out of the message,
+ *   { ambiguous: true, response } when the customer must choose, or null when no nickname is named
+ */
+async function findSavedBiller(customerId, message, type) {
+  const billers = await listSavedBillers(customerId, { type });
+  if (billers.length === 0) {
+    return null;
+  }
+
+  const messageWords = new Set(toWords(message));
+  const rank = ({ full, matched }) => (full ? 1000 : 0) + matched.length;
+  let best = [];
+
+  for (const biller of billers) {
+    const keyWords = nicknameKeyWords(biller.nickname);
+    const matched = keyWords.filter(word => messageWords.has(word));
+    if (matched.length === 0) {
+      continue;
+    }
+
+    const candidate = { biller, matched, full: matched.length === keyWords.length };
+    if (best.length === 0 || rank(candidate) > rank(best[0])) {
+      best = [candidate];
+    } else if (rank(candidate) === rank(best[0])) {
+      best.push(candidate);
+    }
+  }
+
+  if (best.length === 0) {
+    return null;
+  }
+
+  if (new Set(best.map(({ biller }) => `${biller.provider}:${biller.identifier}`)).size > 1) {
+    const choices = best.map(({ biller }) => `${biller.nickname} (${biller.identifier})`);
+    return {
+      ambiguous: true,
+      response: `You have more than one saved biller that fits: ${choices.join(', ')}. Please use the full nickname or the number.`,
+    };
+  }
+
+  const { biller, matched } = best[0];
+  const remaining = matched
+    .reduce((text, word) => text.replace(new RegExp(`\\b${word}(?:['’]s)?\\b`, 'gi'), ' '), message);
+
+  return { biller, message: remaining };
+}
+
+module.exports = {
+  BILLER_TYPES,
+  validateSavedBiller,
+  listSavedBillers,
+  getSavedBiller,
+  createSavedBiller,
+  updateSavedBiller,
+  deleteSavedBiller,
+  findSavedBiller,
+};
@@ -0,0 +1,97 @@
+/**
+ * SMS Sender
+ *
+ * Pluggable outbound SMS. The active sender is chosen with SMS_PROVIDER:
+ *   - console (default): prints messages to stdout
+ *   - file: appends messages to SMS_OUTBOX_FILE (default logs/sms-outbox.log)
+ *
+ * Both are for development only and are refused when NODE_ENV=production.
+ * Real gateways are added by calling registerSmsSender(name, sender), where
+ * sender is an object with an async send(phoneNumber, message) method.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const consoleSender = {
+  async send(phoneNumber, message) {
+    console.log(`📱 SMS to ${phoneNumber}: ${message}`);
+    return { provider: 'console', delivered: true };
+  },
+};
+
+const fileSender = {
+  async send(phoneNumber, message) {
+    const outboxFile = process.env.SMS_OUTBOX_FILE || path.join(process.cwd(), 'logs', 'sms-outbox.log');
+    const line = JSON.stringify({
+      to: phoneNumber,
+      message,
+      sentAt: new Date().toISOString(),
+    });
+
+    await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+    await fs.promises.appendFile(outboxFile, line + '\n');
+
+    return { provider: 'file', delivered: true };
+  },
+};
+
+const senders = {
+  console: consoleSender,
+  file: fileSender,
+};
+
+const DEVELOPMENT_SENDERS = ['console', 'file'];
+
+/**
+ * Register an SMS sender under a provider name
+ * @param {string} name - Provider name used in SMS_PROVIDER
+ * @param {Object} sender - Object with async send(phoneNumber, message)
+ */
+function registerSmsSender(name, sender) {
+  if (!sender || typeof sender.send !== 'function') {
+    throw new Error('SMS sender must implement send(phoneNumber, message)');
+  }
+
+  senders[name] = sender;
+}
+
+/**
+ * Get the sender configured by SMS_PROVIDER
+ */
+function getSmsSender() {
+  const provider = process.env.SMS_PROVIDER || 'console';
+  const sender = senders[provider];
+
+  if (!sender) {
+    throw new Error(`Unknown SMS provider "${provider}". Please check SMS_PROVIDER in environment variables.`);
+  }
+
+  // These senders write codes where anyone with log access can read them
+  if (DEVELOPMENT_SENDERS.includes(provider) && process.env.NODE_ENV === 'production') {
+    throw new Error(`The ${provider} SMS provider cannot be used in production. Please set SMS_PROVIDER to a registered SMS gateway.`);
+  }
+
+  return sender;
+}
+
+/**
+ * Send an SMS through the configured provider
+ * @param {string} phoneNumber - Recipient phone number
+ * @param {string} message - Message text
+ * @returns {Promise<Object>} Provider delivery result
+ */
+async function sendSms(phoneNumber, message) {
+  try {
+    return await getSmsSender().send(phoneNumber, message);
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  sendSms,
+  registerSmsSender,
+  getSmsSender,
+};
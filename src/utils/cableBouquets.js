@@ -0,0 +1,73 @@
+/**
+ * Cable Bouquet Utility
+ *
+ * Matches the bouquet a customer names ("DStv Compact", "gotv supa plus",
+ * "Nova dish") against an eBills TV catalogue whose package names look like
+ * "Compact Plus", "Padi + ExtraView" or "Nova (Dish)".
+ */
+
+const { compareMoney, formatNaira } = require('./money');
+
+/**
+ * Split text into lowercase words, ignoring punctuation such as "+" and "()"
+ */
+function toWords(text) {
+  return (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+}
+
+/**
+ * Check whether a bouquet can currently be bought
+ */
+function isAvailable(variation) {
+  return !variation.availability || variation.availability === 'Available';
+}
+
+/**
+ * Find the bouquet named in a message
+ *
+ * Every word of a bouquet's name must appear in the message, and the bouquet
+ * with the most matching words wins, so "Compact Plus" beats "Compact".
+ *
+ * @param {Array} variations - Catalogue from eBills getTvVariations
+ * @param {string} text - Customer message, or the current_bouquet from smartcard verification
+ * @returns {Object|null} The matching variation or null if none is named
+ */
+function findBouquet(variations, text) {
+  const words = new Set(toWords(text));
+  let best = null;
+  let bestScore = 0;
+
+  for (const variation of variations.filter(isAvailable)) {
+    const bouquetWords = toWords(variation.package_bouquet);
+    if (bouquetWords.length === 0 || !bouquetWords.every(word => words.has(word))) {
+      continue;
+    }
+
+    if (bouquetWords.length > bestScore) {
+      best = variation;
+      bestScore = bouquetWords.length;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * List a few available bouquets, cheapest first, for suggestions
+ * @param {Array} variations - Catalogue from eBills getTvVariations
+ * @param {number} limit - Maximum number of bouquets (default 6)
+ * @returns {string} e.g. "Padi for ₦4,400, Yanga for ₦6,000"
+ */
+function describeBouquets(variations, limit = 6) {
+  return variations
+    .filter(isAvailable)
+    .sort((a, b) => compareMoney(a.price, b.price))
+    .slice(0, limit)
+    .map(variation => `${variation.package_bouquet} for ${formatNaira(variation.price)}`)
+    .join(', ');
+}
+
+module.exports = {
+  findBouquet,
+  describeBouquets,
+};
@@ -0,0 +1,118 @@
+/**
+ * Data Plan Utility
+ *
+ * Reads sizes and validity out of eBills plan names ("1.5GB - 2 Days",
+ * "2GB + 2 mins - 30 Days", "500MB (SME) - 30 Days") and picks the plan a
+ * customer asked for, by size or by price.
+ */
+
+const { compareMoney, formatNaira } = require('./money');
+
+const MB_PER_UNIT = {
+  mb: 1,
+  gb: 1024,
+  tb: 1024 * 1024,
+};
+
+/**
+ * Get a data size in MB from text such as "2GB", "1.5 gb" or "500MB"
+ * @param {string} text - Plan name or customer message
+ * @returns {number|null} Size in MB or null if no size is mentioned
+ */
+function parseDataSize(text) {
+  const match = (text || '').match(/(\d+(?:\.\d+)?)\s*(tb|gb|mb)\b/i);
+  if (!match) {
+    return null;
+  }
+
+  return Math.round(parseFloat(match[1]) * MB_PER_UNIT[match[2].toLowerCase()]);
+}
+
+/**
+ * Get a validity period in days from text such as "30 Days" or "1 day"
+ * @param {string} text - Plan name or customer message
+ * @returns {number|null} Days or null if no validity is mentioned
+ */
+function parseValidityDays(text) {
+  const match = (text || '').match(/(\d+)\s*-?\s*days?\b/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Check whether a plan can currently be bought
+ */
+function isAvailable(variation) {
+  return !variation.availability || variation.availability === 'Available';
+}
+
+/**
+ * Pick a data plan from a network's catalogue
+ *
+ * - By size: the cheapest available plan of exactly that size
+ *   (narrowed to the validity and/or price if those were given too)
+ * - By price only: the biggest plan that fits the budget, longest validity first
+ *
+ * @param {Array} variations - Catalogue from eBills getDataVariations
+ * @param {Object} criteria - What the customer asked for
+ * @param {number} criteria.sizeMb - Plan size in MB
+ * @param {number} criteria.days - Validity in days
+ * @param {number|string} criteria.price - Price or budget in Naira
+ * @returns {Object|null} The chosen variation or null if nothing matches
+ */
+function selectDataPlan(variations, criteria = {}) {
+  const { sizeMb, days, price } = criteria;
+
+  let candidates = variations
+    .filter(isAvailable)
+    .map(variation => ({
+      variation,
+      sizeMb: parseDataSize(variation.data_plan),
+      days: parseValidityDays(variation.data_plan),
+    }))
+    .filter(candidate => candidate.sizeMb !== null);
+
+  if (days) {
+    candidates = candidates.filter(candidate => candidate.days === days);
+  }
+
+  if (sizeMb) {
+    candidates = candidates.filter(candidate => candidate.sizeMb === sizeMb);
+
+    if (price) {
+      candidates = candidates.filter(candidate => compareMoney(candidate.variation.price, price) === 0);
+    }
+
+    candidates.sort((a, b) => compareMoney(a.variation.price, b.variation.price));
+    return candidates.length > 0 ? candidates[0].variation : null;
+  }
+
+  if (price) {
+    candidates = candidates.filter(candidate => compareMoney(candidate.variation.price, price) <= 0);
+    candidates.sort((a, b) => (b.sizeMb - a.sizeMb) || ((b.days || 0) - (a.days || 0)));
+    return candidates.length > 0 ? candidates[0].variation : null;
+  }
+
+  return null;
+}
+
+/**
+ * List a few available plans, cheapest first, for suggestions
+ * @param {Array} variations - Catalogue from eBills getDataVariations
+ * @param {number} limit - Maximum number of plans (default 5)
+ * @returns {string} e.g. "1GB (SME) - 30 Days for ₦300, 2GB (SME) - 30 Days for ₦600"
+ */
+function describeDataPlans(variations, limit = 5) {
+  return variations
+    .filter(isAvailable)
+    .sort((a, b) => compareMoney(a.price, b.price))
+    .slice(0, limit)
+    .map(variation => `${variation.data_plan} for ${formatNaira(variation.price)}`)
+    .join(', ');
+}
+
+module.exports = {
+  parseDataSize,
+  parseValidityDays,
+  selectDataPlan,
+  describeDataPlans,
+};
@@ -1,3 +1,24 @@
+const { moneyToNumber } = require('./money');
+
+/**
+ * Rebuild the exact decimal string from decimal.js internals:
+ * s (sign), e (exponent of the first digit), d (digits in base-1e7 chunks)
+ */
+function decimalPartsToString({ s, e, d }) {
+  const digits = d.map((chunk, i) => (i === 0 ? String(chunk) : String(chunk).padStart(7, '0'))).join('');
+  let plain;
+
+  if (e < 0) {
+    plain = `0.${'0'.repeat(-e - 1)}${digits}`;
+  } else if (digits.length <= e + 1) {
+    plain = digits.padEnd(e + 1, '0');
+  } else {
+    plain = `${digits.slice(0, e + 1)}.${digits.slice(e + 1)}`;
+  }
+
+  return s === -1 ? `-${plain}` : plain;
+}
+
 /**
  * Recursively converts BigInt and Decimal values for JSON serialization
  * Prisma returns BigInt for certain fields and Decimal for Float fields
@@ -12,36 +33,15 @@ function serializeBigInt(obj) {
     return obj.toString();
   }
 
-  // Handle Decimal objects (Prisma Decimal type)
+  // Handle Decimal objects (Prisma Decimal type) - money amounts, exact to the kobo
   if (obj && typeof obj === 'object') {
-    // Check if it's a Decimal object by checking for toString method and Decimal-like structure
     if (obj.constructor && obj.constructor.name === 'Decimal') {
-      return Number(obj.toString());
+      return moneyToNumber(obj);
     }
     
     // Handle Decimal-like objects (with s, e, d properties) - Prisma Decimal serialized format
     if ('s' in obj && 'e' in obj && 'd' in obj && Array.isArray(obj.d)) {
-      // Reconstruct Decimal from serialized format: s (sign), e (exponent), d (digits)
-      try {
-        const sign = obj.s === -1 ? -1 : 1;
-        const exponent = obj.e;
-        const digits = obj.d;
-        
-        // Convert digits array to number string
-        let numStr = digits.join('');
-        
-        // Adjust for exponent
-        if (exponent !== undefined) {
-          // This is a simplified conversion - for production, use proper Decimal library
-          const num = parseFloat(numStr) * Math.pow(10, exponent - digits.length + 1);
-          return sign * num;
-        }
-        
-        return sign * parseFloat(numStr);
-      } catch (e) {
-        // Fallback: try to convert directly
-        return parseFloat(obj.toString ? obj.toString() : String(obj));
-      }
+      return moneyToNumber(decimalPartsToString(obj));
     }
   }
 
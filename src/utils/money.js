@@ -0,0 +1,192 @@
+/**
+ * Money Utility
+ *
+ * Exact arithmetic for Naira amounts. Values are converted to whole kobo
+ * (BigInt) before any maths, so 0.1 + 0.2 is exactly 0.30 and repeated
+ * debits never drift. Accepts numbers, numeric strings and Prisma Decimals;
+ * amounts with more than 2 decimal places are rounded half away from zero.
+ *
+ * Results are returned as fixed 2-decimal strings ("149.90"), which Prisma
+ * accepts for Decimal columns without going through a float.
+ */
+
+const KOBO_PER_NAIRA = 100n;
+
+const AMOUNT_PATTERN = /^([+-])?(\d+)(?:\.(\d*))?$/;
+
+/**
+ * Get a plain decimal string for a number, numeric string or Decimal
+ */
+function toPlainString(value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid money amount: ${value}`);
+    }
+    // Avoid exponent notation for very small or large numbers
+    return /e/i.test(String(value)) ? value.toFixed(20) : String(value);
+  }
+
+  if (typeof value === 'string') {
+    return value.trim().replace(/,/g, '');
+  }
+
+  // Prisma Decimal (decimal.js): toFixed() without arguments never uses exponent notation
+  if (value && typeof value.toFixed === 'function') {
+    return value.toFixed();
+  }
+
+  throw new Error(`Invalid money amount: ${value}`);
+}
+
+/**
+ * Convert an amount in Naira to whole kobo
+ * @param {number|string|Object} value - Amount in Naira (number, string or Decimal)
+ * @returns {bigint} Amount in kobo
+ */
+function toKobo(value) {
+  const match = AMOUNT_PATTERN.exec(toPlainString(value));
+
+  if (!match) {
+    throw new Error(`Invalid money amount: ${value}`);
+  }
+
+  const [, sign, whole, fraction = ''] = match;
+  let kobo = BigInt(whole) * KOBO_PER_NAIRA + BigInt(fraction.slice(0, 2).padEnd(2, '0'));
+
+  // Round half away from zero on the third decimal place
+  if (fraction.length > 2 && fraction[2] >= '5') {
+    kobo += 1n;
+  }
+
+  return sign === '-' ? -kobo : kobo;
+}
+
+/**
+ * Convert kobo back to a fixed 2-decimal Naira string
+ * @param {bigint} kobo - Amount in kobo
+ * @returns {string} Amount in Naira, e.g. "149.90"
+ */
+function fromKobo(kobo) {
+  const negative = kobo < 0n;
+  const absolute = negative ? -kobo : kobo;
+  const whole = absolute / KOBO_PER_NAIRA;
+  const fraction = (absolute % KOBO_PER_NAIRA).toString().padStart(2, '0');
+
+  return `${negative ? '-' : ''}${whole}.${fraction}`;
+}
+
+/**
+ * Normalize an amount to a fixed 2-decimal string
+ * @param {number|string|Object} value - Amount in Naira
+ * @returns {string} e.g. "5000.00"
+ */
+function parseMoney(value) {
+  return fromKobo(toKobo(value));
+}
+
+/**
+ * Check whether a value is a valid money amount (at most 2 decimal places)
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+function isValidMoney(value) {
+  if (value === null || value === undefined || value === '' || typeof value === 'boolean') {
+    return false;
+  }
+
+  try {
+    const match = AMOUNT_PATTERN.exec(toPlainString(value));
+    return !!match && (match[3] || '').length <= 2;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a value is a valid amount in whole Naira (no kobo)
+ */
+function isWholeNaira(value) {
+  return isValidMoney(value) && toKobo(value) % KOBO_PER_NAIRA === 0n;
+}
+
+/**
+ * Add amounts exactly
+ * @param {...(number|string|Object)} values - Amounts in Naira
+ * @returns {string} Sum, e.g. "150.10"
+ */
+function addMoney(...values) {
+  return fromKobo(values.reduce((total, value) => total + toKobo(value), 0n));
+}
+
+/**
+ * Subtract b from a exactly
+ * @param {number|string|Object} a - Amount in Naira
+ * @param {number|string|Object} b - Amount in Naira
+ * @returns {string} Difference, e.g. "49.80"
+ */
+function subtractMoney(a, b) {
+  return fromKobo(toKobo(a) - toKobo(b));
+}
+
+/**
+ * Compare two amounts
+ * @returns {number} -1 if a < b, 0 if equal, 1 if a > b
+ */
+function compareMoney(a, b) {
+  const difference = toKobo(a) - toKobo(b);
+  return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+}
+
+/**
+ * Check whether a value is a valid amount greater than zero
+ */
+function isPositiveMoney(value) {
+  return isValidMoney(value) && toKobo(value) > 0n;
+}
+
+/**
+ * Convert an amount to a JSON-safe number rounded to the kobo
+ * @param {number|string|Object|null} value - Amount in Naira
+ * @returns {number|null}
+ */
+function moneyToNumber(value) {
+  if (value === null || value === undefined) {
+    return value;
+  }
+
+  return Number(parseMoney(value));
+}
+
+/**
+ * Format an amount for display, e.g. ₦5,000 or ₦5,000.50
+ * @param {number|string|Object} value - Amount in Naira
+ * @param {Object} options - Optional formatting
+ * @param {boolean} options.alwaysShowKobo - Always show 2 decimals (₦5,000.00)
+ * @returns {string}
+ */
+function formatNaira(value, options = {}) {
+  const kobo = toKobo(value);
+  const [whole, fraction] = fromKobo(kobo < 0n ? -kobo : kobo).split('.');
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const showKobo = options.alwaysShowKobo || fraction !== '00';
+
+  return `${kobo < 0n ? '-' : ''}₦${grouped}${showKobo ? `.${fraction}` : ''}`;
+}
+
+module.exports = {
+  toKobo,
+  fromKobo,
+  parseMoney,
+  isValidMoney,
+  addMoney,
+  subtractMoney,
+  compareMoney,
+  isPositiveMoney,
+  isWholeNaira,
+  moneyToNumber,
+  formatNaira,
+};
@@ -201,6 +201,44 @@ function normalizePhone(phone) {
   return null;
 }
 
+/**
+ * Find a Nigerian phone number in a natural language message
+ * Handles "to 080 1234 5678", "for +234 801 234 5678", "0801-234-5678", etc.
+ * @param {string} message - Natural language message
+ * @returns {string|null} The phone number as written in the message (not normalized) or null
+ */
+function extractPhoneNumber(message) {
+  // Note: Network is determined by 4-digit prefix, so accept any digit 0-9 as second digit
+  const phonePatterns = [
+    // Pattern for phone numbers with spaces/dashes after "to", "for", "send", "buy"
+    // Accept any digit 0-9 (not just 0-7) since prefixes like 0810, 0814, 0818 are valid
+    /(?:to|for|send|buy)\s+([\+]?234?\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
+    // Pattern for phone numbers with +234 prefix and spaces
+    /(\+234\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
+    // Pattern for phone numbers starting with 234 and spaces
+    /(234\s?[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
+    // Pattern for phone numbers starting with 0 and spaces (accept any digit 0-9)
+    /(0[0-9]\d{2}[\s\-]?\d{3}[\s\-]?\d{4})/i,
+    // Pattern for phone numbers without spaces (fallback) - 11 digits starting with 0
+    /(0\d{10})/,
+    // Pattern for phone numbers with +234 prefix (no spaces)
+    /(\+234\d{10})/,
+    // Pattern for phone numbers with 234 prefix (no spaces)
+    /(234\d{10})/,
+    // Last resort: any 11-digit number
+    /(\d{11})/,
+  ];
+
+  for (const pattern of phonePatterns) {
+    const match = message.match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  return null;
+}
+
 /**
  * Normalize account number to standard format (digits only)
  * Handles various formats including spaces, dashes, etc.
@@ -285,6 +323,7 @@ function normalizeAccountNumber(accountNumber) {
 module.exports = {
   detectNetwork,
   normalizePhone,
+  extractPhoneNumber,
   normalizeAccountNumber,
   NETWORK_NAMES,
 };
@@ -0,0 +1,85 @@
+/**
+ * PIN Rules Utility
+ *
+ * Rejects PINs that are easy to guess: repeated digits, straight sequences,
+ * commonly used PINs, year-like PINs (birth years) and the tail of the
+ * customer's phone number.
+ */
+
+/**
+ * Commonly used PINs that are not caught by the pattern rules below
+ */
+const COMMON_PINS = new Set([
+  '1212', '1122', '1313', '2121', '2580', '0852', '1010', '2020',
+  '6969', '1004', '4545', '5454', '7777', '0007', '1231', '2468',
+]);
+
+const EARLIEST_BIRTH_YEAR = 1900;
+
+function isRepeatedDigit(pin) {
+  return /^(\d)\1+$/.test(pin);
+}
+
+function isSequence(pin) {
+  const digits = pin.split('').map(Number);
+  let ascending = true;
+  let descending = true;
+
+  for (let i = 1; i < digits.length; i++) {
+    if (digits[i] !== (digits[i - 1] + 1) % 10) ascending = false;
+    if (digits[i] !== (digits[i - 1] + 9) % 10) descending = false;
+  }
+
+  return ascending || descending;
+}
+
+function isYearLike(pin) {
+  const year = parseInt(pin, 10);
+  return year >= EARLIEST_BIRTH_YEAR && year <= new Date().getFullYear();
+}
+
+/**
+ * Validate a new PIN's format and strength
+ * @param {string} pin - PIN to validate
+ * @param {Object} options - Optional customer details
+ * @param {string} options.phoneNumber - Customer phone number (PIN may not match its last 4 digits)
+ * @returns {Object} { valid: true } or { valid: false, error, message }
+ */
+function validatePinStrength(pin, options = {}) {
+  if (typeof pin !== 'string' || !/^\d{4}$/.test(pin.trim())) {
+    return {
+      valid: false,
+      error: 'Invalid PIN format',
+      message: 'PIN must be exactly 4 digits',
+    };
+  }
+
+  const cleanedPIN = pin.trim();
+  const weak = (message) => ({ valid: false, error: 'Weak PIN', message });
+
+  if (isRepeatedDigit(cleanedPIN)) {
+    return weak('PIN cannot be the same digit repeated (e.g. 0000, 1111)');
+  }
+
+  if (isSequence(cleanedPIN)) {
+    return weak('PIN cannot be a sequence of digits (e.g. 1234, 4321)');
+  }
+
+  if (isYearLike(cleanedPIN)) {
+    return weak('PIN cannot look like a year, such as your birth year (e.g. 1990)');
+  }
+
+  if (COMMON_PINS.has(cleanedPIN)) {
+    return weak('This PIN is too common. Please choose a less predictable PIN');
+  }
+
+  if (options.phoneNumber && options.phoneNumber.replace(/\D/g, '').endsWith(cleanedPIN)) {
+    return weak('PIN cannot be the last 4 digits of your phone number');
+  }
+
+  return { valid: true };
+}
+
+module.exports = {
+  validatePinStrength,
+};
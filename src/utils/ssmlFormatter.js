@@ -4,6 +4,8 @@
  * Based on Google Cloud TTS SSML documentation
  */
 
+const { isValidMoney, formatNaira } = require('./money');
+
 /**
  * Escape SSML reserved characters
  */
@@ -23,11 +25,10 @@ function escapeSSML(text) {
 function formatCurrency(amount) {
   if (amount === null || amount === undefined) return '';
   
-  const numAmount = typeof amount === 'number' ? amount : parseFloat(String(amount).replace(/,/g, ''));
-  if (isNaN(numAmount)) return String(amount);
+  if (!isValidMoney(amount)) return String(amount);
   
   // Format as Naira currency
-  const formatted = `₦${numAmount.toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const formatted = formatNaira(amount, { alwaysShowKobo: true });
   return `<say-as interpret-as="currency" language="en-NG">${escapeSSML(formatted)}</say-as>`;
 }
 
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { currentMonthStart, BettingLimitError } = require('../src/services/bettingLimits');
+
+describe('currentMonthStart', () => {
+  it('is midnight on the 1st in Nigeria (23:00 UTC the day before)', () => {
+    assert.equal(currentMonthStart(new Date('2026-03-15T12:00:00Z')).toISOString(), '2026-02-28T23:00:00.000Z');
+  });
+
+  it('already counts the last hour of the UTC month as the next month', () => {
+    assert.equal(currentMonthStart(new Date('2026-03-31T23:30:00Z')).toISOString(), '2026-03-31T23:00:00.000Z');
+    assert.equal(currentMonthStart(new Date('2026-03-31T22:59:59Z')).toISOString(), '2026-02-28T23:00:00.000Z');
+  });
+
+  it('rolls over the year', () => {
+    assert.equal(currentMonthStart(new Date('2025-12-31T23:00:00Z')).toISOString(), '2025-12-31T23:00:00.000Z');
+    assert.equal(currentMonthStart(new Date('2026-01-01T00:00:00Z')).toISOString(), '2025-12-31T23:00:00.000Z');
+  });
+});
+
+describe('BettingLimitError', () => {
+  it('says how much can still be funded', () => {
+    const error = new BettingLimitError({ monthlyLimit: 20000, spent: 15000, remaining: 5000 }, 8000);
+
+    assert.equal(error.httpStatus, 400);
+    assert.equal(error.remaining, 5000);
+    assert.equal(error.amount, 8000);
+    assert.match(error.message, /fund up to ₦5,000 more/);
+  });
+
+  it('says when the limit is used up', () => {
+    const error = new BettingLimitError({ monthlyLimit: 20000, spent: 20000, remaining: 0 }, 1000);
+    assert.match(error.message, /reached your monthly betting limit of ₦20,000/);
+  });
+});
@@ -0,0 +1,235 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../src/services/database');
+const { addMoney, subtractMoney, compareMoney } = require('../src/utils/money');
+
+process.env.BILL_PROVIDER = 'mock';
+
+/**
+ * One account, its debits and their bill_payments rows in memory, standing in
+ * for the database functions the purchase flow uses. Settling and refunding
+ * are guarded on the pending status, like the real ones.
+ */
+let account;
+let transactions;
+let billPayments;
+let journal;
+let failedTransactions;
+
+const findTransaction = id => transactions.find(transaction => transaction.id === BigInt(id));
+
+const fakeTx = {
+  transaction: {
+    create: async ({ data }) => {
+      const transaction = { ...data, id: BigInt(transactions.length + 1) };
+      transactions.push(transaction);
+      return transaction;
+    },
+  },
+};
+
+const fakePrisma = {
+  $transaction: async (fn) => fn(fakeTx),
+  transaction: {
+    findUnique: async ({ where }) => transactions.find(transaction => transaction.reference === where.reference) || null,
+  },
+  bill_payments: {
+    update: async ({ where, data }) => {
+      const billPayment = [...billPayments.values()].find(row => row.id === where.id);
+      Object.assign(billPayment, data);
+      return billPayment;
+    },
+  },
+};
+
+Object.defineProperty(database, 'prisma', { get: () => fakePrisma });
+Object.assign(database, {
+  debitAccount: async (tx, accountId, amount) => {
+    if (compareMoney(account.balance, amount) < 0) {
+      throw new Error('Insufficient balance');
+    }
+    const balanceBefore = account.balance;
+    account.balance = subtractMoney(balanceBefore, amount);
+    return { balanceBefore, balanceAfter: account.balance };
+  },
+  postJournalEntry: async (tx, entry) => {
+    journal.push(entry.entryType);
+    return { id: BigInt(journal.length) };
+  },
+  createBillPayment: async (tx, transaction, details) => {
+    const billPayment = {
+      id: BigInt(billPayments.size + 1),
+      customer_id: transaction.customerId,
+      reference: transaction.reference,
+      payment_type: details.paymentType,
+      provider: details.provider,
+      phone_number: details.phoneNumber,
+      amount: transaction.amount,
+      status: details.status,
+      request_id: details.requestId,
+      order_id: null,
+    };
+    billPayments.set(transaction.reference, billPayment);
+    return billPayment;
+  },
+  updateBillPaymentOrder: async (reference, { orderId }) => {
+    billPayments.get(reference).order_id = String(orderId);
+  },
+  settlePendingDebit: async (transactionId) => {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'pending') {
+      return false;
+    }
+    transaction.status = 'success';
+    billPayments.get(transaction.reference).status = 'success';
+    journal.push('settlement');
+    return true;
+  },
+  refundFailedDebit: async (transactionId) => {
+    const transaction = findTransaction(transactionId);
+    if (transaction.status !== 'pending') {
+      return false;
+    }
+    transaction.status = 'failed';
+    account.balance = addMoney(account.balance, transaction.amount);
+    billPayments.get(transaction.reference).status = 'failed';
+    journal.push('refund');
+    return true;
+  },
+  recordFailedTransaction: async (details) => {
+    failedTransactions.push(details);
+    return null;
+  },
+  getCustomerById: async () => null,
+});
+
+const { executeBillPurchase } = require('../src/services/billPurchases');
+const { applyOrderStatus } = require('../src/services/billOrders');
+const { billFloatShortfall } = require('../src/services/billFloat');
+const { purchaseAirtime, requeryOrder } = require('../src/services/billProvider');
+const { setMockBillOutcome, resetMockBillProvider } = require('../src/services/mockBillProvider');
+const { EbillsError } = require('../src/services/ebillsErrors');
+
+/**
+ * Buy MTN airtime the way verify-transaction does
+ */
+function buyAirtime(amount) {
+  const phone = '08031234567';
+
+  return executeBillPurchase({ customerId: 1, accountId: 1, amount }, {
+    prefix: 'AIR',
+    entryType: 'airtime_purchase',
+    name: 'Airtime purchase',
+    reservation: {
+      description: `Airtime for ${phone} (MTN)`,
+      receiverName: 'Airtime Purchase - MTN',
+      provider: 'MTN',
+      recipient: phone,
+    },
+    billDetails: {
+      paymentType: 'airtime',
+      provider: 'MTN',
+      phoneNumber: phone,
+      description: 'MTN airtime',
+    },
+    call: request_id => purchaseAirtime({ request_id, phone, service_id: 'mtn', amount }),
+    describe: state => `Airtime ${state}`,
+  });
+}
+
+/**
+ * Requery the only order and apply its status, as the requery worker does
+ */
+async function requery() {
+  const [billPayment] = billPayments.values();
+  const { data } = await requeryOrder(billPayment.request_id);
+  return applyOrderStatus(billPayment, data);
+}
+
+describe('airtime purchase against the mock bill provider', () => {
+  beforeEach(() => {
+    account = { balance: '5000.00' };
+    transactions = [];
+    billPayments = new Map();
+    journal = [];
+    failedTransactions = [];
+    resetMockBillProvider();
+  });
+
+  it('settles a completed order', async () => {
+    setMockBillOutcome('success');
+
+    const result = await buyAirtime('1000');
+
+    assert.equal(result.state, 'completed');
+    assert.equal(account.balance, '4000.00');
+    assert.equal(transactions[0].status, 'success');
+    assert.deepEqual(journal, ['airtime_purchase', 'settlement']);
+
+    const [billPayment] = billPayments.values();
+    assert.equal(billPayment.status, 'success');
+    assert.equal(billPayment.order_id, '1');
+  });
+
+  it('holds a processing order until the requery completes it', async () => {
+    setMockBillOutcome('processing');
+
+    const result = await buyAirtime('1000');
+
+    assert.equal(result.state, 'processing');
+    assert.equal(account.balance, '4000.00');
+    assert.equal(transactions[0].status, 'pending');
+    assert.equal([...billPayments.values()][0].status, 'pending');
+
+    assert.equal(await requery(), 'settled');
+    assert.equal(transactions[0].status, 'success');
+    assert.equal(account.balance, '4000.00');
+  });
+
+  it('refunds an accepted order that the requery finds refunded', async () => {
+    setMockBillOutcome('refund');
+
+    const result = await buyAirtime('1000');
+    assert.equal(result.state, 'processing');
+    assert.equal(account.balance, '4000.00');
+
+    assert.equal(await requery(), 'refunded');
+    assert.equal(transactions[0].status, 'failed');
+    assert.equal(account.balance, '5000.00');
+    assert.equal([...billPayments.values()][0].status, 'refunded');
+    assert.deepEqual(journal, ['airtime_purchase', 'refund']);
+  });
+
+  it('refunds a failed order straight away', async () => {
+    setMockBillOutcome('failure');
+
+    await assert.rejects(buyAirtime('1000'), error => error instanceof EbillsError && error.code === 'order_failed');
+
+    assert.equal(transactions[0].status, 'failed');
+    assert.equal(account.balance, '5000.00');
+    assert.equal([...billPayments.values()][0].status, 'failed');
+    assert.deepEqual(journal, ['airtime_purchase', 'refund']);
+  });
+
+  // Runs last: it trips the float breaker for the rest of the process
+  it('refunds an order the provider can\'t fund and refuses the next one before debiting', async () => {
+    setMockBillOutcome('insufficient_funds');
+    assert.equal(billFloatShortfall('1000'), null);
+
+    await assert.rejects(buyAirtime('1000'), error => error instanceof EbillsError && error.code === 'insufficient_funds');
+
+    assert.equal(transactions[0].status, 'failed');
+    assert.equal(account.balance, '5000.00');
+
+    const shortfall = billFloatShortfall('100');
+    assert.ok(shortfall instanceof EbillsError);
+    assert.equal(shortfall.code, 'float_insufficient');
+
+    setMockBillOutcome('success');
+    await assert.rejects(buyAirtime('100'), error => error.code === 'float_insufficient');
+
+    assert.equal(transactions.length, 1);
+    assert.equal(account.balance, '5000.00');
+    assert.deepEqual(failedTransactions, []);
+  });
+});
@@ -0,0 +1,133 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { debitAccount, creditAccount } = require('../src/services/database');
+const { addMoney, subtractMoney, compareMoney } = require('../src/utils/money');
+
+/**
+ * One account row in memory behind a transaction client that behaves like
+ * Postgres for what the balance updates rely on: every query yields first,
+ * so parallel transactions interleave; an UPDATE checks its where and applies
+ * its change in one step, and then holds the row lock until its transaction
+ * ends, so other writers wait for it.
+ */
+let row;
+let lockHolder;
+let lockWaiters;
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+async function lockRow(tx) {
+  while (lockHolder && lockHolder !== tx) {
+    await new Promise(resolve => lockWaiters.push(resolve));
+  }
+  lockHolder = tx;
+}
+
+function releaseRow(tx) {
+  if (lockHolder === tx) {
+    lockHolder = null;
+    lockWaiters.splice(0).forEach(resolve => resolve());
+  }
+}
+
+function matches(where) {
+  return BigInt(where.id) === row.id
+    && (where.deletedAt === undefined || where.deletedAt === row.deletedAt)
+    && (!where.balance || compareMoney(row.balance, where.balance.gte) >= 0);
+}
+
+function applyBalance({ balance }) {
+  if (balance.decrement !== undefined) {
+    row.balance = subtractMoney(row.balance, balance.decrement);
+  }
+  if (balance.increment !== undefined) {
+    row.balance = addMoney(row.balance, balance.increment);
+  }
+}
+
+function createTx() {
+  const tx = {
+    account: {
+      updateMany: async ({ where, data }) => {
+        await tick();
+        await lockRow(tx);
+        if (!matches(where)) {
+          return { count: 0 };
+        }
+        applyBalance(data);
+        return { count: 1 };
+      },
+      update: async ({ where, data }) => {
+        await tick();
+        await lockRow(tx);
+        if (!matches(where)) {
+          throw new Error('Record to update not found');
+        }
+        applyBalance(data);
+        return { balance: row.balance };
+      },
+      findUnique: async () => {
+        await tick();
+        return { balance: row.balance };
+      },
+      count: async ({ where }) => {
+        await tick();
+        return matches(where) ? 1 : 0;
+      },
+    },
+  };
+  return tx;
+}
+
+/**
+ * Run fn in a transaction that commits (releases the row) when it settles
+ */
+async function inTransaction(fn) {
+  const tx = createTx();
+  try {
+    return await fn(tx);
+  } finally {
+    releaseRow(tx);
+  }
+}
+
+describe('debitAccount', () => {
+  beforeEach(() => {
+    row = { id: 1n, deletedAt: null, balance: '1000.00' };
+    lockHolder = null;
+    lockWaiters = [];
+  });
+
+  it('lets only as many parallel debits through as the balance covers', async () => {
+    const results = await Promise.allSettled(
+      Array.from({ length: 20 }, () => inTransaction(tx => debitAccount(tx, 1, 100)))
+    );
+
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const failed = results.filter(result => result.status === 'rejected');
+
+    assert.equal(succeeded.length, 10);
+    assert.ok(failed.every(result => result.reason.message === 'Insufficient balance'));
+    assert.equal(row.balance, '0.00');
+
+    // Each debit saw its own balance, as if they had run one after another
+    const balancesAfter = succeeded.map(result => result.value.balanceAfter).sort((a, b) => compareMoney(a, b));
+    assert.deepEqual(balancesAfter, ['0.00', '100.00', '200.00', '300.00', '400.00', '500.00', '600.00', '700.00', '800.00', '900.00']);
+    assert.ok(succeeded.every(({ value }) => compareMoney(subtractMoney(value.balanceBefore, value.balanceAfter), 100) === 0));
+  });
+
+  it('keeps the balance exact across parallel debits and credits', async () => {
+    await Promise.all([
+      ...Array.from({ length: 5 }, () => inTransaction(tx => debitAccount(tx, 1, '100.10'))),
+      ...Array.from({ length: 5 }, () => inTransaction(tx => creditAccount(tx, 1, '0.20'))),
+    ]);
+
+    assert.equal(row.balance, '500.50');
+  });
+
+  it('refuses amounts that are not positive and accounts that do not exist', async () => {
+    await assert.rejects(inTransaction(tx => debitAccount(tx, 1, 0)), /greater than zero/);
+    await assert.rejects(inTransaction(tx => debitAccount(tx, 2, 100)), /Account not found/);
+    assert.equal(row.balance, '1000.00');
+  });
+});
@@ -0,0 +1,108 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  EbillsError,
+  toEbillsError,
+  isOrderUnconfirmed,
+  ebillsErrorBody,
+  ebillsErrorResult,
+} = require('../src/services/ebillsErrors');
+
+function axiosError(status, data) {
+  const error = new Error(status ? `Request failed with status code ${status}` : 'timeout of 30000ms exceeded');
+  error.isAxiosError = true;
+  if (status) {
+    error.response = { status, data };
+  }
+  return error;
+}
+
+describe('EbillsError', () => {
+  it('takes retryability, status and message from its code', () => {
+    const error = new EbillsError('wallet_busy', {}, 'Wallet is locked');
+
+    assert.equal(error.name, 'EbillsError');
+    assert.equal(error.code, 'wallet_busy');
+    assert.equal(error.retryable, true);
+    assert.equal(error.httpStatus, 503);
+    assert.match(error.message, /another order/);
+    assert.equal(error.detail, 'Wallet is locked');
+  });
+
+  it('builds messages from the context', () => {
+    assert.equal(new EbillsError('below_minimum_amount', { minAmount: 50 }).message, 'The minimum amount is ₦50.');
+    assert.equal(new EbillsError('below_minimum_amount').message, 'The amount is below the minimum for this service.');
+  });
+
+  it('treats unknown codes as unknown, keeping the code as detail', () => {
+    const error = new EbillsError('something_new');
+
+    assert.equal(error.code, 'unknown');
+    assert.equal(error.retryable, false);
+    assert.equal(error.detail, 'something_new');
+  });
+});
+
+describe('toEbillsError', () => {
+  it('returns EbillsErrors as they are', () => {
+    const error = new EbillsError('duplicate_order');
+    assert.equal(toEbillsError(error), error);
+  });
+
+  it('maps eBills error codes', () => {
+    const error = toEbillsError(axiosError(400, { code: 'insufficient_funds', message: 'Low balance' }));
+
+    assert.equal(error.code, 'insufficient_funds');
+    assert.equal(error.detail, 'Low balance');
+  });
+
+  it('maps failures without a known code', () => {
+    assert.equal(toEbillsError(axiosError()).code, 'network_error');
+    assert.equal(toEbillsError(axiosError(503, {})).code, 'provider_unavailable');
+    assert.equal(toEbillsError(axiosError(429, {})).code, 'rate_limited');
+    assert.equal(toEbillsError(axiosError(401, {})).code, 'auth_failed');
+    assert.equal(toEbillsError(axiosError(400, { code: 'jwt_auth_invalid_token' })).code, 'auth_failed');
+    assert.equal(toEbillsError(new Error('Cannot read properties of undefined')).code, 'unknown');
+
+    const unknown = toEbillsError(axiosError(400, { code: 'new_code', message: 'Something new' }));
+    assert.equal(unknown.code, 'unknown');
+    assert.equal(unknown.detail, 'new_code: Something new');
+  });
+
+  it('passes the context to the message', () => {
+    const error = toEbillsError(axiosError(400, { code: 'failure' }), { customerId: '1234567' });
+    assert.equal(error.message, 'Could not verify 1234567. Please check the number and provider.');
+  });
+});
+
+describe('isOrderUnconfirmed', () => {
+  it('is true only for failures after which the order may exist', () => {
+    assert.equal(isOrderUnconfirmed(new EbillsError('network_error')), true);
+    assert.equal(isOrderUnconfirmed(new EbillsError('provider_unavailable')), true);
+    assert.equal(isOrderUnconfirmed(new EbillsError('wallet_busy')), false);
+    assert.equal(isOrderUnconfirmed(new EbillsError('unknown')), false);
+    assert.equal(isOrderUnconfirmed(new Error('network_error')), false);
+  });
+});
+
+describe('error bodies', () => {
+  it('builds the API error body and the process result', () => {
+    const error = new EbillsError('duplicate_order');
+
+    assert.deepEqual(ebillsErrorBody(error, 'Transaction failed'), {
+      success: false,
+      error: 'Transaction failed',
+      code: 'duplicate_order',
+      retryable: true,
+      response: error.message,
+      message: error.message,
+    });
+    assert.deepEqual(ebillsErrorResult(error), {
+      success: false,
+      response: error.message,
+      code: 'duplicate_order',
+      retryable: true,
+      httpStatus: 409,
+    });
+  });
+});
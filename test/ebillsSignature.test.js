@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyEbillsSignature } = require('../src/middleware/auth');
+
+const USER_PIN = 'test-user-pin';
+
+function sign(body, key = USER_PIN) {
+  return crypto.createHmac('sha256', key).update(body).digest('hex');
+}
+
+/**
+ * Run the middleware on a request with the given raw body and X-Signature
+ * @returns {Object} { nextCalled, status, body }
+ */
+function check(rawBody, signature) {
+  const headers = { 'x-signature': signature };
+  const req = { rawBody: Buffer.from(rawBody), body: JSON.parse(rawBody), get: name => headers[name.toLowerCase()] };
+  const outcome = { nextCalled: false, status: null, body: null };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+
+  verifyEbillsSignature(req, res, () => {
+    outcome.nextCalled = true;
+  });
+  return outcome;
+}
+
+describe('verifyEbillsSignature', () => {
+  const rawBody = '{"request_id":"AIR-1","status":"completed-api","order_id":7}';
+  let savedPin;
+
+  beforeEach(() => {
+    savedPin = process.env.EBILLS_USER_PIN;
+    process.env.EBILLS_USER_PIN = USER_PIN;
+  });
+
+  afterEach(() => {
+    if (savedPin === undefined) {
+      delete process.env.EBILLS_USER_PIN;
+    } else {
+      process.env.EBILLS_USER_PIN = savedPin;
+    }
+  });
+
+  it('accepts the HMAC of the raw body, in either case', () => {
+    assert.equal(check(rawBody, sign(rawBody)).nextCalled, true);
+    assert.equal(check(rawBody, sign(rawBody).toUpperCase()).nextCalled, true);
+  });
+
+  it('refuses a signature of another body', () => {
+    const outcome = check(rawBody, sign(rawBody.replace('completed-api', 'refunded')));
+
+    assert.equal(outcome.nextCalled, false);
+    assert.equal(outcome.status, 403);
+    assert.equal(outcome.body.error, 'Invalid signature');
+  });
+
+  it('refuses a signature made with another key', () => {
+    assert.equal(check(rawBody, sign(rawBody, 'other-pin')).status, 403);
+  });
+
+  it('refuses missing and malformed signatures', () => {
+    assert.equal(check(rawBody, undefined).status, 403);
+    assert.equal(check(rawBody, 'not-hex').status, 403);
+    assert.equal(check(rawBody, sign(rawBody).slice(0, 62)).status, 403);
+  });
+
+  it('is disabled without EBILLS_USER_PIN', () => {
+    delete process.env.EBILLS_USER_PIN;
+    const outcome = check(rawBody, sign(rawBody));
+
+    assert.equal(outcome.nextCalled, false);
+    assert.equal(outcome.status, 503);
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptPin, decryptPin, maskPin } = require('../src/services/epins');
+
+describe('ePIN encryption', () => {
+  let savedKey;
+
+  before(() => {
+    savedKey = process.env.EPIN_ENCRYPTION_KEY;
+    process.env.EPIN_ENCRYPTION_KEY = 'test-epin-key';
+  });
+
+  after(() => {
+    if (savedKey === undefined) {
+      delete process.env.EPIN_ENCRYPTION_KEY;
+    } else {
+      process.env.EPIN_ENCRYPTION_KEY = savedKey;
+    }
+  });
+
+  it('decrypts what it encrypts', () => {
+    const encrypted = encryptPin('1234567890123456');
+
+    assert.match(encrypted, /^[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    assert.equal(encrypted.includes('1234567890123456'), false);
+    assert.equal(decryptPin(encrypted), '1234567890123456');
+  });
+
+  it('uses a fresh IV for every PIN', () => {
+    assert.notEqual(encryptPin('1111222233334444'), encryptPin('1111222233334444'));
+  });
+
+  it('refuses a tampered ciphertext', () => {
+    const [iv, authTag, ciphertext] = encryptPin('1234567890123456').split(':');
+    const bytes = Buffer.from(ciphertext, 'base64');
+    bytes[0] ^= 1;
+
+    assert.throws(() => decryptPin([iv, authTag, bytes.toString('base64')].join(':')));
+  });
+
+  it('refuses a PIN encrypted under another key', () => {
+    const encrypted = encryptPin('1234567890123456');
+    process.env.EPIN_ENCRYPTION_KEY = 'another-key';
+
+    try {
+      assert.throws(() => decryptPin(encrypted));
+    } finally {
+      process.env.EPIN_ENCRYPTION_KEY = 'test-epin-key';
+    }
+  });
+
+  it('needs EPIN_ENCRYPTION_KEY', () => {
+    delete process.env.EPIN_ENCRYPTION_KEY;
+
+    try {
+      assert.throws(() => encryptPin('1234'), /EPIN_ENCRYPTION_KEY/);
+    } finally {
+      process.env.EPIN_ENCRYPTION_KEY = 'test-epin-key';
+    }
+  });
+
+  it('masks all but the last 4 digits', () => {
+    assert.equal(maskPin('1234567890123456'), '************3456');
+    assert.equal(maskPin('123'), '123');
+  });
+});
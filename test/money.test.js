@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  toKobo,
+  fromKobo,
+  parseMoney,
+  isValidMoney,
+  addMoney,
+  subtractMoney,
+  compareMoney,
+  isPositiveMoney,
+  isWholeNaira,
+  moneyToNumber,
+  formatNaira,
+} = require('../src/utils/money');
+
+describe('money', () => {
+  it('converts Naira to kobo and back', () => {
+    assert.equal(toKobo('149.9'), 14990n);
+    assert.equal(toKobo(-5), -500n);
+    assert.equal(toKobo('1,500.25'), 150025n);
+    assert.equal(fromKobo(14990n), '149.90');
+    assert.equal(fromKobo(-5n), '-0.05');
+  });
+
+  it('rounds past the kobo half away from zero', () => {
+    assert.equal(parseMoney('10.005'), '10.01');
+    assert.equal(parseMoney('10.004'), '10.00');
+    assert.equal(parseMoney('-10.005'), '-10.01');
+  });
+
+  it('accepts Decimal-like values', () => {
+    assert.equal(parseMoney({ toFixed: () => '2500.5' }), '2500.50');
+  });
+
+  it('rejects amounts that are not numbers', () => {
+    assert.throws(() => toKobo('abc'), /Invalid money amount/);
+    assert.throws(() => toKobo(Infinity), /Invalid money amount/);
+    assert.throws(() => toKobo(null), /Invalid money amount/);
+  });
+
+  it('adds and subtracts without float drift', () => {
+    assert.equal(addMoney(0.1, 0.2), '0.30');
+    assert.equal(addMoney('100', '50.10', 0.05), '150.15');
+    assert.equal(subtractMoney(100, 50.2), '49.80');
+    assert.equal(subtractMoney(0, '250'), '-250.00');
+  });
+
+  it('compares amounts', () => {
+    assert.equal(compareMoney('100.00', 100), 0);
+    assert.equal(compareMoney(99.99, 100), -1);
+    assert.equal(compareMoney('100.01', 100), 1);
+  });
+
+  it('validates amounts', () => {
+    assert.equal(isValidMoney('100.50'), true);
+    assert.equal(isValidMoney(100), true);
+    assert.equal(isValidMoney('100.505'), false);
+    assert.equal(isValidMoney(''), false);
+    assert.equal(isValidMoney(true), false);
+    assert.equal(isValidMoney(undefined), false);
+    assert.equal(isPositiveMoney('0.01'), true);
+    assert.equal(isPositiveMoney(0), false);
+    assert.equal(isPositiveMoney(-5), false);
+  });
+
+  it('tells whole Naira amounts from amounts with kobo', () => {
+    assert.equal(isWholeNaira(100), true);
+    assert.equal(isWholeNaira('2,000.00'), true);
+    assert.equal(isWholeNaira('100.50'), false);
+    assert.equal(isWholeNaira(100.5), false);
+    assert.equal(isWholeNaira('abc'), false);
+  });
+
+  it('converts to JSON-safe numbers', () => {
+    assert.equal(moneyToNumber('149.905'), 149.91);
+    assert.equal(moneyToNumber(null), null);
+    assert.equal(moneyToNumber(undefined), undefined);
+  });
+
+  it('formats Naira for display', () => {
+    assert.equal(formatNaira(5000), '₦5,000');
+    assert.equal(formatNaira('1234567.5'), '₦1,234,567.50');
+    assert.equal(formatNaira(5000, { alwaysShowKobo: true }), '₦5,000.00');
+    assert.equal(formatNaira(-250), '-₦250');
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const database = require('../src/services/database');
+
+process.env.OTP_SECRET = 'test-otp-secret';
+
+/**
+ * One OTP row in memory. Every query yields first, so concurrent calls
+ * interleave like they would against the database; updateMany checks its
+ * where and applies its data in one step, like a guarded UPDATE.
+ */
+let row;
+
+function matches(where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === 'id') return condition === row.id;
+    if (condition === null) return row[field] === null;
+    if (condition.lt !== undefined) return row[field] < condition.lt;
+    return row[field] === condition;
+  });
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const fakePrisma = {
+  otpCode: {
+    findFirst: async () => {
+      await tick();
+      return row.consumedAt === null ? { ...row } : null;
+    },
+    updateMany: async ({ where, data }) => {
+      await tick();
+      if (!matches(where)) {
+        return { count: 0 };
+      }
+      for (const [field, value] of Object.entries(data)) {
+        row[field] = value && value.increment !== undefined ? row[field] + value.increment : value;
+      }
+      return { count: 1 };
+    },
+  },
+};
+
+Object.defineProperty(database, 'prisma', { get: () => fakePrisma });
+
+const { verifyOtp } = require('../src/services/otp');
+
+const OTP_MAX_ATTEMPTS = 5;
+const PHONE = '+2348012345678';
+
+function codeHash(code) {
+  return crypto.createHmac('sha256', process.env.OTP_SECRET).update(`${PHONE}:login:${code}`).digest('hex');
+}
+
+describe('verifyOtp', () => {
+  beforeEach(() => {
+    row = {
+      id: 1n,
+      phoneNumber: PHONE,
+      purpose: 'login',
+      codeHash: codeHash('482913'),
+      attempts: 0,
+      consumedAt: null,
+    };
+  });
+
+  it('refuses the right code once many parallel wrong codes used up the attempts', async () => {
+    const guesses = Array.from({ length: 20 }, (_, index) => String(100000 + index));
+    const results = await Promise.all([...guesses, '482913'].map(code => verifyOtp(PHONE, 'login', code)));
+
+    assert.equal(row.attempts, OTP_MAX_ATTEMPTS);
+    assert.equal(results.filter(result => result.error === 'Invalid OTP').length, OTP_MAX_ATTEMPTS);
+    assert.equal(results.at(-1).valid, false);
+    assert.equal(row.consumedAt, null);
+  });
+
+  it('counts a wrong code and consumes the right one', async () => {
+    const wrong = await verifyOtp(PHONE, 'login', '111111');
+    assert.equal(wrong.valid, false);
+    assert.match(wrong.message, /4 attempt\(s\) remaining/);
+
+    const right = await verifyOtp(PHONE, 'login', '482913');
+    assert.equal(right.valid, true);
+    assert.ok(row.consumedAt instanceof Date);
+  });
+
+  it('refuses codes once the attempts are used up', async () => {
+    row.attempts = OTP_MAX_ATTEMPTS;
+
+    const result = await verifyOtp(PHONE, 'login', '482913');
+
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Too many OTP attempts');
+    assert.equal(row.attempts, OTP_MAX_ATTEMPTS);
+  });
+});
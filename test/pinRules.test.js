@@ -0,0 +1,46 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePinStrength } = require('../src/utils/pinRules');
+
+describe('validatePinStrength', () => {
+  it('accepts a PIN that breaks no rule', () => {
+    assert.deepEqual(validatePinStrength('5831'), { valid: true });
+    assert.deepEqual(validatePinStrength(' 5831 '), { valid: true });
+  });
+
+  it('requires exactly 4 digits', () => {
+    for (const pin of ['123', '12345', '12a4', '', 1234, null]) {
+      const result = validatePinStrength(pin);
+      assert.equal(result.valid, false, `${pin} should be refused`);
+      assert.equal(result.error, 'Invalid PIN format');
+    }
+  });
+
+  it('refuses repeated digits', () => {
+    assert.match(validatePinStrength('0000').message, /same digit repeated/);
+    assert.match(validatePinStrength('7777').message, /same digit repeated/);
+  });
+
+  it('refuses sequences, including ones that wrap past 9', () => {
+    for (const pin of ['1234', '4321', '7890', '9012', '2109']) {
+      assert.match(validatePinStrength(pin).message, /sequence/, pin);
+    }
+  });
+
+  it('refuses year-like PINs', () => {
+    assert.match(validatePinStrength('1990').message, /year/);
+    assert.match(validatePinStrength(String(new Date().getFullYear())).message, /year/);
+  });
+
+  it('refuses common PINs', () => {
+    assert.match(validatePinStrength('2580').message, /too common/);
+    assert.match(validatePinStrength('1212').message, /too common/);
+  });
+
+  it('refuses the last 4 digits of the phone number', () => {
+    const result = validatePinStrength('5831', { phoneNumber: '+234 803 123 5831' });
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Weak PIN');
+    assert.match(result.message, /phone number/);
+  });
+});
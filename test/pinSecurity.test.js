@@ -0,0 +1,139 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const database = require('../src/services/database');
+const auditLog = require('../src/services/auditLog');
+
+/**
+ * One customer row in memory. Every query yields first, so concurrent calls
+ * interleave like they would against the database; updateMany checks its
+ * where and applies its data in one step, like a guarded UPDATE.
+ */
+let row;
+const events = [];
+
+function matches(where) {
+  return Object.entries(where).every(([field, condition]) => {
+    if (field === 'id') return condition === row.id;
+    if (field === 'OR') return condition.some(matches);
+    if (condition === null) return row[field] === null;
+    if (condition.lt !== undefined) return row[field] < condition.lt;
+    if (condition.lte !== undefined) return row[field] !== null && row[field] <= condition.lte;
+    if (condition.gte !== undefined) return row[field] >= condition.gte;
+    return row[field] === condition;
+  });
+}
+
+function apply(data) {
+  for (const [field, value] of Object.entries(data)) {
+    row[field] = value && value.increment !== undefined ? row[field] + value.increment : value;
+  }
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+const fakePrisma = {
+  customer: {
+    findFirst: async ({ where }) => {
+      await tick();
+      return matches(where) ? { ...row } : null;
+    },
+    update: async ({ data }) => {
+      await tick();
+      apply(data);
+      return { ...row };
+    },
+    updateMany: async ({ where, data }) => {
+      await tick();
+      if (!matches(where)) {
+        return { count: 0 };
+      }
+      apply(data);
+      return { count: 1 };
+    },
+  },
+};
+
+Object.defineProperty(database, 'prisma', { get: () => fakePrisma });
+auditLog.recordSecurityEvent = async (customerId, eventType) => {
+  events.push(eventType);
+};
+
+const { PIN_MAX_FAILED_ATTEMPTS, verifyCustomerPIN } = require('../src/services/pinSecurity');
+
+// Comparing is slow on purpose: every guess is in flight before the first one finishes
+let compares = 0;
+bcrypt.compare = async (pin, hash) => {
+  compares += 1;
+  await new Promise(resolve => setTimeout(resolve, 20));
+  return `hash:${pin}` === hash;
+};
+
+describe('verifyCustomerPIN', () => {
+  beforeEach(() => {
+    row = {
+      id: 1n,
+      deletedAt: null,
+      pin: 'hash:5831',
+      pinIsDefault: false,
+      pinFailedAttempts: 0,
+      pinLockoutCount: 0,
+      pinLockedUntil: null,
+    };
+    compares = 0;
+    events.length = 0;
+  });
+
+  it('compares at most PIN_MAX_FAILED_ATTEMPTS of many parallel wrong PINs', async () => {
+    const guesses = Array.from({ length: 20 }, (_, index) => String(1000 + index));
+    const results = await Promise.all(guesses.map(pin => verifyCustomerPIN(1, pin)));
+
+    assert.ok(compares <= PIN_MAX_FAILED_ATTEMPTS, `${compares} PINs were compared`);
+    assert.ok(results.every(result => !result.verified));
+    assert.ok(row.pinLockedUntil > new Date());
+    assert.equal(row.pinLockoutCount, 1);
+    assert.deepEqual(events, ['pin_locked']);
+  });
+
+  it('refuses the right PIN while locked, without comparing it', async () => {
+    row.pinLockedUntil = new Date(Date.now() + 60 * 1000);
+
+    const result = await verifyCustomerPIN(1, '5831');
+
+    assert.equal(result.verified, false);
+    assert.equal(result.lock.locked, true);
+    assert.equal(compares, 0);
+  });
+
+  it('counts a wrong PIN and gives the attempt back on the right one', async () => {
+    const wrong = await verifyCustomerPIN(1, '1111');
+    assert.equal(wrong.verified, false);
+    assert.equal(wrong.lock.attemptsRemaining, PIN_MAX_FAILED_ATTEMPTS - 1);
+    assert.equal(row.pinFailedAttempts, 1);
+
+    const right = await verifyCustomerPIN(1, '5831');
+    assert.equal(right.verified, true);
+    assert.equal(row.pinFailedAttempts, 0);
+  });
+
+  it('locks after PIN_MAX_FAILED_ATTEMPTS wrong PINs in a row', async () => {
+    let result;
+    for (let attempt = 0; attempt < PIN_MAX_FAILED_ATTEMPTS; attempt++) {
+      result = await verifyCustomerPIN(1, '1111');
+    }
+
+    assert.equal(result.lock.locked, true);
+    assert.equal(row.pinFailedAttempts, 0);
+    assert.equal(row.pinLockoutCount, 1);
+  });
+
+  it('accepts PINs again once the lock has expired', async () => {
+    row.pinLockedUntil = new Date(Date.now() - 1000);
+    row.pinLockoutCount = 1;
+
+    const result = await verifyCustomerPIN(1, '5831');
+
+    assert.equal(result.verified, true);
+    assert.equal(row.pinLockedUntil, null);
+  });
+});
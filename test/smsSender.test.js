@@ -0,0 +1,43 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSmsSender, registerSmsSender } = require('../src/services/smsSender');
+
+describe('getSmsSender', () => {
+  const saved = { SMS_PROVIDER: process.env.SMS_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    }
+  });
+
+  it('defaults to the console sender outside production', () => {
+    delete process.env.SMS_PROVIDER;
+    process.env.NODE_ENV = 'development';
+
+    assert.equal(typeof getSmsSender().send, 'function');
+  });
+
+  it('refuses the console and file senders in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    delete process.env.SMS_PROVIDER;
+    assert.throws(() => getSmsSender(), /console SMS provider cannot be used in production/);
+
+    process.env.SMS_PROVIDER = 'file';
+    assert.throws(() => getSmsSender(), /file SMS provider cannot be used in production/);
+  });
+
+  it('allows registered gateways in production', () => {
+    const gateway = { send: async () => ({ provider: 'gateway', delivered: true }) };
+    registerSmsSender('gateway', gateway);
+    process.env.SMS_PROVIDER = 'gateway';
+    process.env.NODE_ENV = 'production';
+
+    assert.equal(getSmsSender(), gateway);
+  });
+});